@@ -0,0 +1,144 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { renderAdr, parseAdr, exportAdrs, importAdrs } from '../utils/adr-markdown.mjs';
+
+const decisions = [
+  {
+    id: 1,
+    title: 'Use Postgres',
+    author: 'Jane',
+    date: '2024-01-10T00:00:00.000Z',
+    status: 'Superseded',
+    superseded_by: 2,
+    category: 'Infrastructure',
+    rationale: ['Relational data'],
+    tradeoffs: ['Needs a server']
+  },
+  {
+    id: 2,
+    title: 'Use SQLite',
+    author: { github_username: 'bob', display_name: 'Bob B' },
+    date: { decision_date: '2024-03-01T00:00:00.000Z', git_derived: true },
+    status: 'Accepted',
+    supersedes: 1,
+    related_to: [3],
+    notes: 'Small deployments need no database server.',
+    rationale: ['No server to run'],
+    affected_components: ['db/sqlite.js']
+  },
+  { id: 3, title: 'Adopt Lit', status: 'Proposed' }
+];
+
+describe('ADR markdown', () => {
+  let dir: string;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'adr-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('renders Nygard ADRs with numbered cross-links', () => {
+    const markdown = renderAdr(decisions[1], { format: 'nygard', decisions });
+
+    expect(markdown).toContain('# 2. Use SQLite\n\nDate: 2024-03-01\n\nAuthor: Bob B');
+    expect(markdown).toContain('## Status\n\nAccepted\n\nSupersedes [1. Use Postgres](0001-use-postgres.md)');
+    expect(markdown).toContain('## Related Decisions\n\n* [3. Adopt Lit](0003-adopt-lit.md)');
+    expect(markdown).toContain('## Affected Components\n\n* `db/sqlite.js`');
+  });
+
+  it('renders MADR front matter and consequences', () => {
+    const markdown = renderAdr(decisions[0], { format: 'madr', decisions });
+
+    expect(markdown.startsWith("---\nstatus: superseded by ADR-0002\ndate: '2024-01-10'\ndeciders: Jane\ncategory: Infrastructure\n---\n\n# Use Postgres")).toBe(true);
+    expect(markdown).toContain('### Consequences\n\n* Bad, because Needs a server');
+    expect(markdown).toContain('Superseded by [ADR-0002](0002-use-sqlite.md).');
+  });
+
+  it.each(['madr', 'nygard'] as const)('reads exported %s ADRs back into the same decisions', async format => {
+    const written = await exportAdrs({ decisions }, dir, { format });
+    const { records, warnings } = await importAdrs(dir);
+
+    expect(written.map(file => path.basename(file))).toEqual(['0001-use-postgres.md', '0002-use-sqlite.md', '0003-adopt-lit.md']);
+    expect(warnings).toEqual([]);
+    expect(records).toEqual([
+      { ...decisions[0], date: '2024-01-10T00:00:00.000Z' },
+      { ...decisions[1], author: 'Bob B', date: '2024-03-01T00:00:00.000Z' },
+      decisions[2]
+    ]);
+  });
+
+  it('removes the old file when a decision is renamed', async () => {
+    await exportAdrs({ decisions }, dir);
+    await exportAdrs({ decisions: [{ ...decisions[2], title: 'Adopt Lit 3' }] }, dir);
+
+    expect((await fs.readdir(dir)).sort()).toEqual(['0001-use-postgres.md', '0002-use-sqlite.md', '0003-adopt-lit-3.md']);
+  });
+
+  it('parses hand-written adr-tools and MADR files', () => {
+    const nygard = parseAdr([
+      '# 4. Record architecture decisions',
+      '',
+      'Date: 2023-05-02',
+      '',
+      '## Status',
+      '',
+      'Deprecated',
+      '',
+      'Amends [2. Use SQLite](0002-use-sqlite.md)',
+      '',
+      '## Context',
+      '',
+      'We need to record decisions.',
+      '',
+      '## Decision',
+      '',
+      'We will use Architecture Decision Records.',
+      '',
+      '## Consequences',
+      '',
+      'See the adr-tools docs.'
+    ].join('\n'), '0004-record-architecture-decisions.md');
+
+    expect(nygard.record).toEqual({
+      id: 4,
+      title: 'Record architecture decisions',
+      status: 'Rejected',
+      date: '2023-05-02T00:00:00.000Z',
+      rationale: ['We will use Architecture Decision Records.'],
+      tradeoffs: ['See the adr-tools docs.'],
+      notes: 'We need to record decisions.',
+      related_to: [2]
+    });
+    expect(nygard.warnings).toEqual([
+      '0004-record-architecture-decisions.md: status "Deprecated" has no matching decision status; imported as Rejected'
+    ]);
+
+    const madr = parseAdr([
+      '---',
+      'status: accepted',
+      'date: 2024-02-01',
+      '---',
+      '# Use Markdown ADRs',
+      '',
+      '## Decision Outcome',
+      '',
+      'Chosen option: "MADR", because it is lightweight.',
+      '',
+      '### Consequences',
+      '',
+      '* Good, because it renders on GitHub',
+      '* Bad, because templates must be kept in sync'
+    ].join('\n'), '0005-use-markdown-adrs.md');
+
+    expect(madr.record).toMatchObject({
+      id: 5,
+      status: 'Accepted',
+      rationale: ['it is lightweight.', 'it renders on GitHub'],
+      tradeoffs: ['templates must be kept in sync']
+    });
+  });
+});
@@ -0,0 +1,210 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { createExecutorRegistry, DryRunExecutor, ExecutorRegistry } from '../cli/agent-executors.mjs';
+import { DecisionTapestryAgent } from '../cli/agent-framework.mjs';
+import { readDecisionsFile } from '../shared/yaml-utils.js';
+
+type Task = { description: string; status?: string; executor?: Record<string, unknown> };
+
+describe('agent executors', () => {
+  let dir: string;
+  const registry = createExecutorRegistry();
+  const context = (task: Task) => ({
+    root: dir,
+    decision: { id: 1 },
+    task,
+    log: () => {},
+    trackFileOperation: jest.fn()
+  });
+
+  // analyze, plan, apply, verify
+  const run = async (task: Task) => {
+    const executor = registry.get(task.executor?.type as string);
+    const ctx = context(task);
+    const plan = await executor.plan(task, await executor.analyze(task, ctx), ctx);
+    const result = await executor.apply(plan, ctx);
+    return { plan, ctx, verification: await executor.verify(plan, result, ctx) };
+  };
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'executors-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('runs shell commands and passes only when verify does', async () => {
+    const passing = await run({
+      description: 'Write a file',
+      executor: { type: 'shell', command: 'echo done > out.txt', verify: 'grep -q done out.txt' }
+    });
+    expect(passing.plan.steps).toEqual(['Run `echo done > out.txt` in .', 'Verify with `grep -q done out.txt`']);
+    expect(passing.verification.passed).toBe(true);
+    expect(await fs.readFile(path.join(dir, 'out.txt'), 'utf8')).toBe('done\n');
+
+    const failing = await run({
+      description: 'Check a file',
+      executor: { type: 'shell', command: 'true', verify: 'grep -q missing out.txt' }
+    });
+    expect(failing.verification).toMatchObject({ passed: false, message: expect.stringContaining('exited with 1') });
+  });
+
+  it('applies a unified diff and verifies it is in place', async () => {
+    await fs.writeFile(path.join(dir, 'config.js'), 'export const timeout = 10;\n');
+    await fs.writeFile(path.join(dir, 'change.diff'), [
+      '--- a/config.js',
+      '+++ b/config.js',
+      '@@ -1 +1 @@',
+      '-export const timeout = 10;',
+      '+export const timeout = 30;',
+      ''
+    ].join('\n'));
+
+    const { plan, ctx, verification } = await run({
+      description: 'Raise the timeout',
+      executor: { type: 'patch', patch: 'change.diff' }
+    });
+
+    expect(plan.steps).toEqual(['Patch config.js (+1 -1)']);
+    expect(verification.passed).toBe(true);
+    expect(await fs.readFile(path.join(dir, 'config.js'), 'utf8')).toBe('export const timeout = 30;\n');
+    expect(ctx.trackFileOperation).toHaveBeenCalledWith('patched', 'config.js', 'success');
+
+    // Applied already, so it no longer applies cleanly
+    const task = { description: 'Again', executor: { type: 'patch', patch: 'change.diff' } };
+    const executor = registry.get('patch');
+    await expect(executor.plan(task, await executor.analyze(task, context(task)), context(task)))
+      .rejects.toThrow('change.diff does not apply');
+  });
+
+  it('reads the patch from the project when working in a sandbox', async () => {
+    const sandbox = path.join(dir, 'sandbox');
+    await fs.mkdir(sandbox);
+    await fs.writeFile(path.join(sandbox, 'config.js'), 'export const timeout = 10;\n');
+    await fs.writeFile(path.join(dir, 'change.diff'),
+      '--- a/config.js\n+++ b/config.js\n@@ -1 +1 @@\n-export const timeout = 10;\n+export const timeout = 30;\n');
+
+    const task = { description: 'Raise the timeout', executor: { type: 'patch', patch: 'change.diff' } };
+    const ctx = { ...context(task), root: sandbox, projectRoot: dir };
+    const executor = registry.get('patch');
+    await executor.apply(await executor.plan(task, await executor.analyze(task, ctx), ctx), ctx);
+
+    expect(await fs.readFile(path.join(sandbox, 'config.js'), 'utf8')).toBe('export const timeout = 30;\n');
+  });
+
+  it('refuses paths outside the project', async () => {
+    const task = { description: 'Escape', executor: { type: 'patch', patch: '../elsewhere.diff' } };
+    await expect(registry.get('patch').analyze(task, context(task))).rejects.toThrow('outside the project');
+  });
+
+  it('plans a wrapped executor without running it', async () => {
+    const task = { description: 'Remove a file', executor: { type: 'shell', command: 'rm keep.txt' } };
+    await fs.writeFile(path.join(dir, 'keep.txt'), '');
+    const executor = new DryRunExecutor(registry.get('shell'));
+    const plan = await executor.plan(task, await executor.analyze(task, context(task)), context(task));
+
+    expect(executor.dryRun).toBe(true);
+    expect(plan.steps).toEqual(['Run `rm keep.txt` in .']);
+    expect((await executor.verify()).passed).toBe(false);
+    await expect(fs.access(path.join(dir, 'keep.txt'))).resolves.toBeUndefined();
+  });
+
+  it('only registers complete executors and names the known types', () => {
+    expect(() => new ExecutorRegistry().register('partial', { analyze: async () => ({}) }))
+      .toThrow("Executor for 'partial' is missing plan, apply, verify");
+    expect(() => registry.get('deploy')).toThrow("No executor registered for task type 'deploy' (available: shell, patch, dry-run)");
+  });
+});
+
+describe('agent task execution', () => {
+  let dir: string;
+  let decisionsPath: string;
+
+  const createAgent = async (dryRun = false) => {
+    const agent = new DecisionTapestryAgent('Agent-1', 1);
+    agent.messaging = { broadcastStatus: async () => {}, broadcastDecisionUpdate: async () => {} } as unknown as typeof agent.messaging;
+    agent.decisionsPath = decisionsPath;
+    agent.workingDirectory = dir;
+    agent.dryRun = dryRun;
+    await agent.loadDecisionContext();
+    return agent;
+  };
+
+  const taskStatuses = async () => {
+    const data = await readDecisionsFile(decisionsPath) as { decisions: { tasks: Task[] }[] };
+    return data.decisions[0].tasks.map(task => task.status);
+  };
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'agent-tasks-'));
+    decisionsPath = path.join(dir, 'decisions.yml');
+    await fs.writeFile(decisionsPath, [
+      'decisions:',
+      '  - id: 1',
+      '    title: Build',
+      '    status: Accepted',
+      '    tasks:',
+      '      - { description: Build, status: Pending, executor: { type: shell, command: "true", verify: "true" } }',
+      '      - { description: Test, status: Pending, executor: { type: shell, command: "true", verify: "false" } }',
+      '      - { description: Document, status: Pending }',
+      ''
+    ].join('\n'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('marks a task completed only when verify passes', async () => {
+    const agent = await createAgent();
+    const [build, test, document] = agent.decision.tasks;
+
+    await agent.processTask(build);
+    await expect(agent.processTask(test)).rejects.toThrow('Verification failed');
+    await agent.processTask(document);
+
+    expect(await taskStatuses()).toEqual(['Completed', 'Blocked', 'Pending']);
+    expect(agent.completedTasks).toHaveLength(1);
+  });
+
+  it('leaves decisions.yml alone in a dry run', async () => {
+    const agent = await createAgent(true);
+    for (const task of agent.decision.tasks) {
+      await agent.processTask(task);
+    }
+
+    expect(await taskStatuses()).toEqual(['Pending', 'Pending', 'Pending']);
+    expect(agent.taskPlans.map((plan: { executor: string }) => plan.executor))
+      .toEqual(['dry-run (shell)', 'dry-run (shell)', 'dry-run']);
+  });
+
+  it('refuses to start with open tasks that name no executor', async () => {
+    const agent = await createAgent();
+
+    await expect(agent.validatePrerequisites()).rejects.toThrow('Decision #1 has tasks without an executor: "Document". Add one to each task');
+    await expect((await createAgent(true)).validatePrerequisites()).resolves.toBeUndefined();
+
+    agent.decision.tasks[2].status = 'Done';
+    await expect(agent.validatePrerequisites()).resolves.toBeUndefined();
+    agent.decision.tasks[2].status = 'Completed';
+    await expect(agent.validatePrerequisites()).resolves.toBeUndefined();
+  });
+
+  it('completes a decision whose tasks are Done or Completed', async () => {
+    const agent = await createAgent();
+    agent.decision.tasks.forEach((task: Task, index: number) => { task.status = index === 0 ? 'Done' : 'Completed'; });
+    agent.enrichDecisionMetadata = async () => {};
+    agent.analyzeAndAddRelatedDecisions = async () => {};
+    agent.runTests = async () => {};
+    const statuses: string[] = [];
+    agent.updateDecisionStatus = async (status: string) => { statuses.push(status); };
+
+    await expect(agent.complete()).resolves.toMatchObject({ totalTasks: 3 });
+    expect(statuses).toEqual(['Completed']);
+  });
+});
@@ -0,0 +1,112 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { jest } from '@jest/globals';
+import { AgentSandbox, openSandbox, listSandboxes, findSandboxConflicts } from '../utils/agent-sandbox.mjs';
+import { AgentTestFramework } from '../cli/agent-test-framework.mjs';
+
+describe('agent sandboxes', () => {
+  let root: string;
+  const git = (...args: string[]) => execFileSync('git', args, { cwd: root, encoding: 'utf8' });
+  const read = (file: string) => fs.readFile(path.join(root, file), 'utf8');
+
+  // A sandbox whose agent replaced config.js
+  const sandboxWith = async (decisionId: number, content: string) => {
+    const sandbox = await openSandbox(root, { id: decisionId });
+    await fs.writeFile(path.join(sandbox.workingDirectory, 'config.js'), content);
+    await sandbox.commit(`Decision #${decisionId}`, [`Task of #${decisionId}`]);
+    return sandbox;
+  };
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'sandbox-'));
+    git('init', '-q');
+    git('config', 'user.name', 'Test');
+    git('config', 'user.email', 'test@example.com');
+    await fs.writeFile(path.join(root, 'config.js'), 'export const timeout = 10;\n');
+    git('add', '.');
+    git('commit', '-q', '-m', 'Initial');
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('keeps the agent work on its branch until it is merged', async () => {
+    const sandbox = await sandboxWith(65, 'export const timeout = 30;\n');
+
+    expect(sandbox.branch).toBe('agent/decision-65');
+    expect(await read('config.js')).toBe('export const timeout = 10;\n');
+    expect(git('status', '--porcelain')).toBe('');
+
+    const changes = await sandbox.getChanges();
+    expect(changes.commits.map((commit: { subject: string }) => commit.subject)).toEqual(['Decision #65']);
+    expect(changes.files).toEqual([{ file: 'config.js', added: 1, deleted: 1 }]);
+    expect(changes.diff).toContain('+export const timeout = 30;');
+    expect(await sandbox.getCompletedTasks()).toEqual(['Task of #65']);
+    expect((await listSandboxes(root)).map((listed: AgentSandbox) => listed.decisionId)).toEqual([65]);
+
+    expect(await sandbox.merge('Merge #65')).toEqual({ merged: true, conflicts: [] });
+    await sandbox.discard();
+    expect(await read('config.js')).toBe('export const timeout = 30;\n');
+    expect(await listSandboxes(root)).toEqual([]);
+    expect(git('branch', '--list', 'agent/*')).toBe('');
+  });
+
+  it('reports parallel work that conflicts and refuses to merge it', async () => {
+    const first = await sandboxWith(65, 'export const timeout = 30;\n');
+    const second = await sandboxWith(66, 'export const timeout = 60;\n');
+
+    expect(await findSandboxConflicts([first, second])).toEqual([{ decisionIds: [65, 66], files: ['config.js'] }]);
+
+    await first.merge('Merge #65');
+    expect(await second.merge('Merge #66')).toEqual({ merged: false, conflicts: ['config.js'] });
+    expect(await read('config.js')).toBe('export const timeout = 30;\n');
+    expect(git('status', '--porcelain')).toBe('');
+  });
+
+  it('starts a dependent decision from the unreviewed work of its dependencies', async () => {
+    await sandboxWith(65, 'export const timeout = 30;\n');
+    const dependent = await openSandbox(root, { id: 67, depends_on: [65] });
+
+    expect(await fs.readFile(path.join(dependent.workingDirectory, 'config.js'), 'utf8')).toBe('export const timeout = 30;\n');
+  });
+
+  it('refuses to start when the work of dependencies conflicts', async () => {
+    await sandboxWith(65, 'export const timeout = 30;\n');
+    await sandboxWith(66, 'export const timeout = 60;\n');
+
+    await expect(openSandbox(root, { id: 67, depends_on: [65, 66] }))
+      .rejects.toThrow('Merging agent/decision-66 into agent/decision-67 conflicts in config.js');
+    expect(await new AgentSandbox(root, 67).exists()).toBe(false);
+  });
+
+  it('generates and runs the tests of its agent in the worktree', async () => {
+    const sandbox = await openSandbox(root, { id: 65 });
+    await fs.writeFile(path.join(sandbox.workingDirectory, 'package.json'), JSON.stringify({
+      scripts: { test: 'node -e "require(\'fs\').writeFileSync(\'tested-in\', process.cwd())"' }
+    }));
+    const tests = new AgentTestFramework('65');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    try {
+      await tests.useRoot(sandbox.workingDirectory);
+      expect(await tests.runTests()).toMatchObject({ failed: 0 });
+    } finally {
+      jest.restoreAllMocks();
+    }
+
+    expect(await fs.readFile(path.join(sandbox.workingDirectory, 'tested-in'), 'utf8')).toBe(sandbox.workingDirectory);
+    await expect(fs.access(path.join(sandbox.workingDirectory, '__tests__', 'agents', 'agent-65.test.ts'))).resolves.toBeUndefined();
+  });
+
+  it('needs a git repository', async () => {
+    const plain = await fs.mkdtemp(path.join(os.tmpdir(), 'no-git-'));
+    try {
+      await expect(new AgentSandbox(plain, 1).create()).rejects.toThrow('Agent sandboxes need a git repository');
+      expect(await listSandboxes(plain)).toEqual([]);
+    } finally {
+      await fs.rm(plain, { recursive: true, force: true });
+    }
+  });
+});
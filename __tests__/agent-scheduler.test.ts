@@ -0,0 +1,170 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { AgentScheduler } from '../cli/agent-scheduler.mjs';
+import { AgentCoordinator } from '../cli/agent-coordinator.mjs';
+import { DecisionTapestryAgent } from '../cli/agent-framework.mjs';
+import { CircuitState } from '../cli/circuit-breaker.mjs';
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+describe('agent scheduler', () => {
+  it('starts the highest priority first and never runs more than the limit', async () => {
+    const ready = [{ id: 1, priority: 'low' }, { id: 2 }, { id: 3, priority: 'high' }, { id: 4, priority: 'high' }];
+    const started: number[] = [];
+    let running = 0;
+    let mostRunning = 0;
+
+    await new AgentScheduler({ maxConcurrent: 2 }).run({
+      getReady: () => ready,
+      start: async (id: number) => {
+        started.push(id);
+        mostRunning = Math.max(mostRunning, ++running);
+        await tick();
+        running--;
+      },
+      finish: () => {},
+      getDegraded: () => []
+    });
+
+    expect(started).toEqual([3, 4, 2, 1]);
+    expect(mostRunning).toBe(2);
+  });
+
+  it('runs one agent at a time with growing backoff while a circuit is open', async () => {
+    const messages: string[] = [];
+    const started: number[] = [];
+    let running = 0;
+    let mostRunning = 0;
+
+    await new AgentScheduler({ maxConcurrent: 3, initialBackoff: 2, maxBackoff: 5 }).run({
+      getReady: () => [{ id: 1 }, { id: 2 }, { id: 3 }],
+      start: async (id: number) => {
+        started.push(id);
+        mostRunning = Math.max(mostRunning, ++running);
+        await tick();
+        running--;
+      },
+      finish: () => {},
+      getDegraded: () => (started.length < 3 ? ['Agent-1 GitOperations'] : []),
+      log: (message: string) => messages.push(message)
+    });
+
+    expect(mostRunning).toBe(1);
+    expect(messages).toEqual([
+      'Circuit open (Agent-1 GitOperations); waiting 2ms before starting the next agent',
+      'Circuit open (Agent-1 GitOperations); waiting 4ms before starting the next agent',
+      'Circuit open (Agent-1 GitOperations); waiting 5ms before starting the next agent'
+    ]);
+  });
+});
+
+describe('scheduled coordination', () => {
+  let dir: string;
+  const events: string[] = [];
+
+  class TimedCoordinator extends AgentCoordinator {
+    createAgent(agentId: string, decisionId: number) {
+      const agent = {
+        initialize: async () => {},
+        start: async () => {
+          events.push(`start ${decisionId}`);
+          await new Promise(resolve => setTimeout(resolve, decisionId === 1 ? 60 : 5));
+          events.push(`finish ${decisionId}`);
+          return {};
+        },
+        circuitBreakers: {}
+      };
+      return agent as unknown as DecisionTapestryAgent;
+    }
+
+    async initiateReviewProcess() {}
+  }
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'scheduler-'));
+    events.length = 0;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('starts a dependent as soon as its own dependencies finish', async () => {
+    const decisionsPath = path.join(dir, 'decisions.yml');
+    const task = 'tasks: [{ description: Work, status: Pending, executor: { type: shell, command: "true" } }]';
+    await fs.writeFile(decisionsPath, [
+      'decisions:',
+      `  - { id: 1, title: Slow, status: Accepted, ${task} }`,
+      `  - { id: 2, title: Fast, status: Accepted, priority: high, ${task} }`,
+      `  - { id: 3, title: Next, status: Accepted, depends_on: [2], ${task} }`,
+      ''
+    ].join('\n'));
+    const coordinator = new TimedCoordinator({ decisionsPath, statePath: path.join(dir, 'state.json'), maxConcurrentAgents: 2 });
+    await coordinator.loadDecisionsData();
+
+    expect(await coordinator.coordinateDecisions([1, 2, 3])).toMatchObject({ completed: 3, failed: 0 });
+    expect(events).toEqual(['start 2', 'start 1', 'finish 2', 'start 3', 'finish 3', 'finish 1']);
+  });
+
+  it('backs off once agent runs keep failing', async () => {
+    class FailingCoordinator extends TimedCoordinator {
+      createAgent(agentId: string, decisionId: number) {
+        const agent = {
+          initialize: async () => {},
+          start: async () => {
+            events.push(`start ${decisionId}`);
+            throw new Error('GitHub is down');
+          },
+          circuitBreakers: {}
+        };
+        return agent as unknown as DecisionTapestryAgent;
+      }
+    }
+    const decisionsPath = path.join(dir, 'decisions.yml');
+    await fs.writeFile(decisionsPath, `decisions:\n${[1, 2, 3, 4].map(id =>
+      `  - { id: ${id}, title: Work, status: Accepted, tasks: [{ description: Work, status: Pending, executor: { type: shell, command: "true" } }] }\n`).join('')}`);
+    const coordinator = new FailingCoordinator({
+      decisionsPath,
+      statePath: path.join(dir, 'state.json'),
+      maxConcurrentAgents: 1,
+      scheduler: { initialBackoff: 1, maxBackoff: 2 },
+      agentRunBreaker: { failureThreshold: 2, volumeThreshold: 2 }
+    });
+    await coordinator.loadDecisionsData();
+
+    expect(await coordinator.coordinateDecisions([1, 2, 3, 4])).toMatchObject({ completed: 0, failed: 4 });
+    expect(events).toEqual(['start 1', 'start 2', 'start 3', 'start 4']);
+    const backoffs = (console.log as jest.Mock).mock.calls
+      .map(([message]) => String(message))
+      .filter(message => message.includes('Circuit open'));
+    expect(backoffs).toEqual([
+      expect.stringContaining('Circuit open (AgentRuns); waiting 1ms before starting the next agent'),
+      expect.stringContaining('Circuit open (AgentRuns); waiting 2ms before starting the next agent')
+    ]);
+  });
+
+  it('runs agents without sandboxes outside a git repository', async () => {
+    const decisionsPath = path.join(dir, 'decisions.yml');
+    await fs.writeFile(decisionsPath,
+      'decisions:\n  - { id: 1, title: Work, status: Accepted, tasks: [{ description: Work, status: Pending, executor: { type: shell, command: "true" } }] }\n');
+    const coordinator = new TimedCoordinator({ decisionsPath, statePath: path.join(dir, 'state.json'), sandbox: true });
+    await coordinator.loadDecisionsData();
+
+    expect(await coordinator.coordinateDecisions([1])).toMatchObject({ completed: 1, failed: 0 });
+    expect(coordinator.useSandboxes).toBe(false);
+    expect(events).toEqual(['start 1', 'finish 1']);
+    expect((console.log as jest.Mock).mock.calls.map(([message]) => String(message)))
+      .toContainEqual(expect.stringContaining(`Warning: ${dir} is not a git repository`));
+  });
+
+  it('reports open circuit breakers of its agents', () => {
+    const coordinator = new AgentCoordinator();
+    coordinator.agents.set('Agent-7', { circuitBreakers: { gitOps: { name: 'GitOperations', state: CircuitState.OPEN } } });
+    coordinator.agents.set('Agent-8', { circuitBreakers: { gitOps: { name: 'GitOperations', state: CircuitState.HALF_OPEN } } });
+    expect(coordinator.getOpenCircuitBreakers()).toEqual(['Agent-7 GitOperations']);
+  });
+});
@@ -0,0 +1,172 @@
+import express from 'express';
+import fs from 'fs/promises';
+import path from 'path';
+import { AddressInfo } from 'net';
+import { Server } from 'http';
+import { fileURLToPath } from 'url';
+import { computeInsights } from '../utils/decision-analytics.mjs';
+import { initializeAnalyticsRoutes } from '../server/analytics-api.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const now = new Date('2026-03-01T00:00:00Z');
+const daysAgo = (days: number) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+const data = {
+  decisions: [
+    {
+      id: 1,
+      title: 'Use Postgres',
+      status: 'Superseded',
+      superseded_by: 2,
+      category: 'Infrastructure',
+      date: daysAgo(400),
+      rationale: ['Relational data'],
+      tradeoffs: ['Needs a server']
+    },
+    {
+      id: 2,
+      title: 'Use SQLite',
+      status: 'Accepted',
+      category: 'Infrastructure',
+      date: daysAgo(300),
+      rationale: ['No server to run'],
+      tasks: [
+        { description: 'Migrate', status: 'Done' },
+        { description: 'Drop Postgres', status: 'Pending' }
+      ]
+    },
+    {
+      id: 3,
+      title: 'Adopt Lit',
+      status: 'Accepted',
+      category: 'Architecture',
+      created: daysAgo(12),
+      date: { decision_date: daysAgo(2), git_derived: true },
+      rationale: ['Web components'],
+      tradeoffs: ['Smaller ecosystem']
+    },
+    {
+      id: 4,
+      title: 'Add search',
+      status: 'Proposed',
+      category: 'Architecture',
+      created: daysAgo(30),
+      date: daysAgo(10),
+      tasks: [{ description: 'Build index', status: 'Completed' }]
+    },
+    {
+      id: 5,
+      title: 'Old but active',
+      status: 'Accepted',
+      category: 'Architecture',
+      date: { decision_date: daysAgo(500), last_commit_date: daysAgo(20) },
+      rationale: ['Still used'],
+      tradeoffs: ['None']
+    }
+  ],
+  backlog: []
+};
+
+describe('decision analytics', () => {
+  it('computes velocity against the previous period', async () => {
+    const { insights } = await computeInsights(data, { now });
+    const velocity = insights.find((insight: any) => insight.id === 'velocity');
+
+    expect(velocity).toMatchObject({
+      metric: 1,
+      unit: '/week',
+      decisionIds: [3],
+      trend: { type: 'neutral', value: 'no change' }
+    });
+
+    const monthly = (await computeInsights(data, { now, period: 'month' })).insights[0];
+    expect(monthly.decisionIds).toEqual([3, 4]);
+    expect(monthly.trend).toMatchObject({ type: 'positive', value: '+2' });
+  });
+
+  it('computes task completion, promotion time and supersession', async () => {
+    const { insights } = await computeInsights(data, { now });
+    const byId = Object.fromEntries(insights.map((insight: any) => [insight.id, insight]));
+
+    expect(byId['task-completion']).toMatchObject({ metric: 67, decisionIds: [2] });
+    expect(byId['backlog-to-promotion']).toMatchObject({ metric: 15, decisionIds: [3, 4] });
+    expect(byId['supersession']).toMatchObject({ metric: 20, decisionIds: [1] });
+  });
+
+  it('finds stale categories and missing rationale or tradeoffs', async () => {
+    const result = await computeInsights(data, { now });
+    const byId = Object.fromEntries(result.insights.map((insight: any) => [insight.id, insight]));
+
+    // Superseded decisions are not stale; git activity keeps decision 5 fresh
+    expect(byId['stale'].decisionIds).toEqual([2]);
+    expect(result.staleCategories).toEqual([
+      { category: 'Infrastructure', total: 1, count: 1, decisionIds: [2] }
+    ]);
+    expect(byId['missing-documentation']).toMatchObject({
+      decisionIds: [2, 4],
+      missingRationale: [4],
+      missingTradeoffs: [2, 4]
+    });
+    expect(result.recommendations.map((rec: any) => rec.id)).toEqual(['add-rationale', 'add-tradeoffs', 'review-stale']);
+  });
+
+  it('counts recent commits to affected components as activity', async () => {
+    const analyzer = {
+      getFileLastModifiedDate: async (file: string) => (file === 'db/sqlite.js' ? daysAgo(3) : null)
+    };
+    const withComponents = {
+      decisions: data.decisions.map(decision =>
+        decision.id === 2 ? { ...decision, affected_components: ['db/sqlite.js'] } : decision
+      )
+    };
+
+    const { staleCategories } = await computeInsights(withComponents, { now, analyzer });
+
+    expect(staleCategories).toEqual([]);
+  });
+});
+
+describe('analytics API', () => {
+  const testFile = path.join(__dirname, 'test-analytics.yml');
+  let server: Server;
+  let baseUrl: string;
+
+  beforeAll(async () => {
+    await fs.writeFile(testFile, JSON.stringify(data));
+    const app = express();
+    initializeAnalyticsRoutes(app, { decisionsPath: testFile });
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await fs.rm(testFile, { force: true });
+  });
+
+  it('serves insights for the decisions file', async () => {
+    const response = await fetch(`${baseUrl}/api/analytics/insights?period=month`);
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body.period).toBe('month');
+    expect(body.insights.map((insight: any) => insight.id)).toEqual([
+      'velocity',
+      'task-completion',
+      'backlog-to-promotion',
+      'supersession',
+      'stale',
+      'missing-documentation'
+    ]);
+  });
+
+  it('rejects unknown periods', async () => {
+    const response = await fetch(`${baseUrl}/api/analytics/insights?period=decade`);
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).message).toBe('Unknown period: decade');
+  });
+});
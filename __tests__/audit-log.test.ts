@@ -0,0 +1,70 @@
+import { readAuditLog } from '../shared/audit-log.js';
+import { diffDecisionsData } from '../shared/decisions-merge.js';
+import { updateDecisionsFile, getAuditLogPath, getDecisionsLockPath } from '../shared/yaml-utils.js';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('audit log', () => {
+  const testFile = path.join(__dirname, 'test-audit.yml');
+
+  beforeEach(async () => {
+    await fs.writeFile(testFile, 'decisions:\n  - id: 1\n    title: First\n    status: Proposed\n    tasks:\n      - description: One\n        status: Pending\nbacklog: []\n');
+  });
+
+  afterEach(async () => {
+    await fs.rm(testFile, { force: true });
+    await fs.rm(getAuditLogPath(testFile), { force: true });
+    await fs.rm(getDecisionsLockPath(testFile), { force: true });
+  });
+
+  it('reports field-level changes per record', () => {
+    const before = { decisions: [{ id: 1, status: 'Proposed', tasks: [{ description: 'One', status: 'Pending' }] }], backlog: [{ id: 4, title: 'Idea', status: 'Open' }] };
+    const after = { decisions: [{ id: 1, status: 'Accepted', tasks: [{ description: 'One', status: 'Done' }] }], backlog: [] };
+
+    expect(diffDecisionsData(before, after)).toEqual([
+      {
+        collection: 'decisions',
+        id: 1,
+        action: 'updated',
+        changes: [
+          { path: '/status', before: 'Proposed', after: 'Accepted' },
+          { path: '/tasks/0/status', before: 'Pending', after: 'Done' }
+        ]
+      },
+      {
+        collection: 'backlog',
+        id: 4,
+        action: 'deleted',
+        changes: [
+          { path: '/id', before: 4, after: undefined },
+          { path: '/title', before: 'Idea', after: undefined },
+          { path: '/status', before: 'Open', after: undefined }
+        ]
+      }
+    ]);
+  });
+
+  it('appends an entry with actor and source for every write', async () => {
+    await updateDecisionsFile(testFile, (data: any) => {
+      data.decisions[0].tasks[0].status = 'Completed';
+    }, { audit: { source: 'agent:agent-3', actor: 'alice' } });
+    await updateDecisionsFile(testFile, (data: any) => {
+      data.backlog.push({ id: 2, title: 'Idea', status: 'Open' });
+    }, { audit: { source: 'cli:quick-task', actor: 'bob' } });
+
+    const history = await readAuditLog(getAuditLogPath(testFile), { collection: 'decisions', id: 1 });
+
+    expect(history).toHaveLength(1);
+    expect(history[0]).toMatchObject({
+      actor: 'alice',
+      source: 'agent:agent-3',
+      action: 'updated',
+      changes: [{ path: '/tasks/0/status', before: 'Pending', after: 'Completed' }]
+    });
+    expect(await readAuditLog(getAuditLogPath(testFile))).toHaveLength(2);
+  });
+});
@@ -0,0 +1,129 @@
+import express from 'express';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { AddressInfo } from 'net';
+import { Server } from 'http';
+import {
+  DEFAULT_CATEGORIES,
+  normalizeCategories,
+  classifyDecision,
+  getCommitScopes,
+  validateCategories
+} from '../shared/categories.js';
+import { loadCategories, loadCategoriesOrDefault, getCategoriesPath } from '../shared/category-config.js';
+import { initializeDecisionRoutes } from '../server/decisions-api.mjs';
+import { readDecisionsFile } from '../shared/yaml-utils.js';
+
+const teamCategories = [
+  { name: 'Platform', keywords: ['cache', 'deploy*'], paths: ['infra/**', 'Dockerfile'], scopes: ['infra'] },
+  { name: 'Product', keywords: ['checkout'], paths: ['web/**/*.tsx'] },
+  { name: 'Unsorted', fallback: true }
+];
+
+describe('category rules', () => {
+  const config = normalizeCategories(teamCategories);
+
+  it('scores title and rationale keywords, component globs and commit scopes', () => {
+    expect(classifyDecision({ title: 'Cache checkout sessions', rationale: ['Deploys get faster'] }, config)).toEqual({
+      category: 'Platform',
+      inferred: true,
+      score: 4,
+      reasons: ['title mentions "cache"', 'rationale mentions "deploy*"']
+    });
+    expect(classifyDecision({ title: 'Rework the cart', affected_components: ['web/cart/Cart.tsx', './services/Dockerfile'] }, config))
+      .toMatchObject({ category: 'Platform', reasons: ['services/Dockerfile matches Dockerfile'] });
+    expect(classifyDecision({
+      title: 'Checkout',
+      github_metadata: { commits: [{ message: 'fix(infra): pin base image' }, { message: 'feat(Infra, web)!: split' }] }
+    }, config)).toMatchObject({ category: 'Platform', score: 4 });
+  });
+
+  it('matches whole words unless the keyword ends in *', () => {
+    expect(classifyDecision({ title: 'Cached checkouts' }, config)).toMatchObject({ category: 'Unsorted', score: 0, reasons: [] });
+    expect(classifyDecision({ title: 'Redeploy nightly' }, config).category).toBe('Unsorted');
+    expect(classifyDecision({ title: 'Deployment checklist' }, config).category).toBe('Platform');
+  });
+
+  it('keeps declared categories and breaks ties by listing order', () => {
+    expect(classifyDecision({ title: 'Cache', category: 'Product' }, config)).toEqual({ category: 'Product', inferred: false, score: 0, reasons: [] });
+    expect(classifyDecision({ title: 'Cache the checkout' }, config).category).toBe('Platform');
+  });
+
+  it('reads scopes of conventional commits only', () => {
+    expect(getCommitScopes({ github_metadata: { commits: [{ message: 'docs(adr): add 12' }, { message: 'Merge pull request #4' }] } })).toEqual(['adr']);
+  });
+
+  it('rejects invalid definitions and adds Other when no fallback is marked', () => {
+    expect(() => normalizeCategories([{ name: 'A', keywords: 'a' }, 'A', { fallback: true }], 'team.yml')).toThrow(
+      'Invalid categories in team.yml: keywords of A must be a list of strings; category A is listed twice; category 3 needs a name'
+    );
+    expect(normalizeCategories(['Backend', 'Frontend']).categories.map(category => category.name)).toEqual(['Backend', 'Frontend', 'Other']);
+    expect(normalizeCategories(DEFAULT_CATEGORIES).fallback).toBe('Other');
+  });
+
+  it('reports declared categories that are not configured', () => {
+    expect(validateCategories(config, { decisions: [{ category: 'Platform' }, { category: 'Ops' }], backlog: [{}] })).toEqual([
+      { path: '/decisions/1/category', message: "'Ops' is not one of the categories: Platform, Product, Unsorted" }
+    ]);
+  });
+});
+
+describe('category configuration', () => {
+  let dir: string;
+  let decisionsPath: string;
+  let server: Server;
+  let baseUrl: string;
+
+  const send = (method: string, route: string, body: any) =>
+    fetch(`${baseUrl}${route}`, { method, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+
+  beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'categories-'));
+    decisionsPath = path.join(dir, 'decisions.yml');
+    const app = express();
+    app.use(express.json());
+    initializeDecisionRoutes(app, { decisionsPath, broadcast: () => {} });
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    await fs.writeFile(decisionsPath, [
+      'decisions:',
+      '  - id: 1',
+      '    title: Cache sessions',
+      '    status: Accepted',
+      '    category: Legacy',
+      'backlog: []',
+      ''
+    ].join('\n'));
+    await fs.writeFile(getCategoriesPath(decisionsPath), JSON.stringify({ categories: teamCategories }));
+  });
+
+  it('prefers the categories section of decisions.yml over the categories file', async () => {
+    expect((await loadCategories(decisionsPath)).source).toBe(getCategoriesPath(decisionsPath));
+    expect((await loadCategories(decisionsPath, { categories: ['Backend'] })).source).toBe('decisions.yml');
+
+    await fs.writeFile(getCategoriesPath(decisionsPath), 'categories: []');
+    const fallback = await loadCategoriesOrDefault(decisionsPath);
+    expect(fallback.source).toBe('default');
+    expect(fallback.error).toMatch(/it needs a list of categories/);
+  });
+
+  it('refuses categories that are not configured, but keeps existing ones', async () => {
+    const created = await send('POST', '/api/decisions', { title: 'Edge cache', status: 'Proposed', category: 'Ops' });
+    expect(created.status).toBe(422);
+    expect(await created.json()).toMatchObject({ error: 'Invalid category', allowed: ['Platform', 'Product', 'Unsorted'] });
+
+    expect((await send('PATCH', '/api/decisions/1', { title: 'Cache user sessions' })).status).toBe(200);
+    expect((await send('PATCH', '/api/decisions/1', { category: 'Platform' })).status).toBe(200);
+    expect((await readDecisionsFile(decisionsPath)).decisions[0].category).toBe('Platform');
+  });
+});
@@ -0,0 +1,134 @@
+import express from 'express';
+import fs from 'fs/promises';
+import path from 'path';
+import { AddressInfo } from 'net';
+import { Server } from 'http';
+import { fileURLToPath } from 'url';
+import {
+  loadCharter,
+  normalizeCharter,
+  checkCharterMove,
+  getCharterCounts,
+  getCharterPath
+} from '../shared/charter.js';
+import { initializeDecisionRoutes } from '../server/decisions-api.mjs';
+import { initializeCharterRoutes } from '../server/charter-api.mjs';
+import { readDecisionsFile, getDecisionsLockPath, getAuditLogPath } from '../shared/yaml-utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const deliveryFlow = {
+  states: [
+    { id: 'Discover', entry_criteria: ['Problem statement written'] },
+    { id: 'Deliver', label: 'Deliver', wip_limit: 1 },
+    { id: 'Done' }
+  ],
+  transitions: [
+    { from: 'Discover', to: 'Deliver' },
+    { from: 'Deliver', to: 'Done' }
+  ]
+};
+
+describe('charter', () => {
+  it('rejects charters that refer to unknown states', () => {
+    expect(() => normalizeCharter({ states: ['A'], transitions: [{ from: 'A', to: 'B' }] })).toThrow(
+      'Invalid charter in decisions.yml: transition A → B refers to unknown state B'
+    );
+  });
+
+  it('checks moves against transitions and WIP limits', () => {
+    const charter = normalizeCharter(deliveryFlow);
+    const data = {
+      decisions: [
+        { id: 1, title: 'A', status: 'Accepted', charter_state: 'Deliver' },
+        { id: 2, title: 'B', status: 'Accepted', charter_state: 'Discover' }
+      ],
+      backlog: [{ id: 1, title: 'C', status: 'Open' }]
+    };
+
+    expect(getCharterCounts(charter, data).Deliver).toEqual({ decisions: 1, backlog: 0, total: 1 });
+    expect(checkCharterMove(charter, data, data.decisions[1], 'Deliver')).toMatchObject([{ type: 'wip-limit' }]);
+    expect(checkCharterMove(charter, data, data.decisions[0], 'Discover')).toMatchObject([{ type: 'transition', allowed: ['Done'] }]);
+    expect(checkCharterMove(charter, data, data.decisions[0], 'Done')).toEqual([]);
+    // Items not yet on the charter can start anywhere
+    expect(checkCharterMove(charter, data, data.backlog[0], 'Done')).toEqual([]);
+  });
+});
+
+describe('charter API', () => {
+  const testFile = path.join(__dirname, 'test-charter.yml');
+  const charterFile = getCharterPath(testFile);
+  let server: Server;
+  let baseUrl: string;
+
+  const patch = (route: string, body: any) =>
+    fetch(`${baseUrl}${route}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    initializeDecisionRoutes(app, { decisionsPath: testFile, broadcast: () => {} });
+    initializeCharterRoutes(app, { decisionsPath: testFile });
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    await fs.writeFile(testFile, [
+      'decisions:',
+      '  - id: 1',
+      '    title: Ship the API',
+      '    status: Accepted',
+      '    charter_state: Deliver',
+      '  - id: 2',
+      '    title: Ship the UI',
+      '    status: Accepted',
+      '    charter_state: Discover',
+      'backlog: []',
+      ''
+    ].join('\n'));
+    await fs.writeFile(charterFile, JSON.stringify({ charter: deliveryFlow }));
+  });
+
+  afterEach(async () => {
+    for (const file of [testFile, charterFile, getDecisionsLockPath(testFile), getAuditLogPath(testFile)]) {
+      await fs.rm(file, { force: true });
+    }
+  });
+
+  it('reads the charter file next to decisions.yml and counts items per state', async () => {
+    const { charter, counts } = await (await fetch(`${baseUrl}/api/charter`)).json();
+
+    expect(charter.source).toBe(charterFile);
+    expect(charter.states.map((state: any) => state.id)).toEqual(['Discover', 'Deliver', 'Done']);
+    expect(counts.Deliver.total).toBe(1);
+  });
+
+  it('refuses moves into a state at its WIP limit', async () => {
+    const response = await patch('/api/decisions/2', { charter_state: 'Deliver' });
+
+    expect(response.status).toBe(409);
+    expect((await response.json()).message).toBe('Deliver is at its WIP limit of 1');
+    expect((await readDecisionsFile(testFile)).decisions[1].charter_state).toBe('Discover');
+  });
+
+  it('saves moves the charter allows', async () => {
+    expect((await patch('/api/decisions/1', { charter_state: 'Done' })).status).toBe(200);
+    expect((await patch('/api/decisions/2', { charter_state: 'Deliver' })).status).toBe(200);
+    expect((await patch('/api/decisions/2', { charter_state: 'Discover' })).status).toBe(422);
+
+    const charter = await loadCharter(testFile);
+    const data = await readDecisionsFile(testFile);
+    expect(getCharterCounts(charter, data)).toMatchObject({ Deliver: { total: 1 }, Done: { total: 1 } });
+  });
+});
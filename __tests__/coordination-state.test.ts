@@ -0,0 +1,135 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { AgentCoordinator } from '../cli/agent-coordinator.mjs';
+import { DecisionTapestryAgent } from '../cli/agent-framework.mjs';
+import { readCoordinationState, writeCoordinationState, compareWithCheckpoint } from '../cli/coordination-state.mjs';
+
+// Works through the tasks of its decision like DecisionTapestryAgent, failing on request
+class FakeAgent {
+  skipTasks = new Set<string>();
+  onTaskFinished: ((task: { description: string }, status: string) => Promise<void>) | null = null;
+
+  constructor(private coordinator: TestCoordinator, private decisionId: number) {}
+
+  async initialize() {}
+
+  async start() {
+    for (const task of this.coordinator.decisions.get(this.decisionId).tasks) {
+      if (this.skipTasks.has(task.description)) continue;
+      if (this.coordinator.failOn === task.description) {
+        await this.onTaskFinished?.(task, 'Blocked');
+        throw new Error(`${task.description} broke`);
+      }
+      await this.onTaskFinished?.(task, 'Completed');
+      const saved = await readCoordinationState(this.coordinator.statePath) as { tasks: Record<number, { completed: string[] }> };
+      this.coordinator.checkpoints.push(saved.tasks[this.decisionId].completed.join(','));
+      this.coordinator.worked.push(task.description);
+    }
+    return {};
+  }
+}
+
+class TestCoordinator extends AgentCoordinator {
+  failOn: string | null = null;
+  worked: string[] = [];
+  checkpoints: string[] = [];
+
+  createAgent(_agentId: string, decisionId: number) {
+    return new FakeAgent(this, decisionId) as unknown as DecisionTapestryAgent;
+  }
+
+  async initiateReviewProcess() {}
+}
+
+describe('coordination checkpoints', () => {
+  let dir: string;
+  let decisionsPath: string;
+  let statePath: string;
+
+  const writeDecisions = (secondTasks = ['Add endpoint', 'Write docs']) => fs.writeFile(decisionsPath, [
+    'decisions:',
+    '  - id: 1',
+    '    title: Schema',
+    '    status: Accepted',
+    '    tasks:',
+    '      - description: Add table',
+    '        status: Pending',
+    '        executor: { type: shell, command: "true" }',
+    '  - id: 2',
+    '    title: API',
+    '    status: Accepted',
+    '    depends_on: [1]',
+    '    tasks:',
+    ...secondTasks.flatMap(description => [
+      `      - description: ${description}`,
+      '        status: Pending',
+      '        executor: { type: shell, command: "true" }'
+    ]),
+    ''
+  ].join('\n'));
+
+  const createCoordinator = async () => {
+    const coordinator = new TestCoordinator({ decisionsPath, statePath });
+    await coordinator.loadDecisionsData();
+    return coordinator;
+  };
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'coordination-'));
+    decisionsPath = path.join(dir, 'decisions.yml');
+    statePath = path.join(dir, '.coordinator-state.json');
+    await writeDecisions();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('checkpoints after every task and resumes only unfinished work', async () => {
+    const first = await createCoordinator();
+    first.failOn = 'Write docs';
+    const results = await first.coordinateDecisions([1, 2]);
+
+    expect(results).toMatchObject({ completedDecisions: [1], failedDecisions: [2] });
+    expect(first.checkpoints).toEqual(['Add table', 'Add endpoint']);
+    expect(await readCoordinationState(statePath)).toMatchObject({
+      decisionIds: [1, 2],
+      completedDecisions: [1],
+      failedDecisions: [2],
+      tasks: { 1: { completed: ['Add table'] }, 2: { completed: ['Add endpoint'] } }
+    });
+
+    const resumed = await createCoordinator();
+    expect(await resumed.resumeCoordination()).toMatchObject({ completed: 2, failed: 0, completedDecisions: [1, 2] });
+    expect(resumed.worked).toEqual(['Write docs']);
+    await expect(fs.access(statePath)).rejects.toThrow();
+  });
+
+  it('forgets progress on tasks that were removed since the checkpoint', async () => {
+    const first = await createCoordinator();
+    first.failOn = 'Write docs';
+    await first.coordinateDecisions([1, 2]);
+
+    await writeDecisions(['Add versioned endpoint', 'Write docs']);
+    const resumed = await createCoordinator();
+    const state = await readCoordinationState(statePath) as object;
+    expect(compareWithCheckpoint(state, Array.from(resumed.decisions.values()))).toEqual({ missing: [], changed: [2] });
+
+    await resumed.resumeCoordination();
+    expect(resumed.worked).toEqual(['Add versioned endpoint', 'Write docs']);
+  });
+
+  it('refuses to resume without a checkpoint or with decisions that are gone', async () => {
+    await expect((await createCoordinator()).resumeCoordination()).rejects.toThrow(/No checkpoint found/);
+
+    await writeCoordinationState(statePath, { decisionIds: [1, 3], completedDecisions: [1], dependencyGraph: {} });
+    await expect((await createCoordinator()).resumeCoordination()).rejects.toThrow('Decision #3 no longer in decisions.yml');
+
+    await fs.writeFile(statePath, JSON.stringify({ decisionIds: [1] }));
+    await expect(readCoordinationState(statePath)).rejects.toThrow(/not a checkpoint this version can resume/);
+  });
+});
@@ -0,0 +1,85 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { findDependencyCycles, planWaves, validateDependencies } from '../shared/decision-dependencies.js';
+import { AgentCoordinator } from '../cli/agent-coordinator.mjs';
+
+describe('decision dependencies', () => {
+  const graph = new Map([[1, []], [2, [1]], [3, [1]], [4, [2, 3, 9]], [5, []]]);
+
+  it('groups decisions into waves after their dependencies', () => {
+    expect(planWaves(graph)).toEqual([[1, 5], [2, 3], [4]]);
+    expect(planWaves(graph, new Set([1, 2]))).toEqual([[3, 5], [4]]);
+  });
+
+  it('finds every cycle and leaves its decisions out of the waves', () => {
+    const cyclic = new Map([[1, [3]], [2, [1]], [3, [2]], [4, [4]], [5, [1]], [6, []]]);
+    expect(findDependencyCycles(cyclic)).toEqual([[1, 3, 2, 1], [4, 4]]);
+    expect(findDependencyCycles(graph)).toEqual([]);
+    expect(planWaves(cyclic)).toEqual([[6]]);
+  });
+
+  it('reports unknown ids and cycles at the first decision on them', () => {
+    expect(validateDependencies({
+      decisions: [{ id: 1 }, { id: 2, depends_on: [3, 8] }, { id: 3, depends_on: [2] }]
+    })).toEqual([
+      { path: '/decisions/1/depends_on', message: 'refers to decision 8, which does not exist' },
+      { path: '/decisions/1/depends_on', message: 'dependency cycle #2 → #3 → #2' }
+    ]);
+  });
+
+  it('leaves dependencies on other workspace repositories alone', () => {
+    expect(validateDependencies({ decisions: [{ id: 1, depends_on: ['payments#4'] }] })).toEqual([]);
+  });
+});
+
+describe('coordination plan', () => {
+  let dir: string;
+  let coordinator: AgentCoordinator;
+
+  const load = async (decisions: string[]) => {
+    await fs.writeFile(path.join(dir, 'decisions.yml'), ['decisions:', ...decisions, ''].join('\n'));
+    coordinator = new AgentCoordinator({ decisionsPath: path.join(dir, 'decisions.yml'), statePath: path.join(dir, 'state.json') });
+    await coordinator.loadDecisionsData();
+  };
+  const decision = (id: number, fields: string) =>
+    `  - { id: ${id}, title: D${id}, status: Accepted, ${fields}, tasks: [{ description: Work, status: Pending, executor: { type: shell, command: "true" } }] }`;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dependencies-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('orders by depends_on and ignores related_to', async () => {
+    await load([
+      decision(1, 'related_to: [2]'),
+      decision(2, 'related_to: [1], priority: high'),
+      decision(3, 'depends_on: [1, 2]'),
+      '  - { id: 4, title: Done, status: Completed }'
+    ]);
+    expect(await coordinator.planCoordination([1, 2, 3, 4])).toEqual({
+      waves: [
+        [{ id: 2, title: 'D2', priority: 'high', dependencies: [] }, { id: 1, title: 'D1', priority: 'medium', dependencies: [] }],
+        [{ id: 3, title: 'D3', priority: 'medium', dependencies: [1, 2] }]
+      ],
+      completed: [4],
+      maxConcurrentAgents: 5,
+      maxParallel: 2,
+      averageParallel: 1.5
+    });
+  });
+
+  it('refuses a run with a dependency cycle before any agent starts', async () => {
+    await load([decision(1, 'depends_on: [3]'), decision(2, 'depends_on: [1]'), decision(3, 'depends_on: [2]')]);
+    await expect(coordinator.coordinateDecisions([1, 2, 3])).rejects.toThrow(
+      'Dependency cycle #1 → #3 → #2 → #1; remove one of these depends_on entries'
+    );
+    expect(coordinator.agents.size).toBe(0);
+  });
+});
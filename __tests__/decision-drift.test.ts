@@ -0,0 +1,113 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import YAML from 'yaml';
+import { detectDrift, detectDriftForFile, getCompletionDates } from '../utils/decision-drift.mjs';
+import { GitAnalyzer } from '../services/git-analyzer.mjs';
+
+describe('decision drift', () => {
+  let dir: string;
+  const git = (...args: string[]) =>
+    execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd: dir, stdio: 'pipe' });
+  const write = (file: string, content: string) => fs.writeFile(path.join(dir, file), content);
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'drift-'));
+    await fs.mkdir(path.join(dir, 'src'));
+    git('init', '-q');
+    await write('src/a.js', 'export const a = 1;\nexport const b = 2;\nexport const c = 3;\n');
+    await write('src/b.js', 'export default 1;\n');
+    await write('src/c.js', 'export default 1;\n');
+    await write('src/hot.js', 'export default 1;\n');
+    await write('decisions.yml', YAML.stringify({
+      decisions: [
+        { id: 1, title: 'Split modules', status: 'Accepted', affected_components: ['src/a.js', 'src/b.js', 'src/nope.js', 'Integration tests'] },
+        { id: 2, title: 'Use plain exports', status: 'Completed', date: '2020-01-01T00:00:00Z', affected_components: ['src/c.js'] },
+        { id: 3, title: 'Old approach', status: 'Superseded', affected_components: ['src/gone.js'] }
+      ],
+      backlog: [{ id: 7, title: 'Something', status: 'Open' }]
+    }));
+    git('add', '-A');
+    git('commit', '-qm', 'Add modules');
+    git('mv', 'src/a.js', 'src/a2.js');
+    git('commit', '-qm', 'Rename a');
+    git('rm', '-q', 'src/b.js');
+    git('commit', '-qm', 'Remove b');
+    for (let i = 2; i <= 4; i++) {
+      await write('src/hot.js', `export default ${i};\n`);
+      await write('src/c.js', `export default ${i};\n`);
+      git('commit', '-qam', `Change ${i}`);
+    }
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('finds renamed, deleted and missing components and often-changed files no decision covers', async () => {
+    const report = await detectDriftForFile(path.join(dir, 'decisions.yml'), { minChanges: 3 });
+
+    expect(report.summary).toEqual({ renamed: 1, deleted: 1, missing: 1, uncovered: 1, changed: 1 });
+    expect(report.issues.filter((issue: any) => issue.decisionId === 1).map(({ type, path, renamedTo }: any) => ({ type, path, renamedTo }))).toEqual([
+      { type: 'renamed', path: 'src/a.js', renamedTo: 'src/a2.js' },
+      { type: 'deleted', path: 'src/b.js', renamedTo: undefined },
+      { type: 'missing', path: 'src/nope.js', renamedTo: undefined }
+    ]);
+    expect(report.issues.find((issue: any) => issue.type === 'uncovered')).toMatchObject({
+      path: 'src/hot.js',
+      changes: 4,
+      suggestedDecisionId: 2
+    });
+    expect(report.decisionIds).toEqual([1, 2]);
+  });
+
+  it('reports completed decisions whose components changed since and suggests YAML fixes', async () => {
+    const report = await detectDriftForFile(path.join(dir, 'decisions.yml'), { minChanges: 3 });
+
+    expect(report.issues.find((issue: any) => issue.type === 'changed')).toMatchObject({
+      decisionId: 2,
+      commits: 4,
+      files: [{ path: 'src/c.js', commits: 4 }]
+    });
+    expect(YAML.parse(report.fixes)).toEqual({
+      decisions: [
+        { id: 1, affected_components: ['src/a2.js', 'Integration tests'] },
+        { id: 2, affected_components: ['src/c.js', 'src/hot.js'] }
+      ],
+      backlog: [
+        {
+          id: 8,
+          title: 'Review decision #2 after later changes',
+          status: 'Open',
+          related_to: [2],
+          affected_components: ['src/c.js']
+        }
+      ]
+    });
+  });
+
+  it('uses the audit log for when a decision was completed', async () => {
+    const completedAt = getCompletionDates([
+      { timestamp: '2020-01-01T00:00:00Z', collection: 'decisions', id: 2, action: 'updated', changes: [{ path: '/status', before: 'Accepted', after: 'Completed' }] },
+      { timestamp: '2099-01-01T00:00:00Z', collection: 'decisions', id: 2, action: 'updated', changes: [{ path: '/status', before: 'Accepted', after: 'Done' }] },
+      { timestamp: '2099-01-01T00:00:00Z', collection: 'backlog', id: 2, action: 'updated', changes: [{ path: '/status', after: 'Done' }] }
+    ] as any);
+    expect(completedAt).toEqual(new Map([[2, new Date('2099-01-01T00:00:00Z')]]));
+
+    const data = YAML.parse(await fs.readFile(path.join(dir, 'decisions.yml'), 'utf8'));
+    const report = await detectDrift(data, { analyzer: new GitAnalyzer(dir), repoPath: dir, completedAt });
+    expect(report.summary.changed).toBe(0);
+  });
+
+  it('only reports components that do not exist without git', async () => {
+    const data = YAML.parse(await fs.readFile(path.join(dir, 'decisions.yml'), 'utf8'));
+    const report = await detectDrift(data, { repoPath: dir });
+
+    expect(report.issues.map(({ type, path }: any) => [type, path])).toEqual([
+      ['missing', 'src/a.js'],
+      ['missing', 'src/b.js'],
+      ['missing', 'src/nope.js']
+    ]);
+  });
+});
@@ -0,0 +1,105 @@
+import express from 'express';
+import { AddressInfo } from 'net';
+import { Server } from 'http';
+import { analyzeImpact } from '../utils/decision-impact.mjs';
+import { initializeImpactRoutes } from '../server/impact-api.mjs';
+
+const data = {
+  decisions: [
+    { id: 1, title: 'Use Postgres', status: 'Superseded', superseded_by: 2, affected_components: ['db/client.js'] },
+    { id: 2, title: 'Use SQLite', status: 'Accepted', supersedes: 1, affected_components: ['db/client.js'] },
+    { id: 3, title: 'Cache queries', status: 'Accepted', related_to: [2], github_metadata: { commits: [{ sha: 'abc1234' }] } },
+    { id: 4, title: 'Add query logging', status: 'Accepted', affected_components: ['db/cache.js'] },
+    { id: 5, title: 'Adopt Lit', status: 'Accepted', affected_components: ['dashboard/app.mjs'] }
+  ],
+  backlog: [
+    { id: 10, title: 'Tune db/cache.js eviction', status: 'Open' },
+    { id: 11, title: 'Shard SQLite', status: 'Open', related_to: [2] },
+    { id: 12, title: 'Old cache idea', status: 'Done', related_to: [3] }
+  ]
+};
+
+const analyzer = {
+  getCommitFiles: async (sha: string) => (sha === 'abc1234' ? ['db/cache.js', 'db/client.js'] : [])
+};
+
+describe('analyzeImpact', () => {
+  it('ranks decisions reached through links, shared components and commit files', async () => {
+    const impact = await analyzeImpact(data, 2, { analyzer });
+
+    expect(impact.decision).toEqual({ id: 2, title: 'Use SQLite', status: 'Accepted' });
+    expect(impact.decisions.map(({ id, score, distance }: any) => [id, score, distance])).toEqual([
+      [3, 0.7, 1],
+      [4, 0.35, 2]
+    ]);
+    expect(impact.decisions[1].reasons).toEqual(['related to #2', 'shares db/cache.js with #3']);
+  });
+
+  it('ranks components and open backlog items', async () => {
+    const impact = await analyzeImpact(data, 2, { analyzer });
+
+    expect(impact.components.map(({ path, score, sources }: any) => [path, score, sources])).toEqual([
+      ['db/client.js', 1, ['affected_components', 'commits']],
+      ['db/cache.js', 0.56, ['commits', 'affected_components']]
+    ]);
+    expect(impact.backlog.map(({ id, score, reasons }: any) => [id, score, reasons])).toEqual([
+      [11, 0.7, ['related to #2']],
+      [10, 0.22, ['mentions db/cache.js']]
+    ]);
+  });
+
+  it('only follows commits with an analyzer and stops at maxDepth', async () => {
+    const withoutCommits = await analyzeImpact(data, 2);
+    expect(withoutCommits.decisions.map((decision: any) => decision.id)).toEqual([3]);
+
+    const direct = await analyzeImpact(data, 2, { analyzer, maxDepth: 1 });
+    expect(direct.decisions.map((decision: any) => decision.id)).toEqual([3]);
+  });
+
+  it('rejects unknown decisions', async () => {
+    await expect(analyzeImpact(data, 99)).rejects.toThrow('Decision #99 not found');
+  });
+});
+
+describe('impact API', () => {
+  let server: Server;
+  let baseUrl: string;
+
+  beforeAll(async () => {
+    const workspaceData = {
+      decisions: [
+        { id: 'billing#1', title: 'Invoice in UTC', status: 'Accepted', related_to: ['payments#1'] },
+        { id: 'payments#1', title: 'Store UTC timestamps', status: 'Accepted' }
+      ],
+      backlog: []
+    };
+    const app = express();
+    initializeImpactRoutes(app, { decisionsPath: 'decisions.yml', readData: async () => workspaceData });
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('analyzes namespaced workspace decisions', async () => {
+    const response = await fetch(`${baseUrl}/api/decisions/${encodeURIComponent('payments#1')}/impact`);
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body.decisions).toEqual([
+      { id: 'billing#1', title: 'Invoice in UTC', status: 'Accepted', score: 0.7, distance: 1, reasons: ['related to payments#1'] }
+    ]);
+  });
+
+  it('rejects unknown decisions and invalid depths', async () => {
+    const missing = await fetch(`${baseUrl}/api/decisions/7/impact`);
+    expect(missing.status).toBe(404);
+    expect((await missing.json()).message).toBe('Decision 7 not found');
+
+    const invalid = await fetch(`${baseUrl}/api/decisions/${encodeURIComponent('billing#1')}/impact?depth=9`);
+    expect(invalid.status).toBe(400);
+  });
+});
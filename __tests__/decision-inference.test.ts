@@ -0,0 +1,107 @@
+import { parseCommitMessage } from '../utils/commit-message-parser.mjs';
+import { inferDecisions } from '../utils/decision-inference-engine.mjs';
+import { parseGitLog } from '../services/git-pattern-analyzer.mjs';
+import { addProposals, readProposals } from '../shared/proposals-store.js';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Builds `git log` output in the format GitPatternAnalyzer.getCommits reads
+const gitLog = (commits: Array<{ sha: string; date: string; message: string; files: string[]; author?: string }>) =>
+  commits.map(c => `\x1e${c.sha}\x1f${c.date}\x1f${c.author || 'Alice'}\x1falice@example.com\x1f${c.message}\n\x1f\n\n${c.files.join('\n')}\n`).join('');
+
+describe('parseCommitMessage', () => {
+  it('reads conventional commit headers and decision trailers', () => {
+    const parsed = parseCommitMessage([
+      'feat(api)!: replace polling with webhooks',
+      '',
+      'Polling hit the rate limit on large repositories.',
+      '',
+      'Refs: ADR-4',
+      'Decision: #12'
+    ].join('\n'));
+
+    expect(parsed).toMatchObject({
+      type: 'feat',
+      scope: 'api',
+      breaking: true,
+      description: 'replace polling with webhooks',
+      body: 'Polling hit the rate limit on large repositories.',
+      trailers: { refs: ['ADR-4'], decision: ['#12'] },
+      decisionRefs: [12],
+      adrRefs: [4]
+    });
+  });
+
+  it('treats other messages as plain subjects', () => {
+    const parsed = parseCommitMessage('Update README\n\nNote: see decision-3 for details');
+
+    expect(parsed.type).toBeNull();
+    expect(parsed.description).toBe('Update README');
+    expect(parsed.decisionRefs).toEqual([3]);
+  });
+});
+
+describe('inferDecisions', () => {
+  const commits = parseGitLog(gitLog([
+    { sha: 'c5', date: '2025-03-20T10:00:00Z', message: 'docs: typo', files: ['README.md'] },
+    { sha: 'c4', date: '2025-03-02T10:00:00Z', message: 'fix(auth): expire sessions after a day', files: ['server/auth/session.mjs'] },
+    { sha: 'c3', date: '2025-03-01T10:00:00Z', message: 'feat(auth): store sessions in cookies\n\nBearer tokens leaked into logs.', files: ['server/auth/session.mjs', 'server/auth/login.mjs'] },
+    { sha: 'c2', date: '2025-01-10T10:00:00Z', message: 'fix: tasks panel for Decision #1', files: ['dashboard/tasks.mjs'] },
+    { sha: 'c1', date: '2025-01-09T10:00:00Z', message: 'refactor: move tasks panel\n\nDecision #1', files: ['dashboard/tasks.mjs'] }
+  ]));
+
+  it('proposes one candidate per cluster of related, undocumented commits', () => {
+    const candidates = inferDecisions(commits, { existingDecisions: [{ id: 1 }] });
+
+    expect(candidates).toHaveLength(1);
+    const [{ decision, confidence, evidence }] = candidates;
+    expect(decision).toMatchObject({
+      title: 'Store sessions in cookies',
+      status: 'Proposed',
+      rationale: ['Bearer tokens leaked into logs.', 'Fix: expire sessions after a day'],
+      affected_components: ['server/auth/session.mjs', 'server/auth/login.mjs'],
+      date: {
+        first_commit_date: '2025-03-01T10:00:00Z',
+        last_commit_date: '2025-03-02T10:00:00Z',
+        git_derived: true,
+        commit_count: 2
+      }
+    });
+    expect(confidence).toBeGreaterThan(0.4);
+    expect(evidence.commits.map((c: any) => c.sha)).toEqual(['c3', 'c4']);
+  });
+
+  it('splits work on one component separated by a quiet period', () => {
+    const later = parseGitLog(gitLog([
+      { sha: 'c7', date: '2025-06-02T10:00:00Z', message: 'feat(auth): add SSO', files: ['server/auth/sso.mjs'] },
+      { sha: 'c6', date: '2025-06-01T10:00:00Z', message: 'feat(auth): add SAML metadata', files: ['server/auth/sso.mjs'] }
+    ]));
+
+    const candidates = inferDecisions([...later, ...commits], { existingDecisions: [{ id: 1 }], windowDays: 30 });
+
+    expect(candidates.map((c: any) => c.evidence.cluster).sort()).toEqual(['server/auth@2025-03-01', 'server/auth@2025-06-01']);
+  });
+});
+
+describe('proposals review queue', () => {
+  const proposalsPath = path.join(__dirname, 'test-inference.proposals.json');
+
+  afterEach(async () => {
+    await fs.rm(proposalsPath, { force: true });
+  });
+
+  it('does not queue the same commits twice', async () => {
+    const candidate = { decision: { title: 'Store sessions in cookies' }, confidence: 0.5, evidence: { commits: [{ sha: 'c3' }, { sha: 'c4' }] } };
+
+    const first = await addProposals(proposalsPath, [candidate], { source: 'git-inference' });
+    const second = await addProposals(proposalsPath, [{ ...candidate, evidence: { commits: [{ sha: 'c3' }, { sha: 'c4' }, { sha: 'c8' }] } }]);
+
+    expect(first.added).toHaveLength(1);
+    expect(second).toEqual({ added: [], skipped: 1 });
+    expect(await readProposals(proposalsPath)).toMatchObject([{ id: first.added[0].id, status: 'pending', source: 'git-inference' }]);
+  });
+});
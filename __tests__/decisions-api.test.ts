@@ -0,0 +1,134 @@
+import express from 'express';
+import fs from 'fs/promises';
+import path from 'path';
+import { AddressInfo } from 'net';
+import { Server } from 'http';
+import { fileURLToPath } from 'url';
+import { initializeDecisionRoutes, refuseWorkspaceWrites, WORKSPACE_READ_ONLY_ROUTES } from '../server/decisions-api.mjs';
+import { initializeViewRoutes } from '../server/views-api.mjs';
+import { initializeGitHubWebhookRoutes } from '../server/github-webhook-handler.mjs';
+import { getViewsPath } from '../shared/views-store.js';
+import { readDecisionsFile, getDecisionsLockPath, getAuditLogPath } from '../shared/yaml-utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('decisions API', () => {
+  const testFile = path.join(__dirname, 'test-decisions-api.yml');
+  let server: Server;
+  let baseUrl: string;
+
+  const post = (route: string, body: object) =>
+    fetch(`${baseUrl}${route}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+  const decisionIds = async () =>
+    (await readDecisionsFile(testFile)).decisions.map((decision: { id: number }) => decision.id);
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    initializeDecisionRoutes(app, { decisionsPath: testFile, broadcast: () => {} });
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    await fs.writeFile(testFile, [
+      'decisions:',
+      '  - id: 1',
+      '    title: Use REST',
+      '    status: Accepted',
+      'backlog: []',
+      ''
+    ].join('\n'));
+  });
+
+  afterEach(async () => {
+    for (const file of [testFile, getDecisionsLockPath(testFile), getAuditLogPath(testFile)]) {
+      await fs.rm(file, { force: true });
+    }
+  });
+
+  it('refuses a body id that differs from the id in the URL', async () => {
+    const response = await post('/api/decisions/2', { id: 1, title: 'Use GraphQL', status: 'Proposed' });
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).message).toBe('The id in the body (1) does not match the URL (2)');
+    expect(await decisionIds()).toEqual([1]);
+  });
+
+  it('creates the record under the id it checked for duplicates', async () => {
+    const response = await post('/api/decisions', { id: '3', title: 'Use GraphQL', status: 'Proposed' });
+
+    expect(response.status).toBe(201);
+    expect((await response.json()).id).toBe(3);
+    expect(await decisionIds()).toEqual([1, 3]);
+    expect((await post('/api/decisions/3', { id: 3, title: 'Again', status: 'Proposed' })).status).toBe(409);
+  });
+});
+
+describe('decisions API in workspace mode', () => {
+  const testFile = path.join(__dirname, 'test-decisions-api-workspace.yml');
+  let server: Server;
+  let baseUrl: string;
+
+  beforeAll(async () => {
+    await fs.writeFile(testFile, 'decisions:\n  - id: 1\n    title: Use REST\n    status: Accepted\nbacklog: []\n');
+    const app = express();
+    app.use(WORKSPACE_READ_ONLY_ROUTES, refuseWorkspaceWrites);
+    initializeGitHubWebhookRoutes(app, { decisionsPath: testFile, broadcast: () => {}, secret: 'secret' });
+    app.use(express.json());
+    initializeDecisionRoutes(app, { decisionsPath: testFile, broadcast: () => {} });
+    initializeViewRoutes(app, { decisionsPath: testFile, broadcast: () => {} });
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await fs.rm(testFile, { force: true });
+  });
+
+  it('reads records but refuses to change them', async () => {
+    expect((await fetch(`${baseUrl}/api/decisions/1`)).status).toBe(200);
+
+    const response = await fetch(`${baseUrl}/api/decisions/1`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ charter_state: 'Deliver' })
+    });
+    expect(response.status).toBe(501);
+    expect((await response.json()).message).toBe("Records can't be changed in workspace mode");
+    expect((await fetch(`${baseUrl}/api/decisions/promote`, { method: 'POST' })).status).toBe(501);
+    expect((await readDecisionsFile(testFile)).decisions[0]).toEqual({ id: 1, title: 'Use REST', status: 'Accepted' });
+  });
+
+  it('refuses to save views or record webhook deliveries', async () => {
+    const saved = await fetch(`${baseUrl}/api/views/q3`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ state: { tab: 'charter' } })
+    });
+    expect(saved.status).toBe(501);
+    expect((await fetch(`${baseUrl}/api/views/q3`, { method: 'DELETE' })).status).toBe(501);
+    expect((await fetch(`${baseUrl}/api/views`)).status).toBe(200);
+    await expect(fs.access(getViewsPath(testFile))).rejects.toThrow();
+
+    const delivery = await fetch(`${baseUrl}/api/github/webhook`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-GitHub-Event': 'ping' },
+      body: '{}'
+    });
+    expect(delivery.status).toBe(501);
+  });
+});
@@ -0,0 +1,174 @@
+import { mergeDecisionsData, getRecordRevision } from '../shared/decisions-merge.js';
+import { withFileLock } from '../shared/file-lock.js';
+import {
+  readDecisionsFile,
+  updateDecisionsFile,
+  saveDecisionsChanges,
+  getDecisionsLockPath,
+  getAuditLogPath
+} from '../shared/yaml-utils.js';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const baseData = (): any => ({
+  decisions: [
+    {
+      id: 1,
+      title: 'First',
+      status: 'Proposed',
+      tasks: [
+        { description: 'One', status: 'Pending' },
+        { description: 'Two', status: 'Pending' }
+      ]
+    },
+    { id: 2, title: 'Second', status: 'Proposed' }
+  ],
+  backlog: []
+});
+
+describe('mergeDecisionsData', () => {
+  it('keeps changes both sides made to different fields and records', () => {
+    const base = baseData();
+    const theirs = baseData();
+    theirs.decisions[0].tasks[1].status = 'Completed';
+    theirs.decisions.unshift({ id: 3, title: 'Third', status: 'Proposed', tasks: [] });
+    const ours = baseData();
+    ours.decisions[0].tasks[0].status = 'Completed';
+    ours.decisions[1].status = 'Accepted';
+
+    const { data, conflicts } = mergeDecisionsData(base, theirs, ours);
+
+    expect(conflicts).toEqual([]);
+    expect(data.decisions.map((d: any) => d.id)).toEqual([3, 1, 2]);
+    expect(data.decisions[1].tasks.map((t: any) => t.status)).toEqual(['Completed', 'Completed']);
+    expect(data.decisions[2].status).toBe('Accepted');
+  });
+
+  it('reports fields changed differently on both sides and keeps ours', () => {
+    const theirs = baseData();
+    theirs.decisions[1].status = 'Rejected';
+    const ours = baseData();
+    ours.decisions[1].status = 'Accepted';
+
+    const { data, conflicts } = mergeDecisionsData(baseData(), theirs, ours);
+
+    expect(data.decisions[1].status).toBe('Accepted');
+    expect(conflicts).toEqual([
+      { path: '/decisions/2/status', base: 'Proposed', theirs: 'Rejected', ours: 'Accepted' }
+    ]);
+  });
+
+  it('refuses to merge different records both sides added with the same id', () => {
+    const theirs = baseData();
+    theirs.decisions.push({ id: 3, title: 'Theirs', status: 'Proposed' });
+    const ours = baseData();
+    ours.decisions.push({ id: 3, title: 'Ours', status: 'Proposed' });
+
+    expect(() => mergeDecisionsData(baseData(), theirs, ours)).toThrow(
+      expect.objectContaining({
+        code: 'ECONFLICT',
+        message: expect.stringContaining('Both copies added a different record with id 3 to decisions')
+      })
+    );
+
+    // The same record added by both is not a conflict
+    const { data, conflicts } = mergeDecisionsData(baseData(), theirs, structuredClone(theirs));
+    expect(conflicts).toEqual([]);
+    expect(data.decisions.map((d: { id: number }) => d.id)).toEqual([1, 2, 3]);
+  });
+
+  it('gives records the same revision regardless of how dates were parsed', () => {
+    const date = '2025-01-01T00:00:00.000Z';
+    expect(getRecordRevision({ id: 1, date: new Date(date) })).toBe(getRecordRevision({ id: 1, date }));
+  });
+});
+
+describe('concurrent writes', () => {
+  const testFile = path.join(__dirname, 'test-concurrency.yml');
+
+  beforeEach(async () => {
+    await fs.writeFile(testFile, '# shared file\ndecisions:\n  - id: 1\n    title: First\n    status: Proposed\nbacklog: []\n');
+  });
+
+  afterEach(async () => {
+    await fs.rm(testFile, { force: true });
+    await fs.rm(getDecisionsLockPath(testFile), { force: true });
+    await fs.rm(getAuditLogPath(testFile), { force: true });
+  });
+
+  it('serializes overlapping updates so none are lost', async () => {
+    await Promise.all([1, 2, 3, 4, 5].map(n =>
+      updateDecisionsFile(testFile, (data: any) => {
+        data.backlog.push({ id: n, title: `Idea ${n}`, status: 'Open' });
+      })
+    ));
+
+    const data = await readDecisionsFile(testFile);
+    expect(data.backlog.map((item: any) => item.id).sort()).toEqual([1, 2, 3, 4, 5]);
+    await expect(fs.access(getDecisionsLockPath(testFile))).rejects.toThrow();
+  });
+
+  it('merges a stale copy into the current file', async () => {
+    const base = await readDecisionsFile(testFile);
+    const ours = structuredClone(base);
+    ours.decisions[0].status = 'Accepted';
+
+    await updateDecisionsFile(testFile, (data: any) => {
+      data.decisions[0].title = 'First (renamed)';
+    });
+    const { conflicts } = await saveDecisionsChanges(testFile, base, ours);
+
+    const content = await fs.readFile(testFile, 'utf8');
+    expect(conflicts).toEqual([]);
+    expect(content).toContain('# shared file');
+    expect(content).toContain('title: First (renamed)');
+    expect(content).toContain('status: Accepted');
+  });
+
+  it('writes nothing when a stale copy added a record whose id was taken meanwhile', async () => {
+    const base = await readDecisionsFile(testFile);
+    const ours = structuredClone(base);
+    ours.decisions.push({ id: 2, title: 'Ours', status: 'Proposed' });
+
+    await updateDecisionsFile(testFile, (data: { decisions: object[] }) => {
+      data.decisions.push({ id: 2, title: 'Theirs', status: 'Proposed' });
+    });
+    await expect(saveDecisionsChanges(testFile, base, ours)).rejects.toMatchObject({ code: 'ECONFLICT' });
+
+    const data = await readDecisionsFile(testFile);
+    expect(data.decisions.map((d: { title: string }) => d.title)).toEqual(['First', 'Theirs']);
+  });
+
+  it('takes over a lock left behind by a process that no longer exists', async () => {
+    const lockPath = getDecisionsLockPath(testFile);
+    await fs.writeFile(lockPath, JSON.stringify({ pid: 2 ** 22 + 12345, host: os.hostname() }));
+
+    const result = await withFileLock(lockPath, async () => 'done', { timeout: 1000 });
+
+    expect(result).toBe('done');
+  });
+
+  it('keeps a lock fresh while its holder is still working', async () => {
+    const lockPath = getDecisionsLockPath(testFile);
+    const slow = withFileLock(lockPath, () => new Promise(resolve => setTimeout(resolve, 800)), { staleAfter: 150 });
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    await expect(withFileLock(lockPath, async () => 'done', { timeout: 300, staleAfter: 150 }))
+      .rejects.toMatchObject({ code: 'ELOCKED' });
+    await slow;
+  });
+
+  it('leaves a lock that was taken over to its new owner', async () => {
+    const lockPath = getDecisionsLockPath(testFile);
+    const other = JSON.stringify({ pid: process.pid, host: os.hostname(), token: 'other' });
+
+    await withFileLock(lockPath, () => fs.writeFile(lockPath, other));
+
+    expect(await fs.readFile(lockPath, 'utf8')).toBe(other);
+  });
+});
@@ -0,0 +1,173 @@
+import express from 'express';
+import fs from 'fs/promises';
+import path from 'path';
+import { AddressInfo } from 'net';
+import { Server } from 'http';
+import { fileURLToPath } from 'url';
+import {
+  initializeGitHubWebhookRoutes,
+  signWebhookPayload,
+  verifyWebhookSignature,
+  findDecisionReferences
+} from '../server/github-webhook-handler.mjs';
+import { readDecisionsFile, getDecisionsLockPath, getAuditLogPath } from '../shared/yaml-utils.js';
+import { readAuditLog } from '../shared/audit-log.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const fixturesDir = path.join(__dirname, 'fixtures', 'github-webhooks');
+
+const SECRET = 'test-webhook-secret';
+
+describe('webhook signatures', () => {
+  it('accepts only the signature of the exact body', () => {
+    const body = Buffer.from('{"zen":"Keep it logically awesome."}');
+    const signature = signWebhookPayload(body, SECRET);
+
+    expect(verifyWebhookSignature(body, signature, SECRET)).toBe(true);
+    expect(verifyWebhookSignature(Buffer.from(`${body} `), signature, SECRET)).toBe(false);
+    expect(verifyWebhookSignature(body, signature, 'other-secret')).toBe(false);
+    expect(verifyWebhookSignature(body, undefined, SECRET)).toBe(false);
+  });
+
+  it('finds decision references in the forms used by commits and branches', () => {
+    expect(findDecisionReferences('Fix cache (Decision #2)', 'feature/decision-7-cache', 'decision 12')).toEqual([2, 7, 12]);
+    expect(findDecisionReferences('octo-org/decision-tapestry', undefined)).toEqual([]);
+  });
+});
+
+describe('POST /api/github/webhook', () => {
+  const testFile = path.join(__dirname, 'test-github-webhook.yml');
+  let server: Server;
+  let baseUrl: string;
+  let messages: any[];
+
+  const deliver = async (event: string, body: string, signature = signWebhookPayload(body, SECRET)) =>
+    fetch(`${baseUrl}/api/github/webhook`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-GitHub-Event': event,
+        'X-GitHub-Delivery': `delivery-${event}`,
+        'X-Hub-Signature-256': signature
+      },
+      body
+    });
+
+  const replay = async (event: string) =>
+    deliver(event, await fs.readFile(path.join(fixturesDir, `${event}.json`), 'utf8'));
+
+  beforeAll(async () => {
+    const app = express();
+    initializeGitHubWebhookRoutes(app, {
+      decisionsPath: testFile,
+      broadcast: (message: any) => messages.push(message),
+      secret: SECRET
+    });
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    messages = [];
+    await fs.writeFile(testFile, [
+      'decisions:',
+      '  - id: 1',
+      '    title: Use YAML for decisions',
+      '    status: Accepted',
+      '  - id: 2',
+      '    title: Enrich authors from GitHub',
+      '    status: Accepted',
+      'backlog: []',
+      ''
+    ].join('\n'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(testFile, { force: true });
+    await fs.rm(getDecisionsLockPath(testFile), { force: true });
+    await fs.rm(getAuditLogPath(testFile), { force: true });
+  });
+
+  it('rejects deliveries with a bad signature without touching decisions.yml', async () => {
+    const before = await fs.readFile(testFile, 'utf8');
+
+    const response = await deliver('push', '{"commits":[]}', 'sha256=0000');
+
+    expect(response.status).toBe(401);
+    expect(await fs.readFile(testFile, 'utf8')).toBe(before);
+  });
+
+  it('replays recorded deliveries into github_metadata', async () => {
+    for (const event of ['push', 'pull_request', 'issues', 'check_run', 'workflow_run']) {
+      const response = await replay(event);
+      expect(response.status).toBe(200);
+      expect((await response.json()).updated).toEqual([2]);
+    }
+
+    const data = await readDecisionsFile(testFile);
+    expect(data.decisions[0].github_metadata).toBeUndefined();
+    expect(data.decisions[1].github_metadata).toEqual({
+      repository: 'octo-org/decision-tapestry',
+      commits: [{
+        sha: '0d1a26e67d8f5eaf1f6ba5c57fc3c7d91ac0fd1c',
+        message: 'Cache author lookups (Decision #2)',
+        url: 'https://github.com/octo-org/decision-tapestry/commit/0d1a26e67d8f5eaf1f6ba5c57fc3c7d91ac0fd1c',
+        date: new Date('2025-07-20T16:15:42.000Z'),
+        author: 'octocat'
+      }],
+      pull_requests: [{
+        number: 42,
+        title: 'Add GitHub author enrichment',
+        url: 'https://github.com/octo-org/decision-tapestry/pull/42',
+        status: 'merged'
+      }],
+      issues: [{
+        number: 57,
+        title: 'Author cache never expires',
+        url: 'https://github.com/octo-org/decision-tapestry/issues/57',
+        status: 'open'
+      }],
+      commit_status: {
+        state: 'failure',
+        total_count: 1,
+        statuses: [{
+          context: 'test (20.x)',
+          state: 'failure',
+          description: '2 tests failed',
+          target_url: 'https://github.com/octo-org/decision-tapestry/runs/28104578925'
+        }]
+      },
+      workflow_runs: [expect.objectContaining({ id: 10012687384, status: 'completed', conclusion: 'success' })]
+    });
+
+    expect(messages).toHaveLength(5);
+    expect(messages[0]).toEqual({ type: 'decision-updated', id: 2, collection: 'decisions', action: 'github:push' });
+
+    const audit = await readAuditLog(getAuditLogPath(testFile), { collection: 'decisions', id: 2 });
+    expect(audit.map(entry => entry.source)).toEqual([
+      'github:push', 'github:pull_request', 'github:issues', 'github:check_run', 'github:workflow_run'
+    ]);
+    expect(audit[1].actor).toBe('hubot');
+  });
+
+  it('does not record the same delivery twice', async () => {
+    await replay('push');
+    const response = await replay('push');
+
+    expect((await response.json()).updated).toEqual([]);
+    const data = await readDecisionsFile(testFile);
+    expect(data.decisions[1].github_metadata.commits).toHaveLength(1);
+  });
+
+  it('acknowledges pings and events it does not handle', async () => {
+    expect((await deliver('ping', '{"zen":"Design for failure."}')).status).toBe(200);
+    expect((await deliver('star', '{"action":"created"}')).status).toBe(202);
+    expect(messages).toEqual([]);
+  });
+});
@@ -0,0 +1,111 @@
+import express from 'express';
+import fs from 'fs/promises';
+import path from 'path';
+import { AddressInfo } from 'net';
+import { Server } from 'http';
+import { fileURLToPath } from 'url';
+import { initializeProposalRoutes } from '../server/proposals-api.mjs';
+import { readDecisionsFile, getDecisionsLockPath, getAuditLogPath } from '../shared/yaml-utils.js';
+import { getProposalsPath, addProposals, readProposals } from '../shared/proposals-store.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('/api/proposals', () => {
+  const testFile = path.join(__dirname, 'test-proposals.yml');
+  const proposalsPath = getProposalsPath(testFile);
+  let server: Server;
+  let baseUrl: string;
+  let messages: any[];
+  let proposalId: string;
+
+  const post = (route: string, body: any = {}) =>
+    fetch(`${baseUrl}${route}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Actor': 'reviewer' },
+      body: JSON.stringify(body)
+    });
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    initializeProposalRoutes(app, { decisionsPath: testFile, broadcast: (message: any) => messages.push(message) });
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    messages = [];
+    await fs.writeFile(testFile, 'decisions:\n  - id: 1\n    title: Use YAML\n    status: Accepted\n    affected_components:\n      - shared/yaml-utils.js\nbacklog: []\n');
+    const { added } = await addProposals(proposalsPath, [{
+      decision: {
+        title: 'Store sessions in cookies',
+        status: 'Proposed',
+        rationale: ['Bearer tokens leaked into logs.'],
+        affected_components: ['server/auth/session.mjs']
+      },
+      confidence: 0.6,
+      evidence: { commits: [{ sha: 'c3' }, { sha: 'c4' }] }
+    }], { source: 'git-inference' });
+    proposalId = added[0].id;
+  });
+
+  afterEach(async () => {
+    for (const file of [testFile, proposalsPath, getDecisionsLockPath(testFile), getAuditLogPath(testFile)]) {
+      await fs.rm(file, { force: true });
+    }
+  });
+
+  it('lists pending proposals from the queue file', async () => {
+    const response = await fetch(`${baseUrl}/api/proposals`);
+    const { proposals } = await response.json();
+
+    expect(proposals.map((p: any) => p.id)).toEqual([proposalId]);
+  });
+
+  it('accepts a proposal with edits as a new decision', async () => {
+    const response = await post(`/api/proposals/${proposalId}/accept`, { decision: { title: 'Use cookie sessions' } });
+    const { proposal, record } = await response.json();
+
+    expect(response.status).toBe(201);
+    expect(record).toMatchObject({ id: 2, title: 'Use cookie sessions', status: 'Proposed' });
+    expect(proposal.resolution).toMatchObject({ action: 'accepted', collection: 'decisions', id: 2, actor: 'reviewer' });
+
+    const data = await readDecisionsFile(testFile);
+    expect(data.decisions.map((d: any) => d.title)).toEqual(['Use YAML', 'Use cookie sessions']);
+    expect((await readProposals(proposalsPath))[0].status).toBe('accepted');
+    expect(messages.map(m => m.type)).toEqual(['decision-updated', 'proposals-updated']);
+  });
+
+  it('merges a proposal into an existing decision', async () => {
+    const response = await post(`/api/proposals/${proposalId}/merge`, { decisionId: 1 });
+    const { record } = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(record.affected_components).toEqual(['shared/yaml-utils.js', 'server/auth/session.mjs']);
+    expect(record.rationale).toEqual(['Bearer tokens leaked into logs.']);
+    expect((await readDecisionsFile(testFile)).decisions).toHaveLength(1);
+  });
+
+  it('rejects a proposal once and leaves decisions.yml alone', async () => {
+    const before = await fs.readFile(testFile, 'utf8');
+
+    expect((await post(`/api/proposals/${proposalId}/reject`, { reason: 'Not a decision' })).status).toBe(200);
+    expect((await post(`/api/proposals/${proposalId}/accept`)).status).toBe(409);
+
+    expect(await fs.readFile(testFile, 'utf8')).toBe(before);
+    expect(await readProposals(proposalsPath)).toMatchObject([{ status: 'rejected', resolution: { reason: 'Not a decision' } }]);
+  });
+
+  it('does not accept a proposal that fails schema validation', async () => {
+    const response = await post(`/api/proposals/${proposalId}/accept`, { decision: { status: 'Maybe' } });
+
+    expect(response.status).toBe(422);
+    expect((await readProposals(proposalsPath))[0].status).toBe('pending');
+  });
+});
@@ -54,7 +54,7 @@ describe('QuickDecisionBuilder', () => {
       expect(decision).toMatchObject({
         id: 2,
         title: 'Fix login button styling',
-        status: 'In Progress',
+        status: 'Accepted',
         quick_task: true,
         category: 'Ad-hoc',
         priority: 'medium'
@@ -97,7 +97,7 @@ describe('QuickDecisionBuilder', () => {
       const decision = {
         id: 2,
         title: 'Test Quick Task',
-        status: 'In Progress',
+        status: 'Accepted',
         tasks: []
       };
       
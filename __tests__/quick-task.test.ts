@@ -0,0 +1,100 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { QuickDecisionBuilder } from '../cli/quick-decision-builder.mjs';
+import { DecisionTapestryAgent } from '../cli/agent-framework.mjs';
+import { readDecisionsFile } from '../shared/yaml-utils.js';
+import { validateLifecycle } from '../shared/status-lifecycle.js';
+
+describe('quick tasks', () => {
+  let dir: string;
+  let builder: QuickDecisionBuilder;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'quick-task-'));
+    builder = new QuickDecisionBuilder();
+    builder.decisionsPath = path.join(dir, 'decisions.yml');
+    await fs.writeFile(builder.decisionsPath, 'decisions:\n  - { id: 1, title: Existing, status: Completed }\nbacklog: []\n');
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('records the decision with a lifecycle status', async () => {
+    await builder.addDecisionToFile(await builder.createQuickDecision('Fix login button styling'));
+
+    const data = await readDecisionsFile(builder.decisionsPath);
+    expect(data.decisions[1]).toMatchObject({ id: 2, status: 'Accepted', quick_task: true });
+    expect(validateLifecycle(data)).toEqual([]);
+  });
+
+  it('gives quick tasks created at the same time their own ids', async () => {
+    const decisions = await Promise.all(['Fix login', 'Fix logout'].map(description => builder.createQuickDecision(description)));
+    await Promise.all(decisions.map(decision => builder.addDecisionToFile(decision)));
+
+    const data = await readDecisionsFile(builder.decisionsPath);
+    expect(data.decisions.map((decision: { id: number }) => decision.id)).toEqual([1, 2, 3]);
+    expect(decisions.map(decision => decision.id).sort()).toEqual([2, 3]);
+  });
+
+  describe('with an agent', () => {
+    // An agent on the test file that only reports back to the console
+    class TestBuilder extends QuickDecisionBuilder {
+      createAgent(decision: { id: number }) {
+        const agent = new DecisionTapestryAgent(`Agent-${decision.id}`, decision.id);
+        agent.messaging = { broadcastStatus: async () => {}, broadcastDecisionUpdate: async () => {} } as unknown as typeof agent.messaging;
+        agent.decisionsPath = builder.decisionsPath;
+        agent.workingDirectory = dir;
+        agent.initialize = async () => {
+          await agent.loadDecisionContext();
+          return true;
+        };
+        agent.enrichDecisionMetadata = async () => {};
+        agent.analyzeAndAddRelatedDecisions = async () => {};
+        agent.runTests = async () => {};
+        return agent;
+      }
+    }
+
+    const quickTask = async (options: object) => {
+      const quick = new TestBuilder();
+      quick.decisionsPath = builder.decisionsPath;
+      const decision = await quick.addDecisionToFile(await quick.createQuickDecision('Write the changelog', options));
+      return { decision, ...(await quick.startAgent(decision)) };
+    };
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('runs the task with --command', async () => {
+      const { decision, dryRun, report } = await quickTask({ command: 'echo done > CHANGELOG.md', verify: 'grep -q done CHANGELOG.md' });
+
+      expect(decision.tasks).toEqual([{
+        description: 'Write the changelog',
+        status: 'Pending',
+        executor: { type: 'shell', command: 'echo done > CHANGELOG.md', verify: 'grep -q done CHANGELOG.md' }
+      }]);
+      expect(dryRun).toBe(false);
+      expect(report).toMatchObject({ completedTasks: 1, totalTasks: 1 });
+      expect(await fs.readFile(path.join(dir, 'CHANGELOG.md'), 'utf8')).toBe('done\n');
+      expect((await readDecisionsFile(builder.decisionsPath)).decisions[1].status).toBe('Completed');
+    });
+
+    it('only plans tasks that have no executor', async () => {
+      const { dryRun, report } = await quickTask({});
+
+      expect(dryRun).toBe(true);
+      expect(report.plans.map((plan: { task: string }) => plan.task))
+        .toEqual(['Write the changelog', 'Test implementation', 'Update documentation if needed']);
+      const data = await readDecisionsFile(builder.decisionsPath);
+      expect(data.decisions[1].tasks.map((task: { status: string }) => task.status)).toEqual(['Pending', 'Pending', 'Pending']);
+    });
+  });
+});
@@ -0,0 +1,93 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import { AddressInfo } from 'net';
+import { Server } from 'http';
+import { DEFAULT_VIEW_STATE, encodeViewHash, decodeViewHash, readViewName, normalizeViewState } from '../utils/view-state.mjs';
+import { initializeViewRoutes } from '../server/views-api.mjs';
+
+describe('view state in the URL hash', () => {
+  const state = normalizeViewState({
+    tab: 'architecture',
+    decision: 42,
+    search: { q: 'status:Accepted cache', daysBack: 30 },
+    filters: { statuses: ['Accepted', 'Done'], authors: ['github:chris'], hasPullRequests: true }
+  });
+
+  it('lists only what differs from the defaults and reads it back', () => {
+    const hash = encodeViewHash(state);
+
+    expect(hash).toBe('tab=architecture&decision=42&q=status%3AAccepted+cache&days=30&status=Accepted&status=Done&author=github%3Achris&prs=yes');
+    expect(decodeViewHash(`#${hash}`)).toEqual(state);
+    expect(encodeViewHash(DEFAULT_VIEW_STATE)).toBe('');
+  });
+
+  it('applies a link to the saved view it names', () => {
+    const hash = 'view=q3-infra&decision=7&status=&components=no';
+
+    expect(readViewName(`#${hash}`)).toBe('q3-infra');
+    expect(decodeViewHash(hash, state)).toEqual({
+      ...state,
+      decision: 7,
+      filters: { ...state.filters, statuses: [], hasComponents: false }
+    });
+    expect(encodeViewHash(decodeViewHash(hash, state), { view: 'q3-infra', base: state })).toBe(hash);
+  });
+
+  it('ignores malformed values and keeps workspace ids', () => {
+    const decoded = decodeViewHash('decision=billing%2312&days=-3&prs=maybe&tab=');
+
+    expect(decoded.decision).toBe('billing#12');
+    expect(decoded.search.daysBack).toBe(0);
+    expect(decoded.filters.hasPullRequests).toBeNull();
+    expect(normalizeViewState({ search: { minImpact: 'high' }, filters: { statuses: 'Accepted' } })).toEqual(DEFAULT_VIEW_STATE);
+  });
+});
+
+describe('views API', () => {
+  let dir: string;
+  let server: Server;
+  let baseUrl: string;
+  const messages: any[] = [];
+  const put = (name: string, body: any) =>
+    fetch(`${baseUrl}/api/views/${name}`, { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+
+  beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'views-'));
+    const app = express();
+    app.use(express.json());
+    initializeViewRoutes(app, { decisionsPath: path.join(dir, 'decisions.yml'), broadcast: (message: any) => messages.push(message) });
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('saves, replaces and deletes views in decisions.views.json', async () => {
+    const created = await put('q3-infra', { state: { tab: 'architecture', filters: { statuses: ['Accepted'] } }, description: 'Infra this quarter' });
+    expect(created.status).toBe(201);
+    expect((await created.json()).state).toEqual(normalizeViewState({ tab: 'architecture', filters: { statuses: ['Accepted'] } }));
+
+    expect((await put('q3-infra', { state: { tab: 'charter' } })).status).toBe(200);
+    const stored = JSON.parse(await fs.readFile(path.join(dir, 'decisions.views.json'), 'utf8'));
+    expect(stored.views.map((view: any) => [view.name, view.state.tab, view.description])).toEqual([['q3-infra', 'charter', undefined]]);
+
+    expect((await fetch(`${baseUrl}/api/views/q3-infra`, { method: 'DELETE' })).status).toBe(204);
+    expect(await (await fetch(`${baseUrl}/api/views`)).json()).toEqual({ views: [] });
+    expect(messages.map(message => message.action)).toEqual(['created', 'updated', 'deleted']);
+  });
+
+  it('rejects bad names, missing states and unknown views', async () => {
+    expect((await put('has%20space', { state: {} })).status).toBe(400);
+    expect((await put('ok', { state: 'all' })).status).toBe(400);
+    expect((await fetch(`${baseUrl}/api/views/nope`, { method: 'DELETE' })).status).toBe(404);
+    const deleted = await fetch(`${baseUrl}/api/views/has%20space`, { method: 'DELETE' });
+    expect(deleted.status).toBe(400);
+    expect((await deleted.json()).error).toBe('Invalid name');
+  });
+});
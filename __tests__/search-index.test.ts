@@ -0,0 +1,123 @@
+import express from 'express';
+import { AddressInfo } from 'net';
+import { Server } from 'http';
+import { SearchIndex, parseSearchQuery } from '../services/search-index.mjs';
+import { initializeSearchRoutes } from '../server/search-api.mjs';
+
+const decisions = [
+  {
+    id: 1,
+    title: 'Cache decisions in memory',
+    status: 'Accepted',
+    author: 'Chris',
+    rationale: ['Reading decisions.yml on every request is slow', 'A cache keeps the dashboard responsive'],
+    affected_components: ['server/server.mjs']
+  },
+  {
+    id: 2,
+    title: 'Use event sourcing for the audit log',
+    status: 'Superseded',
+    author: { display_name: 'Dana Lee', github_username: 'dlee' },
+    tradeoffs: 'Replaying events is slower than reading a snapshot',
+    affected_components: ['shared/audit-log.js']
+  },
+  {
+    id: 3,
+    title: 'Render the map with vis-network',
+    status: 'Accepted',
+    author: 'Chris',
+    notes: 'Sourcing layout data for the map is an event the log forwards',
+    github_metadata: { commits: [{ message: 'Add cache for map layout' }], pull_requests: [{ title: 'Cache <b>layouts</b>' }] },
+    affected_components: ['dashboard/decision-map.mjs']
+  }
+];
+
+describe('SearchIndex', () => {
+  let index: SearchIndex;
+
+  beforeEach(() => {
+    index = new SearchIndex();
+    index.update(decisions);
+  });
+
+  it('ranks matches with BM25 and highlights them', () => {
+    const { ids, results } = index.search('cache');
+
+    // A title match outweighs matches in commit messages and PR titles
+    expect(ids).toEqual([1, 3]);
+    expect(results[0].highlights[0]).toEqual({ field: 'title', snippet: '<mark>Cache</mark> decisions in memory' });
+    expect(results[1].highlights).toContainEqual({ field: 'prs', snippet: '<mark>Cache</mark> &lt;b&gt;layouts&lt;/b&gt;' });
+  });
+
+  it('matches phrases only when the words are next to each other', () => {
+    expect(index.search('event sourcing').ids).toEqual([2, 3]);
+    expect(index.search('"event sourcing"').ids).toEqual([2]);
+    expect(index.search('"sourcing event"').ids).toEqual([]);
+  });
+
+  it('filters by qualifiers and leaves out negated terms', () => {
+    expect(index.search('status:accepted author:chris').ids).toEqual([1, 3]);
+    expect(index.search('author:dana').ids).toEqual([2]);
+    expect(index.search('component:dashboard/ map').ids).toEqual([3]);
+    expect(index.search('-status:Superseded event').ids).toEqual([3]);
+    expect(index.search('title:cache').ids).toEqual([1]);
+  });
+
+  it('matches unfinished words as prefixes', () => {
+    expect(index.search('sourc').ids).toEqual([]);
+    expect(index.search('sourc', { prefix: true }).ids).toEqual([2, 3]);
+    expect(parseSearchQuery('title:"event bus" -status:Done cach', { prefix: true })).toEqual({
+      clauses: [
+        { terms: ['event', 'bus'], field: 'title', negate: false },
+        { terms: ['cach'], field: undefined, negate: false, prefix: true }
+      ],
+      filters: [{ name: 'status', value: 'done', negate: true }]
+    });
+  });
+
+  it('re-indexes only changed records', () => {
+    const changed = [{ ...decisions[0], title: 'Cache decisions on disk' }, decisions[2], { id: 4, title: 'New', status: 'Proposed' }];
+
+    expect(index.update(changed)).toEqual({ added: 1, updated: 1, removed: 1 });
+    expect(index.update(changed)).toEqual({ added: 0, updated: 0, removed: 0 });
+    expect(index.search('memory').ids).toEqual([]);
+    expect(index.search('disk').ids).toEqual([1]);
+    expect(index.search('sourcing').ids).toEqual([3]);
+  });
+});
+
+describe('search API', () => {
+  let server: Server;
+  let baseUrl: string;
+  let data: any;
+  let routes: { invalidate: () => void };
+
+  beforeAll(async () => {
+    data = { decisions: [...decisions] };
+    const app = express();
+    routes = initializeSearchRoutes(app, { decisionsPath: 'decisions.yml', readData: async () => data });
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('searches and picks up changes once invalidated', async () => {
+    const first = await (await fetch(`${baseUrl}/api/search?q=${encodeURIComponent('status:Accepted cache')}&limit=1`)).json();
+    expect(first).toMatchObject({ query: 'status:Accepted cache', total: 2, ids: [1, 3] });
+    expect(first.results).toHaveLength(1);
+
+    data = { decisions: [...decisions, { id: 5, title: 'Cache everything', status: 'Accepted' }] };
+    expect((await (await fetch(`${baseUrl}/api/search?q=everything`)).json()).total).toBe(0);
+    routes.invalidate();
+    expect((await (await fetch(`${baseUrl}/api/search?q=everything`)).json()).ids).toEqual([5]);
+  });
+
+  it('rejects invalid limits', async () => {
+    const response = await fetch(`${baseUrl}/api/search?q=cache&limit=0`);
+    expect(response.status).toBe(400);
+  });
+});
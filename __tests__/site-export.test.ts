@@ -0,0 +1,91 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { exportSite, toStaticIndex } from '../utils/site-exporter.mjs';
+
+const readJson = async (file: string) => JSON.parse(await fs.readFile(file, 'utf8'));
+
+describe('static site export', () => {
+  let project: string;
+  let outDir: string;
+
+  beforeEach(async () => {
+    project = await fs.mkdtemp(path.join(os.tmpdir(), 'site-'));
+    outDir = path.join(project, 'dist');
+    await fs.writeFile(path.join(project, 'decisions.yml'), [
+      'decisions:',
+      '  - id: 1',
+      '    title: Use SQLite',
+      '    status: Accepted',
+      'backlog:',
+      '  - id: 2',
+      '    title: Add search'
+    ].join('\n'));
+    await fs.mkdir(path.join(project, 'settings'));
+    await fs.writeFile(path.join(project, 'settings', 'gallery-sets.json'), JSON.stringify([{ id: 's1', name: 'Intro', slideIds: ['one.html'] }]));
+    for (const type of ['public', 'private']) {
+      await fs.mkdir(path.join(project, 'ai-canvas-gallery', type), { recursive: true });
+      await fs.writeFile(path.join(project, 'ai-canvas-gallery', type, 'one.html'), `<p>${type}</p>`);
+    }
+  });
+
+  afterEach(async () => {
+    await fs.rm(project, { recursive: true, force: true });
+  });
+
+  it('writes the dashboard, its imports and the API snapshot', async () => {
+    const result = await exportSite({ outDir, decisionsPath: path.join(project, 'decisions.yml'), cwd: project });
+
+    expect(result).toMatchObject({ decisions: 1, backlog: 1, visuals: 1 });
+    expect(result.files).toEqual(expect.arrayContaining([
+      'index.html',
+      'dashboard/index.html',
+      'dashboard/app.mjs',
+      'dashboard/static-data-source.mjs',
+      'shared/status-lifecycle.js',
+      'styles/github-enhanced.css',
+      'ai-canvas-gallery/public/one.html'
+    ]));
+    expect(result.files).not.toContain('dashboard/test-components.html');
+
+    const apiData = await readJson(path.join(outDir, 'data', 'api-data.json'));
+    expect(apiData.decisions).toEqual([{ id: 1, title: 'Use SQLite', status: 'Accepted' }]);
+    expect(apiData.backlog).toEqual([{ id: 2, title: 'Add search' }]);
+    expect(apiData.charter.states.length).toBeGreaterThan(0);
+
+    expect(await readJson(path.join(outDir, 'data', 'gallery-sets.json'))).toEqual([{ id: 's1', name: 'Intro', slideIds: ['one.html'] }]);
+    expect((await readJson(path.join(outDir, 'data', 'gallery-public.json'))).visuals).toEqual([
+      expect.objectContaining({ filename: 'one.html', path: '../ai-canvas-gallery/public/one.html' })
+    ]);
+    expect((await readJson(path.join(outDir, 'data', 'analytics-insights-month.json'))).period).toBe('month');
+    expect(await readJson(path.join(outDir, 'data', 'views.json'))).toEqual({ views: [] });
+  });
+
+  it('leaves out the private gallery unless asked', async () => {
+    const decisionsPath = path.join(project, 'decisions.yml');
+
+    const withPrivate = await exportSite({ outDir, decisionsPath, cwd: project, includePrivate: true });
+    expect(withPrivate.visuals).toBe(2);
+    expect(withPrivate.files).toContain('ai-canvas-gallery/private/one.html');
+
+    await exportSite({ outDir, decisionsPath, cwd: project });
+    expect(await readJson(path.join(outDir, 'data', 'gallery-private.json'))).toEqual({ visuals: [], count: 0 });
+    await expect(fs.access(path.join(outDir, 'ai-canvas-gallery', 'private'))).rejects.toThrow();
+  });
+
+  it('loads the static data source before the components', () => {
+    const html = toStaticIndex([
+      '<html lang="en">',
+      '<script src="https://cdn.jsdelivr.net/npm/chart.js"></script>',
+      '<script type="module" src="./app.mjs"></script>',
+      '</html>'
+    ].join('\n'));
+
+    expect(html).toBe([
+      '<html lang="en" data-mode="static">',
+      '<script src="https://cdn.jsdelivr.net/npm/chart.js"></script>',
+      '<script type="module" src="./static-data-source.mjs"></script>\n    <script type="module" src="./app.mjs"></script>',
+      '</html>'
+    ].join('\n'));
+  });
+});
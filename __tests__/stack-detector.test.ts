@@ -0,0 +1,75 @@
+import { execFileSync } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { detectStackChoices, analyzeProjectStack } from '../utils/stack-detector.mjs';
+
+describe('stack detector', () => {
+  let repo: string;
+
+  const write = async (file: string, content: string) => {
+    await fs.mkdir(path.dirname(path.join(repo, file)), { recursive: true });
+    await fs.writeFile(path.join(repo, file), content);
+  };
+
+  const commit = (message: string, date: string) =>
+    execFileSync('git', ['-c', 'user.name=Alice', '-c', 'user.email=alice@example.com', 'commit', '-q', '-m', message], {
+      cwd: repo,
+      env: { ...process.env, GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date }
+    });
+
+  beforeEach(async () => {
+    repo = await fs.mkdtemp(path.join(os.tmpdir(), 'stack-detector-'));
+    execFileSync('git', ['init', '-q'], { cwd: repo });
+
+    await write('package.json', JSON.stringify({ name: 'shop', workspaces: ['packages/*'], dependencies: { express: '^4.0.0' } }));
+    execFileSync('git', ['add', '-A'], { cwd: repo });
+    commit('Start the API', '2023-01-10T09:00:00Z');
+
+    await write('packages/web/package.json', JSON.stringify({ name: 'web', dependencies: { react: '^18.0.0' } }));
+    await write('Dockerfile', 'FROM node:20\n');
+    await write('.github/workflows/ci.yml', 'on: push\n');
+    execFileSync('git', ['add', '-A'], { cwd: repo });
+    commit('Add the web app', '2023-03-05T09:00:00Z');
+  });
+
+  afterEach(async () => {
+    await fs.rm(repo, { recursive: true, force: true });
+  });
+
+  it('detects choices from manifests, workspace packages and config files', async () => {
+    const choices = await detectStackChoices(repo);
+
+    expect(choices.map((choice: any) => choice.key).sort()).toEqual(
+      ['docker', 'express', 'github-actions', 'monorepo', 'react'].sort()
+    );
+    expect(choices.find((choice: any) => choice.key === 'react')?.evidence).toEqual([
+      { file: 'packages/web/package.json', dependency: 'react' }
+    ]);
+  });
+
+  it('dates decisions by the commit that introduced each choice', async () => {
+    const { decisions } = await analyzeProjectStack(repo);
+    const express = decisions.find((d: any) => d.title === 'Use Express for the backend API');
+    const docker: any = decisions.find((d: any) => d.title === 'Containerize the application with Docker');
+
+    expect(express).toMatchObject({
+      status: 'Accepted',
+      author: 'Alice',
+      category: 'Architecture',
+      affected_components: ['package.json'],
+      date: { decision_date: '2023-01-10T09:00:00+00:00', first_commit_date: '2023-01-10T09:00:00+00:00', git_derived: true }
+    });
+    expect(docker.date.first_commit_date).toBe('2023-03-05T09:00:00+00:00');
+    expect(docker.notes).toContain('"Add the web app"');
+  });
+
+  it('leaves out choices that already have a decision', async () => {
+    const { decisions, existing } = await analyzeProjectStack(repo, {
+      existingDecisions: [{ title: 'use express for the backend API' }]
+    });
+
+    expect(existing.map((choice: any) => choice.key)).toEqual(['express']);
+    expect(decisions.map((d: any) => d.title)).not.toContain('Use Express for the backend API');
+  });
+});
@@ -0,0 +1,135 @@
+import express from 'express';
+import fs from 'fs/promises';
+import path from 'path';
+import { AddressInfo } from 'net';
+import { Server } from 'http';
+import { fileURLToPath } from 'url';
+import {
+  getStatuses,
+  canTransition,
+  checkStatusChange,
+  validateLifecycle
+} from '../shared/status-lifecycle.js';
+import { loadDecisionsSchema } from '../shared/schema-validator.js';
+import { initializeDecisionRoutes } from '../server/decisions-api.mjs';
+import { readDecisionsFile, getDecisionsLockPath, getAuditLogPath } from '../shared/yaml-utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('status lifecycle', () => {
+  it('lists the same statuses as the schema enums', async () => {
+    const schema = await loadDecisionsSchema();
+    const decision = schema.properties.decisions.items.properties;
+    const backlog = schema.properties.backlog.items.properties;
+
+    expect([...decision.status.enum].sort()).toEqual(getStatuses('decisions').sort());
+    expect([...backlog.status.enum].sort()).toEqual(getStatuses('backlog').sort());
+    expect([...decision.tasks.items.properties.status.enum].sort()).toEqual(getStatuses('tasks').sort());
+    expect([...backlog.tasks.items.properties.status.enum].sort()).toEqual(getStatuses('tasks').sort());
+  });
+
+  it('allows only the defined transitions', () => {
+    expect(canTransition('decisions', 'Proposed', 'Accepted')).toBe(true);
+    expect(canTransition('decisions', 'Accepted', 'Proposed')).toBe(false);
+    expect(canTransition('decisions', 'Superseded', 'Accepted')).toBe(false);
+    expect(canTransition('tasks', 'In Progress', 'Failed')).toBe(true);
+    // Records with a status outside the lifecycle can be repaired
+    expect(canTransition('decisions', 'Planning', 'Accepted')).toBe(true);
+  });
+
+  it('requires superseded_by for Superseded decisions', () => {
+    const accepted = { id: 1, title: 'Old', status: 'Accepted' };
+
+    expect(checkStatusChange('decisions', accepted, { ...accepted, status: 'Superseded' })).toEqual([
+      { path: '/superseded_by', message: 'is required when status is Superseded' }
+    ]);
+    expect(checkStatusChange('decisions', accepted, { ...accepted, status: 'Superseded', superseded_by: 2 })).toEqual([]);
+    expect(validateLifecycle({
+      decisions: [{ id: 1, title: 'Old', status: 'Superseded', superseded_by: 7 }]
+    })).toEqual([{ path: '/decisions/0/superseded_by', message: 'refers to decision 7, which does not exist' }]);
+  });
+
+  it('leaves superseded_by pointing into another workspace repository alone', () => {
+    expect(validateLifecycle({
+      decisions: [{ id: 1, title: 'Old', status: 'Superseded', superseded_by: 'payments#4' }]
+    })).toEqual([]);
+  });
+});
+
+describe('decisions API status changes', () => {
+  const testFile = path.join(__dirname, 'test-status-lifecycle.yml');
+  let server: Server;
+  let baseUrl: string;
+
+  const patch = (route: string, body: any) =>
+    fetch(`${baseUrl}${route}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    initializeDecisionRoutes(app, { decisionsPath: testFile, broadcast: () => {} });
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    await fs.writeFile(testFile, [
+      'decisions:',
+      '  - id: 1',
+      '    title: Use REST',
+      '    status: Accepted',
+      '    tasks:',
+      '      - description: Write the API',
+      '        status: Done',
+      '  - id: 2',
+      '    title: Use GraphQL',
+      '    status: Proposed',
+      'backlog: []',
+      ''
+    ].join('\n'));
+  });
+
+  afterEach(async () => {
+    for (const file of [testFile, getDecisionsLockPath(testFile), getAuditLogPath(testFile)]) {
+      await fs.rm(file, { force: true });
+    }
+  });
+
+  it('refuses a transition the lifecycle does not allow', async () => {
+    const response = await patch('/api/decisions/1', { status: 'Proposed' });
+    const body = await response.json();
+
+    expect(response.status).toBe(422);
+    expect(body.allowed).toEqual(['Done', 'Completed', 'Superseded', 'Rejected']);
+    expect((await readDecisionsFile(testFile)).decisions[0].status).toBe('Accepted');
+  });
+
+  it('supersedes a decision when superseded_by is sent with the status', async () => {
+    expect((await patch('/api/decisions/1', { status: 'Superseded' })).status).toBe(422);
+
+    const response = await patch('/api/decisions/1', { status: 'Superseded', superseded_by: 2 });
+
+    expect(response.status).toBe(200);
+    expect((await readDecisionsFile(testFile)).decisions[0]).toMatchObject({ status: 'Superseded', superseded_by: 2 });
+  });
+
+  it('checks task status changes', async () => {
+    const response = await patch('/api/decisions/1/tasks/0', { status: 'Failed' });
+    const body = await response.json();
+
+    expect(response.status).toBe(422);
+    expect(body.details).toEqual([
+      { path: '/tasks/0/status', message: 'cannot change from Done to Failed; allowed: Pending, In Progress, Completed' }
+    ]);
+  });
+});
@@ -0,0 +1,105 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { loadWorkspace, namespaceRecord, parseDecisionRef, readWorkspaceData } from '../shared/workspace.js';
+import { getSchemaValidator } from '../shared/schema-validator.js';
+
+describe('workspace', () => {
+  let dir: string;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'workspace-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('parses plain and namespaced references', () => {
+    expect(parseDecisionRef(12, 'billing')).toEqual({ namespace: 'billing', id: 12 });
+    expect(parseDecisionRef('payments#4', 'billing')).toEqual({ namespace: 'payments', id: 4 });
+    expect(parseDecisionRef('not a ref', 'billing')).toBeNull();
+  });
+
+  it('namespaces ids and references, keeping links into other repositories', () => {
+    const record = namespaceRecord(
+      { id: 2, title: 'Use SQLite', related_to: [1, 'payments#4'], supersedes: 1, superseded_by: null },
+      'billing'
+    );
+
+    expect(record).toEqual({
+      id: 'billing#2',
+      title: 'Use SQLite',
+      repo: 'billing',
+      related_to: ['billing#1', 'payments#4'],
+      supersedes: 'billing#1',
+      superseded_by: null
+    });
+  });
+
+  it('returns null without a workspace file and reports every problem in one', async () => {
+    expect(await loadWorkspace(dir)).toBeNull();
+
+    await fs.writeFile(path.join(dir, 'decision-tapestry.workspace.yml'), [
+      'repos:',
+      '  - namespace: billing',
+      '    path: billing',
+      '  - namespace: billing',
+      '  - namespace: "has space"',
+      '    path: other'
+    ].join('\n'));
+
+    await expect(loadWorkspace(dir)).rejects.toMatchObject({
+      code: 'EWORKSPACE',
+      message: expect.stringContaining('repos[1]: namespace "billing" is used twice\n  - repos[1]: path is required\n  - repos[2]: namespace must be')
+    });
+  });
+
+  it('combines the repositories and reports the ones it cannot read', async () => {
+    await fs.mkdir(path.join(dir, 'billing'));
+    await fs.writeFile(path.join(dir, 'billing', 'decisions.yml'), [
+      'decisions:',
+      '  - id: 1',
+      '    title: Invoice in UTC',
+      '    related_to: [payments#1]',
+      'backlog:',
+      '  - id: 2',
+      '    title: Add tax rules'
+    ].join('\n'));
+    await fs.mkdir(path.join(dir, 'payments'));
+    await fs.writeFile(path.join(dir, 'payments', 'payments.yml'), 'decisions:\n  - id: 1\n    title: Use Stripe\n');
+    await fs.writeFile(path.join(dir, 'decision-tapestry.workspace.yml'), [
+      'repos:',
+      '  - namespace: billing',
+      '    path: billing',
+      '    label: Billing service',
+      '  - namespace: payments',
+      '    path: payments/payments.yml',
+      '    color: "#123456"',
+      '  - namespace: missing',
+      '    path: missing'
+    ].join('\n'));
+
+    const workspace = await loadWorkspace(dir);
+    const data = await readWorkspaceData(workspace!);
+
+    expect(data.decisions.map((decision: any) => [decision.id, decision.related_to])).toEqual([
+      ['billing#1', ['payments#1']],
+      ['payments#1', undefined]
+    ]);
+    expect(data.backlog.map((item: any) => item.id)).toEqual(['billing#2']);
+    expect(data.workspace.repos.map(({ error, ...repo }: any) => ({ ...repo, failed: Boolean(error) }))).toEqual([
+      { namespace: 'billing', label: 'Billing service', color: '#3498db', decisions: 1, backlog: 1, failed: false },
+      { namespace: 'payments', label: 'payments', color: '#123456', decisions: 1, backlog: 0, failed: false },
+      { namespace: 'missing', label: 'missing', color: '#2ecc71', decisions: 0, backlog: 0, failed: true }
+    ]);
+  });
+
+  it('lets the schema accept references into other repositories', async () => {
+    const validator = await getSchemaValidator();
+    const decision = { id: 3, title: 'Share ids', status: 'Accepted' };
+
+    expect(validator.validateRecord('decisions', { ...decision, related_to: [1, 'payments#4'], supersedes: 'payments#2' }).valid).toBe(true);
+    expect(validator.validateRecord('decisions', { ...decision, related_to: ['payments'] }).valid).toBe(false);
+  });
+});
@@ -1,4 +1,14 @@
-import { readDecisionsFile, writeDecisionsFile } from '../shared/yaml-utils.js';
+import {
+  readDecisionsFile,
+  writeDecisionsFile,
+  updateDecisionsFile,
+  patchYamlContent,
+  getAuditLogPath,
+  resolveDecisionsLayout,
+  readDecisionsDirectoryEntries,
+  removeDecisionsDirectory,
+  listDecisionsDirectoryConflicts
+} from '../shared/yaml-utils.js';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -20,6 +30,7 @@ describe('yaml-utils', () => {
   afterAll(async () => {
     // Clean up test file
     try { await fs.unlink(testFile); } catch { /* intentionally empty: file may not exist */ }
+    await fs.rm(getAuditLogPath(testFile), { force: true });
   });
 
   it('writes and reads decisions.yml correctly', async () => {
@@ -30,4 +41,166 @@ describe('yaml-utils', () => {
     expect(parsed.backlog[0].title).toBe('Test Backlog');
     expect(parsed.decisions[0].title).toBe('Test Decision');
   });
-}); 
\ No newline at end of file
+
+  describe('comment-preserving writes', () => {
+    const source = `# Team decisions - keep this header
+decisions:
+  # The first one
+  - id: 1
+    title: "Adopt YAML"
+    status: Accepted # settled in review
+    related_to: [2]
+
+  - id: 2
+    title: 'Use Express'
+    status: Proposed
+    tasks:
+      - description: Wire routes
+        status: Pending
+backlog: []
+`;
+
+    it('only changes the nodes whose values changed', () => {
+      const output = patchYamlContent(source, {
+        decisions: [
+          { id: 1, title: 'Adopt YAML', status: 'Accepted', related_to: [2] },
+          { id: 2, title: 'Use Express', status: 'Accepted', tasks: [{ description: 'Wire routes', status: 'Completed' }] }
+        ],
+        backlog: []
+      });
+
+      expect(output).toBe(source
+        .replace("status: Proposed", "status: Accepted")
+        .replace("status: Pending", "status: Completed"));
+    });
+
+    it('matches records by id when they are reordered, added or removed', () => {
+      const output = patchYamlContent(source, {
+        decisions: [
+          { id: 2, title: 'Use Express', status: 'Proposed', tasks: [{ description: 'Wire routes', status: 'Pending' }] },
+          { id: 3, title: 'New decision', status: 'Proposed' }
+        ],
+        backlog: []
+      }) as string;
+
+      expect(output).toContain("# Team decisions - keep this header");
+      expect(output).toContain("title: 'Use Express'");
+      expect(output).not.toContain('Adopt YAML');
+      expect(output.indexOf('id: 2')).toBeLessThan(output.indexOf('id: 3'));
+    });
+
+    it('writes the first items of an empty flow sequence as a block', () => {
+      const output = patchYamlContent(source, {
+        decisions: [
+          { id: 1, title: 'Adopt YAML', status: 'Accepted', related_to: [2] },
+          { id: 2, title: 'Use Express', status: 'Proposed', tasks: [{ description: 'Wire routes', status: 'Pending' }] }
+        ],
+        backlog: [{ id: 1, title: 'Idea', status: 'Open' }]
+      });
+
+      expect(output).toContain('backlog:\n  - id: 1\n    title: Idea\n    status: Open\n');
+    });
+
+    it('keeps comments when updating decisions.yml through updateDecisionsFile', async () => {
+      await fs.writeFile(testFile, source);
+
+      await updateDecisionsFile(testFile, (data: any) => {
+        data.decisions[0].status = 'Superseded';
+        data.decisions[0].superseded_by = 2;
+      });
+
+      const content = await fs.readFile(testFile, 'utf8');
+      expect(content).toContain('# The first one');
+      expect(content).toContain('status: Superseded # settled in review');
+      expect(content).toContain('superseded_by: 2');
+      expect(content).toContain("title: 'Use Express'");
+    });
+  });
+
+  describe('directory layout', () => {
+    const layoutRoot = path.join(__dirname, 'test-layout');
+    const layoutFile = path.join(layoutRoot, 'decisions.yml');
+    const layoutDir = path.join(layoutRoot, 'decisions');
+
+    beforeEach(async () => {
+      await fs.rm(layoutRoot, { recursive: true, force: true });
+      await fs.mkdir(layoutRoot, { recursive: true });
+    });
+
+    afterAll(async () => {
+      await fs.rm(layoutRoot, { recursive: true, force: true });
+    });
+
+    it('writes one file per decision and backlog item', async () => {
+      await writeDecisionsFile(layoutFile, sampleData, { layout: 'directory' });
+
+      expect(await fs.readdir(layoutDir)).toEqual(expect.arrayContaining(['0002-test-decision.yml', 'backlog']));
+      expect(await fs.readdir(path.join(layoutDir, 'backlog'))).toEqual(['0001-test-backlog.yml']);
+      expect(await resolveDecisionsLayout(layoutFile)).toEqual({ layout: 'directory', path: layoutDir });
+
+      const parsed = await readDecisionsFile(layoutFile);
+      expect(parsed.decisions).toEqual(sampleData.decisions);
+      expect(parsed.backlog).toEqual(sampleData.backlog);
+    });
+
+    it('keeps file names for existing records and deletes removed ones', async () => {
+      await writeDecisionsFile(layoutFile, {
+        decisions: [
+          { id: 2, title: 'Test Decision', status: 'Accepted' },
+          { id: 10, title: 'Another Decision', status: 'Proposed' }
+        ],
+        backlog: []
+      }, { layout: 'directory' });
+
+      await writeDecisionsFile(layoutFile, {
+        decisions: [{ id: 10, title: 'Renamed Decision', status: 'Accepted' }],
+        backlog: []
+      });
+
+      const entries = await readDecisionsDirectoryEntries(layoutDir);
+      expect(entries.decisions.map((entry) => entry.file)).toEqual(['0010-another-decision.yml']);
+      expect(entries.decisions[0].record.title).toBe('Renamed Decision');
+    });
+
+    it('stores other top-level keys in _meta.yml and sorts records by id', async () => {
+      await writeDecisionsFile(layoutFile, {
+        decisions: [
+          { id: 100, title: 'Hundred', status: 'Accepted' },
+          { id: 9, title: 'Nine', status: 'Accepted' }
+        ],
+        backlog: [],
+        charter: { states: [] }
+      }, { layout: 'directory' });
+
+      const parsed = await readDecisionsFile(layoutFile);
+      expect(parsed.decisions.map((d: { id: number }) => d.id)).toEqual([9, 100]);
+      expect(parsed.charter).toEqual({ states: [] });
+    });
+
+    it('names the offending file in YAML syntax errors', async () => {
+      await fs.mkdir(layoutDir, { recursive: true });
+      await fs.writeFile(path.join(layoutDir, '0001-broken.yml'), 'id: 1\ntitle: [unclosed\n');
+
+      await expect(readDecisionsFile(layoutFile)).rejects.toThrow(/Invalid YAML syntax in 0001-broken\.yml/);
+    });
+
+    it('removes the directory when migrating back to a single file', async () => {
+      await writeDecisionsFile(layoutFile, sampleData, { layout: 'directory' });
+      await writeDecisionsFile(layoutFile, sampleData, { layout: 'file' });
+
+      expect(await removeDecisionsDirectory(layoutDir)).toEqual([]);
+      expect(await resolveDecisionsLayout(layoutFile)).toEqual({ layout: 'file', path: layoutFile });
+      expect((await readDecisionsFile(layoutFile)).decisions).toEqual(sampleData.decisions);
+    });
+
+    it('reports files already in the directory a migration would write to', async () => {
+      expect(await listDecisionsDirectoryConflicts(layoutDir)).toEqual([]);
+
+      await fs.mkdir(layoutDir, { recursive: true });
+      expect(await listDecisionsDirectoryConflicts(layoutDir)).toEqual([]);
+
+      await fs.writeFile(path.join(layoutDir, 'notes.yml'), 'id: 7\ntitle: Meeting notes\n');
+      expect(await listDecisionsDirectoryConflicts(layoutDir)).toEqual(['notes.yml']);
+    });
+  });
+});
@@ -5,40 +5,70 @@
 
 import { DecisionTapestryAgent } from './agent-framework.mjs';
 import { AgentCoordinator } from './agent-coordinator.mjs';
+import { checkTaskExecutors } from './agent-executors.mjs';
+import { COORDINATOR_STATE_FILE, readCoordinationState } from './coordination-state.mjs';
 import { promises as fs } from 'fs';
 import path from 'path';
-import yaml from 'js-yaml';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import { readDecisionsFile, saveDecisionsChanges, updateDecisionsFile } from '../shared/yaml-utils.js';
+import { canTransition } from '../shared/status-lifecycle.js';
+import { AgentSandbox, openSandbox, listSandboxes, findSandboxConflicts, isGitRepository } from '../utils/agent-sandbox.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 /**
- * Start an agent for a specific decision
+ * Start an agent for a specific decision. It works in a git worktree of its
+ * own unless --no-sandbox is given. With --dry-run, only print the plan of
+ * each task.
  */
 export async function startAgent() {
     const args = process.argv.slice(4); // Skip 'node', 'cli.mjs', 'agent', 'start'
-    const decisionId = parseInt(args[0]);
-    const agentId = args[1] || `Agent-${decisionId}`;
+    const dryRun = args.includes('--dry-run');
+    let sandbox = !args.includes('--no-sandbox') && !dryRun;
+    const [decisionArg, agentArg] = args.filter(arg => !arg.startsWith('--'));
+    const decisionId = parseInt(decisionArg);
+    const agentId = agentArg || `Agent-${decisionId}`;
     
     if (!decisionId) {
         console.error('❌ Please provide a decision ID:');
         console.error('   decision-tapestry agent start <decision-id> [agent-id]');
         console.error('   decision-tapestry agent start 65 Agent-A');
+        console.error('   decision-tapestry agent start --dry-run 65   # Show the task plans only');
+        console.error('   decision-tapestry agent start --no-sandbox 65   # Work in the current working tree');
         return;
     }
     
     try {
-        console.log(`🚀 Starting ${agentId} for Decision #${decisionId}...`);
+        console.log(`🚀 Starting ${agentId} for Decision #${decisionId}${dryRun ? ' (dry run)' : ''}...`);
         
         // Create and initialize agent
         const agent = new DecisionTapestryAgent(agentId, decisionId);
+        agent.dryRun = dryRun;
         await agent.initialize();
         
+        if (!dryRun) {
+            // Before a sandbox is created for work that could not complete
+            checkTaskExecutors(agent.decision);
+        }
+        if (sandbox && !(await isGitRepository(path.dirname(agent.decisionsPath)))) {
+            console.log('⚠️  Not a git repository, so the agent works in the current working tree without a sandbox');
+            sandbox = false;
+        }
+        if (sandbox) {
+            agent.sandbox = await openSandbox(path.dirname(agent.decisionsPath), agent.decision);
+            console.log(`🌿 Working in ${path.relative(process.cwd(), agent.sandbox.path)} on branch ${agent.sandbox.branch}`);
+        }
+        
         // Start agent work
         const report = await agent.start();
         
+        if (dryRun) {
+            printTaskPlans(decisionId, report.plans);
+            return report;
+        }
+        
         console.log('✅ Agent completed successfully!');
         console.log(`📊 Completed ${report.completedTasks}/${report.totalTasks} tasks`);
         console.log(`⏱️  Duration: ${Math.round(report.duration / 1000)}s`);
@@ -47,6 +77,9 @@ export async function startAgent() {
             console.log(`⚠️  Errors: ${report.errors.length}`);
             report.errors.forEach(error => console.log(`   - ${error}`));
         }
+        if (report.sandbox) {
+            console.log(`🔍 Review the work with: decision-tapestry agent review ${decisionId}`);
+        }
         
         return report;
         
@@ -81,34 +114,88 @@ export async function showAgentStatus() {
 }
 
 /**
- * Coordinate multiple agents
+ * Coordinate multiple agents, or with --resume continue an interrupted run.
+ * With --plan, only print the order the run would take; with --dry-run, run
+ * the agents but only print the plan of each task.
  */
 export async function coordinateAgents() {
     const args = process.argv.slice(4); // Skip 'node', 'cli.mjs', 'agent', 'coordinate'
-    const decisionIds = args.map(id => parseInt(id)).filter(id => !isNaN(id));
+    const resume = args.includes('--resume');
+    const plan = args.includes('--plan');
+    const dryRun = args.includes('--dry-run');
+    const sandbox = !args.includes('--no-sandbox') && !dryRun;
+    const maxAgentsIndex = args.indexOf('--max-agents');
+    const maxConcurrentAgents = maxAgentsIndex === -1 ? undefined : parseInt(args[maxAgentsIndex + 1]);
+    const decisionIds = args
+        .filter((arg, index) => maxAgentsIndex === -1 || index !== maxAgentsIndex + 1)
+        .map(id => parseInt(id))
+        .filter(id => !isNaN(id));
     
-    if (decisionIds.length === 0) {
+    if (maxAgentsIndex !== -1 && !(maxConcurrentAgents > 0)) {
+        console.error('❌ --max-agents needs a number of agents greater than 0');
+        return;
+    }
+    if (resume && (decisionIds.length > 0 || plan || dryRun)) {
+        console.error('❌ --resume continues the decisions of the saved run; leave out the decision IDs, --plan and --dry-run');
+        return;
+    }
+    if (!resume && decisionIds.length === 0) {
         console.error('❌ Please provide decision IDs to coordinate:');
         console.error('   decision-tapestry agent coordinate <decision-id1> <decision-id2> ...');
         console.error('   decision-tapestry agent coordinate 65 66 67 68');
+        console.error('   decision-tapestry agent coordinate --plan 65 66 67 68   # Show the execution order only');
+        console.error('   decision-tapestry agent coordinate --dry-run 65 66   # Show the task plans only');
+        console.error('   decision-tapestry agent coordinate --resume   # Continue an interrupted run');
         return;
     }
+    if (plan) {
+        return printCoordinationPlan(decisionIds, { maxConcurrentAgents });
+    }
     
     try {
-        console.log(`🎭 Coordinating agents for decisions: ${decisionIds.join(', ')}`);
+        const statePath = path.resolve(COORDINATOR_STATE_FILE);
+        if (resume) {
+            console.log(`🎭 Resuming agent coordination from ${COORDINATOR_STATE_FILE}`);
+        } else if (dryRun) {
+            console.log(`🎭 Planning tasks for decisions: ${decisionIds.join(', ')} (dry run)`);
+        } else {
+            if (await readCoordinationState(statePath).catch(() => null)) {
+                console.log(`⚠️  Replacing the checkpoint of an earlier run. Use 'agent coordinate --resume' to continue it instead.`);
+            }
+            console.log(`🎭 Coordinating agents for decisions: ${decisionIds.join(', ')}`);
+        }
         
-        const coordinator = new AgentCoordinator();
+        const coordinator = new AgentCoordinator({ statePath, maxConcurrentAgents, dryRun, sandbox });
         await coordinator.initialize();
         
-        const results = await coordinator.coordinateDecisions(decisionIds);
+        // Progress is checkpointed after every task; make sure the latest is written
+        process.once('SIGINT', async () => {
+            await coordinator.checkpoint();
+            console.log(`\n⏸️  Interrupted. Continue with: decision-tapestry agent coordinate --resume`);
+            process.exit(130);
+        });
         
-        console.log('✅ Agent coordination completed!');
-        console.log(`📊 Completed ${results.completed}/${results.total} decisions`);
+        const results = resume
+            ? await coordinator.resumeCoordination()
+            : await coordinator.coordinateDecisions(decisionIds);
+        
+        if (dryRun) {
+            for (const [decisionId, plans] of Object.entries(results.plans)) {
+                printTaskPlans(decisionId, plans);
+            }
+        }
+        
+        console.log(dryRun ? '✅ Dry run completed, nothing was changed' : '✅ Agent coordination completed!');
+        console.log(`📊 ${dryRun ? 'Planned' : 'Completed'} ${results.completed}/${results.total} decisions`);
         
         if (results.errors.length > 0) {
             console.log(`⚠️  Errors: ${results.errors.length}`);
             results.errors.forEach(error => console.log(`   - ${error}`));
         }
+        if (coordinator.useSandboxes && results.completed > 0) {
+            printSandboxConflicts(results.conflicts);
+            console.log(`🔍 Review the work with: decision-tapestry agent review <decision-id>`);
+        }
         
         return results;
         
@@ -118,6 +205,55 @@ export async function coordinateAgents() {
     }
 }
 
+/**
+ * Review the work an agent left in its sandbox: show the diff, then merge it
+ * into the current branch with --approve or drop it with --discard. Without a
+ * decision ID, list the sandboxes waiting for review.
+ */
+export async function reviewAgentWork() {
+    const args = process.argv.slice(4); // Skip 'node', 'cli.mjs', 'agent', 'review'
+    const approve = args.includes('--approve');
+    const discard = args.includes('--discard');
+    const decisionId = parseInt(args.find(arg => !arg.startsWith('--')));
+    const decisionsPath = path.resolve('decisions.yml');
+    const root = path.dirname(decisionsPath);
+    
+    if ((approve || discard) && !decisionId) {
+        console.error('❌ Please provide the decision ID to approve or discard:');
+        console.error('   decision-tapestry agent review <decision-id> --approve');
+        return;
+    }
+    if (approve && discard) {
+        console.error('❌ Choose one of --approve and --discard');
+        return;
+    }
+    
+    try {
+        if (!decisionId) {
+            return await printSandboxList(root);
+        }
+        
+        const sandbox = new AgentSandbox(root, decisionId);
+        if (!(await sandbox.exists())) {
+            console.error(`❌ No agent work waiting for review for Decision #${decisionId}`);
+            console.error('   decision-tapestry agent review   # List the work waiting for review');
+            process.exit(1);
+        }
+        
+        if (approve) {
+            return await approveSandbox(sandbox, decisionsPath);
+        }
+        if (discard) {
+            return await discardSandbox(sandbox, decisionsPath);
+        }
+        return await printSandboxChanges(sandbox);
+        
+    } catch (error) {
+        console.error(`❌ Review failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
 /**
  * Execute a specific task description
  */
@@ -364,8 +500,17 @@ Usage: decision-tapestry agent <command> [options]
 
 Commands:
   start <decision-id> [agent-id]    Start an agent for a specific decision
+  start --dry-run <decision-id>     Print what the agent would do for each task without changing anything
+  start --no-sandbox <decision-id>  Work in the current working tree instead of a git worktree of its own
   status [agent-id]                 Show agent status (all agents if no ID provided)
   coordinate <decision-id1> ...     Coordinate multiple agents for related decisions
+  coordinate --plan <id1> ...       Print the execution waves of a coordination run without starting agents
+  coordinate --max-agents <n> ...   Run at most n agents at once (default: 5)
+  coordinate --dry-run <id1> ...    Run the agents in planning mode and print their task plans
+  coordinate --resume               Continue an interrupted coordination run from its checkpoint
+  review [decision-id]              Show the diff an agent left in its worktree (all waiting work if no ID)
+  review <decision-id> --approve    Merge the agent's work into the current branch
+  review <decision-id> --discard    Drop the agent's work and reopen its tasks
   launch                            Launch multiple agents in separate terminals
   task <description>                Execute a specific task description
   monitor                           Monitor all agents in real-time
@@ -376,9 +521,15 @@ Commands:
 Examples:
   decision-tapestry agent start 65                    # Start agent for decision 65
   decision-tapestry agent start 65 Agent-A           # Start Agent-A for decision 65
+  decision-tapestry agent start --dry-run 65          # Show the plan of each task of decision 65
   decision-tapestry agent status                      # Show all active agents
   decision-tapestry agent status Agent-A             # Show Agent-A status
   decision-tapestry agent coordinate 65 66 67 68     # Coordinate agents for decisions 65-68
+  decision-tapestry agent coordinate --plan 65 66 67 # Show which decisions would run in parallel
+  decision-tapestry agent coordinate --max-agents 2 65 66 67 68  # Two agents at a time
+  decision-tapestry agent coordinate --resume        # Continue the run saved in .coordinator-state.json
+  decision-tapestry agent review 65                   # Show what the agent for decision 65 changed
+  decision-tapestry agent review 65 --approve         # Merge it
   decision-tapestry agent launch                      # Launch pre-configured agents in terminals
   decision-tapestry agent task "Fix search panel"     # Execute specific task
   decision-tapestry agent test all                    # Run all agent tests
@@ -397,6 +548,170 @@ For more information, see: https://github.com/your-org/decision-tapestry
 `);
 }
 
+/**
+ * Print the waves a coordination run would execute, without starting agents
+ */
+async function printCoordinationPlan(decisionIds, options) {
+    try {
+        const coordinator = new AgentCoordinator(options);
+        await coordinator.loadDecisionsData();
+        const plan = await coordinator.planCoordination(decisionIds);
+        
+        console.log(`\n📋 Coordination plan for decisions: ${decisionIds.join(', ')}`);
+        if (plan.completed.length > 0) {
+            console.log(`   Already completed: ${plan.completed.map(id => `#${id}`).join(', ')}`);
+        }
+        plan.waves.forEach((wave, index) => {
+            console.log(`\n   Wave ${index + 1} (${wave.length} decision${wave.length === 1 ? '' : 's'})`);
+            for (const decision of wave) {
+                const after = decision.dependencies.length > 0
+                    ? ` (after ${decision.dependencies.map(id => `#${id}`).join(', ')})`
+                    : '';
+                const priority = decision.priority === 'medium' ? '' : ` [${decision.priority}]`;
+                console.log(`     #${decision.id} ${decision.title}${priority}${after}`);
+            }
+        });
+        
+        const planned = plan.waves.reduce((count, wave) => count + wave.length, 0);
+        console.log(`\n⚡ ${planned} decision${planned === 1 ? '' : 's'} in ${plan.waves.length} wave${plan.waves.length === 1 ? '' : 's'}: ` +
+            `up to ${plan.maxParallel} agents at once (limit ${plan.maxConcurrentAgents}), ${plan.averageParallel.toFixed(1)} on average`);
+        
+        return plan;
+        
+    } catch (error) {
+        console.error(`❌ Could not plan coordination: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+/**
+ * List the sandboxes waiting for review and the ones that conflict
+ */
+async function printSandboxList(root) {
+    const sandboxes = await listSandboxes(root);
+    if (sandboxes.length === 0) {
+        console.log('✅ No agent work waiting for review');
+        return [];
+    }
+    
+    console.log(`\n🔍 Agent work waiting for review (${sandboxes.length})`);
+    const changes = [];
+    for (const sandbox of sandboxes) {
+        const { commits, files } = await sandbox.getChanges({ diff: false });
+        const added = files.reduce((sum, file) => sum + file.added, 0);
+        const deleted = files.reduce((sum, file) => sum + file.deleted, 0);
+        console.log(`   #${sandbox.decisionId} ${sandbox.branch}: ${files.length} file${files.length === 1 ? '' : 's'} (+${added} -${deleted}), ` +
+            `${commits.length} commit${commits.length === 1 ? '' : 's'}`);
+        changes.push({ decisionId: sandbox.decisionId, branch: sandbox.branch, commits, files });
+    }
+    printSandboxConflicts(await findSandboxConflicts(sandboxes));
+    console.log('\n   decision-tapestry agent review <decision-id>   # Show the diff');
+    return changes;
+}
+
+/**
+ * Show the commits and diff of a sandbox, and whether it merges cleanly
+ */
+async function printSandboxChanges(sandbox) {
+    const changes = await sandbox.getChanges();
+    
+    console.log(`\n🔍 Agent work for Decision #${sandbox.decisionId} on ${sandbox.branch}`);
+    console.log(`   Worktree: ${path.relative(process.cwd(), sandbox.path)}`);
+    changes.commits.forEach(commit => console.log(`   ${commit.sha.slice(0, 7)} ${commit.subject}`));
+    if (changes.files.length === 0) {
+        console.log('   No changes');
+    }
+    changes.files.forEach(({ file, added, deleted }) => console.log(`   ${file} (+${added} -${deleted})`));
+    
+    const conflicts = await sandbox.findConflicts('HEAD');
+    if (conflicts.length > 0) {
+        console.log(`\n⚠️  Conflicts with the current branch in: ${conflicts.join(', ')}`);
+    }
+    if (changes.diff) {
+        console.log(`\n${changes.diff}`);
+    }
+    
+    console.log(`   decision-tapestry agent review ${sandbox.decisionId} --approve   # Merge into the current branch`);
+    console.log(`   decision-tapestry agent review ${sandbox.decisionId} --discard   # Drop it and reopen its tasks`);
+    return changes;
+}
+
+/**
+ * Merge a sandbox, remove it and complete its decision
+ */
+async function approveSandbox(sandbox, decisionsPath) {
+    const data = await readDecisionsFile(decisionsPath);
+    const decision = data.decisions.find(d => d.id === sandbox.decisionId);
+    const title = decision ? `: ${decision.title}` : '';
+    
+    const { merged, conflicts } = await sandbox.merge(`Merge agent work for Decision #${sandbox.decisionId}${title}`);
+    if (!merged) {
+        console.error(`❌ ${sandbox.branch} conflicts with the current branch in: ${conflicts.join(', ')}`);
+        console.error(`   Resolve them in ${path.relative(process.cwd(), sandbox.path)}: merge the current branch there, fix the files and commit.`);
+        console.error(`   Then approve again: decision-tapestry agent review ${sandbox.decisionId} --approve`);
+        process.exit(1);
+    }
+    await sandbox.discard();
+    console.log(`✅ Merged ${sandbox.branch} and removed its worktree`);
+    
+    if (decision) {
+        await updateDecisionsFile(decisionsPath, current => {
+            const record = current.decisions.find(d => d.id === sandbox.decisionId);
+            if (record && canTransition('decisions', record.status, 'Completed')) {
+                record.status = 'Completed';
+            }
+        }, { audit: { source: 'cli:agent-review' } });
+        console.log(`📋 Decision #${sandbox.decisionId} completed`);
+    }
+}
+
+/**
+ * Remove a sandbox and reopen the tasks its agent completed
+ */
+async function discardSandbox(sandbox, decisionsPath) {
+    const completedTasks = await sandbox.getCompletedTasks();
+    await sandbox.discard();
+    console.log(`🗑️  Discarded ${sandbox.branch} and its worktree`);
+    
+    if (completedTasks.length > 0) {
+        let reopened = 0;
+        await updateDecisionsFile(decisionsPath, current => {
+            const record = current.decisions.find(d => d.id === sandbox.decisionId);
+            for (const task of record?.tasks || []) {
+                if (completedTasks.includes(task.description) && canTransition('tasks', task.status, 'Pending')) {
+                    task.status = 'Pending';
+                    reopened++;
+                }
+            }
+        }, { audit: { source: 'cli:agent-review' } });
+        console.log(`📋 Reopened ${reopened} task${reopened === 1 ? '' : 's'} of Decision #${sandbox.decisionId}`);
+    }
+}
+
+/**
+ * Warn about sandboxes that can't both be merged as they are
+ */
+function printSandboxConflicts(conflicts = []) {
+    for (const { decisionIds: [first, second], files } of conflicts) {
+        console.log(`⚠️  Decisions #${first} and #${second} both change ${files.join(', ')}. ` +
+            `After approving one, merge the current branch into the other's worktree and resolve the conflicts.`);
+    }
+}
+
+/**
+ * Print what a dry run planned for each task of a decision
+ */
+function printTaskPlans(decisionId, plans) {
+    console.log(`\n📋 Task plans for Decision #${decisionId}`);
+    if (plans.length === 0) {
+        console.log('   No open tasks');
+    }
+    for (const plan of plans) {
+        console.log(`\n   ${plan.task} (${plan.executor})`);
+        plan.steps.forEach(step => console.log(`     - ${step}`));
+    }
+}
+
 /**
  * Get status of specific agent
  */
@@ -544,9 +859,7 @@ async function runSchemaTests() {
     
     try {
         // Load decisions.yml
-        const decisionsPath = path.resolve('decisions.yml');
-        const decisionsContent = await fs.readFile(decisionsPath, 'utf8');
-        const decisionsData = yaml.load(decisionsContent);
+        const decisionsData = await readDecisionsFile(path.resolve('decisions.yml'));
         
         // Load schema
         const schemaPath = path.resolve(__dirname, '../decisions.schema.json');
@@ -675,8 +988,8 @@ export async function enrichDecisions() {
         
         // Load decisions
         const decisionsPath = path.resolve('decisions.yml');
-        const decisionsContent = await fs.readFile(decisionsPath, 'utf8');
-        const decisionsData = yaml.load(decisionsContent);
+        const decisionsData = await readDecisionsFile(decisionsPath);
+        const originalData = structuredClone(decisionsData);
         
         let enrichedCount = 0;
         let failedCount = 0;
@@ -711,15 +1024,14 @@ export async function enrichDecisions() {
         
         // Save updated decisions
         if (enrichedCount > 0) {
-            const yamlContent = yaml.dump(decisionsData, {
-                lineWidth: -1,
-                quotingType: '"',
-                forceQuotes: false,
-                noRefs: true
+            // Enrichment takes a while - merge so edits made meanwhile are kept
+            const { conflicts } = await saveDecisionsChanges(decisionsPath, originalData, decisionsData, {
+                audit: { source: 'cli:agent-enrich' }
             });
-            
-            await fs.writeFile(decisionsPath, yamlContent, 'utf8');
             console.log('\n💾 Decisions file updated');
+            if (conflicts.length > 0) {
+                console.log(`⚠️  ${conflicts.length} field(s) were also edited elsewhere and have been overwritten: ${conflicts.map(c => c.path).join(', ')}`);
+            }
         }
         
         // Summary
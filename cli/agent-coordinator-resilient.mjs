@@ -10,12 +10,11 @@ import { ResilientAgentMessaging } from './agent-messaging-resilient.mjs';
 import { contextAggregator } from './context-aggregator.mjs';
 import { AgentHealthMonitor } from './agent-health-monitor.mjs';
 import { promises as fs } from 'fs';
-import path from 'path';
 import yaml from 'js-yaml';
 
 export class ResilientAgentCoordinator extends AgentCoordinator {
     constructor(options = {}) {
-        super();
+        super(options);
         
         // Use resilient messaging with enhanced options
         this.messaging = new ResilientAgentMessaging('coordinator', {
@@ -162,7 +161,7 @@ export class ResilientAgentCoordinator extends AgentCoordinator {
         }
         
         // Attempt to save state
-        await this.saveCoordinationState();
+        await this.checkpoint();
         
         // Alert via messaging if possible
         await this.messaging.broadcastStatus({
@@ -191,9 +190,12 @@ export class ResilientAgentCoordinator extends AgentCoordinator {
             
             // Validate decisions exist
             await this.validateDecisions(decisionIds);
+            this.checkTaskExecutors(decisionIds);
+            await this.checkSandboxSupport();
             
             // Build dependency graph with criticality analysis
             await this.buildEnhancedDependencyGraph(decisionIds);
+            await this.checkpoint();
             
             // Pre-fetch context for all decisions if enabled
             if (this.config.enableContextEnrichment) {
@@ -202,6 +204,8 @@ export class ResilientAgentCoordinator extends AgentCoordinator {
             
             // Execute coordination plan with resilience
             await this.executeResilientCoordinationPlan();
+            await this.finishCheckpoint();
+            await this.checkSandboxConflicts();
             
             // Generate comprehensive results
             const results = await this.generateEnhancedResults();
@@ -288,70 +292,47 @@ export class ResilientAgentCoordinator extends AgentCoordinator {
     }
     
     /**
-     * Execute coordination plan with resilience features
+     * Resumed runs use the resilient plan too
+     */
+    async executeCoordinationPlan() {
+        await this.executeResilientCoordinationPlan();
+    }
+    
+    /**
+     * Execute coordination plan with resilience features: agents run through
+     * the scheduler, and one that runs past agentTimeout is stopped and fails
      */
     async executeResilientCoordinationPlan() {
-        this.log('Executing resilient coordination plan...');
-        
-        const activeAgents = new Map();
-        const agentTimeouts = new Map();
-        
-        // Keep processing until all decisions are completed or failed
-        while (this.hasReadyDecisions()) {
-            // Respect max concurrent agents limit
-            const availableSlots = this.config.maxConcurrentAgents - activeAgents.size;
-            if (availableSlots <= 0) {
-                // Wait for an agent to complete
-                await this.waitForAgentCompletion(activeAgents);
-                continue;
-            }
-            
-            // Get next batch of ready decisions
-            const readyDecisions = this.getReadyDecisions()
-                .slice(0, availableSlots);
-            
-            // Start agents for ready decisions
-            for (const decisionId of readyDecisions) {
-                const agentPromise = this.startResilientAgentForDecision(decisionId);
-                activeAgents.set(decisionId, agentPromise);
-                
-                // Set timeout for agent
-                const timeout = setTimeout(async () => {
-                    this.log(`Agent for decision ${decisionId} timed out`, 'warn');
-                    await this.handleAgentTimeout(decisionId);
-                }, this.config.agentTimeout);
-                
-                agentTimeouts.set(decisionId, timeout);
-                
-                // Handle agent completion
-                agentPromise.then(() => {
-                    clearTimeout(agentTimeouts.get(decisionId));
-                    agentTimeouts.delete(decisionId);
-                    activeAgents.delete(decisionId);
-                    this.markDecisionCompleted(decisionId);
-                }).catch((error) => {
-                    clearTimeout(agentTimeouts.get(decisionId));
-                    agentTimeouts.delete(decisionId);
-                    activeAgents.delete(decisionId);
-                    this.markDecisionFailed(decisionId, error);
-                });
-            }
-            
-            // Update ready status for next iteration
-            this.updateReadyStatus();
-            
-            // Brief pause to prevent CPU spinning
-            await new Promise(resolve => setTimeout(resolve, 100));
-        }
+        this.log(`Executing resilient coordination plan (up to ${this.maxConcurrentAgents} agents at once)...`);
         
-        // Wait for all remaining agents to complete
-        if (activeAgents.size > 0) {
-            await Promise.allSettled(Array.from(activeAgents.values()));
-        }
+        await this.runScheduledPlan(decisionId => this.runResilientAgentWithTimeout(decisionId));
         
+        this.logWaitingDecisions();
         this.log('Resilient coordination plan execution completed');
     }
     
+    /**
+     * Run a decision's resilient agent, failing it after agentTimeout
+     */
+    async runResilientAgentWithTimeout(decisionId) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                this.log(`Agent for decision ${decisionId} timed out`, 'warn');
+                // A failure to stop the agent must not become an unhandled rejection
+                this.handleAgentTimeout(decisionId)
+                    .catch(error => this.log(`Could not stop the agent for decision ${decisionId}: ${error.message}`, 'warn'))
+                    .then(() => reject(new Error('Agent timeout')));
+            }, this.config.agentTimeout);
+        });
+        
+        try {
+            return await Promise.race([this.startResilientAgentForDecision(decisionId), timeout]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+    
     /**
      * Start resilient agent for specific decision
      */
@@ -378,6 +359,9 @@ export class ResilientAgentCoordinator extends AgentCoordinator {
                 enableHealthMonitoring: this.config.enableHealthMonitoring,
                 context: enrichedContext
             });
+            agent.dryRun = this.dryRun;
+            this.trackAgentProgress(agent, decisionId);
+            await this.assignSandbox(agent, decisionId);
             
             this.agents.set(agentId, agent);
             
@@ -400,6 +384,11 @@ export class ResilientAgentCoordinator extends AgentCoordinator {
             // Start agent work
             const report = await agent.start();
             
+            if (this.dryRun) {
+                this.log(`${agentId} planned ${report.plans.length} tasks`);
+                return report;
+            }
+            
             this.log(`${agentId} completed work, initiating peer review...`);
             
             // Initiate peer review process with context
@@ -499,11 +488,6 @@ export class ResilientAgentCoordinator extends AgentCoordinator {
      * Helper methods
      */
     
-    waitForAgentCompletion(activeAgents) {
-        if (activeAgents.size === 0) return Promise.resolve();
-        return Promise.race(Array.from(activeAgents.values()));
-    }
-    
     async handleAgentTimeout(decisionId) {
         const agentId = `Agent-${decisionId}`;
         const agent = this.agents.get(agentId);
@@ -511,8 +495,6 @@ export class ResilientAgentCoordinator extends AgentCoordinator {
         if (agent && agent.stop) {
             await agent.stop();
         }
-        
-        this.markDecisionFailed(decisionId, new Error('Agent timeout'));
     }
     
     monitorAgentHealth(agentId, agent) {
@@ -606,21 +588,6 @@ export class ResilientAgentCoordinator extends AgentCoordinator {
         }
     }
     
-    async saveCoordinationState() {
-        const state = {
-            timestamp: new Date().toISOString(),
-            decisions: Object.fromEntries(this.decisions),
-            dependencyGraph: this.serializeDependencyGraph(),
-            completedDecisions: Array.from(this.completedDecisions),
-            failedDecisions: Array.from(this.failedDecisions),
-            coordinationResults: this.coordinationResults
-        };
-        
-        const statePath = path.resolve('.coordinator-state.json');
-        await fs.writeFile(statePath, JSON.stringify(state, null, 2));
-        this.log('Coordination state saved');
-    }
-    
     async gracefulShutdown() {
         this.log('Initiating graceful shutdown...');
         
@@ -632,7 +599,7 @@ export class ResilientAgentCoordinator extends AgentCoordinator {
         }
         
         // Save final state
-        await this.saveCoordinationState();
+        await this.checkpoint();
         
         // Cleanup
         await this.cleanup();
@@ -1,16 +1,31 @@
 /**
  * Agent Coordinator
  * Manages multi-agent scenarios, dependencies, and coordination
+ * Progress is checkpointed after every task so an interrupted run can be
+ * resumed (see coordination-state.mjs)
  */
 
 import { DecisionTapestryAgent } from './agent-framework.mjs';
 import { AgentMessaging } from './agent-messaging.mjs';
+import { AgentScheduler, getPriorityRank } from './agent-scheduler.mjs';
+import { CircuitState, createCircuitBreaker } from './circuit-breaker.mjs';
 import { promises as fs } from 'fs';
 import path from 'path';
-import yaml from 'js-yaml';
+import { readDecisionsFile } from '../shared/yaml-utils.js';
+import { isCompletedStatus } from '../shared/status-lifecycle.js';
+import { getDependencies, findDependencyCycles, planWaves, formatCycle } from '../shared/decision-dependencies.js';
+import { openSandbox, listSandboxes, findSandboxConflicts, isGitRepository } from '../utils/agent-sandbox.mjs';
+import { checkTaskExecutors } from './agent-executors.mjs';
+import {
+    COORDINATOR_STATE_FILE,
+    readCoordinationState,
+    writeCoordinationState,
+    getDecisionRevisions,
+    compareWithCheckpoint
+} from './coordination-state.mjs';
 
 export class AgentCoordinator {
-    constructor() {
+    constructor(options = {}) {
         this.agents = new Map();
         this.decisions = new Map();
         this.dependencyGraph = new Map();
@@ -23,6 +38,30 @@ export class AgentCoordinator {
             failed: 0,
             errors: []
         };
+        
+        // Checkpointing
+        this.decisionsPath = options.decisionsPath || path.resolve('decisions.yml');
+        this.statePath = options.statePath || path.resolve(COORDINATOR_STATE_FILE);
+        this.taskProgress = new Map(); // decision id -> descriptions of its completed tasks
+        this.checkpointQueue = Promise.resolve();
+        
+        // Agents only plan their tasks; nothing is changed or checkpointed
+        this.dryRun = options.dryRun || false;
+        
+        // Each agent works in its own git worktree (see utils/agent-sandbox.mjs)
+        this.useSandboxes = options.sandbox || false;
+        this.sandboxConflicts = [];
+        
+        // Scheduling
+        this.maxConcurrentAgents = options.maxConcurrentAgents || 5;
+        this.schedulerOptions = options.scheduler || {};
+        this.scheduler = null;
+        
+        // Agent runs that keep failing open this breaker, and the scheduler
+        // backs off until it half-opens (see getOpenCircuitBreakers)
+        this.circuitBreakers = {
+            agentRuns: createCircuitBreaker('sensitive', { name: 'AgentRuns', volumeThreshold: 3, ...options.agentRunBreaker })
+        };
     }
 
     /**
@@ -48,9 +87,7 @@ export class AgentCoordinator {
      */
     async loadDecisionsData() {
         try {
-            const decisionsPath = path.resolve('decisions.yml');
-            const decisionsContent = await fs.readFile(decisionsPath, 'utf8');
-            const decisionsData = yaml.load(decisionsContent);
+            const decisionsData = await readDecisionsFile(this.decisionsPath);
             
             // Index decisions by ID
             decisionsData.decisions.forEach(decision => {
@@ -73,12 +110,17 @@ export class AgentCoordinator {
             
             // Validate decisions exist
             await this.validateDecisions(decisionIds);
+            this.checkTaskExecutors(decisionIds);
+            await this.checkSandboxSupport();
             
             // Build dependency graph
             await this.buildDependencyGraph(decisionIds);
+            await this.checkpoint();
             
             // Execute coordination plan
             await this.executeCoordinationPlan();
+            await this.finishCheckpoint();
+            await this.checkSandboxConflicts();
             
             // Generate results
             const results = this.generateResults();
@@ -92,6 +134,110 @@ export class AgentCoordinator {
         }
     }
 
+    /**
+     * Work out the order a run would take without starting any agents: waves
+     * of decisions that run in parallel, each after the waves before it
+     */
+    async planCoordination(decisionIds) {
+        await this.validateDecisions(decisionIds);
+        await this.buildDependencyGraph(decisionIds);
+        
+        const waves = planWaves(this.getDependencyEdges(), this.completedDecisions);
+        const planned = waves.reduce((count, wave) => count + wave.length, 0);
+        // A wave larger than the agent limit takes several rounds
+        const parallel = waves.map(wave => Math.min(wave.length, this.maxConcurrentAgents));
+        const rounds = waves.reduce((count, wave) => count + Math.ceil(wave.length / this.maxConcurrentAgents), 0);
+        
+        return {
+            // Within a wave, in the order the scheduler starts them
+            waves: waves.map(wave => wave
+                .map(decisionId => ({
+                    id: decisionId,
+                    title: this.decisions.get(decisionId).title,
+                    priority: this.decisions.get(decisionId).priority || 'medium',
+                    dependencies: this.dependencyGraph.get(decisionId).dependencies
+                }))
+                .sort((a, b) => getPriorityRank(a.priority) - getPriorityRank(b.priority))),
+            completed: Array.from(this.completedDecisions),
+            maxConcurrentAgents: this.maxConcurrentAgents,
+            maxParallel: Math.max(0, ...parallel),
+            averageParallel: rounds > 0 ? planned / rounds : 0
+        };
+    }
+
+    /**
+     * Continue the run saved in the checkpoint. Completed decisions are kept;
+     * failed and interrupted ones start again, skipping tasks that were done.
+     */
+    async resumeCoordination() {
+        try {
+            const state = await readCoordinationState(this.statePath);
+            if (!state) {
+                throw new Error(`No checkpoint found at ${this.statePath}`);
+            }
+            
+            // Decisions removed since the checkpoint can't be continued
+            const { missing, changed } = compareWithCheckpoint(state, Array.from(this.decisions.values()));
+            if (missing.length > 0) {
+                throw new Error(`${missing.map(id => `Decision #${id}`).join(', ')} no longer in decisions.yml; start a new run instead`);
+            }
+            for (const decisionId of changed) {
+                this.log(`Decision #${decisionId} changed since the checkpoint; tasks that still exist keep their progress`);
+            }
+            
+            this.restoreCoordinationState(state);
+            this.checkTaskExecutors(state.decisionIds);
+            await this.checkSandboxSupport();
+            this.log(`Resuming coordination from ${state.savedAt}: ${this.completedDecisions.size}/${state.decisionIds.length} decisions completed`);
+            if (state.failedDecisions?.length > 0) {
+                this.log(`Retrying failed decisions: ${state.failedDecisions.join(', ')}`);
+            }
+            this.logDependencyGraph();
+            
+            await this.executeCoordinationPlan();
+            await this.finishCheckpoint();
+            await this.checkSandboxConflicts();
+            
+            const results = this.generateResults();
+            
+            this.log('Coordination completed');
+            return results;
+            
+        } catch (error) {
+            this.coordinationResults.errors.push(error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Restore the dependency graph and progress of a checkpoint
+     */
+    restoreCoordinationState(state) {
+        for (const decisionId of state.decisionIds) {
+            const saved = state.dependencyGraph[decisionId];
+            const completed = saved.completed;
+            this.dependencyGraph.set(decisionId, {
+                dependencies: saved.dependencies,
+                dependents: saved.dependents,
+                ready: false,
+                started: completed,
+                completed
+            });
+            if (completed) {
+                this.completedDecisions.add(decisionId);
+            }
+            
+            // Only tasks that still exist count as done
+            const tasks = new Set((this.decisions.get(decisionId).tasks || []).map(task => task.description));
+            const done = (state.tasks?.[decisionId]?.completed || []).filter(description => tasks.has(description));
+            this.taskProgress.set(decisionId, new Set(done));
+        }
+        
+        this.coordinationResults.total = state.decisionIds.length;
+        this.coordinationResults.completed = this.completedDecisions.size;
+        this.updateReadyStatus();
+    }
+
     /**
      * Validate that all decisions exist and are ready
      */
@@ -122,6 +268,19 @@ export class AgentCoordinator {
         this.coordinationResults.completed = this.completedDecisions.size;
     }
 
+    /**
+     * Refuse the run before any agent starts when a decision has open tasks
+     * without an executor; agents could only plan those. Dry runs plan anyway.
+     */
+    checkTaskExecutors(decisionIds) {
+        if (this.dryRun) return;
+        
+        for (const decisionId of decisionIds) {
+            if (this.completedDecisions.has(decisionId)) continue;
+            checkTaskExecutors(this.decisions.get(decisionId), this.taskProgress.get(decisionId));
+        }
+    }
+
     /**
      * Build dependency graph for decisions
      */
@@ -144,22 +303,31 @@ export class AgentCoordinator {
             const decision = this.decisions.get(decisionId);
             const node = this.dependencyGraph.get(decisionId);
             
-            if (decision.related_to) {
-                for (const relatedId of decision.related_to) {
-                    if (decisionIds.includes(relatedId)) {
-                        // This decision depends on the related decision
-                        node.dependencies.push(relatedId);
-                        
-                        // Update dependent's list
-                        const relatedNode = this.dependencyGraph.get(relatedId);
-                        if (relatedNode) {
-                            relatedNode.dependents.push(decisionId);
-                        }
-                    }
+            for (const dependencyId of getDependencies(decision)) {
+                const dependencyNode = this.dependencyGraph.get(dependencyId);
+                if (dependencyNode) {
+                    node.dependencies.push(dependencyId);
+                    dependencyNode.dependents.push(decisionId);
+                    continue;
+                }
+                
+                // Dependencies outside this run don't hold it up, but may not be done yet
+                const dependency = this.decisions.get(dependencyId);
+                if (!dependency) {
+                    throw new Error(`Decision #${decisionId} depends on #${dependencyId}, which does not exist`);
+                }
+                if (!isCompletedStatus(dependency.status)) {
+                    this.log(`Decision #${decisionId} depends on #${dependencyId}, which is ${dependency.status} and not part of this run`);
                 }
             }
         }
         
+        // A cycle would leave its decisions waiting forever
+        const [cycle] = findDependencyCycles(this.getDependencyEdges());
+        if (cycle) {
+            throw new Error(`Dependency cycle ${formatCycle(cycle)}; remove one of these depends_on entries`);
+        }
+        
         // Mark ready decisions (no dependencies or all dependencies completed)
         this.updateReadyStatus();
         
@@ -167,6 +335,13 @@ export class AgentCoordinator {
         this.logDependencyGraph();
     }
 
+    /**
+     * Dependencies of each decision in the graph
+     */
+    getDependencyEdges() {
+        return new Map(Array.from(this.dependencyGraph, ([decisionId, node]) => [decisionId, node.dependencies]));
+    }
+
     /**
      * Update ready status for all decisions
      */
@@ -189,37 +364,73 @@ export class AgentCoordinator {
      * Execute coordination plan
      */
     async executeCoordinationPlan() {
-        this.log('Executing coordination plan...');
+        this.log(`Executing coordination plan (up to ${this.maxConcurrentAgents} agents at once)...`);
         
-        // Keep processing until all decisions are completed or failed
-        while (this.hasReadyDecisions()) {
-            // Get next batch of ready decisions
-            const readyDecisions = this.getReadyDecisions();
-            
-            // Start agents for ready decisions in parallel
-            const agentPromises = readyDecisions.map(decisionId => 
-                this.startAgentForDecision(decisionId)
-            );
-            
-            // Wait for all agents in this batch to complete
-            const results = await Promise.allSettled(agentPromises);
-            
-            // Process results
-            results.forEach((result, index) => {
-                const decisionId = readyDecisions[index];
-                
-                if (result.status === 'fulfilled') {
-                    this.markDecisionCompleted(decisionId);
+        await this.runScheduledPlan(decisionId => this.startAgentForDecision(decisionId));
+        
+        this.logWaitingDecisions();
+        this.log('Coordination plan execution completed');
+    }
+
+    /**
+     * Run ready decisions through the scheduler until none are left. Each
+     * decision starts as soon as its own dependencies are done and a slot is
+     * free; see agent-scheduler.mjs.
+     */
+    async runScheduledPlan(startAgent) {
+        this.scheduler = new AgentScheduler({ maxConcurrent: this.maxConcurrentAgents, ...this.schedulerOptions });
+        
+        await this.scheduler.run({
+            getReady: () => this.getReadyDecisions().map(decisionId => ({
+                id: decisionId,
+                priority: this.decisions.get(decisionId).priority
+            })),
+            start: startAgent,
+            finish: (decisionId, error) => {
+                this.circuitBreakers.agentRuns.record(!error);
+                if (error) {
+                    this.markDecisionFailed(decisionId, error);
                 } else {
-                    this.markDecisionFailed(decisionId, result.reason);
+                    this.markDecisionCompleted(decisionId);
                 }
-            });
-            
-            // Update ready status for next iteration
-            this.updateReadyStatus();
+                this.updateReadyStatus();
+            },
+            getDegraded: () => this.getOpenCircuitBreakers(),
+            log: message => this.log(message)
+        });
+    }
+
+    /**
+     * Open circuit breakers of the coordinator, as "AgentRuns", and of this
+     * run's agents, as "Agent-65 GitOperations". An open breaker moves to
+     * half-open on its own after its reset timeout.
+     */
+    getOpenCircuitBreakers() {
+        const open = Object.values(this.circuitBreakers)
+            .filter(breaker => breaker.state === CircuitState.OPEN)
+            .map(breaker => breaker.name);
+        
+        for (const [agentId, agent] of this.agents) {
+            for (const breaker of Object.values(agent.circuitBreakers || {})) {
+                if (breaker.state === CircuitState.OPEN) {
+                    open.push(`${agentId} ${breaker.name}`);
+                }
+            }
         }
         
-        this.log('Coordination plan execution completed');
+        return open;
+    }
+
+    /**
+     * Log decisions that never started because a dependency did not complete
+     */
+    logWaitingDecisions() {
+        for (const [decisionId, node] of this.dependencyGraph) {
+            if (node.started || node.completed) continue;
+            
+            const pending = node.dependencies.filter(depId => !this.dependencyGraph.get(depId).completed);
+            this.log(`Decision #${decisionId} not started: waiting on ${pending.map(depId => `#${depId}`).join(', ')}`);
+        }
     }
 
     /**
@@ -263,7 +474,9 @@ export class AgentCoordinator {
             node.started = true;
             
             // Create and initialize agent
-            const agent = new DecisionTapestryAgent(agentId, decisionId);
+            const agent = this.createAgent(agentId, decisionId);
+            this.trackAgentProgress(agent, decisionId);
+            await this.assignSandbox(agent, decisionId);
             this.agents.set(agentId, agent);
             
             await agent.initialize();
@@ -279,6 +492,11 @@ export class AgentCoordinator {
             // Start agent work
             const report = await agent.start();
             
+            if (this.dryRun) {
+                this.log(`${agentId} planned ${report.plans.length} tasks`);
+                return report;
+            }
+            
             this.log(`${agentId} completed work, initiating peer review...`);
             
             // Initiate peer review process
@@ -293,6 +511,128 @@ export class AgentCoordinator {
         }
     }
 
+    /**
+     * Give an agent its own worktree, starting from the unreviewed work of the
+     * decisions it depends on
+     */
+    async assignSandbox(agent, decisionId) {
+        if (!this.useSandboxes || this.dryRun) return;
+        
+        agent.sandbox = await openSandbox(path.dirname(this.decisionsPath), this.decisions.get(decisionId));
+        this.log(`Decision #${decisionId} runs in ${agent.sandbox.path} on ${agent.sandbox.branch}`);
+    }
+
+    /**
+     * Sandboxes are git worktrees; outside a git repository the agents work in
+     * the project directory as with --no-sandbox
+     */
+    async checkSandboxSupport() {
+        if (!this.useSandboxes || this.dryRun) return;
+        
+        const root = path.dirname(this.decisionsPath);
+        if (!(await isGitRepository(root))) {
+            this.log(`Warning: ${root} is not a git repository, so agents work in it directly instead of in sandboxes`);
+            this.useSandboxes = false;
+        }
+    }
+
+    /**
+     * Agents running in parallel can change the same lines; report the
+     * sandboxes of this run that can't both be merged as they are
+     */
+    async checkSandboxConflicts() {
+        if (!this.useSandboxes || this.dryRun) return;
+        
+        const sandboxes = (await listSandboxes(path.dirname(this.decisionsPath)))
+            .filter(sandbox => this.dependencyGraph.has(sandbox.decisionId));
+        this.sandboxConflicts = await findSandboxConflicts(sandboxes);
+        
+        for (const { decisionIds: [first, second], files } of this.sandboxConflicts) {
+            this.log(`Decisions #${first} and #${second} conflict in ${files.join(', ')}; ` +
+                `after merging one, merge it into the other's worktree and resolve the conflicts before approving it`);
+        }
+    }
+
+    /**
+     * Create the agent that works on a decision
+     */
+    createAgent(agentId, decisionId) {
+        const agent = new DecisionTapestryAgent(agentId, decisionId);
+        agent.dryRun = this.dryRun;
+        return agent;
+    }
+
+    /**
+     * Let an agent skip tasks a resumed run already did, and checkpoint after
+     * each task it finishes
+     */
+    trackAgentProgress(agent, decisionId) {
+        if (!this.taskProgress.has(decisionId)) {
+            this.taskProgress.set(decisionId, new Set());
+        }
+        const done = this.taskProgress.get(decisionId);
+        
+        agent.skipTasks = new Set(done);
+        agent.onTaskFinished = (task, status) => {
+            if (isCompletedStatus(status)) {
+                done.add(task.description);
+            }
+            return this.checkpoint();
+        };
+    }
+
+    /**
+     * Save a checkpoint once the ones before it are written. Failures are
+     * logged rather than stopping the run.
+     */
+    checkpoint() {
+        if (this.dryRun) {
+            return this.checkpointQueue;
+        }
+        this.checkpointQueue = this.checkpointQueue
+            .then(() => this.saveCoordinationState())
+            .catch(error => this.log(`Failed to save checkpoint: ${error.message}`));
+        return this.checkpointQueue;
+    }
+
+    /**
+     * Save the dependency graph and progress to the checkpoint file
+     */
+    async saveCoordinationState() {
+        const decisionIds = Array.from(this.dependencyGraph.keys());
+        const { decisions } = await readDecisionsFile(this.decisionsPath);
+        
+        await writeCoordinationState(this.statePath, {
+            decisionIds,
+            revisions: getDecisionRevisions(decisions, decisionIds),
+            dependencyGraph: this.serializeDependencyGraph(),
+            completedDecisions: Array.from(this.completedDecisions),
+            failedDecisions: Array.from(this.failedDecisions),
+            tasks: Object.fromEntries(
+                Array.from(this.taskProgress, ([decisionId, done]) => [decisionId, { completed: Array.from(done) }])
+            ),
+            coordinationResults: this.coordinationResults
+        });
+    }
+
+    /**
+     * After a run: remove the checkpoint when every decision is completed,
+     * otherwise keep it for --resume
+     */
+    async finishCheckpoint() {
+        if (this.dryRun) return;
+        
+        const finished = Array.from(this.dependencyGraph.values()).every(node => node.completed);
+        if (!finished) {
+            await this.checkpoint();
+            this.log(`Checkpoint saved to ${this.statePath}; continue with 'agent coordinate --resume'`);
+            return;
+        }
+        
+        await this.checkpointQueue;
+        await fs.rm(this.statePath, { force: true });
+    }
+
     /**
      * Mark decision as completed
      */
@@ -302,6 +642,7 @@ export class AgentCoordinator {
         
         this.completedDecisions.add(decisionId);
         this.coordinationResults.completed++;
+        this.checkpoint();
         
         this.log(`Decision #${decisionId} completed`);
         
@@ -323,6 +664,7 @@ export class AgentCoordinator {
         this.failedDecisions.add(decisionId);
         this.coordinationResults.failed++;
         this.coordinationResults.errors.push(`Decision #${decisionId}: ${error.message}`);
+        this.checkpoint();
         
         this.log(`Decision #${decisionId} failed: ${error.message}`);
         
@@ -346,6 +688,19 @@ export class AgentCoordinator {
             dependencyGraph: this.serializeDependencyGraph()
         };
         
+        if (this.useSandboxes) {
+            results.conflicts = this.sandboxConflicts;
+        }
+        
+        // Task plans by decision
+        if (this.dryRun) {
+            results.plans = Object.fromEntries(
+                Array.from(this.agents.values())
+                    .filter(agent => agent.decisionId !== null)
+                    .map(agent => [agent.decisionId, agent.taskPlans || []])
+            );
+        }
+        
         return results;
     }
 
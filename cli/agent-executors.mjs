@@ -0,0 +1,329 @@
+/**
+ * Agent Task Executors
+ * An agent carries out a task with the executor registered for the task's
+ * type, in four steps: analyze what the task asks for, plan the changes,
+ * apply them, and verify the result. A task only counts as completed when
+ * verify passes. Tasks pick an executor in decisions.yml:
+ *
+ *   tasks:
+ *     - description: Regenerate the API client
+ *       executor: { type: shell, command: npm run generate, verify: npm test }
+ *
+ * Built in are `shell`, `patch` (applies a unified diff) and `dry-run`.
+ * Projects register their own with ExecutorRegistry.register().
+ */
+
+import { exec, execFile } from 'child_process';
+import { promisify } from 'util';
+import path from 'path';
+import { isCompletedStatus } from '../shared/status-lifecycle.js';
+
+const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+
+const DEFAULT_TIMEOUT_SECONDS = 600;
+const OUTPUT_TAIL_LENGTH = 2000;
+
+/**
+ * Base class for executors. Each step receives the task's context:
+ * { root, projectRoot, decision, task, log, trackFileOperation }. `root` is
+ * where the work is done, the agent's sandbox if it has one; `projectRoot` is
+ * the project it was started in.
+ */
+export class TaskExecutor {
+    constructor(name) {
+        this.name = name;
+        this.dryRun = false;
+    }
+
+    /**
+     * Work out what the task asks for
+     */
+    async analyze(task) {
+        return { ...task.executor };
+    }
+
+    /**
+     * Describe the changes; `steps` are shown to the user before anything runs
+     */
+    async plan(task, analysis) {
+        return { ...analysis, steps: [] };
+    }
+
+    /**
+     * Make the changes
+     */
+    async apply() {
+        return {};
+    }
+
+    /**
+     * Check the changes; the task is completed only when this passes
+     * @returns {Promise<{passed: boolean, message: string}>}
+     */
+    async verify() {
+        return { passed: true, message: 'nothing to verify' };
+    }
+}
+
+/**
+ * Runs a shell command in the project, optionally followed by a verify command.
+ * Options: command, verify, cwd (relative to the project), timeout (seconds).
+ */
+export class ShellExecutor extends TaskExecutor {
+    constructor() {
+        super('shell');
+    }
+
+    async analyze(task, context) {
+        const { command, verify, cwd = '.', timeout = DEFAULT_TIMEOUT_SECONDS } = task.executor || {};
+        if (typeof command !== 'string' || command.trim() === '') {
+            throw new Error('shell executor needs a command');
+        }
+        return { command, verify, cwd: resolveInside(context.root, cwd), timeout };
+    }
+
+    async plan(task, analysis, context) {
+        const where = path.relative(context.root, analysis.cwd) || '.';
+        return {
+            ...analysis,
+            steps: [
+                `Run \`${analysis.command}\` in ${where}`,
+                ...(analysis.verify ? [`Verify with \`${analysis.verify}\``] : [])
+            ]
+        };
+    }
+
+    async apply(plan, context) {
+        context.log(`$ ${plan.command}`);
+        return runCommand(plan.command, plan);
+    }
+
+    async verify(plan, result, context) {
+        if (!plan.verify) {
+            return { passed: true, message: `\`${plan.command}\` exited with 0` };
+        }
+        context.log(`$ ${plan.verify}`);
+        try {
+            await runCommand(plan.verify, plan);
+            return { passed: true, message: `\`${plan.verify}\` passed` };
+        } catch (error) {
+            return { passed: false, message: error.message };
+        }
+    }
+}
+
+/**
+ * Applies a unified diff with `git apply`. Options: patch (path of the diff,
+ * relative to the project the agent was started in, not its sandbox) and
+ * verify (a command to run afterwards). Planning checks that the diff
+ * applies cleanly, and verify checks that it is in place.
+ */
+export class PatchExecutor extends TaskExecutor {
+    constructor() {
+        super('patch');
+    }
+
+    async analyze(task, context) {
+        const { patch, verify } = task.executor || {};
+        if (typeof patch !== 'string' || patch.trim() === '') {
+            throw new Error('patch executor needs the path of a patch file');
+        }
+        const patchPath = resolveInside(context.projectRoot ?? context.root, patch);
+
+        // One line per file: added, deleted, path
+        const { stdout } = await git(['apply', '--numstat', patchPath], context.root);
+        const files = stdout.trim().split('\n').filter(Boolean).map(line => {
+            const [added, deleted, file] = line.split('\t');
+            return { file, added: Number(added) || 0, deleted: Number(deleted) || 0 };
+        });
+        if (files.length === 0) {
+            throw new Error(`${patch} has no changes`);
+        }
+        return { patch, patchPath, verify, files };
+    }
+
+    async plan(task, analysis, context) {
+        try {
+            await git(['apply', '--check', analysis.patchPath], context.root);
+        } catch (error) {
+            throw new Error(`${analysis.patch} does not apply: ${error.message}`);
+        }
+        return {
+            ...analysis,
+            steps: [
+                ...analysis.files.map(({ file, added, deleted }) => `Patch ${file} (+${added} -${deleted})`),
+                ...(analysis.verify ? [`Verify with \`${analysis.verify}\``] : [])
+            ]
+        };
+    }
+
+    async apply(plan, context) {
+        await git(['apply', plan.patchPath], context.root);
+        for (const { file } of plan.files) {
+            context.trackFileOperation('patched', file, 'success');
+        }
+        return { files: plan.files.map(({ file }) => file) };
+    }
+
+    async verify(plan, result, context) {
+        try {
+            // Reversing only applies if every hunk is in place
+            await git(['apply', '--reverse', '--check', plan.patchPath], context.root);
+        } catch {
+            return { passed: false, message: `${plan.patch} is not applied` };
+        }
+        if (!plan.verify) {
+            return { passed: true, message: `${plan.patch} applied to ${plan.files.length} files` };
+        }
+        context.log(`$ ${plan.verify}`);
+        try {
+            await runCommand(plan.verify, { cwd: context.root, timeout: DEFAULT_TIMEOUT_SECONDS });
+            return { passed: true, message: `\`${plan.verify}\` passed` };
+        } catch (error) {
+            return { passed: false, message: error.message };
+        }
+    }
+}
+
+/**
+ * Plans without changing anything. Wrapping another executor shows that
+ * executor's plan; on its own it is the executor of tasks that name none.
+ * Tasks it runs stay open.
+ */
+export class DryRunExecutor extends TaskExecutor {
+    constructor(executor = null) {
+        super(executor ? `dry-run (${executor.name})` : 'dry-run');
+        this.executor = executor;
+        this.dryRun = true;
+    }
+
+    async analyze(task, context) {
+        return this.executor ? this.executor.analyze(task, context) : {};
+    }
+
+    async plan(task, analysis, context) {
+        if (this.executor) {
+            return this.executor.plan(task, analysis, context);
+        }
+        const reason = task.executor?.type === 'dry-run' ? 'dry-run task' : 'no executor configured';
+        return { steps: [`Nothing to run (${reason})`] };
+    }
+
+    async verify() {
+        return { passed: false, message: 'dry run, nothing was applied' };
+    }
+}
+
+/**
+ * Executors by task type
+ */
+export class ExecutorRegistry {
+    constructor() {
+        this.executors = new Map();
+    }
+
+    /**
+     * Register an executor for a task type. It can extend TaskExecutor or be
+     * any object with analyze, plan, apply and verify methods.
+     */
+    register(type, executor) {
+        const missing = ['analyze', 'plan', 'apply', 'verify'].filter(step => typeof executor?.[step] !== 'function');
+        if (missing.length > 0) {
+            throw new Error(`Executor for '${type}' is missing ${missing.join(', ')}`);
+        }
+        if (!executor.name) {
+            executor.name = type;
+        }
+        this.executors.set(type, executor);
+        return this;
+    }
+
+    has(type) {
+        return this.executors.has(type);
+    }
+
+    get(type) {
+        const executor = this.executors.get(type);
+        if (!executor) {
+            throw new Error(`No executor registered for task type '${type}' (available: ${this.types().join(', ')})`);
+        }
+        return executor;
+    }
+
+    types() {
+        return Array.from(this.executors.keys());
+    }
+}
+
+/**
+ * A registry with the built-in executors
+ */
+export function createExecutorRegistry() {
+    return new ExecutorRegistry()
+        .register('shell', new ShellExecutor())
+        .register('patch', new PatchExecutor())
+        .register('dry-run', new DryRunExecutor());
+}
+
+/**
+ * Open tasks that name no executor. An agent can only plan those, so a run
+ * that is not a dry run refuses to start with them (see checkTaskExecutors).
+ * @param {Object} decision
+ * @param {Set<string>} [done] - Descriptions of tasks done in an interrupted run
+ */
+export function findTasksWithoutExecutor(decision, done = new Set()) {
+    return (decision.tasks || []).filter(task =>
+        !isCompletedStatus(task.status) && !done.has(task.description) && !task.executor?.type
+    );
+}
+
+/**
+ * Refuse to run a decision with open tasks that name no executor, explaining
+ * how to add one
+ * @param {Object} decision
+ * @param {Set<string>} [done] - Descriptions of tasks done in an interrupted run
+ */
+export function checkTaskExecutors(decision, done) {
+    const missing = findTasksWithoutExecutor(decision, done);
+    if (missing.length === 0) return;
+    
+    throw new Error(
+        `Decision #${decision.id} has tasks without an executor: ${missing.map(task => `"${task.description}"`).join(', ')}. ` +
+        `Add one to each task, e.g. executor: { type: shell, command: npm run build, verify: npm test }, ` +
+        `or use --dry-run to only plan them (see "Task Executors" in docs/development.md)`
+    );
+}
+
+/**
+ * Resolve a path from decisions.yml against the project, refusing ones outside it
+ */
+function resolveInside(root, relativePath) {
+    const resolved = path.resolve(root, relativePath);
+    const relative = path.relative(root, resolved);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+        throw new Error(`${relativePath} is outside the project`);
+    }
+    return resolved;
+}
+
+/**
+ * Run a command through the shell; errors carry the exit code and the end of its output
+ */
+async function runCommand(command, { cwd, timeout }) {
+    try {
+        return await execAsync(command, { cwd, timeout: timeout * 1000, maxBuffer: 10 * 1024 * 1024 });
+    } catch (error) {
+        const output = `${error.stderr || ''}${error.stdout || ''}`.trim().slice(-OUTPUT_TAIL_LENGTH);
+        const reason = error.killed ? `timed out after ${timeout}s` : `exited with ${error.code}`;
+        throw new Error(`\`${command}\` ${reason}${output ? `:\n${output}` : ''}`);
+    }
+}
+
+async function git(args, cwd) {
+    try {
+        return await execFileAsync('git', args, { cwd, maxBuffer: 10 * 1024 * 1024 });
+    } catch (error) {
+        throw new Error((error.stderr || error.message).trim());
+    }
+}
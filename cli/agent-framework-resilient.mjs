@@ -8,6 +8,7 @@ import { ResilientAgentMessaging } from './agent-messaging-resilient.mjs';
 import { AgentHealthMonitor } from './agent-health-monitor.mjs';
 import { CircuitBreaker, createCircuitBreaker } from './circuit-breaker.mjs';
 import EventEmitter from 'events';
+import path from 'path';
 
 export class ResilientAgent extends AgentBase {
     constructor(agentId, decisionId, options = {}) {
@@ -73,15 +74,20 @@ export class ResilientAgent extends AgentBase {
      * Setup required methods for health checks
      */
     setupRequiredMethods() {
-        // Set up fs for file system operations
+        // Set up fs for file system operations; relative paths are in the
+        // agent's working directory, its sandbox if it has one
         this.fs = {
-            writeFile: async (path, data) => {
+            readFile: async (filePath) => {
                 const fs = await import('fs/promises');
-                return fs.writeFile(path, data);
+                return fs.readFile(path.resolve(this.workingDirectory, filePath), 'utf8');
             },
-            unlink: async (path) => {
+            writeFile: async (filePath, data) => {
                 const fs = await import('fs/promises');
-                return fs.unlink(path);
+                return fs.writeFile(path.resolve(this.workingDirectory, filePath), data);
+            },
+            unlink: async (filePath) => {
+                const fs = await import('fs/promises');
+                return fs.unlink(path.resolve(this.workingDirectory, filePath));
             }
         };
         
@@ -90,7 +96,7 @@ export class ResilientAgent extends AgentBase {
             const { exec } = await import('child_process');
             const { promisify } = await import('util');
             const execAsync = promisify(exec);
-            return execAsync(command, { cwd: process.cwd(), ...options });
+            return execAsync(command, { cwd: this.workingDirectory, ...options });
         };
     }
     
@@ -332,7 +338,7 @@ export class ResilientAgent extends AgentBase {
      */
     async readFile(filePath) {
         return this.circuitBreakers.fileOps.execute(
-            () => super.readFile(filePath),
+            () => this.fs.readFile(filePath),
             () => {
                 this.log(`File read circuit breaker open - using cache if available`);
                 return this.getCachedFile(filePath) || '';
@@ -345,7 +351,7 @@ export class ResilientAgent extends AgentBase {
      */
     async writeFile(filePath, content) {
         return this.circuitBreakers.fileOps.execute(
-            () => super.writeFile(filePath, content),
+            () => this.fs.writeFile(filePath, content),
             () => {
                 this.log(`File write circuit breaker open - queueing write operation`);
                 this.queueFileWrite(filePath, content);
@@ -0,0 +1,123 @@
+/**
+ * Agent Scheduler
+ * Runs the agents of a coordination run, at most maxConcurrent at a time.
+ * Ready decisions wait in a priority queue ordered by `priority` (high,
+ * medium, low, as set by quick-task), then by the order they became ready.
+ * A decision starts as soon as a slot is free and its own dependencies are
+ * done, without waiting for the rest of a batch. While a circuit breaker
+ * reports an open circuit, only one agent runs at a time and each start
+ * waits a backoff that doubles up to maxBackoff.
+ */
+
+export const PRIORITIES = ['high', 'medium', 'low'];
+
+/**
+ * Position of a priority in PRIORITIES; decisions without one count as medium
+ */
+export function getPriorityRank(priority) {
+    const rank = PRIORITIES.indexOf(priority);
+    return rank === -1 ? PRIORITIES.indexOf('medium') : rank;
+}
+
+export class AgentScheduler {
+    constructor(options = {}) {
+        this.maxConcurrent = options.maxConcurrent || 5;
+        this.initialBackoff = options.initialBackoff || 1000;
+        this.maxBackoff = options.maxBackoff || 30000;
+
+        this.queue = [];           // { id, rank, sequence }, highest priority first
+        this.scheduled = new Set(); // ids queued or started in this run
+        this.active = new Map();    // id -> promise settling once the agent finished
+        this.sequence = 0;
+        this.backoff = 0;
+        this.waitedForBackoff = false;
+    }
+
+    /**
+     * Queue a ready decision, unless it is already queued or started
+     */
+    enqueue(id, priority) {
+        if (this.scheduled.has(id)) return;
+        this.scheduled.add(id);
+
+        const entry = { id, rank: getPriorityRank(priority), sequence: this.sequence++ };
+        const index = this.queue.findIndex(queued => queued.rank > entry.rank);
+        this.queue.splice(index === -1 ? this.queue.length : index, 0, entry);
+    }
+
+    /**
+     * Run until nothing is queued or running.
+     * @param {Object} handlers
+     * @param {Function} handlers.getReady - Ready decisions as [{ id, priority }]
+     * @param {Function} handlers.start - Runs the agent for a decision
+     * @param {Function} handlers.finish - Records the outcome: (id, error or null)
+     * @param {Function} handlers.getDegraded - Names of open circuit breakers
+     * @param {Function} [handlers.log]
+     */
+    async run(handlers) {
+        const log = handlers.log || (() => {});
+        this.refill(handlers);
+
+        while (this.queue.length > 0 || this.active.size > 0) {
+            const degraded = handlers.getDegraded();
+            const limit = degraded.length > 0 ? 1 : this.maxConcurrent;
+
+            if (this.queue.length === 0 || this.active.size >= limit) {
+                await Promise.race(this.active.values());
+                continue;
+            }
+
+            if (degraded.length === 0) {
+                this.backoff = 0;
+                this.waitedForBackoff = false;
+            } else if (!this.waitedForBackoff) {
+                this.backoff = Math.min(this.backoff * 2 || this.initialBackoff, this.maxBackoff);
+                log(`Circuit open (${degraded.join(', ')}); waiting ${this.backoff}ms before starting the next agent`);
+                await new Promise(resolve => setTimeout(resolve, this.backoff));
+                this.waitedForBackoff = true;
+                continue;
+            } else {
+                this.waitedForBackoff = false;
+            }
+
+            this.launch(this.queue.shift().id, handlers);
+        }
+    }
+
+    /**
+     * Start a decision's agent; once it settles, record the outcome and queue
+     * the decisions that became ready
+     */
+    launch(id, handlers) {
+        const settled = Promise.resolve()
+            .then(() => handlers.start(id))
+            .then(() => null, error => error)
+            .then(error => {
+                this.active.delete(id);
+                handlers.finish(id, error);
+                this.refill(handlers);
+            });
+        this.active.set(id, settled);
+    }
+
+    /**
+     * Queue all ready decisions
+     */
+    refill(handlers) {
+        for (const { id, priority } of handlers.getReady()) {
+            this.enqueue(id, priority);
+        }
+    }
+
+    /**
+     * Number of agents running and decisions waiting for a slot
+     */
+    getStatus() {
+        return {
+            running: Array.from(this.active.keys()),
+            queued: this.queue.map(entry => entry.id),
+            maxConcurrent: this.maxConcurrent,
+            backoff: this.backoff
+        };
+    }
+}
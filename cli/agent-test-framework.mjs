@@ -14,7 +14,9 @@ const __dirname = path.dirname(__filename);
 export class AgentTestFramework {
     constructor(agentId) {
         this.agentId = agentId;
-        this.testDir = path.resolve(__dirname, '../__tests__/agents');
+        // Project the tests are generated in and run from
+        this.root = path.resolve(__dirname, '..');
+        this.testDir = path.join(this.root, '__tests__', 'agents');
         this.testFile = path.join(this.testDir, `agent-${agentId}.test.ts`);
         this.integrationTestFile = path.join(this.testDir, `agent-${agentId}-integration.test.ts`);
         this.tests = [];
@@ -43,6 +45,19 @@ export class AgentTestFramework {
         }
     }
 
+    /**
+     * Generate and run the tests in another checkout of the project, such as
+     * the git worktree of an agent sandbox
+     * @param {string} root - Project directory in that checkout
+     */
+    async useRoot(root) {
+        this.root = root;
+        this.testDir = path.join(root, '__tests__', 'agents');
+        this.testFile = path.join(this.testDir, `agent-${this.agentId}.test.ts`);
+        this.integrationTestFile = path.join(this.testDir, `agent-${this.agentId}-integration.test.ts`);
+        await this.initialize();
+    }
+
     /**
      * Initialize test file with basic structure
      */
@@ -270,7 +285,7 @@ ${testsByCategory.general.map(test => this.generateTestCase(test)).join('\n')}
     async runJestTests() {
         return new Promise((resolve, reject) => {
             const jest = spawn('npm', ['test', '--', this.testFile], {
-                cwd: path.resolve(__dirname, '..'),
+                cwd: this.root,
                 stdio: 'pipe'
             });
             
@@ -97,6 +97,21 @@ export class CircuitBreaker extends EventEmitter {
         }
     }
 
+    /**
+     * Record the outcome of an operation that ran outside execute(), such as
+     * an agent run too long for a per-request timeout
+     */
+    record(success) {
+        this.metrics.totalRequests++;
+        this.addRequestToWindow(Date.now(), success);
+        
+        if (success) {
+            this.onSuccess();
+        } else {
+            this.onFailure();
+        }
+    }
+
     /**
      * Execute function with timeout
      */
@@ -214,6 +229,8 @@ export class CircuitBreaker extends EventEmitter {
         this.resetTimer = setTimeout(() => {
             this.halfOpen();
         }, this.resetTimeout);
+        // An open circuit alone shouldn't keep the process running
+        this.resetTimer.unref?.();
         
         this.emit('open', {
             failures: this.failures,
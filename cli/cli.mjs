@@ -4,7 +4,7 @@ import { spawn } from 'child_process';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import Ajv from 'ajv';
+import readline from 'readline/promises';
 import { 
     startAgent, 
     showAgentStatus, 
@@ -14,10 +14,40 @@ import {
     launchAgents,
     executeAgentTask,
     monitorAgents,
-    enrichDecisions
+    enrichDecisions,
+    reviewAgentWork
 } from './agent-commands.mjs';
 import { quickDecisionBuilder } from './quick-decision-builder.mjs';
-import { DecisionTapestryAgent } from './agent-framework.mjs';
+import {
+    readDecisionsFile,
+    writeDecisionsFile,
+    updateDecisionsFile,
+    resolveDecisionsLayout,
+    getDecisionsDirectoryPath,
+    readDecisionsDirectoryEntries,
+    removeDecisionsDirectory,
+    listDecisionsDirectoryConflicts
+} from '../shared/yaml-utils.js';
+import { loadDecisionsSchema, createSchemaValidator, getSchemaValidator, formatSchemaErrors } from '../shared/schema-validator.js';
+import {
+    getStatuses,
+    getAllowedTransitions,
+    checkStatusChange,
+    validateLifecycle,
+    LIFECYCLES
+} from '../shared/status-lifecycle.js';
+import { loadCharter, validateCharterStates } from '../shared/charter.js';
+import { classifyDecision, validateCategories } from '../shared/categories.js';
+import { loadCategories } from '../shared/category-config.js';
+import { validateDependencies } from '../shared/decision-dependencies.js';
+import { getProposalsPath, addProposals } from '../shared/proposals-store.js';
+import { inferDecisionsFromGit } from '../utils/decision-inference-engine.mjs';
+import { analyzeProjectStack } from '../utils/stack-detector.mjs';
+import { ADR_FORMATS, exportAdrs, importAdrs } from '../utils/adr-markdown.mjs';
+import { exportSite } from '../utils/site-exporter.mjs';
+import { analyzeImpact } from '../utils/decision-impact.mjs';
+import { detectDriftForFile } from '../utils/decision-drift.mjs';
+import { GitAnalyzer } from '../services/git-analyzer.mjs';
 import chalk from 'chalk';
 
 const commands = {
@@ -29,6 +59,10 @@ const commands = {
         description: "Analyze existing codebase and generate historical decisions.",
         action: analyzeProject
     },
+    infer: {
+        description: "Infer candidate decisions from git history into the review queue.",
+        action: inferDecisionsCommand
+    },
     capture: {
         description: "Quickly capture a new decision during development.",
         action: captureDecision
@@ -45,6 +79,34 @@ const commands = {
         description: "Validate decisions.yml against the schema.",
         action: validateDecisionsFile
     },
+    status: {
+        description: "Show or change the status of a decision, following the status lifecycle.",
+        action: changeStatusCommand
+    },
+    impact: {
+        description: "Show the decisions, components and backlog items affected by changing a decision.",
+        action: impactCommand
+    },
+    drift: {
+        description: "Find components that drifted from the codebase and suggest fixes for decisions.yml.",
+        action: driftCommand
+    },
+    categorize: {
+        description: "Infer categories for decisions and backlog items that have none (--apply writes them).",
+        action: categorizeCommand
+    },
+    export: {
+        description: "Export decisions as Markdown ADRs (export adr) or the dashboard as a read-only static site (export site).",
+        action: exportCommand
+    },
+    import: {
+        description: "Import Markdown ADRs into decisions.yml (import adr [docs/adr]).",
+        action: importCommand
+    },
+    "migrate-layout": {
+        description: "Convert between decisions.yml and a decisions/ directory with one file per decision.",
+        action: migrateLayout
+    },
     activity: {
         description: "Manage Claude Code activity tracking (start, end, status).",
         action: manageActivity
@@ -237,10 +299,54 @@ function showHelp() {
     console.log("  2. decision-tapestry validate  # Check your file is valid");
     console.log("  3. decision-tapestry start     # Open the dashboard");
     console.log("");
+    console.log("🏗️  Analyzing the Stack:");
+    console.log("  • decision-tapestry analyze          # Pick detected choices to record");
+    console.log("  • decision-tapestry analyze --yes    # Record all of them");
+    console.log("  • decision-tapestry analyze --dry-run # Only list them");
+    console.log("");
+    console.log("🔎 Inferring Decisions from Git:");
+    console.log("  • decision-tapestry infer --since \"3 months ago\"  # Queue candidates for review");
+    console.log("  • decision-tapestry infer --dry-run              # Only print the candidates");
+    console.log("");
+    console.log("🔁 Status Lifecycle:");
+    console.log("  • decision-tapestry status 12                      # Show the status and allowed changes");
+    console.log("  • decision-tapestry status 12 Accepted             # Change the status");
+    console.log("  • decision-tapestry status 12 Superseded --superseded-by 15");
+    console.log("");
+    console.log("🎯 Impact Analysis:");
+    console.log("  • decision-tapestry impact 12             # What changing decision #12 affects");
+    console.log("  • decision-tapestry impact 12 --depth 1   # Only directly linked decisions");
+    console.log("  • decision-tapestry impact 12 --json      # Full ranked result as JSON");
+    console.log("");
+    console.log("🧭 Drift:");
+    console.log("  • decision-tapestry drift                         # Renamed, deleted and uncovered files, with fixes");
+    console.log("  • decision-tapestry drift --since \"3 months ago\"  # Period for finding uncovered files");
+    console.log("  • decision-tapestry drift --check                 # Exit with 1 when anything drifted (for CI)");
+    console.log("");
+    console.log("🗂️  Categories:");
+    console.log("  • decision-tapestry categorize            # Infer categories for records without one");
+    console.log("  • decision-tapestry categorize --apply    # Write them to decisions.yml");
+    console.log("");
+    console.log("📄 Markdown ADRs:");
+    console.log("  • decision-tapestry export adr --format madr --out docs/adr  # One ADR file per decision");
+    console.log("  • decision-tapestry import adr docs/adr --dry-run           # Preview ADRs to import");
+    console.log("");
+    console.log("🌐 Static Site:");
+    console.log("  • decision-tapestry export site --out dist          # Read-only dashboard for any static host");
+    console.log("  • decision-tapestry export site --include-private   # Also publish the private canvas gallery");
+    console.log("");
+    console.log("🗂️  Storage Layout:");
+    console.log("  • decision-tapestry migrate-layout --to directory  # One file per decision in decisions/");
+    console.log("  • decision-tapestry migrate-layout --to file       # Back to a single decisions.yml");
+    console.log("");
     console.log("🤖 Agent Commands:");
     console.log("  • decision-tapestry agent start <decision-id>    # Start an agent");
+    console.log("  • decision-tapestry agent start --dry-run <id>   # Show each task's plan without changes");
     console.log("  • decision-tapestry agent status                 # Show agent status");
     console.log("  • decision-tapestry agent coordinate <id1> <id2> # Coordinate agents");
+    console.log("  • decision-tapestry agent coordinate --plan <ids> # Show execution waves only");
+    console.log("  • decision-tapestry agent coordinate --resume    # Continue an interrupted run");
+    console.log("  • decision-tapestry agent review <decision-id>   # Review an agent's work before merging");
     console.log("  • decision-tapestry agent test                   # Run agent tests");
     console.log("  • decision-tapestry agent help                   # Agent help");
     console.log("");
@@ -250,89 +356,444 @@ function showHelp() {
 }
 
 async function analyzeProject() {
-    console.log("🔍 Analyzing project to generate historical decisions...\n");
-    
-    // Check if decisions.yml exists
+    const analyzeArgs = process.argv.slice(3);
+    const autoConfirm = analyzeArgs.includes('--yes') || analyzeArgs.includes('-y');
+    const dryRun = analyzeArgs.includes('--dry-run');
+    const decisionsPath = path.resolve('decisions.yml');
+
+    let existingDecisions;
     try {
-        await fs.access('decisions.yml');
-        console.log("📄 Found existing decisions.yml");
-    } catch {
-        console.log("⚠️  No decisions.yml found. Run 'decision-tapestry init' first.");
+        existingDecisions = (await readDecisionsFile(decisionsPath)).decisions;
+    } catch (error) {
+        console.error(chalk.red(`❌ ${error.message}`));
+        console.log(chalk.gray("💡 Run 'decision-tapestry init' first"));
+        process.exitCode = 1;
         return;
     }
-    
-    const analysis = await performProjectAnalysis();
-    
+
+    console.log(chalk.blue("🔍 Analyzing project to generate historical decisions..."));
+    const analysis = await performProjectAnalysis(existingDecisions);
+
+    if (analysis.existing.length > 0) {
+        console.log(chalk.gray(`   ${analysis.existing.length} detected choice(s) already recorded: ${analysis.existing.map(choice => choice.key).join(', ')}`));
+    }
+
     if (analysis.decisions.length === 0) {
-        console.log("💡 No obvious architectural decisions detected in this project.");
+        console.log("💡 No new architectural decisions detected in this project.");
         console.log("   Consider manually adding decisions about:");
-        console.log("   • Framework/library choices");
         console.log("   • Architecture patterns");
-        console.log("   • Database decisions");
-        console.log("   • Infrastructure choices");
+        console.log("   • Conventions and processes");
         return;
     }
-    
-    console.log(`📋 Found ${analysis.decisions.length} potential historical decisions:`);
+
+    console.log(chalk.green(`\n📋 Found ${analysis.decisions.length} historical decision(s):`));
     analysis.decisions.forEach((decision, i) => {
-        console.log(`   ${i + 1}. ${decision.title}`);
+        console.log(`   ${i + 1}. ${decision.title} ${chalk.gray(`(${decision.category})`)}`);
+        console.log(chalk.gray(`      ${describeDecisionOrigin(decision)}`));
     });
-    
-    console.log("\n🤖 This is a preview. Full implementation coming soon!");
-    console.log("   For now, consider adding these decisions manually to decisions.yml");
+
+    if (dryRun) {
+        console.log(chalk.gray("\n🧪 Dry run - decisions.yml was not changed."));
+        return;
+    }
+
+    let selected;
+    if (autoConfirm) {
+        selected = analysis.decisions;
+    } else if (!process.stdin.isTTY) {
+        console.log(chalk.yellow("\n💡 Run again with --yes to record these decisions, or in a terminal to pick them one by one."));
+        return;
+    } else {
+        selected = await confirmDecisions(analysis.decisions);
+    }
+
+    if (selected.length === 0) {
+        console.log(chalk.gray("\nNothing was recorded."));
+        return;
+    }
+
+    const recorded = [];
+    await updateDecisionsFile(decisionsPath, (data) => {
+        data.decisions ||= [];
+        let nextId = Math.max(0, ...data.decisions.map(decision => decision.id).filter(Number.isInteger)) + 1;
+        for (const decision of selected) {
+            // Another writer may have added the same choice since it was detected
+            if (data.decisions.some(existing => existing.title?.toLowerCase() === decision.title.toLowerCase())) continue;
+            const record = { id: nextId++, ...decision };
+            data.decisions.push(record);
+            recorded.push(record);
+        }
+    }, { audit: { source: 'cli:analyze' } });
+
+    console.log(chalk.green(`\n✅ Recorded ${recorded.length} decision(s) in decisions.yml`));
+    recorded.forEach(decision => console.log(chalk.gray(`   #${decision.id} ${decision.title}`)));
+    console.log(chalk.gray("💡 Run 'decision-tapestry validate' to check the result"));
 }
 
-async function performProjectAnalysis() {
-    const decisions = [];
-    
+/**
+ * Detects stack choices in the current project that are not yet recorded
+ * and builds git-dated decisions for them
+ */
+async function performProjectAnalysis(existingDecisions = []) {
+    return analyzeProjectStack(process.cwd(), { existingDecisions });
+}
+
+function describeDecisionOrigin(decision) {
+    const files = decision.affected_components.slice(0, 3).join(', ');
+    if (!decision.date.git_derived) {
+        return `${files} (no git history)`;
+    }
+    return `${files}, since ${decision.date.first_commit_date.slice(0, 10)} by ${decision.author}`;
+}
+
+// Asks about each decision in turn: y = record, n = skip, a = record the rest, q = stop
+async function confirmDecisions(decisions) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const selected = [];
     try {
-        // Analyze package.json for framework decisions
-        const pkg = JSON.parse(await fs.readFile('package.json', 'utf8'));
-        
-        // React detection
-        if (pkg.dependencies?.react) {
-            decisions.push({
-                title: "Adopt React for frontend development",
-                rationale: "Framework choice for building user interfaces"
-            });
+        for (const [index, decision] of decisions.entries()) {
+            const answer = (await rl.question(`\nRecord "${decision.title}"? [y]es / [n]o / [a]ll / [q]uit `)).trim().toLowerCase();
+            if (answer === 'a' || answer === 'all') {
+                selected.push(...decisions.slice(index));
+                break;
+            }
+            if (answer === 'q' || answer === 'quit') break;
+            if (answer === 'y' || answer === 'yes') selected.push(decision);
         }
-        
-        // Express detection
-        if (pkg.dependencies?.express) {
-            decisions.push({
-                title: "Use Express.js for backend API",
-                rationale: "Web framework choice for Node.js backend"
-            });
+    } finally {
+        rl.close();
+    }
+    return selected;
+}
+
+async function inferDecisionsCommand() {
+    const inferArgs = process.argv.slice(3);
+    const optionValue = (name) => {
+        const index = inferArgs.indexOf(name);
+        return index !== -1 ? inferArgs[index + 1] : undefined;
+    };
+
+    const since = optionValue('--since');
+    const until = optionValue('--until');
+    const minConfidence = Number(optionValue('--min-confidence') ?? 0.3);
+    const windowDays = Number(optionValue('--window') ?? 14);
+    const dryRun = inferArgs.includes('--dry-run');
+
+    if (Number.isNaN(minConfidence) || minConfidence < 0 || minConfidence > 1 || !(windowDays > 0)) {
+        console.error(chalk.red("❌ --min-confidence must be between 0 and 1 and --window a number of days"));
+        console.log(chalk.gray("\nUsage: decision-tapestry infer [--since <date>] [--until <date>] [--min-confidence 0.3] [--window 14] [--dry-run]"));
+        process.exitCode = 1;
+        return;
+    }
+
+    const decisionsPath = path.resolve('decisions.yml');
+    let existingDecisions = [];
+    try {
+        existingDecisions = (await readDecisionsFile(decisionsPath)).decisions;
+    } catch (error) {
+        console.error(chalk.red(`❌ ${error.message}`));
+        console.log(chalk.gray("💡 Run 'decision-tapestry init' first"));
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log(chalk.blue(`🔎 Reading git history${since ? ` since ${since}` : ''}...`));
+
+    let candidates;
+    try {
+        candidates = await inferDecisionsFromGit({ since, until, existingDecisions, minConfidence, windowDays });
+    } catch (error) {
+        console.error(chalk.red(`❌ ${error.message}`));
+        process.exitCode = 1;
+        return;
+    }
+
+    if (candidates.length === 0) {
+        console.log(chalk.yellow("💡 No candidate decisions found in this part of the history."));
+        return;
+    }
+
+    console.log(chalk.green(`\n📋 Found ${candidates.length} candidate decision(s):`));
+    candidates.forEach(({ decision, confidence }, i) => {
+        const { first_commit_date: start, last_commit_date: end, commit_count: count } = decision.date;
+        console.log(`   ${i + 1}. ${decision.title} ${chalk.gray(`(${Math.round(confidence * 100)}%)`)}`);
+        console.log(chalk.gray(`      ${count} commit(s), ${start.slice(0, 10)} – ${end.slice(0, 10)}: ${decision.affected_components.slice(0, 3).join(', ')}`));
+    });
+
+    if (dryRun) {
+        console.log(chalk.gray("\n🧪 Dry run - nothing was queued."));
+        return;
+    }
+
+    const proposalsPath = getProposalsPath(decisionsPath);
+    const { added, skipped } = await addProposals(proposalsPath, candidates, { source: 'git-inference' });
+    console.log(chalk.green(`\n✅ Queued ${added.length} proposal(s) for review in ${path.basename(proposalsPath)}`));
+    if (skipped > 0) {
+        console.log(chalk.gray(`   ${skipped} already in the review queue (pending, accepted or rejected)`));
+    }
+    console.log(chalk.gray("💡 Nothing is added to decisions.yml until a proposal is accepted"));
+}
+
+async function changeStatusCommand() {
+    const statusArgs = process.argv.slice(3);
+    const supersededByIndex = statusArgs.indexOf('--superseded-by');
+    const supersededBy = supersededByIndex !== -1 ? Number(statusArgs[supersededByIndex + 1]) : undefined;
+    const collection = statusArgs.includes('--backlog') ? 'backlog' : 'decisions';
+    const label = collection === 'backlog' ? 'Backlog item' : 'Decision';
+    const [idArg, ...statusWords] = statusArgs.filter((arg, i) => !arg.startsWith('--') && (supersededByIndex === -1 || i !== supersededByIndex + 1));
+    const id = Number(idArg);
+
+    if (!Number.isInteger(id) || (supersededBy !== undefined && !Number.isInteger(supersededBy))) {
+        console.error(chalk.red("❌ Please provide a record id and the new status"));
+        console.log(chalk.gray("\nUsage: decision-tapestry status <id> [<new-status>] [--superseded-by <id>] [--backlog]"));
+        console.log(chalk.gray(`Decision statuses: ${getStatuses('decisions').join(', ')}`));
+        process.exitCode = 1;
+        return;
+    }
+
+    const decisionsPath = path.resolve('decisions.yml');
+    const requested = statusWords.join(' ').trim();
+
+    try {
+        if (!requested) {
+            const data = await readDecisionsFile(decisionsPath);
+            const record = findStatusRecord(data, collection, id, label);
+            const definition = LIFECYCLES[collection][record.status];
+            console.log(`${label} #${id}: ${chalk.bold(record.status)}${definition ? chalk.gray(` - ${definition.description}`) : ''}`);
+            const allowed = getAllowedTransitions(collection, record.status);
+            console.log(allowed.length > 0
+                ? `Can move to: ${allowed.join(', ')}`
+                : chalk.gray('This is a final status'));
+            return;
         }
-        
-        // TypeScript detection
-        if (pkg.devDependencies?.typescript || pkg.dependencies?.typescript) {
-            decisions.push({
-                title: "Adopt TypeScript for type safety",
-                rationale: "Add static typing to improve code quality and developer experience"
-            });
+
+        const status = getStatuses(collection).find(name => name.toLowerCase() === requested.toLowerCase());
+        if (!status) {
+            throw new Error(`'${requested}' is not a ${label.toLowerCase()} status. Use one of: ${getStatuses(collection).join(', ')}`);
         }
-        
-        // Database decisions
-        if (pkg.dependencies?.mongoose || pkg.dependencies?.mongodb) {
-            decisions.push({
-                title: "Choose MongoDB for data storage",
-                rationale: "Database selection for document-based data model"
-            });
+
+        let previousStatus;
+        await updateDecisionsFile(decisionsPath, (data) => {
+            const record = findStatusRecord(data, collection, id, label);
+            const changes = { status };
+            if (supersededBy !== undefined) {
+                if (!data.decisions.some(decision => decision.id === supersededBy) || supersededBy === id) {
+                    throw new Error(`--superseded-by must be the id of another existing decision`);
+                }
+                changes.superseded_by = supersededBy;
+            }
+
+            const errors = checkStatusChange(collection, record, { ...record, ...changes });
+            if (errors.length > 0) {
+                const hint = errors.some(error => error.path === '/superseded_by') ? ' (use --superseded-by <id>)' : '';
+                throw new Error(`${label} #${id}: ${errors.map(error => `${error.path.slice(1)} ${error.message}`).join('; ')}${hint}`);
+            }
+
+            previousStatus = record.status;
+            Object.assign(record, changes);
+            // Keep both ends of a supersession linked
+            const replacement = data.decisions.find(decision => decision.id === supersededBy);
+            if (replacement && (replacement.supersedes === undefined || replacement.supersedes === null)) {
+                replacement.supersedes = id;
+            }
+        }, { audit: { source: 'cli:status' } });
+
+        console.log(chalk.green(`✅ ${label} #${id}: ${previousStatus} → ${status}`));
+    } catch (error) {
+        console.error(chalk.red(`❌ ${error.message}`));
+        process.exitCode = 1;
+    }
+}
+
+function findStatusRecord(data, collection, id, label) {
+    const record = (data[collection] || []).find(item => item.id === id);
+    if (!record) {
+        throw new Error(`${label} #${id} not found`);
+    }
+    return record;
+}
+
+async function impactCommand() {
+    const impactArgs = process.argv.slice(3);
+    const optionValue = (name) => {
+        const index = impactArgs.indexOf(name);
+        return index !== -1 ? impactArgs[index + 1] : undefined;
+    };
+
+    const id = Number(impactArgs[0]);
+    const depth = Number(optionValue('--depth') ?? 3);
+    const limit = Number(optionValue('--limit') ?? 10);
+
+    if (!Number.isInteger(id) || !Number.isInteger(depth) || depth < 1 || depth > 6 || !(limit > 0)) {
+        console.error(chalk.red("❌ Please provide a decision id (and a --depth from 1 to 6)"));
+        console.log(chalk.gray("\nUsage: decision-tapestry impact <id> [--depth 3] [--limit 10] [--json]"));
+        process.exitCode = 1;
+        return;
+    }
+
+    const decisionsPath = path.resolve('decisions.yml');
+    let impact;
+    try {
+        const data = await readDecisionsFile(decisionsPath);
+        const analyzer = new GitAnalyzer(path.dirname(decisionsPath));
+        impact = await analyzeImpact(data, id, {
+            maxDepth: depth,
+            analyzer: await analyzer.isGitRepo() ? analyzer : null
+        });
+    } catch (error) {
+        console.error(chalk.red(`❌ ${error.message}`));
+        process.exitCode = 1;
+        return;
+    }
+
+    if (impactArgs.includes('--json')) {
+        console.log(JSON.stringify(impact, null, 2));
+        return;
+    }
+
+    const score = (value) => chalk.gray(`(${Math.round(value * 100)}%)`);
+    const more = (list) => {
+        if (list.length > limit) console.log(chalk.gray(`   ... and ${list.length - limit} more`));
+    };
+
+    console.log(chalk.blue(`🎯 Impact of changing #${impact.decision.id}: ${impact.decision.title}`));
+
+    console.log(chalk.bold(`\n📋 Decisions (${impact.decisions.length})`));
+    impact.decisions.slice(0, limit).forEach((decision) => {
+        console.log(`   #${decision.id} ${decision.title} ${score(decision.score)}`);
+        console.log(chalk.gray(`      ${decision.reasons.join(' → ')}`));
+    });
+    more(impact.decisions);
+
+    console.log(chalk.bold(`\n📁 Components (${impact.components.length})`));
+    impact.components.slice(0, limit).forEach((component) => {
+        console.log(`   ${component.path} ${score(component.score)} ${chalk.gray(component.decisionIds.map(ref => `#${ref}`).join(', '))}`);
+    });
+    more(impact.components);
+
+    console.log(chalk.bold(`\n📝 Open backlog items (${impact.backlog.length})`));
+    impact.backlog.slice(0, limit).forEach((item) => {
+        console.log(`   #${item.id} ${item.title} ${score(item.score)}`);
+        console.log(chalk.gray(`      ${item.reasons.join('; ')}`));
+    });
+    more(impact.backlog);
+
+    if (impact.decisions.length + impact.components.length + impact.backlog.length === 0) {
+        console.log(chalk.yellow("\n💡 Nothing else is linked to this decision."));
+    }
+}
+
+async function driftCommand() {
+    const driftArgs = process.argv.slice(3);
+    const optionValue = (name) => {
+        const index = driftArgs.indexOf(name);
+        return index !== -1 ? driftArgs[index + 1] : undefined;
+    };
+
+    const since = optionValue('--since') ?? '6 months ago';
+    const minChanges = Number(optionValue('--min-changes') ?? 10);
+    if (!Number.isInteger(minChanges) || minChanges < 1) {
+        console.error(chalk.red("❌ --min-changes must be a positive whole number"));
+        console.log(chalk.gray("\nUsage: decision-tapestry drift [--since \"6 months ago\"] [--min-changes 10] [--json] [--check]"));
+        process.exitCode = 1;
+        return;
+    }
+
+    let report;
+    try {
+        report = await detectDriftForFile(path.resolve('decisions.yml'), { since, minChanges });
+    } catch (error) {
+        console.error(chalk.red(`❌ ${error.message}`));
+        process.exitCode = 1;
+        return;
+    }
+
+    const total = report.issues.length;
+    if (driftArgs.includes('--check') && total > 0) {
+        process.exitCode = 1;
+    }
+    if (driftArgs.includes('--json')) {
+        console.log(JSON.stringify(report, null, 2));
+        return;
+    }
+    if (total === 0) {
+        console.log(chalk.green("✅ decisions.yml matches the codebase"));
+        return;
+    }
+
+    const sections = [
+        ['renamed', '🔀 Renamed components'],
+        ['deleted', '🗑️  Deleted components'],
+        ['missing', '❓ Components that do not exist'],
+        ['uncovered', `📈 Often-changed files no decision covers (since ${since})`],
+        ['changed', '⏰ Completed decisions whose components changed since']
+    ];
+    for (const [type, heading] of sections) {
+        const issues = report.issues.filter(issue => issue.type === type);
+        if (issues.length === 0) continue;
+        console.log(chalk.bold(`\n${heading} (${issues.length})`));
+        for (const issue of issues) {
+            const prefix = issue.decisionId !== undefined ? chalk.gray(`#${issue.decisionId} `) : '';
+            console.log(`   ${prefix}${issue.message}`);
         }
-        
-        if (pkg.dependencies?.sequelize || pkg.dependencies?.pg) {
-            decisions.push({
-                title: "Choose PostgreSQL for data storage",
-                rationale: "Database selection for relational data model"
-            });
+    }
+
+    console.log(chalk.yellow(`\n⚠️  ${total} drift issue(s) in ${report.decisionIds.length} decision(s)`));
+    if (report.fixes) {
+        console.log(chalk.bold("\n📝 Suggested fixes for decisions.yml (review before applying):\n"));
+        console.log(report.fixes);
+    }
+}
+
+async function categorizeCommand() {
+    const categorizeArgs = process.argv.slice(3);
+    const apply = categorizeArgs.includes('--apply');
+    const decisionsPath = path.resolve('decisions.yml');
+
+    // Records without a declared category, with the category their rules infer
+    const classify = (data, config) => ['decisions', 'backlog'].flatMap(collection =>
+        (data[collection] || []).map((record, index) => ({ collection, index, id: record.id, title: record.title, ...classifyDecision(record, config) }))
+            .filter(result => result.inferred)
+    );
+
+    let results;
+    try {
+        const data = await readDecisionsFile(decisionsPath);
+        const config = await loadCategories(decisionsPath, data);
+        results = classify(data, config);
+        if (apply && results.length > 0) {
+            await updateDecisionsFile(decisionsPath, (current) => {
+                results = classify(current, config);
+                for (const { collection, index, category } of results) {
+                    current[collection][index].category = category;
+                }
+            }, { audit: { source: 'cli:categorize' } });
         }
-        
-    } catch {
-        // package.json not found or invalid, skip analysis
+    } catch (error) {
+        console.error(chalk.red(`❌ ${error.message}`));
+        process.exitCode = 1;
+        return;
+    }
+
+    if (categorizeArgs.includes('--json')) {
+        console.log(JSON.stringify(results.map(({ collection, id, category, score, reasons }) => ({ collection, id, category, score, reasons })), null, 2));
+        return;
+    }
+    if (results.length === 0) {
+        console.log(chalk.green("✅ Every decision and backlog item declares a category"));
+        return;
+    }
+
+    for (const result of results) {
+        const label = result.collection === 'backlog' ? `backlog #${result.id}` : `#${result.id}`;
+        console.log(`   ${chalk.gray(label)} ${result.title} → ${chalk.bold(result.category)}`);
+        console.log(chalk.gray(`      ${result.reasons.length > 0 ? result.reasons.join('; ') : 'no rule matched'}`));
+    }
+    if (apply) {
+        console.log(chalk.green(`\n✅ Wrote ${results.length} categor${results.length === 1 ? 'y' : 'ies'} to decisions.yml`));
+    } else {
+        console.log(chalk.yellow(`\n💡 ${results.length} record(s) have no category. Run 'decision-tapestry categorize --apply' to write these.`));
     }
-    
-    return { decisions };
 }
 
 async function captureDecision() {
@@ -347,49 +808,33 @@ async function captureDecision() {
     }
     
     try {
-        // Check if decisions.yml exists
-        let decisionsData;
-        try {
-            const rawData = await fs.readFile('decisions.yml', 'utf8');
-            decisionsData = rawData;
-        } catch {
-            console.log("⚠️  No decisions.yml found. Run 'decision-tapestry init' first.");
-            return;
-        }
-        
-        // Find the highest existing ID
-        const idMatches = decisionsData.match(/id:\s*(\d+)/g);
-        let nextId = 1;
-        if (idMatches) {
-            const ids = idMatches.map(match => parseInt(match.split(':')[1].trim()));
-            nextId = Math.max(...ids) + 1;
-        }
-        
-        const newDecision = `  - id: ${nextId}
-    title: "${title}"
-    author: "Quick Capture"
-    date: "${new Date().toISOString()}"
-    status: Proposed
-    rationale:
-      - "Captured during development workflow"
-    tradeoffs:
-      - "TODO: Add trade-offs analysis"
-    tasks:
-      - description: "Review and complete this decision"
-        status: Pending`;
-        
-        // Insert the new decision after the decisions: line
-        const updatedData = decisionsData.replace(
-            /decisions:\s*\n/,
-            `decisions:\n${newDecision}\n`
-        );
+        let nextId;
+        await updateDecisionsFile(path.resolve('decisions.yml'), (decisionsData) => {
+            const ids = decisionsData.decisions.map(d => d.id).filter(id => Number.isInteger(id));
+            nextId = ids.length > 0 ? Math.max(...ids) + 1 : 1;
+            
+            // New captures go to the top of the list
+            decisionsData.decisions.unshift({
+                id: nextId,
+                title,
+                author: "Quick Capture",
+                date: new Date().toISOString(),
+                status: "Proposed",
+                rationale: ["Captured during development workflow"],
+                tradeoffs: [],
+                tasks: [{ description: "Review and complete this decision", status: "Pending" }]
+            });
+        }, { audit: { source: 'cli:capture' } });
         
-        await fs.writeFile('decisions.yml', updatedData);
         console.log(`✅ Captured decision #${nextId}: "${title}"`);
         console.log("📝 Added to decisions.yml with 'Proposed' status");
         console.log("💡 Edit the file to add rationale, trade-offs, and mark as Accepted");
         
     } catch (error) {
+        if (error.message.includes('Could not find decisions.yml')) {
+            console.log("⚠️  No decisions.yml found. Run 'decision-tapestry init' first.");
+            return;
+        }
         console.error("❌ Error capturing decision:", error.message);
     }
 }
@@ -450,13 +895,35 @@ async function generateCursorPrompt() {
 }
 
 async function validateDecisionsFile() {
-    console.log("🔍 Validating decisions.yml against schema...\n");
+    const { layout, path: decisionsPath } = await resolveDecisionsLayout(path.resolve('decisions.yml'));
+    const directoryName = path.basename(decisionsPath);
+
+    if (layout === 'directory') {
+        console.log(`🔍 Validating ${directoryName}/ against schema...\n`);
+    } else {
+        console.log("🔍 Validating decisions.yml against schema...\n");
+    }
     
     let yamlData, schema;
+    // Record files for the directory layout, used to point errors at the right file
+    let recordFiles = null;
     try {
-        const yamlRaw = await fs.readFile('decisions.yml', 'utf8');
-        const yaml = (await import('js-yaml')).default;
-        yamlData = yaml.load(yamlRaw);
+        if (layout === 'directory') {
+            const entries = await readDecisionsDirectoryEntries(decisionsPath);
+            recordFiles = {
+                decisions: entries.decisions.map(entry => path.join(directoryName, entry.file)),
+                backlog: entries.backlog.map(entry => path.join(directoryName, entry.file))
+            };
+            yamlData = {
+                ...entries.meta,
+                decisions: entries.decisions.map(entry => entry.record),
+                backlog: entries.backlog.map(entry => entry.record)
+            };
+        } else {
+            const yamlRaw = await fs.readFile('decisions.yml', 'utf8');
+            const yaml = (await import('js-yaml')).default;
+            yamlData = yaml.load(yamlRaw);
+        }
     } catch (err) {
         if (err.code === 'ENOENT') {
             console.error("❌ decisions.yml not found in current directory.");
@@ -464,7 +931,7 @@ async function validateDecisionsFile() {
             return;
         }
         console.error("❌ Could not parse decisions.yml:", err.message);
-        if (err.name === 'YAMLException') {
+        if (err.name === 'YAMLException' || err.message.includes('Invalid YAML syntax')) {
             console.log("💡 Check your YAML syntax. Common issues:");
             console.log("   - Incorrect indentation (use spaces, not tabs)");
             console.log("   - Missing quotes around strings with special characters");
@@ -502,18 +969,38 @@ async function validateDecisionsFile() {
     }
     
     try {
-        const schemaPath = path.resolve(path.dirname(import.meta.url.slice(7)), '../decisions.schema.json');
-        const schemaRaw = await fs.readFile(schemaPath, 'utf8');
-        schema = JSON.parse(schemaRaw);
+        schema = await loadDecisionsSchema();
     } catch (err) {
         console.error("❌ Could not load schema file:", err.message);
         console.log("💡 This might be a package installation issue.");
         return;
     }
     
-    const ajv = new Ajv({ allErrors: true, strict: false });
-    const validate = ajv.compile(schema);
-    const valid = validate(yamlData);
+    const { valid: schemaValid, errors: schemaErrors } = createSchemaValidator(schema).validateDocument(yamlData);
+    const lifecycleErrors = validateLifecycle(yamlData);
+    let charterErrors = [];
+    let charterWarnings = [];
+    try {
+        const charter = await loadCharter(path.resolve('decisions.yml'), yamlData);
+        ({ errors: charterErrors, warnings: charterWarnings } = validateCharterStates(charter, yamlData));
+    } catch (err) {
+        if (err.code !== 'ECHARTER') throw err;
+        charterErrors = [{ path: '/charter', message: err.message }];
+    }
+    let categoryErrors = [];
+    try {
+        categoryErrors = validateCategories(await loadCategories(path.resolve('decisions.yml'), yamlData), yamlData);
+    } catch (err) {
+        if (err.code !== 'ECATEGORIES') throw err;
+        categoryErrors = [{ path: '/categories', message: err.message }];
+    }
+    const dependencyErrors = validateDependencies(yamlData);
+    const valid = schemaValid && lifecycleErrors.length === 0 && charterErrors.length === 0 && categoryErrors.length === 0 &&
+        dependencyErrors.length === 0;
+    
+    for (const warning of charterWarnings) {
+        console.log(chalk.yellow(`⚠️  ${warning}`));
+    }
     
     if (valid) {
         console.log("✅ decisions.yml is valid!");
@@ -526,7 +1013,7 @@ async function validateDecisionsFile() {
         
         // Group errors by type for better readability
         const errorsByType = {};
-        for (const error of validate.errors) {
+        for (const error of schemaErrors) {
             const errorType = error.keyword;
             if (!errorsByType[errorType]) {
                 errorsByType[errorType] = [];
@@ -538,7 +1025,7 @@ async function validateDecisionsFile() {
         if (errorsByType.required) {
             console.log("📝 Missing required fields:");
             for (const error of errorsByType.required) {
-                const itemPath = error.instancePath || "root";
+                const itemPath = describeInstancePath(error.instancePath, recordFiles);
                 console.log(`   ${itemPath}: missing '${error.params.missingProperty}'`);
             }
             console.log("   💡 Required fields: id, title, status\n");
@@ -548,18 +1035,50 @@ async function validateDecisionsFile() {
         if (errorsByType.enum) {
             console.log("🏷️  Invalid status values:");
             for (const error of errorsByType.enum) {
-                console.log(`   ${error.instancePath}: '${error.data}' is not valid`);
+                console.log(`   ${describeInstancePath(error.instancePath, recordFiles)}: '${error.data}' is not valid`);
                 console.log(`      Allowed values: ${error.params.allowedValues.join(', ')}`);
             }
             console.log();
         }
         
         // Show other errors
-        const otherErrors = validate.errors.filter(e => !['required', 'enum'].includes(e.keyword));
+        const otherErrors = schemaErrors.filter(e => !['required', 'enum'].includes(e.keyword));
         if (otherErrors.length > 0) {
             console.log("🔧 Other validation errors:");
             for (const error of otherErrors) {
-                console.log(`   ${error.instancePath || 'root'}: ${error.message}`);
+                console.log(`   ${describeInstancePath(error.instancePath, recordFiles)}: ${error.message}`);
+            }
+            console.log();
+        }
+        
+        if (lifecycleErrors.length > 0) {
+            console.log("🔁 Status lifecycle errors:");
+            for (const error of lifecycleErrors) {
+                console.log(`   ${describeInstancePath(error.path, recordFiles)}: ${error.message}`);
+            }
+            console.log();
+        }
+        
+        if (charterErrors.length > 0) {
+            console.log("🧭 Charter errors:");
+            for (const error of charterErrors) {
+                console.log(`   ${describeInstancePath(error.path, recordFiles)}: ${error.message}`);
+            }
+            console.log();
+        }
+        
+        if (categoryErrors.length > 0) {
+            console.log("🗂️  Category errors:");
+            for (const error of categoryErrors) {
+                console.log(`   ${describeInstancePath(error.path, recordFiles)}: ${error.message}`);
+            }
+            console.log();
+        }
+        
+        if (dependencyErrors.length > 0) {
+            console.log("🔗 Dependency errors:");
+            for (const error of dependencyErrors) {
+                console.log(`   ${describeInstancePath(error.path, recordFiles)}: ${error.message}`);
             }
             console.log();
         }
@@ -570,6 +1089,201 @@ async function validateDecisionsFile() {
     }
 }
 
+/**
+ * Turns an Ajv instance path into something readable. For the directory
+ * layout, "/decisions/3/status" becomes "decisions/0004-some-title.yml /status".
+ */
+function describeInstancePath(instancePath, recordFiles) {
+    if (!instancePath) return 'root';
+    if (!recordFiles) return instancePath;
+
+    const match = instancePath.match(/^\/(decisions|backlog)\/(\d+)(.*)$/);
+    const file = match && recordFiles[match[1]][Number(match[2])];
+    if (!file) return instancePath;
+
+    return match[3] ? `${file} ${match[3]}` : file;
+}
+
+async function migrateLayout() {
+    const migrateArgs = process.argv.slice(3);
+    const toIndex = migrateArgs.indexOf('--to');
+    const requested = toIndex !== -1 ? migrateArgs[toIndex + 1] : null;
+
+    if (requested && !['file', 'directory'].includes(requested)) {
+        console.error(chalk.red(`❌ Unknown layout: ${requested}`));
+        console.log(chalk.gray("\nUsage: decision-tapestry migrate-layout [--to file|directory]"));
+        console.log(chalk.gray("  directory  One file per decision in decisions/, backlog items in decisions/backlog/"));
+        console.log(chalk.gray("  file       A single decisions.yml"));
+        return;
+    }
+
+    const filePath = path.resolve('decisions.yml');
+    const directoryPath = getDecisionsDirectoryPath(filePath);
+    const current = await resolveDecisionsLayout(filePath);
+    const target = requested || (current.layout === 'file' ? 'directory' : 'file');
+
+    if (target === current.layout) {
+        console.log(chalk.yellow(`⚠️  Already using the ${target} layout - nothing to migrate.`));
+        return;
+    }
+
+    if (target === 'directory') {
+        const existing = await listDecisionsDirectoryConflicts(directoryPath);
+        if (existing.length > 0) {
+            console.error(chalk.red(`❌ ${path.basename(directoryPath)}/ already exists and is not empty - refusing to migrate into it`));
+            console.log(chalk.gray(`   Found: ${existing.slice(0, 5).join(', ')}${existing.length > 5 ? `, and ${existing.length - 5} more` : ''}`));
+            console.log(chalk.gray("   Move them elsewhere, then run the migration again."));
+            process.exitCode = 1;
+            return;
+        }
+    }
+
+    let data;
+    try {
+        data = await readDecisionsFile(current.path, { layout: current.layout });
+    } catch (error) {
+        console.error(chalk.red(`❌ ${error.message}`));
+        return;
+    }
+
+    try {
+        if (target === 'directory') {
+            await writeDecisionsFile(filePath, data, { layout: 'directory' });
+            await fs.unlink(filePath);
+            console.log(chalk.green(`✅ Split decisions.yml into ${path.basename(directoryPath)}/`));
+            console.log(chalk.gray(`   ${data.decisions.length} decision file(s), ${data.backlog.length} backlog file(s) in ${path.basename(directoryPath)}/backlog/`));
+            console.log(chalk.gray("   Comments from decisions.yml are not carried over."));
+        } else {
+            await writeDecisionsFile(filePath, data, { layout: 'file' });
+            const leftovers = await removeDecisionsDirectory(directoryPath);
+            leftovers.forEach(dir => {
+                console.log(chalk.yellow(`⚠️  Left ${path.relative(process.cwd(), dir)}/ in place - it contains other files`));
+            });
+            console.log(chalk.green(`✅ Merged ${path.basename(directoryPath)}/ into decisions.yml`));
+            console.log(chalk.gray(`   ${data.decisions.length} decision(s), ${data.backlog.length} backlog item(s)`));
+        }
+        console.log(chalk.gray("💡 Run 'decision-tapestry validate' to check the result"));
+    } catch (error) {
+        console.error(chalk.red(`❌ Migration failed: ${error.message}`));
+        process.exitCode = 1;
+    }
+}
+
+async function exportCommand() {
+    const exportArgs = process.argv.slice(3);
+    const optionValue = (name) => {
+        const index = exportArgs.indexOf(name);
+        return index !== -1 ? exportArgs[index + 1] : undefined;
+    };
+    const format = optionValue('--format') || 'madr';
+
+    if (exportArgs[0] === 'site') {
+        await exportSiteCommand(path.resolve(optionValue('--out') || 'dist'), exportArgs.includes('--include-private'));
+        return;
+    }
+
+    const outDir = path.resolve(optionValue('--out') || 'docs/adr');
+    if (exportArgs[0] !== 'adr' || !ADR_FORMATS.includes(format)) {
+        console.error(chalk.red(exportArgs[0] === 'adr' ? `❌ Unknown ADR format: ${format}` : "❌ Please say what to export"));
+        console.log(chalk.gray("\nUsage: decision-tapestry export adr [--format madr|nygard] [--out docs/adr]"));
+        console.log(chalk.gray("       decision-tapestry export site [--out dist] [--include-private]"));
+        process.exitCode = 1;
+        return;
+    }
+
+    try {
+        const data = await readDecisionsFile(path.resolve('decisions.yml'));
+        const written = await exportAdrs(data, outDir, { format });
+        console.log(chalk.green(`✅ Wrote ${written.length} ${format === 'madr' ? 'MADR' : 'Nygard'} ADR(s) to ${path.relative(process.cwd(), outDir) || '.'}/`));
+        console.log(chalk.gray("💡 Run 'decision-tapestry import adr' to read edited ADRs back"));
+    } catch (error) {
+        console.error(chalk.red(`❌ Export failed: ${error.message}`));
+        process.exitCode = 1;
+    }
+}
+
+async function exportSiteCommand(outDir, includePrivate) {
+    try {
+        const result = await exportSite({ outDir, decisionsPath: path.resolve('decisions.yml'), includePrivate });
+        const relativeOut = path.relative(process.cwd(), outDir) || '.';
+        console.log(chalk.green(`✅ Published ${result.decisions} decision(s), ${result.backlog} backlog item(s) and ${result.visuals} canvas visual(s) to ${relativeOut}/`));
+        console.log(chalk.gray(`💡 Serve ${relativeOut}/ from any static host; the dashboard opens read-only`));
+    } catch (error) {
+        console.error(chalk.red(`❌ Site export failed: ${error.message}`));
+        process.exitCode = 1;
+    }
+}
+
+async function importCommand() {
+    const importArgs = process.argv.slice(3);
+    const dryRun = importArgs.includes('--dry-run');
+    const [kind, directoryArg] = importArgs.filter(arg => !arg.startsWith('--'));
+
+    if (kind !== 'adr') {
+        console.error(chalk.red("❌ Please say what to import"));
+        console.log(chalk.gray("\nUsage: decision-tapestry import adr [<directory>] [--dry-run]"));
+        process.exitCode = 1;
+        return;
+    }
+
+    const directory = path.resolve(directoryArg || 'docs/adr');
+    const decisionsPath = path.resolve('decisions.yml');
+    let parsed;
+    try {
+        parsed = await importAdrs(directory);
+    } catch (error) {
+        console.error(chalk.red(`❌ Could not read ADRs: ${error.message}`));
+        process.exitCode = 1;
+        return;
+    }
+    parsed.warnings.forEach(warning => console.log(chalk.yellow(`⚠️  ${warning}`)));
+
+    const validator = await getSchemaValidator();
+    const valid = parsed.records.filter(record => {
+        const { errors } = validator.validateRecord('decisions', record);
+        formatSchemaErrors(errors).forEach(error => {
+            console.log(chalk.red(`❌ ADR ${record.id} (${record.title}): ${error.path} ${error.message}`));
+        });
+        return errors.length === 0;
+    });
+    if (valid.length < parsed.records.length) {
+        process.exitCode = 1;
+    }
+
+    let imported = [];
+    let existing = [];
+    try {
+        const importRecords = (data) => {
+            const ids = new Set(data.decisions.map(decision => decision.id));
+            existing = valid.filter(record => ids.has(record.id));
+            imported = valid.filter(record => !ids.has(record.id));
+            data.decisions.push(...imported);
+        };
+        if (dryRun) {
+            importRecords(await readDecisionsFile(decisionsPath));
+        } else {
+            await updateDecisionsFile(decisionsPath, importRecords, { audit: { source: 'cli:import-adr' } });
+        }
+    } catch (error) {
+        console.error(chalk.red(`❌ Import failed: ${error.message}`));
+        process.exitCode = 1;
+        return;
+    }
+
+    imported.forEach(record => {
+        console.log(`   ${record.id}. ${record.title} ${chalk.gray(`(${record.status})`)}`);
+    });
+    existing.forEach(record => {
+        console.log(chalk.gray(`   ${record.id}. ${record.title} - already in decisions.yml, skipped`));
+    });
+    if (dryRun) {
+        console.log(chalk.gray(`\n🧪 Dry run - ${imported.length} ADR(s) would be added.`));
+        return;
+    }
+    console.log(chalk.green(`\n✅ Imported ${imported.length} ADR(s) from ${path.relative(process.cwd(), directory) || '.'}/`));
+    console.log(chalk.gray("💡 Run 'decision-tapestry validate' to check the links between them"));
+}
+
 async function manageActivity() {
     const activityArgs = process.argv.slice(3);
     const subcommand = activityArgs[0] || 'help';
@@ -687,6 +1401,10 @@ async function manageAgent() {
             await coordinateAgents();
             break;
             
+        case 'review':
+            await reviewAgentWork();
+            break;
+            
         case 'launch':
             await launchAgents();
             break;
@@ -728,11 +1446,14 @@ async function quickTaskCommand() {
         console.log(chalk.gray("  -c, --category <category>  Decision category (default: 'Ad-hoc')"));
         console.log(chalk.gray("  -p, --priority <priority>  high|medium|low (default: 'medium')"));
         console.log(chalk.gray("  -r, --related <ids...>     Related decision IDs"));
+        console.log(chalk.gray("  --command <command>        Shell command the agent runs for the task"));
+        console.log(chalk.gray("  --verify <command>         Command that checks the result (with --command)"));
         console.log(chalk.gray("  --no-agent                 Create decision without starting agent"));
         console.log(chalk.gray("\nExamples:"));
         console.log(chalk.gray('  decision-tapestry qt "Fix login button styling"'));
         console.log(chalk.gray('  decision-tapestry qt "Refactor auth" -f src/auth/*.js'));
         console.log(chalk.gray('  decision-tapestry qt "Add profile page" -t "Create component" "Add route"'));
+        console.log(chalk.gray('  decision-tapestry qt "Regenerate API client" --command "npm run generate" --verify "npm test"'));
         return;
     }
     
@@ -810,6 +1531,14 @@ async function quickTaskCommand() {
                     i--;
                     break;
                     
+                case '--command':
+                case '--verify':
+                    i++;
+                    if (i < args.length) {
+                        options[args[i - 1].slice(2)] = args[i];
+                    }
+                    break;
+                    
                 case '--no-agent':
                     options.agent = false;
                     break;
@@ -839,25 +1568,27 @@ async function quickTaskCommand() {
         if (options.agent) {
             console.log(chalk.blue('\n🤖 Starting agent...'));
             
-            const agent = new DecisionTapestryAgent(`Agent-${decision.id}`, decision.id);
-            
             try {
-                await agent.initialize();
-                console.log(chalk.green('✅ Agent initialized successfully'));
-                
-                // Start the agent work
-                const report = await agent.start();
-                
-                console.log(chalk.green('\n✅ Agent completed work successfully!'));
-                console.log(chalk.gray(`\n📊 Completion Report:`));
-                console.log(chalk.gray(`   Duration: ${report.duration}`));
-                console.log(chalk.gray(`   Tasks Completed: ${report.completedTasks.length}/${report.totalTasks}`));
+                const { report, dryRun } = await quickDecisionBuilder.startAgent(decision);
                 
-                if (report.errors.length > 0) {
-                    console.log(chalk.yellow(`\n⚠️  Errors encountered:`));
-                    report.errors.forEach(error => {
-                        console.log(chalk.yellow(`   - ${error}`));
-                    });
+                if (dryRun) {
+                    // Tasks without an executor can only be planned
+                    console.log(chalk.yellow(`\n📋 Planned ${report.plans.length} task(s) without running them: not every task has an executor`));
+                    report.plans.forEach(plan => console.log(chalk.gray(`   - ${plan.task} (${plan.executor})`)));
+                    console.log(chalk.yellow('💡 Run the task with --command "<command>", or add an executor to each task in decisions.yml and run:'));
+                    console.log(chalk.gray(`   decision-tapestry agent start ${decision.id}`));
+                } else {
+                    console.log(chalk.green('\n✅ Agent completed work successfully!'));
+                    console.log(chalk.gray(`\n📊 Completion Report:`));
+                    console.log(chalk.gray(`   Duration: ${report.duration}`));
+                    console.log(chalk.gray(`   Tasks Completed: ${report.completedTasks}/${report.totalTasks}`));
+                    
+                    if (report.errors.length > 0) {
+                        console.log(chalk.yellow(`\n⚠️  Errors encountered:`));
+                        report.errors.forEach(error => {
+                            console.log(chalk.yellow(`   - ${error}`));
+                        });
+                    }
                 }
             } catch (error) {
                 console.error(chalk.red(`\n❌ Agent failed: ${error.message}`));
@@ -527,7 +527,7 @@ export class ContextAggregator {
         };
         
         // Determine priority based on status and dependencies
-        if (staticLayer.decision.status === 'In Progress') {
+        if (staticLayer.decision.status === 'Accepted') {
             hints.priority = 'high';
         } else if (staticLayer.relatedDecisions.some(d => d.status === 'Blocked')) {
             hints.priority = 'low';
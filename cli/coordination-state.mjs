@@ -0,0 +1,95 @@
+/**
+ * Coordination Checkpoints
+ * `agent coordinate` saves its progress to .coordinator-state.json after every
+ * task and every finished decision: the dependency graph, the completed and
+ * failed decisions, and which tasks of each decision are done. With
+ * `agent coordinate --resume` the coordinator reads it back and continues the
+ * unfinished decisions. Each checkpoint also records a revision of every
+ * decision in the run, so edits made to decisions.yml in between are noticed.
+ */
+
+import { promises as fs } from 'fs';
+import { getRecordRevision } from '../shared/decisions-merge.js';
+
+export const COORDINATOR_STATE_FILE = '.coordinator-state.json';
+
+const STATE_VERSION = 1;
+
+/**
+ * Read a checkpoint.
+ * @param {string} statePath
+ * @returns {Promise<Object|null>} The checkpoint, or null when there is none
+ */
+export async function readCoordinationState(statePath) {
+    let content;
+    try {
+        content = await fs.readFile(statePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+
+    let state;
+    try {
+        state = JSON.parse(content);
+    } catch (error) {
+        throw new Error(`${statePath} is not valid JSON: ${error.message}`);
+    }
+    if (state?.version !== STATE_VERSION || !Array.isArray(state.decisionIds)) {
+        // Written by an older version that only saved state on shutdown
+        throw new Error(`${statePath} is not a checkpoint this version can resume; start a new run instead`);
+    }
+    return state;
+}
+
+/**
+ * Write a checkpoint. The file is replaced in one step, so a crash while
+ * writing leaves the previous checkpoint in place.
+ * @param {string} statePath
+ * @param {Object} state
+ */
+export async function writeCoordinationState(statePath, state) {
+    const tempPath = `${statePath}.${process.pid}.tmp`;
+    const content = JSON.stringify({ version: STATE_VERSION, savedAt: new Date().toISOString(), ...state }, null, 2);
+    await fs.writeFile(tempPath, `${content}\n`);
+    await fs.rename(tempPath, statePath);
+}
+
+/**
+ * Revisions of the given decisions, keyed by id.
+ * @param {Object[]} decisions - Decisions from decisions.yml
+ * @param {Array<number|string>} decisionIds
+ * @returns {Object<string, string>}
+ */
+export function getDecisionRevisions(decisions, decisionIds) {
+    const revisions = {};
+    for (const id of decisionIds) {
+        const decision = decisions.find(d => d.id === id);
+        if (decision) revisions[id] = getRecordRevision(decision);
+    }
+    return revisions;
+}
+
+/**
+ * Unfinished decisions of a checkpoint that were removed from or changed in
+ * decisions.yml since it was written. Completed decisions are not checked.
+ * @param {Object} state - Checkpoint
+ * @param {Object[]} decisions - Current decisions
+ * @returns {{missing: Array<number|string>, changed: Array<number|string>}}
+ */
+export function compareWithCheckpoint(state, decisions) {
+    const completed = new Set(state.completedDecisions || []);
+    const current = getDecisionRevisions(decisions, state.decisionIds);
+    const missing = [];
+    const changed = [];
+
+    for (const id of state.decisionIds) {
+        if (completed.has(id)) continue;
+        if (!current[id]) {
+            missing.push(id);
+        } else if (current[id] !== state.revisions?.[id]) {
+            changed.push(id);
+        }
+    }
+    return { missing, changed };
+}
@@ -3,11 +3,12 @@
  * Creates streamlined decisions for immediate agent execution
  */
 
-import { promises as fs } from 'fs';
 import path from 'path';
-import yaml from 'js-yaml';
 import { exec } from 'child_process';
 import { promisify } from 'util';
+import { readDecisionsFile, updateDecisionsFile } from '../shared/yaml-utils.js';
+import { DecisionTapestryAgent } from './agent-framework.mjs';
+import { findTasksWithoutExecutor } from './agent-executors.mjs';
 
 const execAsync = promisify(exec);
 
@@ -17,7 +18,8 @@ export class QuickDecisionBuilder {
   }
 
   /**
-   * Create a quick decision from a task description
+   * Create a quick decision from a task description. Its id is the next free
+   * one for now; addDecisionToFile assigns the final id.
    */
   async createQuickDecision(description, options = {}) {
     // Load existing decisions to get next ID
@@ -33,7 +35,7 @@ export class QuickDecisionBuilder {
       title: this.formatTitle(description),
       author: author,
       date: new Date().toISOString(),
-      status: "In Progress",
+      status: "Accepted",
       rationale: [
         `Quick task: ${description}`,
         "Created via quick-task command for immediate execution"
@@ -42,7 +44,11 @@ export class QuickDecisionBuilder {
         "Less planning upfront may require refactoring later",
         "Quick execution prioritized over comprehensive design"
       ],
-      tasks: this.generateTasks(description, options.tasks),
+      tasks: this.generateTasks(description, options.tasks, options.command && {
+        type: 'shell',
+        command: options.command,
+        ...(options.verify ? { verify: options.verify } : {})
+      }),
       affected_components: options.files || [],
       category: options.category || "Ad-hoc",
       quick_task: true,
@@ -62,8 +68,7 @@ export class QuickDecisionBuilder {
    */
   async loadDecisions() {
     try {
-      const content = await fs.readFile(this.decisionsPath, 'utf8');
-      return yaml.load(content);
+      return await readDecisionsFile(this.decisionsPath);
     } catch (error) {
       console.error('Error loading decisions:', error);
       return { decisions: [], backlog: [] };
@@ -74,10 +79,8 @@ export class QuickDecisionBuilder {
    * Get the next available decision ID
    */
   getNextDecisionId(decisions) {
-    if (!decisions || decisions.length === 0) return 1;
-    
-    const maxId = Math.max(...decisions.map(d => d.id || 0));
-    return maxId + 1;
+    const ids = (decisions || []).map(d => d.id).filter(id => Number.isInteger(id));
+    return ids.length > 0 ? Math.max(...ids) + 1 : 1;
   }
   
   /**
@@ -109,15 +112,18 @@ export class QuickDecisionBuilder {
   }
   
   /**
-   * Generate tasks from description and additional tasks
+   * Generate tasks from description and additional tasks. The main task runs
+   * with `executor` if one is given, e.g. from --command; the default
+   * follow-up tasks are left out then, since no executor could run them.
    */
-  generateTasks(description, additionalTasks = []) {
+  generateTasks(description, additionalTasks = [], executor = null) {
     const tasks = [];
     
     // Always include the main task
     tasks.push({
       description: description,
-      status: "Pending"
+      status: "Pending",
+      ...(executor ? { executor } : {})
     });
     
     // Add any additional tasks provided
@@ -128,7 +134,7 @@ export class QuickDecisionBuilder {
           status: "Pending"
         });
       });
-    } else {
+    } else if (!executor) {
       // Add default completion tasks if none specified
       tasks.push({
         description: "Test implementation",
@@ -144,40 +150,63 @@ export class QuickDecisionBuilder {
   }
   
   /**
-   * Add decision to decisions.yml
+   * Add decision to decisions.yml, under the next id free while the file is
+   * locked, since another writer may have taken the one it was created with
    */
   async addDecisionToFile(decision) {
-    const decisionsData = await this.loadDecisions();
-    
-    // Add the new decision
-    decisionsData.decisions.push(decision);
-    
-    // Save back to file
-    const yamlContent = yaml.dump(decisionsData, {
-      lineWidth: -1,
-      noRefs: true,
-      sortKeys: false
-    });
-    
-    await fs.writeFile(this.decisionsPath, yamlContent, 'utf8');
+    // Append the new decision, leaving the rest of the file untouched
+    await updateDecisionsFile(this.decisionsPath, (decisionsData) => {
+      decisionsData.decisions ||= [];
+      decision.id = this.getNextDecisionId(decisionsData.decisions);
+      decisionsData.decisions.push(decision);
+    }, { audit: { source: 'cli:quick-task' } });
     
     return decision;
   }
   
+  /**
+   * The agent that works on a quick decision
+   */
+  createAgent(decision) {
+    return new DecisionTapestryAgent(`Agent-${decision.id}`, decision.id);
+  }
+  
+  /**
+   * Start an agent on a quick decision. Agents refuse tasks without an
+   * executor, so while the decision has any, the agent only plans them.
+   * Resolves to the agent's report and whether it was a dry run.
+   */
+  async startAgent(decision) {
+    const agent = this.createAgent(decision);
+    agent.dryRun = findTasksWithoutExecutor(decision).length > 0;
+    await agent.initialize();
+    return { report: await agent.start(), dryRun: agent.dryRun };
+  }
+  
   /**
    * Convert quick task to full decision
    * (for future enhancement)
    */
   async enhanceQuickDecision(decisionId, enhancements) {
-    const decisionsData = await this.loadDecisions();
-    const decisionIndex = decisionsData.decisions.findIndex(d => d.id === decisionId);
-    
-    if (decisionIndex === -1) {
-      throw new Error(`Decision #${decisionId} not found`);
-    }
-    
-    const decision = decisionsData.decisions[decisionIndex];
+    let decision;
+    
+    await updateDecisionsFile(this.decisionsPath, (decisionsData) => {
+      decision = decisionsData.decisions.find(d => d.id === decisionId);
+      
+      if (!decision) {
+        throw new Error(`Decision #${decisionId} not found`);
+      }
+      
+      this.applyEnhancements(decision, enhancements);
+    }, { audit: { source: 'cli:quick-task' } });
     
+    return decision;
+  }
+  
+  /**
+   * Apply enhancements to a quick decision, turning it into a full decision
+   */
+  applyEnhancements(decision, enhancements) {
     // Remove quick_task flag
     delete decision.quick_task;
     
@@ -194,17 +223,6 @@ export class QuickDecisionBuilder {
     if (enhancements.github_metadata) {
       decision.github_metadata = enhancements.github_metadata;
     }
-    
-    // Save updated decision
-    const yamlContent = yaml.dump(decisionsData, {
-      lineWidth: -1,
-      noRefs: true,
-      sortKeys: false
-    });
-    
-    await fs.writeFile(this.decisionsPath, yamlContent, 'utf8');
-    
-    return decision;
   }
 }
 
@@ -6,6 +6,7 @@
  * - GITHUB_TOKEN: Personal access token for GitHub API authentication
  * - GITHUB_API_URL: Custom GitHub API URL (defaults to api.github.com)
  * - GITHUB_RATE_LIMIT_BUFFER: Buffer for rate limit (defaults to 100)
+ * - GITHUB_WEBHOOK_SECRET: Secret used to verify webhook deliveries
  */
 
 export const githubConfig = {
@@ -15,6 +16,9 @@ export const githubConfig = {
   // API configuration
   apiUrl: process.env.GITHUB_API_URL || 'https://api.github.com',
   
+  // Shared secret for verifying POST /api/github/webhook deliveries
+  webhookSecret: process.env.GITHUB_WEBHOOK_SECRET || '',
+  
   // Repository information
   repository: {
     owner: 'govbarnesy',
@@ -1,5 +1,10 @@
 import { LitElement, css, html } from "https://esm.sh/lit@3";
 import "./author-filter.mjs";
+import {
+  DEFAULT_CATEGORIES,
+  classifyDecision,
+  normalizeCategories,
+} from "../shared/categories.js";
 import {
   extractUniqueAuthors,
   getAuthorKey,
@@ -269,11 +274,13 @@ class AdvancedFilter extends LitElement {
   static properties = {
     decisions: { type: Array },
     filters: { type: Object },
+    categories: { type: Object }, // Category configuration from /api/data
   };
 
   constructor() {
     super();
     this.decisions = [];
+    this.categories = normalizeCategories(DEFAULT_CATEGORIES, "default");
     this.filters = this._getDefaultFilters();
   }
 
@@ -540,10 +547,10 @@ class AdvancedFilter extends LitElement {
   }
 
   _getUniqueCategories() {
-    // Use inferred categories since the category field is not populated in decisions
+    // Declared categories, or inferred ones for decisions that declare none
     const categories = new Set();
     this.decisions.forEach((decision) => {
-      const category = this._inferCategory(decision);
+      const { category } = classifyDecision(decision, this.categories);
       if (category) {
         categories.add(category);
       }
@@ -551,75 +558,6 @@ class AdvancedFilter extends LitElement {
     return Array.from(categories).sort();
   }
 
-  _inferCategory(decision) {
-    const title = decision.title || "";
-    const lowerTitle = title.toLowerCase();
-
-    if (
-      lowerTitle.includes("cli") ||
-      lowerTitle.includes("automation") ||
-      lowerTitle.includes("docker") ||
-      lowerTitle.includes("release")
-    ) {
-      return "Developer Experience";
-    } else if (
-      lowerTitle.includes("websocket") ||
-      lowerTitle.includes("server") ||
-      lowerTitle.includes("infrastructure") ||
-      lowerTitle.includes("api") ||
-      lowerTitle.includes("redis") ||
-      lowerTitle.includes("session")
-    ) {
-      return "Infrastructure";
-    } else if (
-      lowerTitle.includes("dashboard") ||
-      lowerTitle.includes("ui") ||
-      lowerTitle.includes("theme") ||
-      lowerTitle.includes("visual") ||
-      lowerTitle.includes("layout") ||
-      lowerTitle.includes("panel")
-    ) {
-      return "UI/UX";
-    } else if (
-      lowerTitle.includes("architecture") ||
-      lowerTitle.includes("component") ||
-      lowerTitle.includes("structure") ||
-      lowerTitle.includes("design")
-    ) {
-      return "Architecture";
-    } else if (
-      lowerTitle.includes("process") ||
-      lowerTitle.includes("workflow") ||
-      lowerTitle.includes("coordination") ||
-      lowerTitle.includes("collaboration") ||
-      lowerTitle.includes("debugging")
-    ) {
-      return "Process";
-    } else if (
-      lowerTitle.includes("test") ||
-      lowerTitle.includes("quality") ||
-      lowerTitle.includes("lint") ||
-      lowerTitle.includes("error")
-    ) {
-      return "Quality";
-    } else if (
-      lowerTitle.includes("integration") ||
-      lowerTitle.includes("vscode") ||
-      lowerTitle.includes("extension") ||
-      lowerTitle.includes("prompt")
-    ) {
-      return "Integration";
-    } else if (
-      lowerTitle.includes("memory") ||
-      lowerTitle.includes("knowledge") ||
-      lowerTitle.includes("decision") ||
-      lowerTitle.includes("tapestry")
-    ) {
-      return "Knowledge Management";
-    }
-    return "Other";
-  }
-
   _getMaxDaysFromOldestDecision() {
     if (this.decisions.length === 0) return 365; // Default fallback
 
@@ -738,10 +676,10 @@ class AdvancedFilter extends LitElement {
         }
       }
 
-      // Category filter - use inferred category
+      // Category filter - declared or inferred category
       if (this.filters.categories.length > 0) {
-        const inferredCategory = this._inferCategory(decision);
-        if (!this.filters.categories.includes(inferredCategory)) {
+        const { category } = classifyDecision(decision, this.categories);
+        if (!this.filters.categories.includes(category)) {
           return false;
         }
       }
@@ -829,6 +767,40 @@ class AdvancedFilter extends LitElement {
     return count;
   }
 
+  /**
+   * The active filters, for saved views and links. Authors are given by key,
+   * since GitHub authors are objects.
+   * @returns {Object} The `filters` part of a view state (utils/view-state.mjs)
+   */
+  getViewState() {
+    const { statuses, authors, categories } = this.filters;
+    return {
+      ...this.filters,
+      statuses: [...statuses],
+      authors: authors.map(getAuthorKey),
+      categories: [...categories],
+    };
+  }
+
+  /**
+   * Restore what getViewState returned and filter with it. Authors who no
+   * longer appear in any decision are dropped.
+   * @param {Object} state - The `filters` part of a view state
+   */
+  applyViewState(state) {
+    const authors = extractUniqueAuthors(this.decisions);
+    this.filters = {
+      ...this._getDefaultFilters(),
+      ...state,
+      statuses: [...state.statuses],
+      categories: [...state.categories],
+      authors: state.authors
+        .map((key) => authors.find((author) => getAuthorKey(author) === key))
+        .filter(Boolean),
+    };
+    this._emitFilterChange();
+  }
+
   _emitFilterChange() {
     const filteredDecisions = this._getFilteredDecisions();
     this.dispatchEvent(
@@ -455,6 +455,87 @@ class AgentStatusPanel extends LitElement {
       color: var(--text-main);
       border-left: 3px solid var(--warning, #ff9800);
     }
+
+    /* Agent work waiting for review */
+    .sandbox-review {
+      margin-bottom: 1rem;
+      background: var(--panel-bg);
+      border: 1px solid var(--border);
+      border-radius: 4px;
+      padding: 1rem;
+    }
+
+    .sandbox-header {
+      font-weight: bold;
+      margin-bottom: 0.5rem;
+      color: var(--text-main);
+      display: flex;
+      align-items: center;
+      gap: 0.5rem;
+    }
+
+    .sandbox-item {
+      display: flex;
+      align-items: center;
+      gap: 0.5rem;
+      width: 100%;
+      padding: 0.3rem 0;
+      border: none;
+      background: none;
+      color: var(--text-main);
+      font: inherit;
+      font-size: 0.8rem;
+      text-align: left;
+      cursor: pointer;
+    }
+
+    .sandbox-branch {
+      font-family: monospace;
+      opacity: 0.8;
+    }
+
+    .sandbox-stats {
+      margin-left: auto;
+      white-space: nowrap;
+    }
+
+    .sandbox-conflict {
+      margin: 0.3rem 0;
+      padding: 0.3rem 0.5rem;
+      font-size: 0.8rem;
+      background: #fff3e0;
+      color: #f57c00;
+      border-left: 3px solid #ff9800;
+      border-radius: 4px;
+    }
+
+    .sandbox-diff {
+      margin: 0.3rem 0 0.8rem;
+      max-height: 400px;
+      overflow: auto;
+      padding: 0.5rem;
+      font-size: 0.75rem;
+      line-height: 1.4;
+      background: var(--bg-secondary, #f8f9fa);
+      border-radius: 4px;
+    }
+
+    .sandbox-diff .added {
+      color: #2e7d32;
+    }
+
+    .sandbox-diff .removed {
+      color: #c62828;
+    }
+
+    .sandbox-diff .hunk {
+      color: #7b1fa2;
+    }
+
+    .sandbox-hint {
+      font-size: 0.7rem;
+      opacity: 0.8;
+    }
   `;
 
   static properties = {
@@ -463,6 +544,9 @@ class AgentStatusPanel extends LitElement {
     dependencies: { type: Array },
     communications: { type: Array },
     coordinationStats: { type: Object },
+    sandboxes: { type: Array }, // Agent work waiting for review, from /api/agent-sandboxes
+    sandboxConflicts: { type: Array },
+    openSandbox: { type: Number }, // Decision whose diff is shown
   };
 
   constructor() {
@@ -477,10 +561,55 @@ class AgentStatusPanel extends LitElement {
       pendingTasks: 0,
       blockedTasks: 0
     };
+    this.sandboxes = [];
+    this.sandboxConflicts = [];
+    this.openSandbox = null;
+    this.sandboxDiffs = new Map(); // decision id -> diff
     this.webSocket = null;
     this.setupWebSocket();
   }
 
+  connectedCallback() {
+    super.connectedCallback();
+    this.loadSandboxes();
+  }
+
+  /**
+   * Load the agent work waiting for review
+   */
+  async loadSandboxes() {
+    try {
+      const response = await fetch('/api/agent-sandboxes');
+      if (!response.ok) return;
+      const { sandboxes, conflicts } = await response.json();
+      this.sandboxes = sandboxes;
+      this.sandboxConflicts = conflicts;
+      this.sandboxDiffs.clear();
+      if (!sandboxes.some(sandbox => sandbox.decisionId === this.openSandbox)) {
+        this.openSandbox = null;
+      }
+    } catch (error) {
+      console.error('[Agent Status Panel] Failed to load agent sandboxes:', error);
+    }
+  }
+
+  /**
+   * Show or hide the diff of a sandbox, loading it the first time
+   */
+  async toggleSandbox(decisionId) {
+    this.openSandbox = this.openSandbox === decisionId ? null : decisionId;
+    if (this.openSandbox === null || this.sandboxDiffs.has(decisionId)) return;
+
+    try {
+      const response = await fetch(`/api/agent-sandboxes/${decisionId}`);
+      const body = await response.json();
+      this.sandboxDiffs.set(decisionId, response.ok ? body.diff : `Could not load the diff: ${body.message}`);
+    } catch (error) {
+      this.sandboxDiffs.set(decisionId, `Could not load the diff: ${error.message}`);
+    }
+    this.requestUpdate();
+  }
+
   /**
    * Setup WebSocket connection for real-time updates
    */
@@ -494,6 +623,8 @@ class AgentStatusPanel extends LitElement {
     
     this.webSocket.onopen = () => {
       console.log('[Agent Status Panel] WebSocket connected');
+      // Work may have been reviewed or added while disconnected
+      this.loadSandboxes();
     };
     
     this.webSocket.onmessage = (event) => {
@@ -643,6 +774,7 @@ class AgentStatusPanel extends LitElement {
       ${this.renderCoordinationTimeline()}
       ${this.renderDependencyGraph()}
       ${this.renderAgentCommunication()}
+      ${this.renderSandboxReview()}
 
       ${this.agents.size === 0
         ? html`
@@ -726,6 +858,72 @@ class AgentStatusPanel extends LitElement {
     `;
   }
 
+  renderSandboxReview() {
+    if (this.sandboxes.length === 0) return '';
+
+    return html`
+      <div class="sandbox-review">
+        <div class="sandbox-header">
+          🌿 Waiting for Review
+          <span style="font-size: 0.8rem; opacity: 0.7;">(${this.sandboxes.length} decisions)</span>
+        </div>
+        ${this.sandboxConflicts.map(({ decisionIds: [first, second], files }) => html`
+          <div class="sandbox-conflict">
+            ⚠️ D${first} and D${second} both change ${files.join(', ')}
+          </div>
+        `)}
+        ${this.sandboxes.map(sandbox => this.renderSandbox(sandbox))}
+      </div>
+    `;
+  }
+
+  renderSandbox(sandbox) {
+    const added = sandbox.files.reduce((sum, file) => sum + file.added, 0);
+    const deleted = sandbox.files.reduce((sum, file) => sum + file.deleted, 0);
+    const isOpen = this.openSandbox === sandbox.decisionId;
+    const diff = this.sandboxDiffs.get(sandbox.decisionId);
+
+    return html`
+      <button
+        class="sandbox-item"
+        aria-expanded="${isOpen}"
+        @click="${() => this.toggleSandbox(sandbox.decisionId)}"
+      >
+        <span>${isOpen ? '▾' : '▸'}</span>
+        <a
+          href="#"
+          class="decision-link"
+          @click="${(e) => this.handleDecisionClick(e, sandbox.decisionId)}"
+        >
+          Decision #${sandbox.decisionId}
+        </a>
+        <span class="sandbox-branch">${sandbox.branch}</span>
+        <span class="sandbox-stats">${sandbox.files.length} files +${added} -${deleted}</span>
+      </button>
+      ${isOpen
+        ? html`
+            <pre class="sandbox-diff">${diff === undefined
+              ? 'Loading diff…'
+              : diff === ''
+                ? 'No changes'
+                : diff.split('\n').map(line => html`<span class="${this.getDiffLineClass(line)}">${line}</span>\n`)}</pre>
+            <div class="sandbox-hint">
+              Approve with <code>decision-tapestry agent review ${sandbox.decisionId} --approve</code>
+              or discard with <code>--discard</code>
+            </div>
+          `
+        : ''}
+    `;
+  }
+
+  getDiffLineClass(line) {
+    if (line.startsWith('+++') || line.startsWith('---')) return '';
+    if (line.startsWith('+')) return 'added';
+    if (line.startsWith('-')) return 'removed';
+    if (line.startsWith('@@')) return 'hunk';
+    return '';
+  }
+
   renderAgentCard(agentId, activity) {
     const isActive = activity.state !== "idle";
     const stateEmoji = this.getStateEmoji(activity.state);
@@ -957,6 +1155,11 @@ class AgentStatusPanel extends LitElement {
       progress: progress,
       dependencies: dependencies
     });
+
+    // The agent committed its work to a sandbox for review
+    if (message.sandbox) {
+      this.loadSandboxes();
+    }
     
     // Add inter-agent communication if there are dependencies
     if (dependencies && dependencies.length > 0) {
@@ -1,14 +1,32 @@
 // This file will contain the client-side application logic.
 // It will fetch data from the /api/data endpoint and render the dashboard.
 
+import { isReadOnly } from "./static-data-source.mjs";
+import {
+  DEFAULT_VIEW_STATE,
+  normalizeViewState,
+  encodeViewHash,
+  readViewName,
+  decodeViewHash,
+} from "../utils/view-state.mjs";
+import {
+  DEFAULT_CATEGORIES,
+  classifyDecision,
+  normalizeCategories,
+} from "../shared/categories.js";
+
 let decisions = [];
 let network = null;
 
 let decisionNetwork = null;
-let charterNetwork = null;
 let allDecisions = []; // Cache all decisions
 let allBacklogItems = []; // Cache all backlog items
 let currentSelectedDecisionId = null;
+let workspaceRepos = []; // Repositories in workspace mode
+let selectedRepo = ""; // Repository filter, "" for all
+let currentCenterView = "decisions";
+// Categories and their inference rules, from /api/data
+let categoryConfig = normalizeCategories(DEFAULT_CATEGORIES, "default");
 
 async function initializeDashboard(focusNodeId = null) {
   try {
@@ -29,10 +47,17 @@ async function initializeDashboard(focusNodeId = null) {
     const apiData = await response.json();
     const { decisions, backlog, charter } = apiData;
 
+    // Static exports made before categories were configurable lack them
+    if (apiData.categories) categoryConfig = apiData.categories;
     allDecisions = decisions; // Cache the full list
     allBacklogItems = backlog; // Cache the full list
+    workspaceRepos = apiData.workspace?.repos || [];
+    // Hides the controls that change records (see canEditDecisions)
+    document.documentElement.toggleAttribute("data-workspace", Boolean(apiData.workspace));
+    document.querySelector("tab-control")?.requestUpdate();
+    renderRepoFilter();
 
-    renderDecisionLog(allDecisions);
+    renderDecisionLog(allDecisions.filter(inSelectedRepo));
 
     // Setup Decision Map
     const decisionMap = document.getElementById("decision-map");
@@ -41,19 +66,21 @@ async function initializeDashboard(focusNodeId = null) {
       const isDark = document.body.classList.contains("dark-theme");
       const fontColor = isDark ? "#fff" : "#000";
       const nodeBg = isDark ? "#000" : "#fff";
-      const nodes = decisions.map((d) => ({
+      const mapDecisions = decisions.filter(inSelectedRepo);
+      const nodes = mapDecisions.map((d) => ({
         id: d.id,
-        label: `${d.quick_task ? '⚡ ' : ''}#${d.id}:\n${d.title}`, // Add lightning bolt for quick tasks
+        label: `${d.quick_task ? '⚡ ' : ''}${formatNodeRef(d)}:\n${d.title}`, // Add lightning bolt for quick tasks
+        category: classifyDecision(d, categoryConfig).category,
         color: {
           border: statusColorMapping[d.status] || "#007bff",
-          background: nodeBg,
+          background: getNodeBackground(d, nodeBg),
           highlight: {
             border: statusColorMapping[d.status] || "#007bff",
-            background: nodeBg,
+            background: getNodeBackground(d, nodeBg),
           },
           hover: {
             border: statusColorMapping[d.status] || "#007bff",
-            background: nodeBg,
+            background: getNodeBackground(d, nodeBg),
           },
         },
         chosen: {
@@ -74,7 +101,7 @@ async function initializeDashboard(focusNodeId = null) {
           vadjust: 0,
         },
       }));
-      const relatedEdges = decisions.flatMap((d) =>
+      const relatedEdges = mapDecisions.flatMap((d) =>
         d.related_to
           ? d.related_to.map((r) => ({
               from: r,
@@ -84,7 +111,7 @@ async function initializeDashboard(focusNodeId = null) {
             }))
           : [],
       );
-      const supersedesEdges = decisions.flatMap((d) =>
+      const supersedesEdges = mapDecisions.flatMap((d) =>
         d.supersedes
           ? [
               {
@@ -99,6 +126,7 @@ async function initializeDashboard(focusNodeId = null) {
           : [],
       );
       const edges = [...relatedEdges, ...supersedesEdges];
+      decisionMap.categories = categoryConfig;
       requestAnimationFrame(() => {
         decisionMap.nodes = nodes;
         decisionMap.edges = edges;
@@ -117,12 +145,15 @@ async function initializeDashboard(focusNodeId = null) {
     // Setup Architecture Map
     const architectureMap = document.getElementById("architecture-map");
     if (architectureMap) {
+      architectureMap.repos = workspaceRepos;
+      architectureMap.repo = selectedRepo;
       architectureMap.decisions = decisions;
     }
 
     // Setup Search Panel
     const searchPanel = document.getElementById("search-controls");
     if (searchPanel) {
+      searchPanel.categories = categoryConfig;
       searchPanel.decisions = decisions;
       // Initialize filteredDecisions to show all decisions initially
       searchPanel.filteredDecisions = decisions;
@@ -131,6 +162,7 @@ async function initializeDashboard(focusNodeId = null) {
     // Setup Advanced Filter
     const advancedFilter = document.getElementById("advanced-filter");
     if (advancedFilter) {
+      advancedFilter.categories = categoryConfig;
       advancedFilter.decisions = decisions;
     }
 
@@ -148,6 +180,7 @@ async function initializeDashboard(focusNodeId = null) {
       const detailPanel = document.getElementById("decision-detail");
 
       if (detailPanel && updatedDecision) {
+        detailPanel.categories = categoryConfig;
         // Use the forceUpdateDecision method for better reactivity
         detailPanel.forceUpdateDecision(
           JSON.parse(JSON.stringify(updatedDecision)),
@@ -158,32 +191,64 @@ async function initializeDashboard(focusNodeId = null) {
     // Setup Charter Map
     const charterMap = document.getElementById("charter-map");
     if (charterMap) {
-      const activeStageId =
-        (
-          decisions.find((d) =>
-            ["Ideating", "Propose", "Implement", "Refine"].includes(d.status),
-          ) || {}
-        ).status || "Complete";
-      charterMap.nodes = charter.states.map((s) => ({
-        ...s,
-        color: s.id === activeStageId ? "#6f42c1" : "#007bff",
-      }));
-      charterMap.edges = charter.transitions.map((t) => ({
-        ...t,
-        arrows: "to",
-      }));
+      charterMap.charter = charter;
+      charterMap.decisions = decisions;
+      charterMap.backlog = backlog;
     }
 
     renderBacklog(allBacklogItems);
+    renderProposals(allDecisions);
     renderAnalytics(allDecisions, allBacklogItems);
     setupEventListeners();
+    await restoreViewState();
   } catch (error) {
     console.error("Failed to initialize dashboard:", error);
     displayErrorMessage(error.message);
   }
 
   // Load current agent activities after dashboard loads
-  loadCurrentActivities();
+  if (!isReadOnly()) {
+    loadCurrentActivities();
+    loadDriftBadge();
+  }
+}
+
+/**
+ * Show how many drift issues decisions.yml has (renamed or deleted
+ * components, uncovered files, decisions changed since completion).
+ * Clicking the badge narrows the log and map to the decisions involved.
+ */
+async function loadDriftBadge() {
+  const badge = document.getElementById("drift-badge");
+  if (!badge) return;
+
+  try {
+    const response = await fetch("/api/drift");
+    if (!response.ok) {
+      // Not available in workspace mode
+      badge.hidden = true;
+      return;
+    }
+    const { summary, decisionIds, issues } = await response.json();
+    badge.hidden = issues.length === 0;
+    badge.textContent = `⚠ ${issues.length} drift`;
+    badge.title = [
+      `${summary.renamed} renamed, ${summary.deleted} deleted and ${summary.missing} missing components`,
+      `${summary.uncovered} often-changed files no decision covers`,
+      `${summary.changed} completed decisions changed since`,
+      "Run 'decision-tapestry drift' for suggested fixes",
+    ].join("\n");
+    badge.onclick = () => {
+      document.dispatchEvent(
+        new CustomEvent("decision-set-filter", {
+          detail: { decisionIds, label: "Decisions with drift" },
+        }),
+      );
+    };
+  } catch (error) {
+    console.error("Failed to load drift report:", error);
+    badge.hidden = true;
+  }
 }
 
 function displayErrorMessage(message) {
@@ -228,6 +293,14 @@ function renderBacklog(backlogItems) {
   }
 }
 
+function renderProposals(decisions) {
+  const proposalPanel = document.querySelector("proposal-review-panel");
+  if (proposalPanel) {
+    // Decisions are the targets proposals can be merged into
+    proposalPanel.decisions = decisions;
+  }
+}
+
 function renderAnalytics(decisions, backlog) {
   const healthMetrics = calculateHealthMetrics(decisions);
   const healthMetricsPanel = document.getElementById("health-metrics-stats");
@@ -282,6 +355,19 @@ function calculateHealthMetrics(decisions) {
   };
 }
 
+// Whether a decision matches the search box: by the ids the search API
+// matched, or by title, id and author when the API was not used
+function matchesSearch(decision, searchTerm, decisionIds) {
+  if (!searchTerm) return true;
+  if (decisionIds) return decisionIds.includes(decision.id);
+  const term = searchTerm.toLowerCase();
+  return (
+    decision.title.toLowerCase().includes(term) ||
+    decision.id.toString().includes(term) ||
+    (decision.author && decision.author.toLowerCase().includes(term))
+  );
+}
+
 function calculateImpactScore(decision) {
   // Simple impact scoring based on available data
   let score = 0;
@@ -301,75 +387,6 @@ function calculateImpactScore(decision) {
   return Math.min(score, 10); // Cap at 10
 }
 
-function inferCategory(decision) {
-  const title = decision.title || "";
-  const lowerTitle = title.toLowerCase();
-
-  if (
-    lowerTitle.includes("cli") ||
-    lowerTitle.includes("automation") ||
-    lowerTitle.includes("docker") ||
-    lowerTitle.includes("release")
-  ) {
-    return "Developer Experience";
-  } else if (
-    lowerTitle.includes("websocket") ||
-    lowerTitle.includes("server") ||
-    lowerTitle.includes("infrastructure") ||
-    lowerTitle.includes("api") ||
-    lowerTitle.includes("redis") ||
-    lowerTitle.includes("session")
-  ) {
-    return "Infrastructure";
-  } else if (
-    lowerTitle.includes("dashboard") ||
-    lowerTitle.includes("ui") ||
-    lowerTitle.includes("theme") ||
-    lowerTitle.includes("visual") ||
-    lowerTitle.includes("layout") ||
-    lowerTitle.includes("panel")
-  ) {
-    return "UI/UX";
-  } else if (
-    lowerTitle.includes("architecture") ||
-    lowerTitle.includes("component") ||
-    lowerTitle.includes("structure") ||
-    lowerTitle.includes("design")
-  ) {
-    return "Architecture";
-  } else if (
-    lowerTitle.includes("process") ||
-    lowerTitle.includes("workflow") ||
-    lowerTitle.includes("coordination") ||
-    lowerTitle.includes("collaboration") ||
-    lowerTitle.includes("debugging")
-  ) {
-    return "Process";
-  } else if (
-    lowerTitle.includes("test") ||
-    lowerTitle.includes("quality") ||
-    lowerTitle.includes("lint") ||
-    lowerTitle.includes("error")
-  ) {
-    return "Quality";
-  } else if (
-    lowerTitle.includes("integration") ||
-    lowerTitle.includes("vscode") ||
-    lowerTitle.includes("extension") ||
-    lowerTitle.includes("prompt")
-  ) {
-    return "Integration";
-  } else if (
-    lowerTitle.includes("memory") ||
-    lowerTitle.includes("knowledge") ||
-    lowerTitle.includes("decision") ||
-    lowerTitle.includes("tapestry")
-  ) {
-    return "Knowledge Management";
-  }
-  return "Other";
-}
-
 async function promoteToDecision(backlogId) {
   try {
     const response = await fetch("/api/decisions/promote", {
@@ -477,6 +494,7 @@ function handleDecisionSelection(decisionId, animate = false) {
   const decision = allDecisions.find((d) => d.id === decisionId);
 
   // Update the state of all relevant components
+  if (detailPanel) detailPanel.categories = categoryConfig;
   if (detailPanel)
     detailPanel.decision = decision
       ? JSON.parse(JSON.stringify(decision))
@@ -496,9 +514,13 @@ function handleDecisionSelection(decisionId, animate = false) {
       decisionMap.focusOnNode(decisionId);
     });
   }
+  updateViewHash();
 }
 
 function switchCenterView(view) {
+  currentCenterView = view;
+  updateViewHash();
+
   // Update tab active states
   const centerTabs = document.querySelectorAll(".center-tab");
   centerTabs.forEach((tab) => {
@@ -557,9 +579,10 @@ function switchControlsTab(tab) {
   });
 }
 
-function updateDecisionMapWithFiltered(filteredDecisions) {
+function updateDecisionMapWithFiltered(decisionsToShow) {
   const decisionMap = document.getElementById("decision-map");
   if (!decisionMap) return;
+  const filteredDecisions = decisionsToShow.filter(inSelectedRepo);
 
   const statusColorMapping = { Accepted: "#28a745", Superseded: "#6c757d" };
   const isDark = document.body.classList.contains("dark-theme");
@@ -568,17 +591,18 @@ function updateDecisionMapWithFiltered(filteredDecisions) {
 
   const nodes = filteredDecisions.map((d) => ({
     id: d.id,
-    label: `${d.quick_task ? '⚡ ' : ''}#${d.id}:\n${d.title}`, // Add lightning bolt for quick tasks
+    label: `${d.quick_task ? '⚡ ' : ''}${formatNodeRef(d)}:\n${d.title}`, // Add lightning bolt for quick tasks
+    category: classifyDecision(d, categoryConfig).category,
     color: {
       border: statusColorMapping[d.status] || "#007bff",
-      background: nodeBg,
+      background: getNodeBackground(d, nodeBg),
       highlight: {
         border: statusColorMapping[d.status] || "#007bff",
-        background: nodeBg,
+        background: getNodeBackground(d, nodeBg),
       },
       hover: {
         border: statusColorMapping[d.status] || "#007bff",
-        background: nodeBg,
+        background: getNodeBackground(d, nodeBg),
       },
     },
     font: {
@@ -621,6 +645,249 @@ function updateDecisionMapWithFiltered(filteredDecisions) {
   });
 }
 
+// --- WORKSPACE REPOSITORIES ---
+// In workspace mode decisions come from several repositories: ids are
+// namespaced ("billing#12"), nodes are tinted with their repository's color
+// and the repository filter narrows the log and both maps.
+
+function inSelectedRepo(decision) {
+  return !selectedRepo || decision.repo === selectedRepo;
+}
+
+function formatNodeRef(decision) {
+  return decision.repo ? decision.id : `#${decision.id}`;
+}
+
+function getNodeBackground(decision, nodeBg) {
+  const repo = workspaceRepos.find((r) => r.namespace === decision.repo);
+  if (!repo) return nodeBg;
+  const [r, g, b] = [1, 3, 5].map((i) => parseInt(repo.color.slice(i, i + 2), 16));
+  return `rgba(${r}, ${g}, ${b}, 0.35)`;
+}
+
+function renderRepoFilter() {
+  const select = document.getElementById("repo-filter");
+  if (!select) return;
+  select.hidden = workspaceRepos.length === 0;
+  if (workspaceRepos.length === 0) return;
+
+  select.innerHTML = "";
+  select.append(new Option(`All repositories (${workspaceRepos.length})`, ""));
+  workspaceRepos.forEach((repo) => {
+    const option = new Option(
+      `● ${repo.label}${repo.error ? " (unreadable)" : ""}`,
+      repo.namespace,
+    );
+    option.style.color = repo.color;
+    if (repo.error) option.title = repo.error;
+    select.append(option);
+  });
+  select.value = selectedRepo;
+}
+
+function selectRepo(namespace) {
+  selectedRepo = namespace;
+  renderDecisionLog(allDecisions.filter(inSelectedRepo));
+  updateDecisionMapWithFiltered(allDecisions);
+  const architectureMap = document.getElementById("architecture-map");
+  if (architectureMap) {
+    architectureMap.repo = selectedRepo;
+  }
+  updateViewHash();
+}
+
+// --- SAVED VIEWS ---
+// The dashboard's state - filters, time range, center tab, repository and
+// selected decision (utils/view-state.mjs) - is kept in the URL hash, so a
+// link reproduces what its sender saw. Named views are saved through
+// /api/views, and `#view=<name>` opens one.
+
+let savedViews = [];
+let activeView = null; // Saved view the current state started from
+let viewStateRestored = false;
+let applyingViewState = false;
+
+function getViewState() {
+  return normalizeViewState({
+    tab: currentCenterView,
+    decision: currentSelectedDecisionId,
+    repo: selectedRepo,
+    search: document.getElementById("search-controls")?.getViewState(),
+    filters: document.getElementById("advanced-filter")?.getViewState(),
+  });
+}
+
+async function applyViewState(state) {
+  applyingViewState = true;
+  try {
+    if (state.repo === "" || workspaceRepos.some((r) => r.namespace === state.repo)) {
+      const repoFilter = document.getElementById("repo-filter");
+      if (repoFilter) repoFilter.value = state.repo;
+      selectRepo(state.repo);
+    }
+    if (document.querySelector(`.center-tab[data-view="${CSS.escape(state.tab)}"]`)) {
+      switchCenterView(state.tab);
+    }
+    await applyViewFilters(state);
+    if (allDecisions.some((d) => d.id === state.decision)) {
+      // The map gets its nodes on the next frame after a (re)load
+      currentSelectedDecisionId = state.decision;
+      requestAnimationFrame(() => handleDecisionSelection(state.decision, true));
+    }
+  } finally {
+    applyingViewState = false;
+  }
+  updateViewHash();
+}
+
+// The search panel and the advanced filter each filter all decisions, so the
+// advanced filter goes last, and only when it has filters to apply
+async function applyViewFilters(state) {
+  await document.getElementById("search-controls")?.applyViewState(state.search);
+  if (JSON.stringify(state.filters) !== JSON.stringify(DEFAULT_VIEW_STATE.filters)) {
+    document.getElementById("advanced-filter")?.applyViewState(state.filters);
+  }
+}
+
+/**
+ * Apply the URL hash once the first data has loaded. Later reloads (file
+ * changes, reconnects) re-render every decision, so they re-apply the
+ * current filters instead.
+ */
+async function restoreViewState() {
+  if (viewStateRestored) {
+    if (!applyingViewState) await applyViewFilters(getViewState());
+    return;
+  }
+  viewStateRestored = true;
+  await loadSavedViews();
+  await applyHashViewState();
+}
+
+async function applyHashViewState() {
+  const name = readViewName(window.location.hash);
+  activeView = savedViews.find((view) => view.name === name) || null;
+  if (name && !activeView) {
+    showErrorToast(`Saved view "${name}" was not found`);
+  }
+  await applyViewState(decodeViewHash(window.location.hash, activeView?.state));
+}
+
+// Keep the hash in line with the dashboard, without adding history entries
+function updateViewHash() {
+  if (!viewStateRestored || applyingViewState) return;
+  const hash = encodeViewHash(
+    getViewState(),
+    activeView ? { view: activeView.name, base: activeView.state } : {},
+  );
+  if (hash !== window.location.hash.replace(/^#/, "")) {
+    const { pathname, search } = window.location;
+    window.history.replaceState(null, "", `${pathname}${search}${hash ? `#${hash}` : ""}`);
+  }
+  renderViewSelect();
+}
+
+async function loadSavedViews() {
+  try {
+    const response = await fetch("/api/views");
+    if (!response.ok) throw new Error(`Server returned ${response.status}`);
+    savedViews = (await response.json()).views || [];
+  } catch (error) {
+    console.warn("Saved views unavailable:", error);
+    savedViews = [];
+  }
+  if (activeView) {
+    activeView = savedViews.find((view) => view.name === activeView.name) || null;
+  }
+  renderViewSelect();
+}
+
+function renderViewSelect() {
+  const select = document.getElementById("view-select");
+  if (!select) return;
+
+  // A view the state has moved away from is marked as changed
+  const changed =
+    activeView &&
+    JSON.stringify(getViewState()) !==
+      JSON.stringify(normalizeViewState(activeView.state));
+  select.innerHTML = "";
+  select.append(new Option(savedViews.length ? "Saved views…" : "No saved views", ""));
+  savedViews.forEach((view) => {
+    const option = new Option(
+      view.name === activeView?.name && changed ? `${view.name} (changed)` : view.name,
+      view.name,
+    );
+    if (view.description) option.title = view.description;
+    select.append(option);
+  });
+  select.value = activeView?.name || "";
+
+  const deleteButton = document.getElementById("view-delete");
+  if (deleteButton) deleteButton.hidden = !activeView;
+}
+
+async function openSavedView(name) {
+  activeView = savedViews.find((view) => view.name === name) || null;
+  await applyViewState(decodeViewHash("", activeView?.state));
+}
+
+async function saveCurrentView() {
+  const name = prompt(
+    "Save the current filters, tab and selection as (letters, digits, '-', '_'):",
+    activeView?.name || "",
+  );
+  if (!name) return;
+
+  try {
+    const response = await fetch(`/api/views/${encodeURIComponent(name.trim())}`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ state: getViewState() }),
+    });
+    const body = await response.json();
+    if (!response.ok) throw new Error(body.message || body.error);
+    activeView = body;
+    await loadSavedViews();
+    updateViewHash();
+  } catch (error) {
+    showErrorToast(`Could not save view: ${error.message}`);
+  }
+}
+
+async function deleteActiveView() {
+  if (!activeView || !confirm(`Delete saved view "${activeView.name}"?`)) return;
+
+  try {
+    const response = await fetch(`/api/views/${encodeURIComponent(activeView.name)}`, {
+      method: "DELETE",
+    });
+    if (!response.ok) throw new Error((await response.json()).message);
+    activeView = null;
+    await loadSavedViews();
+    updateViewHash();
+  } catch (error) {
+    showErrorToast(`Could not delete view: ${error.message}`);
+  }
+}
+
+// Listeners for the views controls and for state changes that only the
+// components know about; set up once, unlike setupEventListeners
+function setupSavedViews() {
+  document.getElementById("view-select")?.addEventListener("change", (e) => {
+    openSavedView(e.target.value);
+  });
+  document.getElementById("view-save")?.addEventListener("click", saveCurrentView);
+  document.getElementById("view-delete")?.addEventListener("click", deleteActiveView);
+
+  document.addEventListener("search-input", updateViewHash);
+  document.addEventListener("filter-change", updateViewHash);
+  window.addEventListener("hashchange", () => {
+    // Typed or pasted into the address bar; replaceState doesn't fire this
+    if (viewStateRestored) applyHashViewState();
+  });
+}
+
 function setupEventListeners() {
   const decisionMap = document.getElementById("decision-map");
   const detailPanel = document.getElementById("decision-detail");
@@ -633,6 +900,11 @@ function setupEventListeners() {
     });
   }
 
+  const repoFilter = document.getElementById("repo-filter");
+  if (repoFilter) {
+    repoFilter.addEventListener("change", (e) => selectRepo(e.target.value));
+  }
+
   // Link Log clicks to Detail and Map panels
   if (logPanel) {
     logPanel.addEventListener("log-item-click", (e) => {
@@ -678,12 +950,9 @@ function setupEventListeners() {
   const searchPanel = document.getElementById("search-controls");
   if (searchPanel) {
     searchPanel.addEventListener("search-input", (e) => {
-      const searchTerm = e.detail.searchTerm.toLowerCase();
-      const filteredDecisions = allDecisions.filter(
-        (d) =>
-          d.title.toLowerCase().includes(searchTerm) ||
-          d.id.toString().includes(searchTerm) ||
-          (d.author && d.author.toLowerCase().includes(searchTerm)),
+      const { searchTerm, decisionIds } = e.detail;
+      const filteredDecisions = allDecisions.filter((d) =>
+        matchesSearch(d, searchTerm, decisionIds),
       );
 
       // Update the search panel with filtered data
@@ -706,14 +975,8 @@ function setupEventListeners() {
       // Apply all filters from search panel
       const filteredDecisions = allDecisions.filter((decision) => {
         // Search term filter
-        if (filters.searchTerm) {
-          const searchTerm = filters.searchTerm.toLowerCase();
-          const matchesSearch =
-            decision.title.toLowerCase().includes(searchTerm) ||
-            decision.id.toString().includes(searchTerm) ||
-            (decision.author &&
-              decision.author.toLowerCase().includes(searchTerm));
-          if (!matchesSearch) return false;
+        if (!matchesSearch(decision, filters.searchTerm, filters.matchedIds)) {
+          return false;
         }
 
         // Impact filter
@@ -978,6 +1241,32 @@ function setupEventListeners() {
     }
   });
 
+  // Smart Analytics links each insight to the decisions behind it
+  document.addEventListener("decision-set-filter", (e) => {
+    const ids = new Set(e.detail.decisionIds);
+    const filteredDecisions = allDecisions.filter((d) => ids.has(d.id));
+    console.log(`Showing ${filteredDecisions.length} decisions: ${e.detail.label}`);
+
+    const searchPanel = document.getElementById("search-controls");
+    if (searchPanel) {
+      searchPanel.filteredDecisions = filteredDecisions;
+    }
+    switchCenterView("decisions");
+    renderDecisionLog(filteredDecisions);
+    updateDecisionMapWithFiltered(filteredDecisions);
+  });
+
+  // The detail panel's Impact view shades the decisions a change would affect
+  document.addEventListener("impact-overlay", (e) => {
+    if (!decisionMap) return;
+    if (e.detail.impact) {
+      switchCenterView("decisions");
+      decisionMap.showImpactOverlay(e.detail.impact);
+    } else {
+      decisionMap.clearImpactOverlay();
+    }
+  });
+
   document.addEventListener("agent-click", (e) => {
     console.log("Agent clicked:", e.detail);
     // Could be extended to show agent details or filter by agent
@@ -1218,6 +1507,13 @@ function initializeWebSocket() {
         if (message.type === "update") {
           console.log("File change detected, refreshing dashboard...");
           initializeDashboard(message.decisionId); // focus on the updated node if available
+        } else if (message.type === "decision-updated") {
+          console.log(`${message.collection === "backlog" ? "Backlog item" : "Decision"} ${message.id} ${message.action || "updated"}, refreshing dashboard...`);
+          initializeDashboard(message.collection === "decisions" && message.action !== "deleted" ? message.id : null);
+        } else if (message.type === "proposals-updated") {
+          document.querySelector("proposal-review-panel")?.refresh();
+        } else if (message.type === "views-updated") {
+          loadSavedViews();
         } else if (message.type === "activity") {
           handleActivityUpdate(message);
         } else if (message.type === "activity-reset") {
@@ -1291,9 +1587,15 @@ function setupThemeToggle() {
 
 window.addEventListener("DOMContentLoaded", () => {
   setupThemeToggle();
+  setupSavedViews();
   initializeDashboard();
   setupEventListeners();
-  initializeWebSocket();
+  if (isReadOnly()) {
+    // The published site has no agents, so open on the decision log
+    switchControlsTab("log");
+  } else {
+    initializeWebSocket();
+  }
   // Re-render nodes on theme change
   const btn = document.getElementById("theme-toggle-btn");
   if (btn) {
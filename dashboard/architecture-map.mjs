@@ -42,11 +42,16 @@ class ArchitectureMap extends LitElement {
 
   static properties = {
     decisions: { type: Array },
+    repos: { type: Array },
+    repo: { type: String },
     selectedDecisionId: { type: Number },
   };
 
   constructor() {
     super();
+    // Workspace repositories, and the one to show ("" for all)
+    this._repos = [];
+    this._repo = "";
     this.decisions = [];
     this.selectedDecisionId = null;
     this._network = null;
@@ -75,6 +80,25 @@ class ArchitectureMap extends LitElement {
     return this._decisions;
   }
 
+  set repos(newVal) {
+    this._repos = newVal || [];
+    this._generateArchitectureGraph();
+    this.requestUpdate();
+  }
+
+  get repos() {
+    return this._repos;
+  }
+
+  set repo(newVal) {
+    this._repo = newVal || "";
+    this._generateArchitectureGraph();
+  }
+
+  get repo() {
+    return this._repo;
+  }
+
   render() {
     return html`
       <div id="network"></div>
@@ -93,6 +117,22 @@ class ArchitectureMap extends LitElement {
             </div>
           `,
         )}
+        ${this._repos.length > 0
+          ? html`
+              <div style="font-weight: bold; margin: 8px 0;">Repositories</div>
+              ${this._repos.map(
+                (repo) => html`
+                  <div class="legend-item">
+                    <div
+                      class="legend-color"
+                      style="background-color: transparent; border: 3px solid ${repo.color}"
+                    ></div>
+                    <span>${repo.label}</span>
+                  </div>
+                `,
+              )}
+            `
+          : ""}
       </div>
     `;
   }
@@ -115,14 +155,20 @@ class ArchitectureMap extends LitElement {
     const componentMap = new Map();
     const decisionImpacts = new Map(); // component -> [decisions that affect it]
 
-    this._decisions.forEach((decision) => {
+    const decisions = this._repo
+      ? this._decisions.filter((decision) => decision.repo === this._repo)
+      : this._decisions;
+
+    decisions.forEach((decision) => {
       if (decision.affected_components) {
-        decision.affected_components.forEach((component) => {
+        decision.affected_components.forEach((componentPath) => {
+          const component = this._getComponentId(decision, componentPath);
           if (!componentMap.has(component)) {
             componentMap.set(component, {
               id: component,
-              path: component,
-              type: this._inferComponentType(component),
+              path: componentPath,
+              repo: decision.repo,
+              type: this._inferComponentType(componentPath),
               decisions: [],
             });
           }
@@ -148,6 +194,8 @@ class ArchitectureMap extends LitElement {
     const nodes = Array.from(componentMap.values()).map((component) => {
       const typeConfig = this._componentTypes[component.type];
       const impactCount = component.decisions.length;
+      // In workspace mode the border shows the component's repository
+      const repoColor = this._repos.find((repo) => repo.namespace === component.repo)?.color;
 
       return {
         id: component.id,
@@ -155,10 +203,10 @@ class ArchitectureMap extends LitElement {
         shape: typeConfig.shape,
         color: {
           background: typeConfig.color,
-          border: this._darkenColor(typeConfig.color, 0.2),
+          border: repoColor || this._darkenColor(typeConfig.color, 0.2),
           highlight: {
             background: this._lightenColor(typeConfig.color, 0.3),
-            border: typeConfig.color,
+            border: repoColor || typeConfig.color,
           },
         },
         font: {
@@ -167,7 +215,7 @@ class ArchitectureMap extends LitElement {
           face: "monospace",
         },
         size: 20 + Math.min(impactCount * 5, 30), // Size based on decision impact
-        borderWidth: 2,
+        borderWidth: repoColor ? 4 : 2,
         scaling: {
           min: 10,
           max: 50,
@@ -215,6 +263,12 @@ class ArchitectureMap extends LitElement {
     }
   }
 
+  // Repositories of a workspace can have files with the same path, so their
+  // components are told apart by namespace
+  _getComponentId(decision, componentPath) {
+    return decision.repo ? `${decision.repo}:${componentPath}` : componentPath;
+  }
+
   _inferComponentType(componentPath) {
     const path = componentPath.toLowerCase();
 
@@ -391,7 +445,7 @@ class ArchitectureMap extends LitElement {
     decision.affected_components.forEach((componentPath) => {
       try {
         this._nodesDataSet.update({
-          id: componentPath,
+          id: this._getComponentId(decision, componentPath),
           borderWidth: 4,
           shadow: {
             enabled: true,
@@ -1,9 +1,13 @@
 /* global vis */
 import { LitElement, css, html } from "https://esm.sh/lit@3";
+import { canEditDecisions } from "./static-data-source.mjs";
 
 /**
  * @class CharterMap
- * @description A LitElement component that renders the Vis.js charter map graph.
+ * @description Shows the workflow charter: a Vis.js graph of its states and
+ * transitions with live item counts and WIP limits, and a board where
+ * decisions and backlog items can be dragged between states. Only drops the
+ * charter allows are accepted; moves are saved by PATCHing `charter_state`.
  */
 class CharterMap extends LitElement {
   static styles = css`
@@ -12,50 +16,274 @@ class CharterMap extends LitElement {
       width: 100%;
       height: 100%;
     }
-    #network {
-      width: 100%;
+    .layout {
+      display: flex;
+      flex-direction: column;
       height: 100%;
+      overflow: hidden;
+    }
+    #network {
+      flex: 0 0 40%;
+      min-height: 180px;
+      border-bottom: 1px solid var(--border);
+    }
+    .message {
+      padding: 0.4rem 0.75rem;
+      font-size: 0.85em;
+      color: var(--color-error);
+    }
+    .board {
+      flex: 1;
+      display: flex;
+      gap: 0.5rem;
+      padding: 0.5rem;
+      overflow-x: auto;
+    }
+    .column {
+      flex: 0 0 180px;
+      display: flex;
+      flex-direction: column;
+      border: 1px solid var(--border);
+      border-radius: 6px;
+      background: var(--panel-bg);
+    }
+    .column.allowed {
+      border-color: var(--color-success);
+      box-shadow: 0 0 0 1px var(--color-success);
+    }
+    .column.blocked {
+      opacity: 0.45;
+    }
+    .column header {
+      padding: 0.4rem 0.5rem;
+      border-bottom: 1px solid var(--border);
+      font-size: 0.85em;
+      font-weight: 600;
+      color: var(--text-main);
+    }
+    .count {
+      float: right;
+      font-weight: normal;
+      color: var(--text-secondary);
+    }
+    .count.full {
+      color: var(--color-warning);
+    }
+    .count.over {
+      color: var(--color-error);
+    }
+    .criteria {
+      padding: 0.25rem 0.5rem;
+      font-size: 0.7em;
+      color: var(--text-secondary);
+    }
+    .items {
+      flex: 1;
+      overflow-y: auto;
+      padding: 0.4rem;
+    }
+    .card {
+      margin-bottom: 0.4rem;
+      padding: 0.35rem 0.5rem;
+      font-size: 0.8em;
+      border: 1px solid var(--border);
+      border-radius: 4px;
+      background: var(--panel-bg);
+      color: var(--text-main);
+      cursor: grab;
+    }
+    .card .kind {
+      color: var(--text-secondary);
+      font-size: 0.85em;
     }
   `;
 
   static properties = {
-    nodes: { type: Array },
-    edges: { type: Array },
+    charter: { type: Object },
+    decisions: { type: Array },
+    backlog: { type: Array },
+    _dragging: { state: true },
+    _error: { state: true },
   };
 
   constructor() {
     super();
-    this.nodes = [];
-    this.edges = [];
+    this.charter = { states: [], transitions: [] };
+    this.decisions = [];
+    this.backlog = [];
+    this._dragging = null;
+    this._error = null;
     this._network = null;
     this._nodesDataSet = new vis.DataSet();
     this._edgesDataSet = new vis.DataSet();
+    this._resizeObserver = null;
   }
 
   render() {
-    return html`<div id="network"></div>`;
+    const columns = [
+      ...this.charter.states,
+      { id: null, label: "Not on the charter", entry_criteria: [], exit_criteria: [] },
+    ];
+    const error = this._error || this.charter.error;
+
+    return html`
+      <div class="layout">
+        <div id="network"></div>
+        ${error ? html`<div class="message">${error}</div>` : ""}
+        <div class="board">${columns.map((state) => this._renderColumn(state))}</div>
+      </div>
+    `;
+  }
+
+  _renderColumn(state) {
+    const items = this._items().filter((item) => this._stateOf(item.record) === state.id);
+    const limit = state.wip_limit;
+    const countClass = limit === undefined ? "" : items.length > limit ? "over" : items.length === limit ? "full" : "";
+    const dropClass = this._dragging
+      ? this._canDrop(state) ? "allowed" : "blocked"
+      : "";
+    const criteria = [
+      ...state.entry_criteria.map((text) => `Enter: ${text}`),
+      ...state.exit_criteria.map((text) => `Exit: ${text}`),
+    ];
+
+    return html`
+      <section
+        class="column ${dropClass}"
+        @dragover=${(event) => this._canDrop(state) && event.preventDefault()}
+        @drop=${(event) => this._drop(event, state)}
+      >
+        <header title=${state.description || ""}>
+          ${state.label}
+          <span class="count ${countClass}">${items.length}${limit !== undefined ? ` / ${limit}` : ""}</span>
+        </header>
+        ${criteria.length ? html`<div class="criteria">${criteria.join(" · ")}</div>` : ""}
+        <div class="items">
+          ${items.map(
+            (item) => html`<div
+              class="card"
+              draggable=${canEditDecisions() ? "true" : "false"}
+              @dragstart=${(event) => this._dragStart(event, item)}
+              @dragend=${() => (this._dragging = null)}
+            >
+              <span class="kind">${item.collection === "backlog" ? "Backlog" : "Decision"} #${item.record.id}</span>
+              ${item.record.title}
+            </div>`,
+          )}
+        </div>
+      </section>
+    `;
+  }
+
+  _items() {
+    return [
+      ...(this.decisions || []).map((record) => ({ collection: "decisions", record })),
+      ...(this.backlog || []).map((record) => ({ collection: "backlog", record })),
+    ];
+  }
+
+  // Items whose charter_state is not a charter state are shown as not on the charter
+  _stateOf(record) {
+    return this.charter.states.some((state) => state.id === record.charter_state)
+      ? record.charter_state
+      : null;
+  }
+
+  _canDrop(state) {
+    if (!this._dragging || state.id === null) return false;
+    const from = this._dragging.from;
+    if (state.id === from) return false;
+    if (from !== null && !this.charter.transitions.some((t) => t.from === from && t.to === state.id)) {
+      return false;
+    }
+    const count = this._items().filter((item) => item.record.charter_state === state.id).length;
+    return state.wip_limit === undefined || count < state.wip_limit;
+  }
+
+  _dragStart(event, item) {
+    event.dataTransfer.effectAllowed = "move";
+    event.dataTransfer.setData("text/plain", `${item.collection}:${item.record.id}`);
+    this._dragging = { ...item, from: this._stateOf(item.record) };
+  }
+
+  async _drop(event, state) {
+    event.preventDefault();
+    const dragging = this._dragging;
+    const allowed = this._canDrop(state);
+    this._dragging = null;
+    if (!dragging || !allowed) return;
+
+    try {
+      const response = await fetch(`/api/${dragging.collection}/${dragging.record.id}`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ charter_state: state.id }),
+      });
+      if (!response.ok) {
+        const info = await response.json().catch(() => ({}));
+        throw new Error(info.message || `HTTP ${response.status}`);
+      }
+      // The server's decision-updated message reloads the dashboard; show the move right away
+      dragging.record.charter_state = state.id;
+      this._error = null;
+      this.requestUpdate();
+      this._updateGraph();
+    } catch (error) {
+      this._error = `Could not move #${dragging.record.id} to ${state.label}: ${error.message}`;
+    }
   }
 
   firstUpdated() {
     this._initializeNetwork();
+    // The map may be created while its tab is hidden; fit the graph once it is shown
+    this._resizeObserver = new ResizeObserver(() => this._network?.fit());
+    this._resizeObserver.observe(this.shadowRoot.getElementById("network"));
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
+    this._resizeObserver?.disconnect();
     if (this._network) {
       this._network.destroy();
     }
   }
 
   updated(changedProperties) {
-    if (changedProperties.has("nodes")) {
-      this._nodesDataSet.clear();
-      this._nodesDataSet.add(this.nodes);
+    if (["charter", "decisions", "backlog"].some((name) => changedProperties.has(name))) {
+      this._updateGraph();
     }
-    if (changedProperties.has("edges")) {
-      this._edgesDataSet.clear();
-      this._edgesDataSet.add(this.edges);
+  }
+
+  _updateGraph() {
+    const counts = {};
+    for (const { record } of this._items()) {
+      counts[record.charter_state] = (counts[record.charter_state] || 0) + 1;
     }
+
+    this._nodesDataSet.clear();
+    this._nodesDataSet.add(
+      this.charter.states.map((state) => {
+        const count = counts[state.id] || 0;
+        const limit = state.wip_limit;
+        const overLimit = limit !== undefined && count > limit;
+        return {
+          id: state.id,
+          label: `${state.label}\n${count}${limit !== undefined ? ` / ${limit}` : ""} item(s)`,
+          title: state.description,
+          color: overLimit ? "#dc3545" : limit !== undefined && count === limit ? "#fd7e14" : "#007bff",
+          font: { color: "#ffffff" },
+        };
+      }),
+    );
+    this._edgesDataSet.clear();
+    this._edgesDataSet.add(
+      this.charter.transitions.map((transition) => ({
+        from: transition.from,
+        to: transition.to,
+        label: transition.label,
+        arrows: "to",
+      })),
+    );
   }
 
   _initializeNetwork() {
@@ -1,5 +1,11 @@
 import { unsafeHTML } from "https://esm.sh/lit/directives/unsafe-html.js";
 import { LitElement, css, html } from "https://esm.sh/lit@3";
+import { isCompletedStatus } from "../shared/status-lifecycle.js";
+import {
+  DEFAULT_CATEGORIES,
+  classifyDecision,
+  normalizeCategories,
+} from "../shared/categories.js";
 import "./avatar-display.mjs";
 import "./commit-timeline.mjs";
 import "./file-status-display.mjs";
@@ -168,6 +174,22 @@ class DecisionDetailPanel extends LitElement {
       margin-top: 8px;
     }
 
+    .category-name {
+      padding: 1px 8px;
+      border-left: 4px solid;
+      border-radius: 4px;
+      background: var(--panel-bg);
+    }
+
+    .category-inferred {
+      margin-left: 6px;
+      font-size: 11px;
+      font-style: italic;
+      color: var(--text-secondary);
+      border-bottom: 1px dotted var(--text-secondary);
+      cursor: help;
+    }
+
     .meta-item {
       display: flex;
       align-items: center;
@@ -294,12 +316,112 @@ class DecisionDetailPanel extends LitElement {
       font-size: 12px;
       line-height: 160%;
     }
+
+    /* Details / History switcher */
+    .view-tabs {
+      display: flex;
+      gap: 0.5rem;
+      border-bottom: 1px solid var(--border);
+      margin-bottom: 0.75rem;
+    }
+    .view-tab {
+      padding: 0.35rem 0.75rem;
+      border: none;
+      background: transparent;
+      cursor: pointer;
+      border-radius: 4px 4px 0 0;
+      font-size: 12px;
+      color: var(--text-secondary);
+    }
+    .view-tab.active {
+      background: var(--accent);
+      color: white;
+    }
+
+    /* History entries */
+    .history-entry {
+      border-left: 3px solid var(--border);
+      padding: 0.25rem 0 0.25rem 0.75rem;
+      margin-bottom: 0.75rem;
+    }
+    .history-entry.created {
+      border-left-color: var(--color-success);
+    }
+    .history-entry.deleted {
+      border-left-color: #dc3545;
+    }
+    .history-meta {
+      color: var(--text-secondary);
+    }
+    .history-source {
+      font-family: monospace;
+    }
+    .history-changes {
+      width: 100%;
+      border-collapse: collapse;
+      margin-top: 0.25rem;
+      font-size: 12px;
+    }
+    .history-changes td {
+      padding: 2px 4px;
+      vertical-align: top;
+      word-break: break-word;
+    }
+    .history-changes .path {
+      font-family: monospace;
+      color: var(--text-secondary);
+      white-space: nowrap;
+    }
+    .history-changes .before {
+      color: #dc3545;
+      text-decoration: line-through;
+    }
+    .history-changes .after {
+      color: var(--color-success);
+    }
+
+    /* Impact analysis */
+    .impact-actions {
+      margin-bottom: 0.5rem;
+    }
+    .impact-actions button {
+      padding: 0.25rem 0.75rem;
+      border: 1px solid var(--border);
+      border-radius: 4px;
+      background: transparent;
+      color: var(--text-primary);
+      cursor: pointer;
+      font-size: 12px;
+    }
+    .impact-item {
+      margin-bottom: 0.4rem;
+    }
+    .impact-score {
+      display: inline-block;
+      min-width: 2.5rem;
+      font-family: monospace;
+      color: #dc3545;
+    }
+    .impact-reasons {
+      display: block;
+      color: var(--text-secondary);
+    }
+    .impact-item a {
+      cursor: pointer;
+      color: var(--accent);
+    }
   `;
 
   static properties = {
     decision: { type: Object },
     currentActivity: { type: Object },
+    categories: { type: Object }, // Category configuration from /api/data
     _version: { type: Number, state: true },
+    _view: { type: String, state: true },
+    _history: { type: Array, state: true },
+    _historyError: { type: String, state: true },
+    _impact: { type: Object, state: true },
+    _impactError: { type: String, state: true },
   };
 
   hasChanged(changedProperties) {
@@ -310,6 +432,15 @@ class DecisionDetailPanel extends LitElement {
     const oldVal = this._decision;
     this._decision = val;
     this._version += 1; // Force reactivity with version counter
+    if (oldVal?.id !== val?.id) {
+      this._history = null;
+      this._impact = null;
+    }
+    if (this._view === "history") {
+      this._loadHistory();
+    } else if (this._view === "impact" && !this._impact) {
+      this._loadImpact();
+    }
     this.requestUpdate("decision", oldVal);
   }
   get decision() {
@@ -320,7 +451,196 @@ class DecisionDetailPanel extends LitElement {
     super();
     this._decision = null;
     this.currentActivity = null;
+    this.categories = normalizeCategories(DEFAULT_CATEGORIES, "default");
     this._version = 0;
+    this._view = "details";
+    this._history = null;
+    this._historyError = null;
+    this._impact = null;
+    this._impactError = null;
+  }
+
+  _showView(view) {
+    this._view = view;
+    if (view === "history") {
+      this._loadHistory();
+    } else if (view === "impact") {
+      this._loadImpact();
+    }
+  }
+
+  /**
+   * Fetch the audit log entries for the current decision
+   */
+  async _loadHistory() {
+    const id = this.decision?.id;
+    if (id === undefined) return;
+
+    try {
+      const response = await fetch(`/api/decisions/${id}/history`);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const { entries } = await response.json();
+      // Ignore responses for a decision that is no longer shown
+      if (this.decision?.id === id) {
+        this._history = entries.slice().reverse();
+        this._historyError = null;
+      }
+    } catch (error) {
+      console.error("Failed to load decision history:", error);
+      this._historyError = error.message;
+    }
+  }
+
+  _formatHistoryValue(value) {
+    if (value === undefined) return "—";
+    const text = typeof value === "string" ? value : JSON.stringify(value);
+    return text.length > 200 ? `${text.slice(0, 200)}…` : text;
+  }
+
+  _renderHistory() {
+    if (this._historyError) {
+      return html`<p>Could not load history: ${this._historyError}</p>`;
+    }
+    if (!this._history) {
+      return html`<p>Loading history…</p>`;
+    }
+    if (this._history.length === 0) {
+      return html`<p>No recorded changes yet. Changes made through the dashboard, CLI or agents appear here.</p>`;
+    }
+
+    return this._history.map(
+      (entry) => html`
+        <div class="history-entry ${entry.action}">
+          <div class="history-meta">
+            <strong>${entry.action}</strong> by ${entry.actor}
+            via <span class="history-source">${entry.source}</span>
+            · ${new Date(entry.timestamp).toLocaleString()}
+          </div>
+          <table class="history-changes">
+            ${entry.changes.map(
+              (change) => html`
+                <tr>
+                  <td class="path">${change.path}</td>
+                  <td>
+                    <span class="before">${this._formatHistoryValue(change.before)}</span>
+                    →
+                    <span class="after">${this._formatHistoryValue(change.after)}</span>
+                  </td>
+                </tr>
+              `,
+            )}
+          </table>
+        </div>
+      `,
+    );
+  }
+
+  /**
+   * Fetch what changing or superseding the current decision would affect
+   */
+  async _loadImpact() {
+    const id = this.decision?.id;
+    if (id === undefined) return;
+
+    try {
+      const response = await fetch(`/api/decisions/${encodeURIComponent(id)}/impact`);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const impact = await response.json();
+      if (this.decision?.id === id) {
+        this._impact = impact;
+        this._impactError = null;
+      }
+    } catch (error) {
+      console.error("Failed to load decision impact:", error);
+      this._impactError = error.message;
+    }
+  }
+
+  /**
+   * Ask the dashboard to show (or, with null, clear) the impact overlay on the decision map
+   */
+  _dispatchImpactOverlay(impact) {
+    this.dispatchEvent(
+      new CustomEvent("impact-overlay", {
+        detail: { impact },
+        bubbles: true,
+        composed: true,
+      }),
+    );
+  }
+
+  _focusDecision(decisionId) {
+    this.dispatchEvent(
+      new CustomEvent("decision-focus", {
+        detail: { decisionId },
+        bubbles: true,
+        composed: true,
+      }),
+    );
+  }
+
+  _formatRef(id) {
+    return typeof id === "number" ? `#${id}` : id;
+  }
+
+  _renderImpact() {
+    if (this._impactError) {
+      return html`<p>Could not analyze impact: ${this._impactError}</p>`;
+    }
+    if (!this._impact) {
+      return html`<p>Analyzing impact…</p>`;
+    }
+
+    const { decisions, components, backlog } = this._impact;
+    if (decisions.length + components.length + backlog.length === 0) {
+      return html`<p>Nothing else is linked to this decision.</p>`;
+    }
+
+    const score = (value) => html`<span class="impact-score">${Math.round(value * 100)}%</span>`;
+    return html`
+      <div class="impact-actions">
+        <button @click=${() => this._dispatchImpactOverlay(this._impact)}>Show on map</button>
+        <button @click=${() => this._dispatchImpactOverlay(null)}>Clear map</button>
+      </div>
+      <h3>Decisions (${decisions.length})</h3>
+      <ul>
+        ${decisions.map(
+          (decision) => html`
+            <li class="impact-item">
+              ${score(decision.score)}
+              <a @click=${() => this._focusDecision(decision.id)}>${this._formatRef(decision.id)}</a>
+              ${decision.title}
+              <span class="impact-reasons">${decision.reasons.join(" → ")}</span>
+            </li>
+          `,
+        )}
+      </ul>
+      <h3>Components (${components.length})</h3>
+      <ul>
+        ${components.map(
+          (component) => html`
+            <li class="impact-item">
+              ${score(component.score)} <code>${component.path}</code>
+            </li>
+          `,
+        )}
+      </ul>
+      <h3>Open Backlog Items (${backlog.length})</h3>
+      <ul>
+        ${backlog.map(
+          (item) => html`
+            <li class="impact-item">
+              ${score(item.score)} ${this._formatRef(item.id)} ${item.title}
+              <span class="impact-reasons">${item.reasons.join("; ")}</span>
+            </li>
+          `,
+        )}
+      </ul>
+    `;
   }
 
   updateActivity(agentId, activityState, taskDescription) {
@@ -486,6 +806,32 @@ class DecisionDetailPanel extends LitElement {
     `;
   }
 
+  // Declared categories are shown as they are; inferred ones are marked, with
+  // the rules that matched in the tooltip
+  _renderCategory() {
+    const { category, inferred, reasons } = classifyDecision(
+      this.decision,
+      this.categories,
+    );
+    const color = this.categories.categories.find(
+      (definition) => definition.name === category,
+    )?.color;
+    const why = reasons.length > 0 ? reasons.join("\n") : "No rule matched";
+    return html`
+      <p>
+        <strong>Category:</strong>
+        <span class="category-name" style="border-color: ${color || "var(--border-color)"}">${category}</span>
+        ${inferred
+          ? html`<span
+              class="category-inferred"
+              title="Inferred from the category rules:\n${why}\nRun 'decision-tapestry categorize --apply' to declare it"
+              >inferred</span
+            >`
+          : ""}
+      </p>
+    `;
+  }
+
   render() {
     if (!this.decision) {
       return html`
@@ -556,7 +902,7 @@ class DecisionDetailPanel extends LitElement {
             <ul class="task-list">
               ${tasks.map((task) => {
                 const taskStatusClass = `task-status-${task.status.toLowerCase()}`;
-                const isComplete = task.status === "Done" || task.status === "Completed";
+                const isComplete = isCompletedStatus(task.status);
                 const icon = isComplete ? "✅" : "⚪";
                 return html`<li class="task-item">
                   <span class="${taskStatusClass}"
@@ -603,11 +949,50 @@ class DecisionDetailPanel extends LitElement {
     // Render additional GitHub data (CI status, workflow runs, releases)
     const additionalGitHubHtml = this._renderAdditionalGitHubData(github_metadata);
 
+    const viewTabs = html`
+      <div class="view-tabs">
+        <button
+          class="view-tab ${this._view === "details" ? "active" : ""}"
+          @click=${() => this._showView("details")}
+        >
+          Details
+        </button>
+        <button
+          class="view-tab ${this._view === "history" ? "active" : ""}"
+          @click=${() => this._showView("history")}
+        >
+          History
+        </button>
+        <button
+          class="view-tab ${this._view === "impact" ? "active" : ""}"
+          @click=${() => this._showView("impact")}
+        >
+          Impact
+        </button>
+      </div>
+    `;
+
+    if (this._view === "history") {
+      return html`
+        <h2>Decision #${id}: ${title}</h2>
+        ${viewTabs} ${this._renderHistory()}
+      `;
+    }
+
+    if (this._view === "impact") {
+      return html`
+        <h2>Decision #${id}: ${title}</h2>
+        ${viewTabs} ${this._renderImpact()}
+      `;
+    }
+
     return html`
       <h2>Decision #${id}: ${title}${this.decision.quick_task ? ' <span style="background: var(--color-warning); color: var(--text-primary); padding: 2px 8px; border-radius: 4px; font-size: 0.7em; vertical-align: middle;">⚡ Quick Task</span>' : ''}</h2>
+      ${viewTabs}
       <p>
         <strong>Status:</strong> <span class="${statusClass}">${status}</span>
       </p>
+      ${this._renderCategory()}
       ${activityHtml} ${authorHtml}
       <p><strong>Date:</strong> ${decisionDate.toLocaleString()}</p>
       <h3>Rationale</h3>
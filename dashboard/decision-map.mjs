@@ -2,6 +2,10 @@
 console.log("[decision-map] module loaded");
 
 import { LitElement, css, html } from "https://esm.sh/lit@3";
+import { DEFAULT_CATEGORIES, normalizeCategories } from "../shared/categories.js";
+
+// Color of the impact overlay, shaded by how strongly a decision is affected
+const IMPACT_COLOR = "#dc3545";
 
 /**
  * @class DecisionMap
@@ -12,6 +16,7 @@ class DecisionMap extends LitElement {
   static styles = css`
     :host {
       display: block;
+      position: relative;
       width: 100%;
       height: 100%;
     }
@@ -20,6 +25,36 @@ class DecisionMap extends LitElement {
       height: 100%;
     }
 
+    /* Impact overlay legend */
+    .impact-legend {
+      position: absolute;
+      top: 8px;
+      left: 8px;
+      z-index: 1;
+      display: flex;
+      align-items: center;
+      gap: 0.5rem;
+      padding: 4px 8px;
+      border-radius: 4px;
+      font-size: 12px;
+      background: var(--panel-bg, #fff);
+      border: 1px solid var(--border, #ddd);
+      color: var(--text-primary, #000);
+    }
+    .impact-legend .scale {
+      width: 60px;
+      height: 8px;
+      border-radius: 4px;
+      background: linear-gradient(to right, rgba(220, 53, 69, 0.15), rgba(220, 53, 69, 0.75));
+    }
+    .impact-legend button {
+      border: none;
+      background: transparent;
+      cursor: pointer;
+      color: inherit;
+      font-size: 12px;
+    }
+
     /* Activity state animations */
     @keyframes pulse-working {
       0% {
@@ -74,6 +109,7 @@ class DecisionMap extends LitElement {
   static properties = {
     clusteringEnabled: { type: Boolean },
     clusterByCategory: { type: Boolean },
+    _impact: { type: Object, state: true },
   };
 
   // Track agent activities on nodes - now supports multiple agents per node
@@ -98,6 +134,8 @@ class DecisionMap extends LitElement {
       if (toRemove.length) this._nodesDataSet.remove(toRemove);
     }
     this._nodes = newVal;
+    // Keep the impact overlay on top of refreshed data
+    if (this._impact) this.showImpactOverlay(this._impact);
     this._maybeInitNetwork();
   }
   get nodes() {
@@ -130,24 +168,24 @@ class DecisionMap extends LitElement {
     this._edgesDataSet = new vis.DataSet();
     this.clusteringEnabled = false;
     this.clusterByCategory = true;
+    this._impact = null;
 
-    // Category colors for clustering
-    this._categoryColors = {
-      Infrastructure: "#FF6B35",
-      "Developer Experience": "#4ECDC4",
-      "UI/UX": "#45B7D1",
-      Architecture: "#96CEB4",
-      Process: "#FFEAA7",
-      Quality: "#DDA0DD",
-      Integration: "#98D8C8",
-      "Knowledge Management": "#74B9FF",
-      Other: "#95A5A6",
-    };
+    // Category configuration from /api/data; its colors tint the clusters
+    this.categories = normalizeCategories(DEFAULT_CATEGORIES, "default");
   }
 
   render() {
     console.log("[decision-map] render called");
-    return html`<div id="network"></div>`;
+    return html`
+      ${this._impact
+        ? html`<div class="impact-legend">
+            <span>Impact of ${this._formatRef(this._impact.decision.id)}</span>
+            <span>low</span><span class="scale"></span><span>high</span>
+            <button title="Clear impact overlay" @click=${() => this.clearImpactOverlay()}>✕</button>
+          </div>`
+        : ""}
+      <div id="network"></div>
+    `;
   }
 
   connectedCallback() {
@@ -503,6 +541,68 @@ class DecisionMap extends LitElement {
     }
   }
 
+  /**
+   * Highlight what changing a decision affects: the decision gets a thick
+   * border, impacted decisions are shaded by score and the rest fade out.
+   * @param {{decision: {id: number|string}, decisions: {id: number|string, score: number}[]}} impact -
+   *   Result of GET /api/decisions/:id/impact
+   */
+  showImpactOverlay(impact) {
+    if (!this._originalNodes || !this._nodesDataSet) return;
+    const scores = new Map(impact.decisions.map((d) => [d.id, d.score]));
+
+    this._nodesDataSet.update(
+      this._originalNodes.map((node) => {
+        if (node.id === impact.decision.id) {
+          return {
+            ...node,
+            borderWidth: 5,
+            color: this._impactColor(node.color, IMPACT_COLOR, 0.9),
+          };
+        }
+        const score = scores.get(node.id);
+        if (score === undefined) {
+          return {
+            ...node,
+            borderWidth: 1,
+            color: this._impactColor(node.color, "#cccccc", 0.15),
+            font: { ...node.font, color: "#999" },
+          };
+        }
+        return {
+          ...node,
+          borderWidth: 2 + Math.round(score * 2),
+          color: this._impactColor(node.color, IMPACT_COLOR, 0.15 + score * 0.6),
+        };
+      }),
+    );
+    this._impact = impact;
+  }
+
+  clearImpactOverlay() {
+    if (this._originalNodes && this._nodesDataSet) {
+      this._nodesDataSet.update(
+        this._originalNodes.map((node) => ({ ...node, borderWidth: node.borderWidth ?? 1 })),
+      );
+    }
+    this._impact = null;
+  }
+
+  _impactColor(color, hex, opacity) {
+    const background = this._hexToRgba(hex, opacity);
+    const border = hex === IMPACT_COLOR ? hex : color?.border;
+    return {
+      border,
+      background,
+      highlight: { border, background },
+      hover: { border, background },
+    };
+  }
+
+  _formatRef(id) {
+    return typeof id === "number" ? `#${id}` : id;
+  }
+
   // Category clustering methods
   enableCategoryClustering() {
     if (!this._network) return;
@@ -533,72 +633,29 @@ class DecisionMap extends LitElement {
   _getCategoriesFromNodes() {
     const categories = new Set();
     this._nodes.forEach((node) => {
-      // For now, we'll use a simple categorization based on title/content
-      // This will be enhanced when we add category data to decisions
-      const category = this._inferCategory(node);
-      categories.add(category);
+      categories.add(this._getNodeCategory(node));
     });
     return Array.from(categories);
   }
 
-  _inferCategory(node) {
-    const title = node.title || node.label || "";
-    const lowerTitle = title.toLowerCase();
+  // Nodes carry the declared or inferred category of their decision
+  _getNodeCategory(node) {
+    return node.category || this.categories.fallback;
+  }
 
-    if (
-      lowerTitle.includes("cli") ||
-      lowerTitle.includes("automation") ||
-      lowerTitle.includes("docker") ||
-      lowerTitle.includes("release")
-    ) {
-      return "Developer Experience";
-    } else if (
-      lowerTitle.includes("websocket") ||
-      lowerTitle.includes("server") ||
-      lowerTitle.includes("infrastructure") ||
-      lowerTitle.includes("api")
-    ) {
-      return "Infrastructure";
-    } else if (
-      lowerTitle.includes("dashboard") ||
-      lowerTitle.includes("ui") ||
-      lowerTitle.includes("theme") ||
-      lowerTitle.includes("visual")
-    ) {
-      return "UI/UX";
-    } else if (
-      lowerTitle.includes("architecture") ||
-      lowerTitle.includes("component") ||
-      lowerTitle.includes("structure")
-    ) {
-      return "Architecture";
-    } else if (
-      lowerTitle.includes("process") ||
-      lowerTitle.includes("workflow") ||
-      lowerTitle.includes("coordination")
-    ) {
-      return "Process";
-    } else if (
-      lowerTitle.includes("test") ||
-      lowerTitle.includes("quality") ||
-      lowerTitle.includes("lint")
-    ) {
-      return "Quality";
-    } else if (
-      lowerTitle.includes("integration") ||
-      lowerTitle.includes("vscode") ||
-      lowerTitle.includes("extension")
-    ) {
-      return "Integration";
-    }
-    return "Other";
+  _getCategoryColor(category) {
+    return (
+      this.categories.categories.find((definition) => definition.name === category)
+        ?.color || "#95A5A6"
+    );
   }
 
   _clusterByCategory(category) {
     const categoryNodes = this._nodes.filter(
-      (node) => this._inferCategory(node) === category,
+      (node) => this._getNodeCategory(node) === category,
     );
     if (categoryNodes.length <= 1) return; // Don't cluster single nodes
+    const color = this._getCategoryColor(category);
 
     const nodeIds = categoryNodes.map((node) => node.id);
     const clusterOptions = {
@@ -608,14 +665,11 @@ class DecisionMap extends LitElement {
         label: `${category}\n(${nodeIds.length} decisions)`,
         shape: "box",
         color: {
-          background: this._categoryColors[category] || "#95A5A6",
-          border: this._categoryColors[category] || "#95A5A6",
+          background: color,
+          border: color,
           highlight: {
-            background: this._lightenColor(
-              this._categoryColors[category] || "#95A5A6",
-              0.3,
-            ),
-            border: this._categoryColors[category] || "#95A5A6",
+            background: this._lightenColor(color, 0.3),
+            border: color,
           },
         },
         font: {
@@ -626,7 +680,7 @@ class DecisionMap extends LitElement {
         borderWidth: 3,
         shadow: {
           enabled: true,
-          color: this._categoryColors[category] || "#95A5A6",
+          color,
           size: 10,
           x: 2,
           y: 2,
@@ -4,6 +4,7 @@
  */
 
 import { LitElement, css, html } from "https://esm.sh/lit@3";
+import { isReadOnly } from "./static-data-source.mjs";
 
 export class GallerySets extends LitElement {
   static styles = css`
@@ -457,8 +458,9 @@ export class GallerySets extends LitElement {
   async loadData() {
     this.loading = true;
     try {
-      // Load sets from localStorage (will be replaced with server API)
-      this.sets = this.loadSetsFromStorage();
+      // Load sets from localStorage (will be replaced with server API); the
+      // published site only has the sets saved on the server
+      this.sets = isReadOnly() ? await this.loadPublishedSets() : this.loadSetsFromStorage();
       
       // Load available visuals
       await this.loadVisuals();
@@ -475,6 +477,11 @@ export class GallerySets extends LitElement {
     return stored ? JSON.parse(stored) : [];
   }
 
+  async loadPublishedSets() {
+    const response = await fetch('/api/gallery/sets');
+    return response.ok ? response.json() : [];
+  }
+
   saveSetsToStorage() {
     localStorage.setItem('canvas-gallery-sets', JSON.stringify(this.sets));
   }
@@ -520,14 +527,16 @@ export class GallerySets extends LitElement {
           Organize your AI Canvas visuals into professional presentations
         </p>
         <div class="header-actions">
-          <button class="primary-button" @click=${this.createNewSet}>
-            <span>➕</span>
-            <span>Create New Set</span>
-          </button>
-          <button class="secondary-button" @click=${this.importSet}>
-            <span>📥</span>
-            <span>Import</span>
-          </button>
+          ${isReadOnly() ? '' : html`
+            <button class="primary-button" @click=${this.createNewSet}>
+              <span>➕</span>
+              <span>Create New Set</span>
+            </button>
+            <button class="secondary-button" @click=${this.importSet}>
+              <span>📥</span>
+              <span>Import</span>
+            </button>
+          `}
           <button class="secondary-button" @click=${this.exportSets}>
             <span>📤</span>
             <span>Export</span>
@@ -625,11 +634,13 @@ export class GallerySets extends LitElement {
               <span>🎥</span>
               <span>Launch</span>
             </button>
-            <button class="set-action-button edit"
-                    @click=${(e) => this.editSet(e, set)}>
-              <span>✏️</span>
-              <span>Edit</span>
-            </button>
+            ${isReadOnly() ? '' : html`
+              <button class="set-action-button edit"
+                      @click=${(e) => this.editSet(e, set)}>
+                <span>✏️</span>
+                <span>Edit</span>
+              </button>
+            `}
           </div>
         </div>
       </div>
@@ -670,10 +681,12 @@ export class GallerySets extends LitElement {
                   @click=${(e) => this.launchPresentation(e, set)}>
             <span>🎥</span>
           </button>
-          <button class="set-action-button edit"
-                  @click=${(e) => this.editSet(e, set)}>
-            <span>✏️</span>
-          </button>
+          ${isReadOnly() ? '' : html`
+            <button class="set-action-button edit"
+                    @click=${(e) => this.editSet(e, set)}>
+              <span>✏️</span>
+            </button>
+          `}
         </div>
       </div>
     `;
@@ -688,10 +701,12 @@ export class GallerySets extends LitElement {
           Create your first presentation set to organize your AI Canvas visuals 
           into professional, shareable presentations.
         </p>
-        <button class="primary-button" @click=${this.createNewSet}>
-          <span>➕</span>
-          <span>Create Your First Set</span>
-        </button>
+        ${isReadOnly() ? '' : html`
+          <button class="primary-button" @click=${this.createNewSet}>
+            <span>➕</span>
+            <span>Create Your First Set</span>
+          </button>
+        `}
       </div>
     `;
   }
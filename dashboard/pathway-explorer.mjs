@@ -1,4 +1,5 @@
 import { LitElement, css, html } from "https://esm.sh/lit@3";
+import { isCompletedStatus } from "../shared/status-lifecycle.js";
 
 /**
  * @class PathwayExplorer
@@ -216,7 +217,7 @@ class PathwayExplorer extends LitElement {
           decisions: chain,
           score:
             chain.length * 10 +
-            chain.filter((d) => d.status === "Done").length * 5,
+            chain.filter((d) => isCompletedStatus(d.status)).length * 5,
           summary: `Evolution of ${chain.length} decisions over ${this._getTimeSpan(chain)}`,
         };
         pathways.push(pathway);
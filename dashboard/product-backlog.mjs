@@ -1,4 +1,6 @@
 import { LitElement, css, html } from "https://esm.sh/lit@3";
+import { isCompletedStatus } from "../shared/status-lifecycle.js";
+import { canEditDecisions } from "./static-data-source.mjs";
 
 /**
  * A component to display the product backlog.
@@ -99,7 +101,7 @@ class ProductBacklogPanel extends LitElement {
                         <input
                           type="checkbox"
                           disabled
-                          .checked=${task.status === "Done"}
+                          .checked=${isCompletedStatus(task.status)}
                         />
                         ${task.description} <em>(${task.status})</em>
                       </li>`,
@@ -119,12 +121,14 @@ class ProductBacklogPanel extends LitElement {
           <div class="backlog-item" data-backlog-id=${item.id}>
             <h3>
               ${item.title}
-              <button
-                class="promote-btn"
-                @click=${(e) => this._handlePromoteClick(item.id, e.target)}
-              >
-                Promote
-              </button>
+              ${canEditDecisions()
+                ? html`<button
+                    class="promote-btn"
+                    @click=${(e) => this._handlePromoteClick(item.id, e.target)}
+                  >
+                    Promote
+                  </button>`
+                : ""}
             </h3>
             ${rationaleHtml} ${tradeoffsHtml} ${tasksHtml} ${notesHtml}
           </div>
@@ -0,0 +1,286 @@
+import { LitElement, css, html } from "https://esm.sh/lit@3";
+
+/**
+ * Review queue for machine-generated decision proposals.
+ * Lists pending proposals with their evidence and lets the user accept them
+ * (as a decision or backlog item, optionally after editing), merge them into
+ * an existing decision, or reject them. Backed by /api/proposals.
+ * @element proposal-review-panel
+ */
+class ProposalReviewPanel extends LitElement {
+  static styles = css`
+    :host {
+      display: block;
+    }
+    .proposal {
+      padding: 1rem;
+      border-bottom: 1px solid var(--border);
+    }
+    .proposal h3 {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      gap: 0.5rem;
+      margin: 0 0 0.5rem;
+    }
+    .confidence {
+      font-size: 0.75em;
+      padding: 0.1rem 0.5rem;
+      border-radius: 10px;
+      color: var(--text-inverse);
+      background: var(--color-secondary);
+      white-space: nowrap;
+    }
+    .confidence.high {
+      background: var(--color-success);
+    }
+    .confidence.medium {
+      background: var(--color-warning);
+    }
+    .meta {
+      font-size: 0.8em;
+      color: var(--text-secondary);
+    }
+    ul {
+      padding-left: 1.5rem;
+      font-size: 0.9em;
+      margin: 0.25rem 0;
+    }
+    details {
+      font-size: 0.9em;
+      margin: 0.5rem 0;
+    }
+    code {
+      font-size: 0.85em;
+    }
+    .actions {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 0.4rem;
+      margin-top: 0.75rem;
+    }
+    button,
+    select {
+      padding: 0.3rem 0.6rem;
+      font-size: 0.8em;
+      border-radius: 4px;
+      border: 1px solid var(--border);
+      background: var(--panel-bg);
+      color: var(--text-main);
+      cursor: pointer;
+    }
+    button.primary {
+      border-color: var(--color-primary);
+      background-color: var(--color-primary);
+      color: var(--text-inverse);
+    }
+    button.danger {
+      color: var(--color-error);
+    }
+    button:disabled {
+      opacity: 0.6;
+      cursor: default;
+    }
+    .editor {
+      display: grid;
+      gap: 0.4rem;
+      margin-top: 0.75rem;
+      font-size: 0.85em;
+    }
+    .editor input,
+    .editor textarea {
+      width: 100%;
+      box-sizing: border-box;
+      font: inherit;
+      padding: 0.3rem;
+      border: 1px solid var(--border);
+      border-radius: 4px;
+      background: var(--panel-bg);
+      color: var(--text-main);
+    }
+    .error {
+      color: var(--color-error);
+      font-size: 0.85em;
+    }
+  `;
+
+  static properties = {
+    decisions: { type: Array },
+    _proposals: { state: true },
+    _error: { state: true },
+    _editing: { state: true },
+    _busy: { state: true },
+  };
+
+  constructor() {
+    super();
+    this.decisions = [];
+    this._proposals = null;
+    this._error = null;
+    this._editing = null;
+    this._busy = null;
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    this.refresh();
+  }
+
+  /**
+   * Reload the pending proposals from the server
+   */
+  async refresh() {
+    try {
+      const response = await fetch("/api/proposals");
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      this._proposals = (await response.json()).proposals;
+      this._error = null;
+    } catch (error) {
+      this._error = `Could not load proposals: ${error.message}`;
+    }
+  }
+
+  async _act(proposal, action, body = {}) {
+    this._busy = proposal.id;
+    try {
+      const response = await fetch(`/api/proposals/${proposal.id}/${action}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      if (!response.ok) {
+        const info = await response.json().catch(() => ({}));
+        throw new Error(info.details?.map((d) => `${d.path} ${d.message}`).join(", ") || info.message || `HTTP ${response.status}`);
+      }
+      this._editing = null;
+      this._error = null;
+      await this.refresh();
+    } catch (error) {
+      this._error = `Could not ${action} ${proposal.id}: ${error.message}`;
+    } finally {
+      this._busy = null;
+    }
+  }
+
+  _accept(proposal) {
+    const collection = this.renderRoot.querySelector(`#target-${proposal.id}`).value;
+    this._act(proposal, "accept", { collection });
+  }
+
+  _saveAndAccept(proposal) {
+    const field = (name) => this.renderRoot.querySelector(`#edit-${name}-${proposal.id}`).value;
+    const lines = (value) => value.split("\n").map((line) => line.trim()).filter(Boolean);
+
+    this._act(proposal, "accept", {
+      collection: this.renderRoot.querySelector(`#target-${proposal.id}`).value,
+      decision: {
+        title: field("title").trim(),
+        rationale: lines(field("rationale")),
+        affected_components: lines(field("components")),
+      },
+    });
+  }
+
+  _merge(proposal) {
+    const decisionId = this.renderRoot.querySelector(`#merge-${proposal.id}`).value;
+    if (decisionId) {
+      this._act(proposal, "merge", { decisionId: Number(decisionId) });
+    }
+  }
+
+  _renderEvidence(proposal) {
+    const commits = proposal.evidence?.commits || [];
+    const reasons = proposal.evidence?.reasons || [];
+    return html`
+      <details>
+        <summary>Evidence: ${commits.length} commit(s), ${(proposal.decision.affected_components || []).length} file(s)</summary>
+        ${reasons.length ? html`<div class="meta">${reasons.join(" · ")}</div>` : ""}
+        <ul>
+          ${commits.map(
+            (commit) => html`<li>
+              <code>${commit.sha.slice(0, 7)}</code> ${commit.subject}
+              <span class="meta">${commit.author}, ${String(commit.date).slice(0, 10)}</span>
+            </li>`,
+          )}
+        </ul>
+        <strong>Files:</strong>
+        <ul>
+          ${(proposal.decision.affected_components || []).map((file) => html`<li><code>${file}</code></li>`)}
+        </ul>
+      </details>
+    `;
+  }
+
+  _renderEditor(proposal) {
+    const decision = proposal.decision;
+    return html`
+      <div class="editor">
+        <label>Title <input id="edit-title-${proposal.id}" .value=${decision.title} /></label>
+        <label>Rationale (one per line)
+          <textarea id="edit-rationale-${proposal.id}" rows="3" .value=${(decision.rationale || []).join("\n")}></textarea>
+        </label>
+        <label>Affected components (one per line)
+          <textarea id="edit-components-${proposal.id}" rows="3" .value=${(decision.affected_components || []).join("\n")}></textarea>
+        </label>
+        <div class="actions">
+          <button class="primary" @click=${() => this._saveAndAccept(proposal)}>Save &amp; accept</button>
+          <button @click=${() => (this._editing = null)}>Cancel</button>
+        </div>
+      </div>
+    `;
+  }
+
+  _renderProposal(proposal) {
+    const confidence = proposal.confidence ?? null;
+    const level = confidence >= 0.7 ? "high" : confidence >= 0.4 ? "medium" : "low";
+    const busy = this._busy === proposal.id;
+
+    return html`
+      <div class="proposal" data-proposal-id=${proposal.id}>
+        <h3>
+          ${proposal.decision.title}
+          ${confidence !== null
+            ? html`<span class="confidence ${level}">${Math.round(confidence * 100)}%</span>`
+            : ""}
+        </h3>
+        <div class="meta">${proposal.id} · from ${proposal.source} · ${String(proposal.created_at).slice(0, 10)}</div>
+        ${proposal.decision.rationale?.length
+          ? html`<ul>${proposal.decision.rationale.map((r) => html`<li>${r}</li>`)}</ul>`
+          : ""}
+        ${this._renderEvidence(proposal)}
+        <div class="actions">
+          <select id="target-${proposal.id}" ?disabled=${busy}>
+            <option value="decisions">as decision</option>
+            <option value="backlog">as backlog item</option>
+          </select>
+          <button class="primary" ?disabled=${busy} @click=${() => this._accept(proposal)}>Accept</button>
+          <button ?disabled=${busy} @click=${() => (this._editing = proposal.id)}>Edit</button>
+          <select id="merge-${proposal.id}" ?disabled=${busy}>
+            <option value="">merge into…</option>
+            ${this.decisions.map((d) => html`<option value=${d.id}>#${d.id} ${d.title}</option>`)}
+          </select>
+          <button ?disabled=${busy} @click=${() => this._merge(proposal)}>Merge</button>
+          <button class="danger" ?disabled=${busy} @click=${() => this._act(proposal, "reject")}>Reject</button>
+        </div>
+        ${this._editing === proposal.id ? this._renderEditor(proposal) : ""}
+      </div>
+    `;
+  }
+
+  render() {
+    if (this._proposals === null) {
+      return this._error ? html`<p class="error">${this._error}</p>` : html`<p>Loading proposals…</p>`;
+    }
+
+    return html`
+      ${this._error ? html`<p class="error">${this._error}</p>` : ""}
+      ${this._proposals.length === 0
+        ? html`<p>No proposals waiting for review. Run <code>decision-tapestry infer</code> to look for decisions in git history.</p>`
+        : this._proposals.map((proposal) => this._renderProposal(proposal))}
+    `;
+  }
+}
+
+customElements.define("proposal-review-panel", ProposalReviewPanel);
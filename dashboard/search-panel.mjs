@@ -1,3 +1,4 @@
+import { unsafeHTML } from "https://esm.sh/lit/directives/unsafe-html.js";
 import { LitElement, css, html } from "https://esm.sh/lit@3";
 import {
   extractDate,
@@ -5,11 +6,22 @@ import {
   getCommitCount,
   getLastFileChangeDate,
 } from "../utils/time-filtering-utils.mjs";
+import { getStatuses } from "../shared/status-lifecycle.js";
+import {
+  DEFAULT_CATEGORIES,
+  classifyDecision,
+  normalizeCategories,
+} from "../shared/categories.js";
+import { isReadOnly } from "./static-data-source.mjs";
+
+const SEARCH_DEBOUNCE_MS = 200;
+const SEARCH_RESULT_LIMIT = 5;
 
 /**
  * A component that provides search and filtering controls with fun visualizations.
  * @element search-panel
- * @fires search-input - Dispatched when the user types in the search field.
+ * @fires search-input - Dispatched when the user types in the search field,
+ *   with the ids the search API matched (null when it was not used).
  * @fires filter-change - Dispatched when sliders change.
  */
 class SearchPanel extends LitElement {
@@ -20,12 +32,15 @@ class SearchPanel extends LitElement {
     dateFilterType: { type: String },
     commitTimeRanges: { type: Array },
     activeFilters: { type: Object },
+    categories: { type: Object }, // Category configuration from /api/data
+    _searchResults: { state: true },
   };
 
   constructor() {
     super();
     this.decisions = [];
     this.filteredDecisions = [];
+    this.categories = normalizeCategories(DEFAULT_CATEGORIES, "default");
     this.dateFilterType = "decision"; // decision, first_commit, last_commit, any
     this.commitTimeRanges = []; // Array of {start: Date, end: Date, label: string}
     this.filters = {
@@ -35,7 +50,11 @@ class SearchPanel extends LitElement {
       dateRange: { start: 0, end: 0 },
       recentFileActivity: 0,
       commitTimeRange: 0, // Index into commitTimeRanges
+      matchedIds: null, // Ids the search API matched, best first
     };
+    this._searchResults = [];
+    this._searchTimer = null;
+    this._searchRequest = 0;
     this.activeFilters = {
       categories: [],
       statuses: [],
@@ -60,6 +79,59 @@ class SearchPanel extends LitElement {
       margin-bottom: 1.5rem;
     }
 
+    .search-results {
+      list-style: none;
+      margin: 0.5rem 0 0;
+      padding: 0;
+    }
+
+    .search-result {
+      display: block;
+      width: 100%;
+      padding: 0.4rem 0.5rem;
+      border: none;
+      border-bottom: 1px solid var(--border);
+      background: none;
+      color: var(--text-main);
+      font: inherit;
+      text-align: left;
+      cursor: pointer;
+    }
+
+    .search-result:hover {
+      background: var(--log-hover-bg);
+    }
+
+    .search-result-title {
+      display: block;
+      font-weight: 600;
+      font-size: 0.85rem;
+    }
+
+    .search-snippet {
+      display: block;
+      font-size: 0.75rem;
+      color: var(--text-secondary);
+    }
+
+    .search-snippet mark {
+      background: var(--color-warning);
+      color: inherit;
+      border-radius: 2px;
+    }
+
+    .search-field {
+      text-transform: uppercase;
+      font-size: 0.65rem;
+      letter-spacing: 0.03em;
+    }
+
+    .search-more {
+      font-size: 0.75rem;
+      color: var(--text-secondary);
+      padding: 0.25rem 0.5rem;
+    }
+
     input[type="text"] {
       width: 100%;
       padding: 0.75rem;
@@ -379,15 +451,125 @@ class SearchPanel extends LitElement {
 
   _handleInput(e) {
     this.filters.searchTerm = e.target.value;
+    clearTimeout(this._searchTimer);
+    this._searchTimer = setTimeout(
+      () => this._search(this.filters.searchTerm),
+      SEARCH_DEBOUNCE_MS,
+    );
+  }
+
+  // Ranked search through the server's index; falls back to matching titles
+  // in the browser when there is no server, as in the static export
+  async _search(searchTerm) {
+    const request = ++this._searchRequest;
+    let found = null;
+    if (searchTerm.trim() && !isReadOnly()) {
+      try {
+        const params = new URLSearchParams({
+          q: searchTerm,
+          prefix: "true",
+          limit: String(SEARCH_RESULT_LIMIT),
+        });
+        const response = await fetch(`/api/search?${params}`);
+        if (response.ok) found = await response.json();
+      } catch (error) {
+        console.warn("Search API unavailable:", error);
+      }
+    }
+    // A newer search has started meanwhile
+    if (request !== this._searchRequest) return;
+
+    this.filters.matchedIds = found ? found.ids : null;
+    this._searchResults = found ? found.results : [];
     this.dispatchEvent(
       new CustomEvent("search-input", {
-        detail: { searchTerm: e.target.value },
+        detail: { searchTerm, decisionIds: this.filters.matchedIds },
         bubbles: true,
         composed: true,
       }),
     );
   }
 
+  /**
+   * The search box, sliders and time range, for saved views and links.
+   * @returns {Object} The `search` part of a view state (utils/view-state.mjs)
+   */
+  getViewState() {
+    const { searchTerm, minImpact, daysBack, dateRange, recentFileActivity, commitTimeRange } =
+      this.filters;
+    return {
+      q: searchTerm,
+      minImpact,
+      daysBack,
+      dateRange: { ...dateRange },
+      recentFileActivity,
+      commitTimeRange,
+      dateType: this.dateFilterType,
+    };
+  }
+
+  /**
+   * Restore what getViewState returned and filter with it.
+   * @param {Object} state - The `search` part of a view state
+   */
+  async applyViewState(state) {
+    this.filters = {
+      ...this.filters,
+      searchTerm: state.q,
+      minImpact: state.minImpact,
+      daysBack: state.daysBack,
+      dateRange: { ...state.dateRange },
+      recentFileActivity: state.recentFileActivity,
+      commitTimeRange: state.commitTimeRange,
+    };
+    this.dateFilterType = state.dateType;
+    clearTimeout(this._searchTimer);
+    await this._search(state.q);
+    this._emitFilterChange();
+  }
+
+  _handleResultClick(decisionId) {
+    document.dispatchEvent(
+      new CustomEvent("decision-focus", { detail: { decisionId } }),
+    );
+  }
+
+  _renderSearchResults() {
+    if (this._searchResults.length === 0) return "";
+    const total = this.filters.matchedIds.length;
+    return html`
+      <ul class="search-results">
+        ${this._searchResults.map(
+          (result) => html`
+            <li>
+              <button
+                class="search-result"
+                @click=${() => this._handleResultClick(result.id)}
+              >
+                <span class="search-result-title"
+                  >#${result.id} ${result.title}</span
+                >
+                ${result.highlights.map(
+                  ({ field, snippet }) => html`
+                    <span class="search-snippet"
+                      ><span class="search-field">${field}</span>
+                      ${unsafeHTML(snippet)}</span
+                    >
+                  `,
+                )}
+              </button>
+            </li>
+          `,
+        )}
+      </ul>
+      ${total > this._searchResults.length
+        ? html`<div class="search-more">
+            ${total - this._searchResults.length} more in the log
+          </div>`
+        : ""}
+    `;
+  }
+
   _handleImpactChange(e) {
     this.filters.minImpact = parseInt(e.target.value);
     this.requestUpdate();
@@ -705,7 +887,7 @@ class SearchPanel extends LitElement {
         ? this.filteredDecisions
         : this.decisions;
     dataSource.forEach((d) => {
-      const category = this._inferCategory(d);
+      const category = this._getCategory(d);
       if (category) {
         categoryCounts[category] = (categoryCounts[category] || 0) + 1;
       }
@@ -713,17 +895,18 @@ class SearchPanel extends LitElement {
     return categoryCounts;
   }
 
+  // Declared category, or the one the category rules infer
+  _getCategory(decision) {
+    return classifyDecision(decision, this.categories).category;
+  }
+
   _getIndividualCategoryData() {
+    // The configured categories, then any others decisions declare
     const categories = [
-      "Infrastructure",
-      "Developer Experience",
-      "UI/UX",
-      "Architecture",
-      "Process",
-      "Quality",
-      "Integration",
-      "Knowledge Management",
-      "Other",
+      ...new Set([
+        ...this.categories.categories.map((definition) => definition.name),
+        ...this.decisions.map((d) => this._getCategory(d)),
+      ]),
     ];
     // Use filteredDecisions if it exists and has data, otherwise use all decisions
     const dataSource =
@@ -734,7 +917,7 @@ class SearchPanel extends LitElement {
 
     return categories.map((category) => {
       const count = dataSource.filter(
-        (d) => this._inferCategory(d) === category,
+        (d) => this._getCategory(d) === category,
       ).length;
       return {
         category,
@@ -744,77 +927,8 @@ class SearchPanel extends LitElement {
     }); // Show all categories, even with 0 decisions
   }
 
-  _inferCategory(decision) {
-    const title = decision.title || "";
-    const lowerTitle = title.toLowerCase();
-
-    if (
-      lowerTitle.includes("cli") ||
-      lowerTitle.includes("automation") ||
-      lowerTitle.includes("docker") ||
-      lowerTitle.includes("release")
-    ) {
-      return "Developer Experience";
-    } else if (
-      lowerTitle.includes("websocket") ||
-      lowerTitle.includes("server") ||
-      lowerTitle.includes("infrastructure") ||
-      lowerTitle.includes("api") ||
-      lowerTitle.includes("redis") ||
-      lowerTitle.includes("session")
-    ) {
-      return "Infrastructure";
-    } else if (
-      lowerTitle.includes("dashboard") ||
-      lowerTitle.includes("ui") ||
-      lowerTitle.includes("theme") ||
-      lowerTitle.includes("visual") ||
-      lowerTitle.includes("layout") ||
-      lowerTitle.includes("panel")
-    ) {
-      return "UI/UX";
-    } else if (
-      lowerTitle.includes("architecture") ||
-      lowerTitle.includes("component") ||
-      lowerTitle.includes("structure") ||
-      lowerTitle.includes("design")
-    ) {
-      return "Architecture";
-    } else if (
-      lowerTitle.includes("process") ||
-      lowerTitle.includes("workflow") ||
-      lowerTitle.includes("coordination") ||
-      lowerTitle.includes("collaboration") ||
-      lowerTitle.includes("debugging")
-    ) {
-      return "Process";
-    } else if (
-      lowerTitle.includes("test") ||
-      lowerTitle.includes("quality") ||
-      lowerTitle.includes("lint") ||
-      lowerTitle.includes("error")
-    ) {
-      return "Quality";
-    } else if (
-      lowerTitle.includes("integration") ||
-      lowerTitle.includes("vscode") ||
-      lowerTitle.includes("extension") ||
-      lowerTitle.includes("prompt")
-    ) {
-      return "Integration";
-    } else if (
-      lowerTitle.includes("memory") ||
-      lowerTitle.includes("knowledge") ||
-      lowerTitle.includes("decision") ||
-      lowerTitle.includes("tapestry")
-    ) {
-      return "Knowledge Management";
-    }
-    return "Other";
-  }
-
   _getStatusBreakdown() {
-    const statuses = ["Accepted", "Superseded", "Rejected", "Proposed"];
+    const statuses = getStatuses("decisions");
     const dataSource =
       this.filteredDecisions && this.filteredDecisions.length > 0
         ? this.filteredDecisions
@@ -1023,17 +1137,12 @@ class SearchPanel extends LitElement {
     const totalDecisions = dataSource.length;
 
     // Category colors
-    const categoryColors = {
-      Infrastructure: "#dc3545",
-      "Developer Experience": "#28a745",
-      "UI/UX": "#6f42c1",
-      Architecture: "#fd7e14",
-      Process: "#20c997",
-      Quality: "#ffc107",
-      Integration: "#17a2b8",
-      "Knowledge Management": "#007bff",
-      Other: "#6c757d",
-    };
+    const categoryColors = Object.fromEntries(
+      this.categories.categories.map((definition) => [
+        definition.name,
+        definition.color,
+      ]),
+    );
 
     // Status colors
     const statusColors = {
@@ -1048,9 +1157,12 @@ class SearchPanel extends LitElement {
         <input
           type="text"
           id="search-input"
-          placeholder="Search decisions..."
+          .value=${this.filters.searchTerm}
+          placeholder="Search decisions... (status:Accepted, &quot;exact phrase&quot;)"
+          title="Qualifiers: status: category: author: component: id: repo: title: rationale: notes: · &quot;phrase&quot; · -excluded"
           @input=${this._handleInput}
         />
+        ${this._renderSearchResults()}
       </div>
 
       <div class="slider-section">
@@ -1187,7 +1299,7 @@ class SearchPanel extends LitElement {
           ${categoryData.map((item) => {
             // Calculate total for this category across all decisions
             const categoryTotal = this.decisions.filter(
-              (d) => this._inferCategory(d) === item.category,
+              (d) => this._getCategory(d) === item.category,
             ).length;
             return html`
               <div
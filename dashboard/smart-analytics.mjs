@@ -1,6 +1,8 @@
 /**
  * Smart Analytics Dashboard
- * Provides intelligent insights and analytics for Decision Tapestry
+ * Shows the insights computed by GET /api/analytics/insights. Clicking an
+ * insight, recommendation or stale category fires `decision-set-filter` with
+ * the ids of the decisions behind it, which the dashboard shows on its own.
  */
 
 import { LitElement, html, css } from 'https://cdn.jsdelivr.net/npm/lit@3.0.0/index.js';
@@ -288,6 +290,18 @@ class SmartAnalytics extends LitElement {
       100% { transform: rotate(360deg); }
     }
 
+    .linked {
+      cursor: pointer;
+    }
+
+    .period-select {
+      margin-left: auto;
+      padding: 4px 8px;
+      border: 1px solid #dee2e6;
+      border-radius: 4px;
+      font-size: 13px;
+    }
+
     .no-data {
       text-align: center;
       padding: 40px;
@@ -300,16 +314,29 @@ class SmartAnalytics extends LitElement {
     insights: { type: Array },
     recommendations: { type: Array },
     patterns: { type: Array },
+    period: { type: String },
     isLoading: { type: Boolean },
+    error: { type: String },
     lastUpdated: { type: String }
   };
 
+  static icons = {
+    'velocity': '⚡',
+    'task-completion': '✅',
+    'backlog-to-promotion': '⏱️',
+    'supersession': '🔁',
+    'stale': '🕸️',
+    'missing-documentation': '📝'
+  };
+
   constructor() {
     super();
     this.insights = [];
     this.recommendations = [];
     this.patterns = [];
+    this.period = 'week';
     this.isLoading = true;
+    this.error = '';
     this.lastUpdated = '';
   }
 
@@ -334,117 +361,57 @@ class SmartAnalytics extends LitElement {
   }
 
   async generateInsights() {
-    this.isLoading = true;
-    
+    // Only show the spinner on the first load so periodic refreshes don't flicker
+    this.isLoading = this.insights.length === 0;
+
     try {
-      // Simulate API call to get decision data
-      await new Promise(resolve => setTimeout(resolve, 800));
-      
-      // Generate smart insights
-      this.insights = [
-        {
-          id: 'decision-velocity',
-          title: 'Decision Velocity',
-          icon: '⚡',
-          metric: '2.4',
-          unit: '/week',
-          description: 'Average decisions made per week',
-          trend: { type: 'positive', value: '+15%', period: 'vs last month' }
-        },
-        {
-          id: 'implementation-rate',
-          title: 'Implementation Rate',
-          icon: '✅',
-          metric: '87%',
-          unit: '',
-          description: 'Decisions successfully implemented',
-          trend: { type: 'positive', value: '+12%', period: 'vs last quarter' }
-        },
-        {
-          id: 'complexity-score',
-          title: 'Avg Complexity',
-          icon: '🧠',
-          metric: '6.2',
-          unit: '/10',
-          description: 'Decision complexity rating',
-          trend: { type: 'neutral', value: 'stable', period: 'this quarter' }
-        },
-        {
-          id: 'stakeholder-alignment',
-          title: 'Stakeholder Alignment',
-          icon: '🤝',
-          metric: '92%',
-          unit: '',
-          description: 'Decisions with stakeholder consensus',
-          trend: { type: 'positive', value: '+8%', period: 'vs last month' }
-        }
-      ];
-
-      // Generate recommendations
-      this.recommendations = [
-        {
-          id: 'doc-quality',
-          icon: '📝',
-          title: 'Improve Documentation Quality',
-          description: 'Consider adding more detailed rationale for high-impact decisions to help future teams understand the context.'
-        },
-        {
-          id: 'review-cycle',
-          icon: '🔄',
-          title: 'Establish Review Cycles',
-          description: 'Schedule quarterly reviews for decisions older than 6 months to ensure they remain relevant and effective.'
-        },
-        {
-          id: 'template-usage',
-          icon: '📋',
-          title: 'Standardize Decision Templates',
-          description: 'Use consistent templates for similar decision types to improve quality and reduce decision time.'
-        },
-        {
-          id: 'feedback-loop',
-          icon: '🔍',
-          title: 'Implement Feedback Loops',
-          description: 'Create mechanisms to track decision outcomes and learn from both successes and failures.'
-        }
-      ];
-
-      // Generate patterns
-      this.patterns = [
-        {
-          id: 'tech-debt',
-          name: 'Technical Debt Pattern',
-          frequency: 'Appears in 34% of architecture decisions',
-          confidence: '89%'
-        },
-        {
-          id: 'performance',
-          name: 'Performance Optimization',
-          frequency: 'Common in 28% of recent decisions',
-          confidence: '76%'
-        },
-        {
-          id: 'security',
-          name: 'Security Considerations',
-          frequency: 'Present in 45% of system decisions',
-          confidence: '92%'
-        },
-        {
-          id: 'scalability',
-          name: 'Scalability Planning',
-          frequency: 'Factor in 67% of infrastructure decisions',
-          confidence: '84%'
-        }
-      ];
-
-      this.lastUpdated = new Date().toLocaleTimeString();
-      
+      const response = await fetch(`/api/analytics/insights?period=${this.period}`);
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || `HTTP ${response.status}`);
+      }
+
+      this.insights = result.insights;
+      this.recommendations = result.recommendations;
+      // Stale categories are shown as the decision patterns
+      this.patterns = result.staleCategories.map(category => ({
+        id: category.category,
+        name: category.category,
+        frequency: `${category.count} of ${category.total} open decisions have gone stale`,
+        confidence: `${Math.round((category.count / category.total) * 100)}%`,
+        decisionIds: category.decisionIds
+      }));
+      this.error = '';
+      this.lastUpdated = new Date(result.generated_at).toLocaleTimeString();
     } catch (error) {
       console.error('Error generating insights:', error);
+      this.error = `Could not load analytics: ${error.message}`;
     } finally {
       this.isLoading = false;
     }
   }
 
+  _changePeriod(event) {
+    this.period = event.target.value;
+    this.generateInsights();
+  }
+
+  /**
+   * Asks the dashboard to show only the decisions behind an insight.
+   */
+  _showDecisions(label, decisionIds) {
+    if (!decisionIds || decisionIds.length === 0) return;
+    this.dispatchEvent(new CustomEvent('decision-set-filter', {
+      detail: { label, decisionIds },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  _formatMetric(insight) {
+    return insight.metric === null ? 'n/a' : `${insight.metric}${insight.unit}`;
+  }
+
   render() {
     if (this.isLoading) {
       return html`
@@ -459,23 +426,35 @@ class SmartAnalytics extends LitElement {
       <div class="analytics-header">
         <h1 class="analytics-title">🧠 Smart Analytics</h1>
         <p class="analytics-subtitle">
-          Intelligent insights from your decision data • Last updated: ${this.lastUpdated}
+          Insights from decisions.yml and git history • Last updated: ${this.lastUpdated}
         </p>
+        <select class="period-select" .value=${this.period} @change=${this._changePeriod}>
+          <option value="week">Weekly</option>
+          <option value="month">Monthly</option>
+        </select>
       </div>
 
+      ${this.error ? html`<div class="no-data">${this.error}</div>` : ''}
+
       <div class="insights-grid">
         ${this.insights.map(insight => html`
-          <div class="insight-card">
+          <div
+            class="insight-card ${insight.decisionIds.length > 0 ? 'linked' : ''}"
+            title=${insight.decisionIds.length > 0 ? `Show these ${insight.decisionIds.length} decisions` : ''}
+            @click=${() => this._showDecisions(insight.title, insight.decisionIds)}
+          >
             <div class="insight-header">
-              <div class="insight-icon">${insight.icon}</div>
+              <div class="insight-icon">${SmartAnalytics.icons[insight.id] || '📊'}</div>
               <h3 class="insight-title">${insight.title}</h3>
             </div>
-            <div class="insight-metric">${insight.metric}${insight.unit}</div>
+            <div class="insight-metric">${this._formatMetric(insight)}</div>
             <p class="insight-description">${insight.description}</p>
-            <div class="insight-trend trend-${insight.trend.type}">
-              <span>${insight.trend.type === 'positive' ? '↗' : insight.trend.type === 'negative' ? '↘' : '→'}</span>
-              <span>${insight.trend.value} ${insight.trend.period}</span>
-            </div>
+            ${insight.trend ? html`
+              <div class="insight-trend trend-${insight.trend.type}">
+                <span>${insight.trend.type === 'positive' ? '↗' : insight.trend.type === 'negative' ? '↘' : '→'}</span>
+                <span>${insight.trend.value} ${insight.trend.period}</span>
+              </div>
+            ` : ''}
           </div>
         `)}
       </div>
@@ -484,9 +463,10 @@ class SmartAnalytics extends LitElement {
         <h2 class="recommendations-title">
           💡 Smart Recommendations
         </h2>
+        ${this.recommendations.length === 0 ? html`<div class="no-data">Nothing to follow up on</div>` : ''}
         ${this.recommendations.map(rec => html`
-          <div class="recommendation-item">
-            <span class="recommendation-icon">${rec.icon}</span>
+          <div class="recommendation-item linked" @click=${() => this._showDecisions(rec.title, rec.decisionIds)}>
+            <span class="recommendation-icon">💡</span>
             <div class="recommendation-content">
               <h4 class="recommendation-title">${rec.title}</h4>
               <p class="recommendation-description">${rec.description}</p>
@@ -497,10 +477,11 @@ class SmartAnalytics extends LitElement {
 
       <div class="patterns-section">
         <h2 class="patterns-title">
-          🔍 Decision Patterns
+          🕸️ Stale Decisions by Category
         </h2>
+        ${this.patterns.length === 0 ? html`<div class="no-data">No stale decisions</div>` : ''}
         ${this.patterns.map(pattern => html`
-          <div class="pattern-item">
+          <div class="pattern-item linked" @click=${() => this._showDecisions(`Stale ${pattern.name} decisions`, pattern.decisionIds)}>
             <div class="pattern-indicator"></div>
             <div class="pattern-content">
               <h4 class="pattern-name">${pattern.name}</h4>
@@ -0,0 +1,103 @@
+/**
+ * Read-only data source for the published static site
+ * (`decision-tapestry export site`). The exported index.html marks <html>
+ * with data-mode="static" and loads this module before the components. API
+ * reads are then answered from the JSON snapshot in data/, writes are
+ * refused, and no WebSocket is opened. Components call isReadOnly() to hide
+ * controls that would change data.
+ */
+
+// API routes in the snapshot, and their files relative to the site root. A
+// route with a query string is matched before the bare route.
+export const SNAPSHOT_FILES = {
+  "/api/data": "data/api-data.json",
+  "/api/analytics/insights": "data/analytics-insights.json",
+  "/api/analytics/insights?period=month": "data/analytics-insights-month.json",
+  "/api/gallery/sets": "data/gallery-sets.json",
+  "/api/gallery/private": "data/gallery-private.json",
+  "/api/gallery/public": "data/gallery-public.json",
+  "/api/views": "data/views.json",
+};
+
+/**
+ * Whether the dashboard is the published, read-only snapshot.
+ * @returns {boolean}
+ */
+export function isReadOnly() {
+  return document.documentElement.dataset.mode === "static";
+}
+
+/**
+ * Whether decisions, backlog items and proposals can be changed from the
+ * dashboard. Not in the published snapshot, and not in workspace mode: the
+ * records there come from several repositories and are changed in the
+ * repository they belong to. app.mjs sets data-workspace on <html> when
+ * /api/data describes a workspace.
+ * @returns {boolean}
+ */
+export function canEditDecisions() {
+  return !isReadOnly() && document.documentElement.dataset.workspace === undefined;
+}
+
+function jsonResponse(status, body) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+/**
+ * Routes API requests to the snapshot and replaces WebSocket with a
+ * connection that never opens, so live-update clients stay quiet.
+ */
+export function installStaticDataSource() {
+  const networkFetch = window.fetch.bind(window);
+
+  window.fetch = async (input, init = {}) => {
+    const url = typeof input === "string" ? input : input.url;
+    if (!url.startsWith("/api/")) {
+      return networkFetch(input, init);
+    }
+
+    const method = (init.method || input.method || "GET").toUpperCase();
+    if (method !== "GET") {
+      return jsonResponse(403, {
+        error: "Read-only",
+        message: "This is a published snapshot of the decision log; it cannot be changed here",
+      });
+    }
+
+    const file = SNAPSHOT_FILES[url] || SNAPSHOT_FILES[url.split("?")[0]];
+    if (!file) {
+      return jsonResponse(404, {
+        error: "Not available",
+        message: `${url} is not part of the published snapshot`,
+      });
+    }
+    // This module lives in dashboard/, next to the data/ directory
+    return networkFetch(new URL(`../${file}`, import.meta.url));
+  };
+
+  window.WebSocket = class ReadOnlyWebSocket extends EventTarget {
+    static CONNECTING = 0;
+    static OPEN = 1;
+    static CLOSING = 2;
+    static CLOSED = 3;
+
+    constructor(url) {
+      super();
+      this.url = url;
+      this.readyState = ReadOnlyWebSocket.CONNECTING;
+    }
+
+    send() {}
+
+    close() {
+      this.readyState = ReadOnlyWebSocket.CLOSED;
+    }
+  };
+}
+
+if (isReadOnly()) {
+  installStaticDataSource();
+}
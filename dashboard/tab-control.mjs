@@ -1,4 +1,5 @@
 import { LitElement, css, html } from "https://esm.sh/lit@3";
+import { canEditDecisions } from "./static-data-source.mjs";
 
 /**
  * @class TabControl
@@ -55,16 +56,19 @@ class TabControl extends LitElement {
     this.tabs = [
       { id: "decision-detail", label: "Decision Details" },
       { id: "product-backlog", label: "Product Backlog" },
+      { id: "proposals", label: "Proposals" },
       { id: "analytics", label: "Analytics" },
     ];
     this.activeTab = "decision-detail";
   }
 
   render() {
+    // Proposals can only be reviewed where decisions can be changed
+    const tabs = canEditDecisions() ? this.tabs : this.tabs.filter((tab) => tab.id !== "proposals");
     return html`
       <div class="tabs-header">
         <div class="tabs" @click="${this._handleTabClick}">
-          ${this.tabs.map(
+          ${tabs.map(
             (tab) => html`
               <button
                 class="tab-button ${this.activeTab === tab.id ? "active" : ""}"
@@ -0,0 +1,54 @@
+/**
+ * Analytics API Module
+ * Serves the insights shown in the dashboard's Smart Analytics panel,
+ * computed from decisions.yml and the git history of the project it lives in.
+ * Each insight carries the ids of the decisions behind it so the dashboard
+ * can filter down to them.
+ */
+
+import path from "path";
+import { readDecisionsFile } from "../shared/yaml-utils.js";
+import { GitAnalyzer } from "../services/git-analyzer.mjs";
+import { computeInsights, PERIODS } from "../utils/decision-analytics.mjs";
+import { apiError, sendError } from "./decisions-api.mjs";
+
+/**
+ * Initialize analytics routes
+ * @param {import('express').Express} app - Express app
+ * @param {Object} options
+ * @param {string} options.decisionsPath - Path to decisions.yml
+ * @param {() => Promise<any>} [options.readData] - Reads the decisions instead
+ *   of decisionsPath, as in workspace mode; git history is then not consulted
+ */
+export function initializeAnalyticsRoutes(app, { decisionsPath, readData }) {
+  // GET /api/analytics/insights?period=week|month&staleDays=180
+  app.get("/api/analytics/insights", async (req, res) => {
+    try {
+      const period = req.query.period || "week";
+      if (!PERIODS[period]) {
+        throw apiError(400, "Invalid period", `Unknown period: ${period}`, {
+          suggestion: `Use one of: ${Object.keys(PERIODS).join(", ")}`,
+        });
+      }
+      const staleDays = req.query.staleDays === undefined ? 180 : Number(req.query.staleDays);
+      if (!Number.isInteger(staleDays) || staleDays < 1) {
+        throw apiError(400, "Invalid staleDays", "staleDays must be a positive whole number");
+      }
+
+      const data = readData ? await readData() : await readDecisionsFile(decisionsPath);
+      // Commits to affected components count as activity when the decisions
+      // file is inside a git repository
+      const analyzer = new GitAnalyzer(path.dirname(path.resolve(decisionsPath)));
+      const insights = await computeInsights(data, {
+        period,
+        staleDays,
+        analyzer: !readData && (await analyzer.isGitRepo()) ? analyzer : null,
+      });
+      res.json(insights);
+    } catch (error) {
+      sendError(res, error, "Failed to compute analytics");
+    }
+  });
+}
+
+export default { initializeAnalyticsRoutes };
@@ -0,0 +1,32 @@
+/**
+ * Charter API Module
+ * Serves the team's workflow charter (from the `charter:` section of
+ * decisions.yml, decisions.charter.yml, or the default flow) together with
+ * how many decisions and backlog items are in each state. Items are moved
+ * between states by PATCHing their `charter_state`, which the decisions API
+ * checks against the charter's transitions and WIP limits.
+ */
+
+import { readDecisionsFile } from "../shared/yaml-utils.js";
+import { loadCharter, getCharterCounts } from "../shared/charter.js";
+import { sendError } from "./decisions-api.mjs";
+
+/**
+ * Initialize charter routes
+ * @param {import('express').Express} app - Express app
+ * @param {Object} options
+ * @param {string} options.decisionsPath - Path to decisions.yml
+ */
+export function initializeCharterRoutes(app, { decisionsPath }) {
+  app.get("/api/charter", async (req, res) => {
+    try {
+      const data = await readDecisionsFile(decisionsPath);
+      const charter = await loadCharter(decisionsPath, data);
+      res.json({ charter, counts: getCharterCounts(charter, data) });
+    } catch (error) {
+      sendError(res, error, "Failed to load charter");
+    }
+  });
+}
+
+export default { initializeCharterRoutes };
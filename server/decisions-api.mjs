@@ -0,0 +1,461 @@
+/**
+ * Decisions API Module
+ * CRUD endpoints for decisions, backlog items and decision tasks. Every write
+ * goes through the comment-preserving YAML writer, is validated with the same
+ * schema setup as `decision-tapestry validate`, and is announced with a
+ * targeted `decision-updated` WebSocket message.
+ *
+ * Changes are recorded in the audit log, and `/history` returns a record's
+ * entries. Records carry an ETag (a hash of their content). Writes sent with a stale
+ * If-Match header are refused with 409 and a diff against the current record.
+ * Status changes must follow the lifecycle in shared/status-lifecycle.js, and
+ * `charter_state` changes the transitions and WIP limits of the charter.
+ * A declared `category` must be one of the configured categories.
+ */
+
+import {
+  readDecisionsFile,
+  updateDecisionsFile,
+  getAuditLogPath,
+} from "../shared/yaml-utils.js";
+import { readAuditLog } from "../shared/audit-log.js";
+import {
+  getSchemaValidator,
+  formatSchemaErrors,
+} from "../shared/schema-validator.js";
+import {
+  getRecordRevision,
+  diffRecordFields,
+} from "../shared/decisions-merge.js";
+import { checkStatusChange } from "../shared/status-lifecycle.js";
+import { loadCharter, checkCharterMove } from "../shared/charter.js";
+import { loadCategories } from "../shared/category-config.js";
+
+// Route parameters are restricted to integers so fixed paths such as
+// /api/decisions/promote keep working.
+const ID_PARAM = ":id(\\d+)";
+
+const COLLECTIONS = {
+  decisions: { label: "Decision", route: "/api/decisions" },
+  backlog: { label: "Backlog item", route: "/api/backlog" },
+};
+
+/**
+ * Initialize decision and backlog CRUD routes
+ * @param {import('express').Express} app - Express app
+ * @param {Object} options
+ * @param {string} options.decisionsPath - Path to decisions.yml
+ * @param {(message: Object) => void} options.broadcast - Sends a WebSocket message to all clients
+ */
+export function initializeDecisionRoutes(app, { decisionsPath, broadcast }) {
+  for (const [collection, { label, route }] of Object.entries(COLLECTIONS)) {
+    app.get(`${route}/${ID_PARAM}`, async (req, res) => {
+      try {
+        const data = await readDecisionsFile(decisionsPath);
+        const record = findRecord(data, collection, req.params.id, label);
+        res.set("ETag", formatETag(record)).json(record);
+      } catch (error) {
+        sendError(res, error, `Failed to load ${label.toLowerCase()}`);
+      }
+    });
+
+    app.get(`${route}/${ID_PARAM}/history`, async (req, res) => {
+      try {
+        const entries = await readAuditLog(getAuditLogPath(decisionsPath), {
+          collection,
+          id: Number(req.params.id),
+        });
+        res.json({ id: Number(req.params.id), collection, entries });
+      } catch (error) {
+        sendError(res, error, `Failed to load ${label.toLowerCase()} history`);
+      }
+    });
+
+    app.post([route, `${route}/${ID_PARAM}`], async (req, res) => {
+      try {
+        const input = requireObject(req.body);
+        if (req.params.id !== undefined && input.id !== undefined && Number(input.id) !== Number(req.params.id)) {
+          throw apiError(400, "Invalid request", `The id in the body (${input.id}) does not match the URL (${req.params.id})`);
+        }
+        const requestedId = req.params.id ?? input.id;
+        let created;
+
+        await updateDecisionsFile(decisionsPath, async (data) => {
+          const records = getRecords(data, collection);
+          const id =
+            requestedId === undefined
+              ? getNextId(records)
+              : Number(requestedId);
+
+          if (records.some((record) => record.id === id)) {
+            throw apiError(409, "Conflict", `${label} ${id} already exists`, {
+              suggestion: `Use PATCH ${route}/${id} to change it`,
+            });
+          }
+
+          created = { ...input, id };
+          await assertValid(collection, created);
+          assertLifecycle(collection, null, created);
+          await assertCharterMove(decisionsPath, data, null, created.charter_state);
+          await assertCategory(decisionsPath, data, null, created.category);
+          records.push(created);
+        }, auditContext(req));
+
+        notify(broadcast, collection, created.id, "created");
+        res.status(201).set("ETag", formatETag(created)).json(created);
+      } catch (error) {
+        sendError(res, error, `Failed to create ${label.toLowerCase()}`);
+      }
+    });
+
+    app.patch(`${route}/${ID_PARAM}`, async (req, res) => {
+      try {
+        const changes = requireObject(req.body);
+        const id = Number(req.params.id);
+        if (changes.id !== undefined && changes.id !== id) {
+          throw apiError(400, "Invalid request", "The id of a record cannot be changed");
+        }
+
+        let updated;
+        await updateDecisionsFile(decisionsPath, async (data) => {
+          const record = findRecord(data, collection, id, label);
+          assertRevision(req, record, `${label} ${id}`, () =>
+            diffRecordFields(record, changes),
+          );
+          updated = applyChanges(record, changes);
+          await assertValid(collection, updated, record);
+          assertLifecycle(collection, record, updated);
+          await assertCharterMove(decisionsPath, data, record, changes.charter_state);
+          await assertCategory(decisionsPath, data, record, changes.category);
+          Object.assign(record, changes);
+          removeNullFields(record, changes);
+        }, auditContext(req));
+
+        notify(broadcast, collection, id, "updated");
+        res.set("ETag", formatETag(updated)).json(updated);
+      } catch (error) {
+        sendError(res, error, `Failed to update ${label.toLowerCase()}`);
+      }
+    });
+
+    app.delete(`${route}/${ID_PARAM}`, async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        let removed;
+
+        await updateDecisionsFile(decisionsPath, (data) => {
+          const records = getRecords(data, collection);
+          const index = records.findIndex((record) => record.id === id);
+          if (index === -1) {
+            throw apiError(404, "Not found", `${label} ${id} not found`);
+          }
+          assertRevision(req, records[index], `${label} ${id}`, () => []);
+          [removed] = records.splice(index, 1);
+        }, auditContext(req));
+
+        notify(broadcast, collection, id, "deleted");
+        res.json(removed);
+      } catch (error) {
+        sendError(res, error, `Failed to delete ${label.toLowerCase()}`);
+      }
+    });
+  }
+
+  app.patch(`/api/decisions/${ID_PARAM}/tasks/:index(\\d+)`, async (req, res) => {
+    try {
+      const changes = requireObject(req.body);
+      const id = Number(req.params.id);
+      const index = Number(req.params.index);
+      let updatedTask;
+      let updatedDecision;
+
+      await updateDecisionsFile(decisionsPath, async (data) => {
+        const decision = findRecord(data, "decisions", id, "Decision");
+        assertRevision(req, decision, `Decision ${id}`, () =>
+          diffRecordFields(decision.tasks?.[index] ?? {}, changes).map(
+            (change) => ({ ...change, path: `/tasks/${index}${change.path}` }),
+          ),
+        );
+        const task = decision.tasks?.[index];
+        if (!task) {
+          throw apiError(404, "Not found", `Decision ${id} has no task at index ${index}`);
+        }
+
+        updatedTask = applyChanges(task, changes);
+        assertLifecycle("tasks", task, updatedTask, `/tasks/${index}`);
+        const tasks = [...decision.tasks];
+        tasks[index] = updatedTask;
+        await assertValid("decisions", { ...decision, tasks }, decision);
+
+        Object.assign(task, changes);
+        removeNullFields(task, changes);
+        updatedDecision = decision;
+      }, auditContext(req));
+
+      notify(broadcast, "decisions", id, "task-updated");
+      res.set("ETag", formatETag(updatedDecision)).json(updatedTask);
+    } catch (error) {
+      sendError(res, error, "Failed to update task");
+    }
+  });
+}
+
+function formatETag(record) {
+  return `"${getRecordRevision(record)}"`;
+}
+
+/**
+ * Honours an If-Match header: the write only goes ahead if the record still
+ * has the revision the client last saw. Otherwise responds 409 with the
+ * current record and how the submitted values differ from it.
+ */
+function assertRevision(req, record, description, describeDiff) {
+  const ifMatch = req.get("If-Match");
+  if (!ifMatch || ifMatch.trim() === "*") return;
+
+  const currentRevision = getRecordRevision(record);
+  const expected = ifMatch
+    .split(",")
+    .map((tag) => tag.trim().replace(/^W\//, "").replace(/"/g, ""));
+  if (expected.includes(currentRevision)) return;
+
+  throw apiError(409, "Conflict", `${description} was changed by someone else since revision ${expected.join(", ")}`, {
+    revision: currentRevision,
+    current: record,
+    diff: describeDiff(),
+    suggestion: "Re-apply your change to the current record and send it with the new revision in If-Match",
+  });
+}
+
+// Clients can say who they are with X-Actor; otherwise the server's user is recorded
+function auditContext(req) {
+  return { audit: { source: "server:api", actor: req.get("X-Actor") } };
+}
+
+function notify(broadcast, collection, id, action) {
+  broadcast({ type: "decision-updated", id, collection, action });
+}
+
+function getRecords(data, collection) {
+  if (!Array.isArray(data[collection])) {
+    data[collection] = [];
+  }
+  return data[collection];
+}
+
+function findRecord(data, collection, id, label) {
+  const record = (data[collection] || []).find(
+    (item) => item.id === Number(id),
+  );
+  if (!record) {
+    throw apiError(404, "Not found", `${label} ${id} not found`);
+  }
+  return record;
+}
+
+export function getNextId(records) {
+  const ids = records.map((record) => record.id).filter(Number.isInteger);
+  return ids.length > 0 ? Math.max(...ids) + 1 : 1;
+}
+
+/**
+ * Returns a copy of `record` with `changes` applied. A null value removes the
+ * field, which is how PATCH clients clear optional fields.
+ */
+function applyChanges(record, changes) {
+  const updated = { ...record, ...changes };
+  removeNullFields(updated, changes);
+  return updated;
+}
+
+function removeNullFields(record, changes) {
+  for (const [key, value] of Object.entries(changes)) {
+    if (value === null) {
+      delete record[key];
+    }
+  }
+}
+
+export function requireObject(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw apiError(400, "Invalid request", "Request body must be a JSON object");
+  }
+  return body;
+}
+
+/**
+ * Rejects a record that does not match the schema. When `previous` is given,
+ * only errors the change introduces count, so older records that already
+ * fail validation can still be edited.
+ */
+export async function assertValid(collection, record, previous = null) {
+  const validator = await getSchemaValidator();
+  const { valid, errors } = validator.validateRecord(collection, record);
+  if (valid) return;
+
+  const existing = new Set(
+    previous
+      ? validator.validateRecord(collection, previous).errors.map(describeError)
+      : [],
+  );
+  const introduced = errors.filter((error) => !existing.has(describeError(error)));
+
+  if (introduced.length > 0) {
+    throw apiError(422, "Validation failed", "The record does not match decisions.schema.json", {
+      details: formatSchemaErrors(introduced),
+      suggestion: "See decisions.template.yml for the expected fields",
+    });
+  }
+}
+
+/**
+ * Rejects a status change the lifecycle does not allow, or a record missing
+ * fields its new status requires (e.g. `superseded_by` for Superseded).
+ */
+export function assertLifecycle(kind, previous, record, pathPrefix = "") {
+  const errors = checkStatusChange(kind, previous, record);
+  if (errors.length === 0) return;
+
+  const allowed = errors.find((error) => error.allowed)?.allowed;
+  throw apiError(422, "Invalid status change", errors.map((error) => `${error.path.slice(1)} ${error.message}`).join("; "), {
+    details: errors.map(({ path, message }) => ({ path: `${pathPrefix}${path}`, message })),
+    ...(allowed ? { allowed } : {}),
+    suggestion: allowed?.length
+      ? `Move to one of: ${allowed.join(", ")}`
+      : "Set the required fields in the same request",
+  });
+}
+
+/**
+ * Rejects moving a record to a charter state it cannot move to: 422 for an
+ * unknown state or a move the charter has no transition for, 409 when the
+ * state is at its WIP limit.
+ */
+export async function assertCharterMove(decisionsPath, data, record, to) {
+  if (to === undefined || to === null || to === record?.charter_state) return;
+
+  const charter = await loadCharter(decisionsPath, data);
+  const [problem] = checkCharterMove(charter, data, record, to);
+  if (!problem) return;
+
+  throw apiError(problem.type === "wip-limit" ? 409 : 422, "Invalid charter move", problem.message, {
+    ...(problem.allowed ? { allowed: problem.allowed } : {}),
+    suggestion: problem.type === "wip-limit"
+      ? "Finish or move out an item in that state first"
+      : `Move to one of: ${(problem.allowed || charter.states.map((state) => state.id)).join(", ") || "(none)"}`,
+  });
+}
+
+/**
+ * Rejects a category that is not one of the configured categories with 422.
+ * Records keep a category they already had, so a renamed category does not
+ * block other edits.
+ */
+export async function assertCategory(decisionsPath, data, record, category) {
+  if (category === undefined || category === null || category === record?.category) return;
+
+  const { categories } = await loadCategories(decisionsPath, data);
+  const allowed = categories.map((definition) => definition.name);
+  if (allowed.includes(category)) return;
+
+  throw apiError(422, "Invalid category", `'${category}' is not one of the categories`, {
+    allowed,
+    suggestion: "Use one of the allowed categories, or add it to the categories: section of decisions.yml",
+  });
+}
+
+function describeError(error) {
+  return `${error.instancePath} ${error.keyword} ${error.message}`;
+}
+
+/**
+ * Routes that write decisions.yml or the files next to it, which
+ * refuseWorkspaceWrites guards in workspace mode
+ */
+export const WORKSPACE_READ_ONLY_ROUTES = [
+  "/api/decisions",
+  "/api/backlog",
+  "/api/proposals",
+  "/api/views",
+  "/api/github/webhook",
+];
+
+/**
+ * Middleware refusing changes to records in workspace mode. The server shows
+ * the records of several repositories but only knows the decisions.yml in its
+ * working directory, so changes are made in the repository that owns them.
+ * @type {import('express').RequestHandler}
+ */
+export function refuseWorkspaceWrites(req, res, next) {
+  if (req.method === "GET" || req.method === "HEAD") {
+    return next();
+  }
+  sendError(res, apiError(501, "Not available", "Records can't be changed in workspace mode", {
+    suggestion: "Change them in the repository they belong to, or run the dashboard there",
+  }));
+}
+
+export function apiError(status, error, message, extra = {}) {
+  return Object.assign(new Error(message), { status, body: { error, message, ...extra } });
+}
+
+export function sendError(res, error, fallbackMessage) {
+  if (error.status) {
+    return res.status(error.status).json(error.body);
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+
+  if (error.code === "ELOCKED" || error.code === "ECONFLICT") {
+    return res.status(error.code === "ELOCKED" ? 503 : 409).json({
+      error: error.code === "ELOCKED" ? "Decisions file is busy" : "Conflict",
+      message: error.message,
+      suggestion: "Try again in a moment",
+    });
+  }
+
+  if (error.code === "ECHARTER") {
+    return res.status(422).json({
+      error: "Invalid charter",
+      message: error.message,
+      suggestion: "Fix the charter: section of decisions.yml or decisions.charter.yml",
+    });
+  }
+
+  if (error.code === "ECATEGORIES") {
+    return res.status(422).json({
+      error: "Invalid categories",
+      message: error.message,
+      suggestion: "Fix the categories: section of decisions.yml or decisions.categories.yml",
+    });
+  }
+
+  if (error.message.includes("Could not find decisions.yml")) {
+    res.status(404).json({
+      error: "decisions.yml not found",
+      message: error.message,
+      suggestion:
+        'Run "decision-tapestry init" to create a new decisions.yml file',
+    });
+  } else if (error.message.includes("Invalid YAML syntax")) {
+    res.status(400).json({
+      error: "Invalid YAML format",
+      message: error.message,
+      suggestion: "Check the YAML syntax in your decisions.yml file",
+    });
+  } else if (error.message.includes("Permission denied")) {
+    res.status(403).json({
+      error: "Permission denied",
+      message: error.message,
+      suggestion: "Check file permissions for decisions.yml",
+    });
+  } else {
+    res.status(500).json({
+      error: "Server error",
+      message: fallbackMessage,
+      suggestion: "Check the server logs for more details",
+    });
+  }
+}
+
+export default { initializeDecisionRoutes };
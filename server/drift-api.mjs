@@ -0,0 +1,57 @@
+/**
+ * Drift API Module
+ * Serves the drift report behind the dashboard's drift badge: components in
+ * decisions.yml that were renamed or deleted, often-changed files no decision
+ * covers, and completed decisions whose code changed since.
+ */
+
+import { getDecisionsRevision } from "../shared/yaml-utils.js";
+import { detectDriftForFile } from "../utils/decision-drift.mjs";
+import { apiError, sendError } from "./decisions-api.mjs";
+
+// The report walks git history for every component, so it is reused for a
+// while unless decisions.yml changes
+const CACHE_TTL_MS = 60 * 1000;
+
+/**
+ * Initialize drift routes
+ * @param {import('express').Express} app - Express app
+ * @param {Object} options
+ * @param {string} options.decisionsPath - Path to decisions.yml
+ * @param {boolean} [options.workspace] - Whether the server combines several
+ *   repositories, whose drift has to be checked in each repository
+ */
+export function initializeDriftRoutes(app, { decisionsPath, workspace = false }) {
+  let cached = null;
+
+  // GET /api/drift?since=6+months+ago&minChanges=10
+  app.get("/api/drift", async (req, res) => {
+    try {
+      if (workspace) {
+        throw apiError(501, "Not available", "Drift is checked per repository in workspace mode", {
+          suggestion: "Run 'decision-tapestry drift' in each repository",
+        });
+      }
+      const since = req.query.since || "6 months ago";
+      const minChanges = req.query.minChanges === undefined ? 10 : Number(req.query.minChanges);
+      if (!Number.isInteger(minChanges) || minChanges < 1) {
+        throw apiError(400, "Invalid minChanges", "minChanges must be a positive whole number");
+      }
+
+      const key = `${await getDecisionsRevision(decisionsPath)}:${since}:${minChanges}`;
+      if (!cached || cached.key !== key || Date.now() - cached.time > CACHE_TTL_MS) {
+        const report = detectDriftForFile(decisionsPath, { since, minChanges });
+        cached = { key, time: Date.now(), report };
+        // A failed report is not reused
+        report.catch(() => {
+          if (cached?.report === report) cached = null;
+        });
+      }
+      res.json(await cached.report);
+    } catch (error) {
+      sendError(res, error, "Failed to detect drift");
+    }
+  });
+}
+
+export default { initializeDriftRoutes };
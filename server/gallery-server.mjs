@@ -6,6 +6,38 @@ import { fileURLToPath } from 'url';
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const router = express.Router();
 
+/**
+ * Lists the saved HTML visuals of one gallery, newest first. Also used by
+ * `decision-tapestry export site` to snapshot the gallery.
+ * @param {'private'|'public'} type
+ * @param {string} [galleryRoot] - Directory holding the private/ and public/ galleries
+ */
+export async function listGalleryVisuals(type, galleryRoot = path.join(process.cwd(), 'ai-canvas-gallery')) {
+  const galleryPath = path.join(galleryRoot, type);
+  const files = await fs.readdir(galleryPath);
+  
+  // Filter HTML files and get metadata
+  const visuals = [];
+  for (const file of files) {
+    if (file.endsWith('.html') && !file.startsWith('.')) {
+      const filePath = path.join(galleryPath, file);
+      const stats = await fs.stat(filePath);
+      
+      visuals.push({
+        filename: file,
+        path: `/ai-canvas-gallery/${type}/${file}`,
+        created: stats.birthtime,
+        size: stats.size,
+        type: type
+      });
+    }
+  }
+  
+  // Sort by creation date (newest first)
+  visuals.sort((a, b) => new Date(b.created) - new Date(a.created));
+  return visuals;
+}
+
 // Get list of saved visuals
 router.get('/api/gallery/:type', async (req, res) => {
   const { type } = req.params;
@@ -15,29 +47,7 @@ router.get('/api/gallery/:type', async (req, res) => {
   }
   
   try {
-    const galleryPath = path.join(process.cwd(), 'ai-canvas-gallery', type);
-    const files = await fs.readdir(galleryPath);
-    
-    // Filter HTML files and get metadata
-    const visuals = [];
-    for (const file of files) {
-      if (file.endsWith('.html') && !file.startsWith('.')) {
-        const filePath = path.join(galleryPath, file);
-        const stats = await fs.stat(filePath);
-        
-        visuals.push({
-          filename: file,
-          path: `/ai-canvas-gallery/${type}/${file}`,
-          created: stats.birthtime,
-          size: stats.size,
-          type: type
-        });
-      }
-    }
-    
-    // Sort by creation date (newest first)
-    visuals.sort((a, b) => new Date(b.created) - new Date(a.created));
-    
+    const visuals = await listGalleryVisuals(type);
     res.json({ visuals, count: visuals.length });
   } catch (error) {
     console.error(`[Gallery] Error reading ${type} gallery:`, error);
@@ -1,35 +1,368 @@
 /**
- * github-webhook-handler - Create webhook endpoint for GitHub events
- * Generated by Decision Tapestry Agent Framework
- * Decision ID: 85
+ * GitHub Webhook Handler
+ * Receives GitHub webhook deliveries at POST /api/github/webhook, verifies their
+ * X-Hub-Signature-256 against GITHUB_WEBHOOK_SECRET and records pull requests,
+ * issues, commits, check runs and workflow runs on the decisions they mention.
+ *
+ * A delivery is linked to a decision when its title, body, commit message or
+ * branch name mentions it as "Decision #12", "decision 12" or "decision-12".
+ * Check runs and workflow runs are also linked through commits already recorded
+ * on a decision.
  */
 
+import crypto from "crypto";
+import express from "express";
+import { readDecisionsFile, updateDecisionsFile } from "../shared/yaml-utils.js";
+import { getRecordRevision } from "../shared/decisions-merge.js";
+import { githubConfig } from "../config/github-config.mjs";
+
+export const SUPPORTED_EVENTS = [
+  "push",
+  "pull_request",
+  "issues",
+  "check_run",
+  "workflow_run",
+];
+
+// Keep metadata lists from growing without bound on busy repositories
+const MAX_COMMITS = 50;
+const MAX_WORKFLOW_RUNS = 10;
+
+const DECISION_REFERENCE = /\bdecision[\s_/-]*#?\s*(\d+)\b/gi;
+
+/**
+ * Initialize the GitHub webhook route. Must be registered before any global
+ * JSON body parser, as the signature is computed over the raw request body.
+ * @param {import('express').Express} app - Express app
+ * @param {Object} options
+ * @param {string} options.decisionsPath - Path to decisions.yml
+ * @param {(message: Object) => void} options.broadcast - Sends a WebSocket message to all clients
+ * @param {string} [options.secret] - Shared webhook secret, defaults to GITHUB_WEBHOOK_SECRET
+ */
+export function initializeGitHubWebhookRoutes(
+  app,
+  { decisionsPath, broadcast, secret = githubConfig.webhookSecret },
+) {
+  app.post(
+    "/api/github/webhook",
+    express.raw({ type: () => true, limit: "5mb" }),
+    async (req, res) => {
+      if (!secret) {
+        return res.status(503).json({
+          error: "Webhook not configured",
+          message: "GITHUB_WEBHOOK_SECRET is not set, so deliveries cannot be verified",
+          suggestion:
+            "Set GITHUB_WEBHOOK_SECRET to the secret configured for the webhook on GitHub",
+        });
+      }
+
+      const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+      if (!verifyWebhookSignature(rawBody, req.get("X-Hub-Signature-256"), secret)) {
+        return res.status(401).json({
+          error: "Invalid signature",
+          message: "X-Hub-Signature-256 is missing or does not match the payload",
+          suggestion: "Check that the webhook secret on GitHub matches GITHUB_WEBHOOK_SECRET",
+        });
+      }
+
+      const event = req.get("X-GitHub-Event");
+      const delivery = req.get("X-GitHub-Delivery") || null;
+
+      let payload;
+      try {
+        payload = parsePayload(rawBody, req.get("Content-Type"));
+      } catch (error) {
+        return res.status(400).json({
+          error: "Invalid payload",
+          message: error.message,
+          suggestion: "Configure the webhook to send application/json",
+        });
+      }
+
+      if (event === "ping") {
+        return res.json({ event, delivery, message: "pong" });
+      }
+      if (!SUPPORTED_EVENTS.includes(event)) {
+        return res.status(202).json({ event, delivery, ignored: true, updated: [] });
+      }
+
+      try {
+        const updated = await handleWebhookEvent(decisionsPath, event, payload);
+        for (const id of updated) {
+          broadcast({ type: "decision-updated", id, collection: "decisions", action: `github:${event}` });
+        }
+        console.log(`[GitHub Webhook] ${event} (${delivery}) updated decisions: ${updated.join(", ") || "none"}`);
+        res.json({ event, delivery, updated });
+      } catch (error) {
+        console.error(`[GitHub Webhook] Failed to handle ${event} (${delivery}):`, error);
+        res.status(500).json({
+          error: "Webhook processing failed",
+          message: error.message,
+          suggestion: "Check the server logs; GitHub can redeliver the event from the webhook settings",
+        });
+      }
+    },
+  );
+}
+
+/**
+ * Checks an X-Hub-Signature-256 header ("sha256=<hex hmac>") against the body.
+ * @param {Buffer|string} rawBody - Request body exactly as received
+ * @param {string|undefined} signatureHeader - Value of X-Hub-Signature-256
+ * @param {string} secret - Shared webhook secret
+ * @returns {boolean}
+ */
+export function verifyWebhookSignature(rawBody, signatureHeader, secret) {
+  if (!secret || typeof signatureHeader !== "string" || !signatureHeader.startsWith("sha256=")) {
+    return false;
+  }
+
+  const expected = Buffer.from(signWebhookPayload(rawBody, secret));
+  const received = Buffer.from(signatureHeader);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Computes the X-Hub-Signature-256 value GitHub would send for a body.
+ * @param {Buffer|string} rawBody
+ * @param {string} secret
+ * @returns {string}
+ */
+export function signWebhookPayload(rawBody, secret) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(rawBody).digest("hex")}`;
+}
+
+/**
+ * Finds the decision ids a piece of text refers to.
+ * @param {...(string|null|undefined)} texts
+ * @returns {number[]}
+ */
+export function findDecisionReferences(...texts) {
+  const ids = new Set();
+  for (const text of texts) {
+    if (!text) continue;
+    for (const match of text.matchAll(DECISION_REFERENCE)) {
+      ids.add(Number(match[1]));
+    }
+  }
+  return [...ids];
+}
+
+/**
+ * Applies a webhook event to decisions.yml.
+ * @param {string} decisionsPath - Path to decisions.yml
+ * @param {string} event - X-GitHub-Event value
+ * @param {Object} payload - Parsed webhook payload
+ * @returns {Promise<number[]>} Ids of the decisions that changed
+ */
+export async function handleWebhookEvent(decisionsPath, event, payload) {
+  // Most deliveries concern no decision - don't touch the file for those
+  const preview = applyWebhookEvent(await readDecisionsFile(decisionsPath), event, payload);
+  if (preview.length === 0) {
+    return [];
+  }
+
+  let updated = [];
+  await updateDecisionsFile(
+    decisionsPath,
+    (data) => {
+      updated = applyWebhookEvent(data, event, payload);
+    },
+    { audit: { source: `github:${event}`, actor: payload.sender?.login } },
+  );
+  return updated;
+}
+
 /**
- * Create webhook endpoint for GitHub events
+ * Records a webhook event in the github_metadata of the decisions it concerns.
+ * Changes `data` in place.
+ * @param {any} data - Decisions data
+ * @param {string} event - X-GitHub-Event value
+ * @param {Object} payload - Parsed webhook payload
+ * @returns {number[]} Ids of the decisions that changed
  */
-export async function process(data) {
-    try {
-        // Implementation for: Create webhook endpoint for GitHub events
-        console.log('[github-webhook-handler] Processing:', data);
-        return { success: true, data };
-    } catch (error) {
-        console.error('[github-webhook-handler] Error:', error.message);
-        throw error;
+export function applyWebhookEvent(data, event, payload) {
+  const handler = EVENT_HANDLERS[event];
+  if (!handler) {
+    return [];
+  }
+
+  const changed = [];
+  for (const decision of data.decisions || []) {
+    const before = getRecordRevision(decision.github_metadata ?? null);
+    const metadata = { ...(decision.github_metadata || {}) };
+
+    if (!handler(metadata, payload, decision)) continue;
+
+    if (payload.repository?.full_name && !metadata.repository) {
+      metadata.repository = payload.repository.full_name;
+    }
+    if (getRecordRevision(metadata) !== before) {
+      decision.github_metadata = metadata;
+      changed.push(decision.id);
     }
+  }
+  return changed;
 }
 
-export default { process };
+// Each handler updates `metadata` for one decision and returns whether the
+// event concerns that decision.
+const EVENT_HANDLERS = {
+  push(metadata, payload, decision) {
+    const branchMentions = findDecisionReferences(branchName(payload.ref)).includes(decision.id);
+    const commits = (payload.commits || []).filter(
+      (commit) => branchMentions || findDecisionReferences(commit.message).includes(decision.id),
+    );
+    if (commits.length === 0) return false;
+
+    metadata.commits = upsertBy(
+      metadata.commits,
+      commits.map((commit) => ({
+        sha: commit.id,
+        message: commit.message,
+        url: commit.url,
+        date: toISODate(commit.timestamp),
+        author: commit.author?.username || commit.author?.name,
+      })),
+      "sha",
+    ).slice(-MAX_COMMITS);
+    return true;
+  },
+
+  pull_request(metadata, { pull_request: pr }, decision) {
+    if (!pr || !findDecisionReferences(pr.title, pr.body, pr.head?.ref).includes(decision.id)) {
+      return false;
+    }
+
+    metadata.pull_requests = upsertBy(metadata.pull_requests, [
+      {
+        number: pr.number,
+        title: pr.title,
+        url: pr.html_url,
+        status: pr.merged || pr.merged_at ? "merged" : pr.state,
+      },
+    ], "number");
+    return true;
+  },
+
+  issues(metadata, { issue }, decision) {
+    if (!issue || issue.pull_request || !findDecisionReferences(issue.title, issue.body).includes(decision.id)) {
+      return false;
+    }
+
+    metadata.issues = upsertBy(metadata.issues, [
+      {
+        number: issue.number,
+        title: issue.title,
+        url: issue.html_url,
+        status: issue.state,
+      },
+    ], "number");
+    return true;
+  },
+
+  check_run(metadata, { check_run: run }, decision) {
+    if (!run || !concernsCommit(metadata, decision, run.head_sha, run.check_suite?.head_branch)) {
+      return false;
+    }
+
+    const statuses = upsertBy(metadata.commit_status?.statuses, [
+      {
+        context: run.name,
+        state: run.status === "completed" ? run.conclusion : "pending",
+        description: run.output?.title || undefined,
+        target_url: run.html_url,
+      },
+    ], "context");
+
+    metadata.commit_status = {
+      state: combineStatuses(statuses),
+      total_count: statuses.length,
+      statuses,
+    };
+    return true;
+  },
 
+  workflow_run(metadata, { workflow_run: run }, decision) {
+    if (!run || !(concernsCommit(metadata, decision, run.head_sha, run.head_branch) ||
+      findDecisionReferences(run.display_title).includes(decision.id))) {
+      return false;
+    }
 
-// Enhanced by Decision Tapestry Agent Framework
-// Decision ID: 85
-// Task: Add webhook signature validation
-// Timestamp: 2025-07-16T07:10:03.671Z
+    metadata.workflow_runs = upsertBy(metadata.workflow_runs, [
+      {
+        id: run.id,
+        name: run.name,
+        status: run.status,
+        conclusion: run.conclusion ?? undefined,
+        created_at: toISODate(run.created_at),
+        updated_at: toISODate(run.updated_at),
+        url: run.html_url,
+        head_sha: run.head_sha,
+        head_branch: run.head_branch,
+      },
+    ], "id").slice(-MAX_WORKFLOW_RUNS);
+    return true;
+  },
+};
 
+function concernsCommit(metadata, decision, sha, branch) {
+  return (
+    (sha && (metadata.commits || []).some((commit) => commit.sha === sha)) ||
+    findDecisionReferences(branch).includes(decision.id)
+  );
+}
 
+// Failures win over pending checks, which win over successes
+function combineStatuses(statuses) {
+  const states = statuses.map((status) => status.state);
+  if (states.some((state) => ["failure", "timed_out", "cancelled", "action_required", "error"].includes(state))) {
+    return "failure";
+  }
+  if (states.some((state) => state === "pending")) {
+    return "pending";
+  }
+  return "success";
+}
 
-// Enhanced by Decision Tapestry Agent Framework
-// Decision ID: 85
-// Task: Update decision display with real-time GitHub updates
-// Timestamp: 2025-07-16T07:10:03.757Z
+/**
+ * Replaces items that share `key` with the new version, appends the rest.
+ * Undefined fields are dropped so they don't end up in the YAML.
+ */
+function upsertBy(items = [], updates, key) {
+  const result = [...items];
+  for (const update of updates) {
+    const clean = Object.fromEntries(
+      Object.entries(update).filter(([, value]) => value !== undefined),
+    );
+    const index = result.findIndex((item) => item[key] === clean[key]);
+    if (index === -1) {
+      result.push(clean);
+    } else {
+      result[index] = { ...result[index], ...clean };
+    }
+  }
+  return result;
+}
+
+// YAML reads timestamps back as Dates; storing them in ISO form keeps
+// redelivered events from looking like changes
+function toISODate(value) {
+  const date = new Date(value);
+  return value && !Number.isNaN(date.getTime()) ? date.toISOString() : undefined;
+}
+
+function branchName(ref) {
+  return ref?.replace(/^refs\/heads\//, "") || "";
+}
+
+// GitHub sends either application/json or a form field named "payload"
+function parsePayload(rawBody, contentType = "") {
+  const text = rawBody.toString("utf8");
+  if (contentType.startsWith("application/x-www-form-urlencoded")) {
+    return JSON.parse(new URLSearchParams(text).get("payload") || "");
+  }
+  return JSON.parse(text);
+}
 
+export default { initializeGitHubWebhookRoutes };
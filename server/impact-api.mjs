@@ -0,0 +1,53 @@
+/**
+ * Impact API Module
+ * Serves the impact analysis behind the decision detail panel's Impact view
+ * and the decision map's impact overlay: the decisions, components and open
+ * backlog items affected if a decision is changed or superseded.
+ */
+
+import path from "path";
+import { readDecisionsFile } from "../shared/yaml-utils.js";
+import { GitAnalyzer } from "../services/git-analyzer.mjs";
+import { analyzeImpact } from "../utils/decision-impact.mjs";
+import { apiError, sendError } from "./decisions-api.mjs";
+
+const MAX_DEPTH = 6;
+
+/**
+ * Initialize impact analysis routes
+ * @param {import('express').Express} app - Express app
+ * @param {Object} options
+ * @param {string} options.decisionsPath - Path to decisions.yml
+ * @param {() => Promise<any>} [options.readData] - Reads the decisions instead
+ *   of decisionsPath, as in workspace mode; linked commits are then not followed
+ */
+export function initializeImpactRoutes(app, { decisionsPath, readData }) {
+  // GET /api/decisions/:id/impact?depth=3 (workspace ids are URL-encoded, e.g. billing%2312)
+  app.get("/api/decisions/:id/impact", async (req, res) => {
+    try {
+      const depth = req.query.depth === undefined ? 3 : Number(req.query.depth);
+      if (!Number.isInteger(depth) || depth < 1 || depth > MAX_DEPTH) {
+        throw apiError(400, "Invalid depth", `depth must be a whole number from 1 to ${MAX_DEPTH}`);
+      }
+
+      const data = readData ? await readData() : await readDecisionsFile(decisionsPath);
+      const id = /^\d+$/.test(req.params.id) ? Number(req.params.id) : req.params.id;
+      if (!(data.decisions || []).some((decision) => decision.id === id)) {
+        throw apiError(404, "Not found", `Decision ${req.params.id} not found`);
+      }
+
+      // Linked commits are looked up when the decisions file is inside a git repository
+      const analyzer = new GitAnalyzer(path.dirname(path.resolve(decisionsPath)));
+      res.json(
+        await analyzeImpact(data, id, {
+          maxDepth: depth,
+          analyzer: !readData && (await analyzer.isGitRepo()) ? analyzer : null,
+        }),
+      );
+    } catch (error) {
+      sendError(res, error, "Failed to analyze decision impact");
+    }
+  });
+}
+
+export default { initializeImpactRoutes };
@@ -0,0 +1,290 @@
+/**
+ * Proposals API Module
+ * Review queue for machine-generated decision proposals (from `infer`,
+ * `analyze` or agents). Proposals live in decisions.proposals.json next to
+ * decisions.yml, so they survive server restarts, and only reach
+ * decisions.yml when someone accepts them or merges them into an existing
+ * decision. Rejected proposals stay in the queue so they are not proposed again.
+ */
+
+import { updateDecisionsFile } from "../shared/yaml-utils.js";
+import {
+  getProposalsPath,
+  readProposals,
+  updateProposals,
+  addProposals,
+} from "../shared/proposals-store.js";
+import {
+  apiError,
+  sendError,
+  assertValid,
+  assertLifecycle,
+  getNextId,
+  requireObject,
+} from "./decisions-api.mjs";
+
+const TARGET_COLLECTIONS = ["decisions", "backlog"];
+
+/**
+ * Initialize proposal review routes
+ * @param {import('express').Express} app - Express app
+ * @param {Object} options
+ * @param {string} options.decisionsPath - Path to decisions.yml
+ * @param {(message: Object) => void} options.broadcast - Sends a WebSocket message to all clients
+ */
+export function initializeProposalRoutes(app, { decisionsPath, broadcast }) {
+  const proposalsPath = getProposalsPath(decisionsPath);
+
+  app.get("/api/proposals", async (req, res) => {
+    try {
+      const status = req.query.status || "pending";
+      const proposals = await readProposals(proposalsPath);
+      res.json({
+        proposals: status === "all"
+          ? proposals
+          : proposals.filter((proposal) => proposal.status === status),
+      });
+    } catch (error) {
+      sendError(res, error, "Failed to load proposals");
+    }
+  });
+
+  app.post("/api/proposals", async (req, res) => {
+    try {
+      const { decision, confidence = null, evidence = {}, source } = requireObject(req.body);
+      if (!decision || typeof decision !== "object" || !decision.title) {
+        throw apiError(400, "Invalid request", "A proposal needs a decision with at least a title");
+      }
+
+      const { added } = await addProposals(
+        proposalsPath,
+        [{ decision, confidence, evidence }],
+        { source: source || "server:api" },
+      );
+      if (added.length === 0) {
+        throw apiError(409, "Conflict", "A proposal for the same evidence is already in the review queue", {
+          suggestion: "GET /api/proposals?status=all to see it",
+        });
+      }
+
+      broadcast({ type: "proposals-updated", id: added[0].id, action: "created" });
+      res.status(201).json(added[0]);
+    } catch (error) {
+      sendError(res, error, "Failed to add proposal");
+    }
+  });
+
+  app.patch("/api/proposals/:id", async (req, res) => {
+    try {
+      const { decision: changes } = requireObject(req.body);
+      const updated = await updateProposals(proposalsPath, (proposals) => {
+        const proposal = findPendingProposal(proposals, req.params.id);
+        proposal.decision = applyChanges(proposal.decision, changes);
+        proposal.edited_at = new Date().toISOString();
+        return proposal;
+      });
+
+      broadcast({ type: "proposals-updated", id: updated.id, action: "updated" });
+      res.json(updated);
+    } catch (error) {
+      sendError(res, error, "Failed to update proposal");
+    }
+  });
+
+  // Accept, optionally with edits: adds the proposal as a new decision or backlog item
+  app.post("/api/proposals/:id/accept", async (req, res) => {
+    try {
+      const { collection = "decisions", decision: changes } = req.body || {};
+      if (!TARGET_COLLECTIONS.includes(collection)) {
+        throw apiError(400, "Invalid request", `collection must be one of: ${TARGET_COLLECTIONS.join(", ")}`);
+      }
+
+      const { proposal, record } = await updateProposals(proposalsPath, async (proposals) => {
+        const proposal = findPendingProposal(proposals, req.params.id);
+        const fields = applyChanges(proposal.decision, changes);
+        let record;
+
+        await updateDecisionsFile(decisionsPath, async (data) => {
+          data[collection] ||= [];
+          record = {
+            id: getNextId(data[collection]),
+            ...(collection === "backlog" ? toBacklogItem(fields) : toDecision(fields)),
+          };
+          await assertValid(collection, record);
+          assertLifecycle(collection, null, record);
+          data[collection].push(record);
+        }, auditContext(req));
+
+        resolveProposal(proposal, req, { action: "accepted", collection, id: record.id });
+        return { proposal, record };
+      });
+
+      broadcast({ type: "decision-updated", id: record.id, collection, action: "created" });
+      broadcast({ type: "proposals-updated", id: proposal.id, action: "accepted" });
+      res.status(201).json({ proposal, record });
+    } catch (error) {
+      sendError(res, error, "Failed to accept proposal");
+    }
+  });
+
+  // Merge: folds the proposal's components, rationale and dates into an existing decision
+  app.post("/api/proposals/:id/merge", async (req, res) => {
+    try {
+      const decisionId = Number(requireObject(req.body).decisionId);
+      if (!Number.isInteger(decisionId)) {
+        throw apiError(400, "Invalid request", "decisionId must be the id of an existing decision");
+      }
+
+      const { proposal, record } = await updateProposals(proposalsPath, async (proposals) => {
+        const proposal = findPendingProposal(proposals, req.params.id);
+        let record;
+
+        await updateDecisionsFile(decisionsPath, async (data) => {
+          const target = (data.decisions || []).find((decision) => decision.id === decisionId);
+          if (!target) {
+            throw apiError(404, "Not found", `Decision ${decisionId} not found`);
+          }
+          const merged = mergeIntoDecision(target, proposal);
+          await assertValid("decisions", merged, target);
+          Object.assign(target, merged);
+          record = target;
+        }, auditContext(req));
+
+        resolveProposal(proposal, req, { action: "merged", collection: "decisions", id: decisionId });
+        return { proposal, record };
+      });
+
+      broadcast({ type: "decision-updated", id: decisionId, collection: "decisions", action: "updated" });
+      broadcast({ type: "proposals-updated", id: proposal.id, action: "merged" });
+      res.json({ proposal, record });
+    } catch (error) {
+      sendError(res, error, "Failed to merge proposal");
+    }
+  });
+
+  app.post("/api/proposals/:id/reject", async (req, res) => {
+    try {
+      const { reason } = req.body || {};
+      const proposal = await updateProposals(proposalsPath, (proposals) => {
+        const proposal = findPendingProposal(proposals, req.params.id);
+        resolveProposal(proposal, req, { action: "rejected", ...(reason ? { reason } : {}) });
+        return proposal;
+      });
+
+      broadcast({ type: "proposals-updated", id: proposal.id, action: "rejected" });
+      res.json(proposal);
+    } catch (error) {
+      sendError(res, error, "Failed to reject proposal");
+    }
+  });
+}
+
+function findPendingProposal(proposals, id) {
+  const proposal = proposals.find((item) => item.id === id);
+  if (!proposal) {
+    throw apiError(404, "Not found", `Proposal ${id} not found`);
+  }
+  if (proposal.status !== "pending") {
+    throw apiError(409, "Conflict", `Proposal ${id} was already ${proposal.status}`, {
+      proposal,
+    });
+  }
+  return proposal;
+}
+
+function resolveProposal(proposal, req, resolution) {
+  proposal.status = resolution.action;
+  proposal.resolution = {
+    ...resolution,
+    actor: req.get("X-Actor") || undefined,
+    at: new Date().toISOString(),
+  };
+}
+
+function auditContext(req) {
+  return { audit: { source: "server:proposals", actor: req.get("X-Actor") } };
+}
+
+/**
+ * Returns the proposed fields with edits applied; a null value removes a field.
+ */
+function applyChanges(fields, changes) {
+  if (changes === undefined) return { ...fields };
+  if (!changes || typeof changes !== "object" || Array.isArray(changes)) {
+    throw apiError(400, "Invalid request", "decision must be an object of fields to change");
+  }
+
+  const result = { ...fields, ...changes };
+  for (const [key, value] of Object.entries(changes)) {
+    if (value === null) delete result[key];
+  }
+  delete result.id;
+  return result;
+}
+
+function toDecision(fields) {
+  return {
+    ...fields,
+    status: fields.status || "Proposed",
+    date: fields.date || new Date().toISOString(),
+  };
+}
+
+// Backlog items have a smaller set of fields than decisions
+function toBacklogItem(fields) {
+  const item = {
+    title: fields.title,
+    author: typeof fields.author === "string" ? fields.author : undefined,
+    created: new Date().toISOString(),
+    status: "Open",
+    rationale: fields.rationale,
+    tradeoffs: fields.tradeoffs,
+    tasks: fields.tasks,
+    category: fields.category,
+    notes: fields.notes,
+  };
+  return Object.fromEntries(Object.entries(item).filter(([, value]) => value !== undefined));
+}
+
+function mergeIntoDecision(target, proposal) {
+  const fields = proposal.decision;
+  const merged = {};
+
+  const components = union(target.affected_components, fields.affected_components);
+  if (components.length > 0) merged.affected_components = components;
+
+  const rationale = union(target.rationale, fields.rationale);
+  if (rationale.length > 0) merged.rationale = rationale;
+
+  // Widen git-derived date ranges to cover the proposal's commits
+  if (target.date && typeof target.date === "object" && fields.date && typeof fields.date === "object") {
+    const first = earliest(target.date.first_commit_date, fields.date.first_commit_date);
+    const last = latest(target.date.last_commit_date, fields.date.last_commit_date);
+    merged.date = {
+      ...target.date,
+      ...(first ? { first_commit_date: first } : {}),
+      ...(last ? { last_commit_date: last } : {}),
+    };
+  }
+
+  const note = `Merged proposal ${proposal.id}${fields.notes ? `: ${fields.notes}` : ""}`;
+  merged.notes = target.notes ? `${target.notes}\n${note}` : note;
+
+  return { ...target, ...merged };
+}
+
+function union(current = [], additions = []) {
+  return [...new Set([...(current || []), ...(additions || [])])];
+}
+
+function earliest(a, b) {
+  if (!a || !b) return a || b;
+  return Date.parse(a) <= Date.parse(b) ? a : b;
+}
+
+function latest(a, b) {
+  if (!a || !b) return a || b;
+  return Date.parse(a) >= Date.parse(b) ? a : b;
+}
+
+export default { initializeProposalRoutes };
@@ -0,0 +1,65 @@
+/**
+ * Agent Sandbox API Module
+ * Serves the agent work waiting for review to the agent status panel: the
+ * git worktree each agent left its changes in, and their diff. Approving or
+ * discarding the work is done with `decision-tapestry agent review`.
+ */
+
+import path from "path";
+import { AgentSandbox, listSandboxes, findSandboxConflicts } from "../utils/agent-sandbox.mjs";
+import { apiError, sendError } from "./decisions-api.mjs";
+
+/**
+ * Initialize agent sandbox routes
+ * @param {import('express').Express} app - Express app
+ * @param {Object} options
+ * @param {string} options.decisionsPath - Path to decisions.yml; sandboxes are next to it
+ * @param {boolean} [options.workspace] - Whether the server combines several
+ *   repositories, whose sandboxes have to be reviewed in each repository
+ */
+export function initializeSandboxRoutes(app, { decisionsPath, workspace = false }) {
+  const root = path.dirname(path.resolve(decisionsPath));
+
+  // GET /api/agent-sandboxes
+  app.get("/api/agent-sandboxes", async (req, res) => {
+    try {
+      if (workspace) {
+        return res.json({ sandboxes: [], conflicts: [] });
+      }
+      const sandboxes = await listSandboxes(root);
+      res.json({
+        sandboxes: await Promise.all(sandboxes.map((sandbox) => sandbox.getChanges({ diff: false }))),
+        conflicts: await findSandboxConflicts(sandboxes),
+      });
+    } catch (error) {
+      sendError(res, error, "Failed to list agent sandboxes");
+    }
+  });
+
+  // GET /api/agent-sandboxes/:decisionId
+  app.get("/api/agent-sandboxes/:decisionId", async (req, res) => {
+    try {
+      if (workspace) {
+        throw apiError(501, "Not available", "Agent work is reviewed per repository in workspace mode", {
+          suggestion: "Run 'decision-tapestry agent review' in each repository",
+        });
+      }
+      if (!/^\d+$/.test(req.params.decisionId)) {
+        throw apiError(400, "Invalid decision ID", "The decision ID must be a whole number");
+      }
+
+      const sandbox = new AgentSandbox(root, Number(req.params.decisionId));
+      if (!(await sandbox.exists())) {
+        throw apiError(404, "Not found", `No agent work waiting for review for decision ${req.params.decisionId}`);
+      }
+      res.json({
+        ...(await sandbox.getChanges()),
+        conflicts: await sandbox.findConflicts("HEAD"),
+      });
+    } catch (error) {
+      sendError(res, error, "Failed to read agent sandbox");
+    }
+  });
+}
+
+export default { initializeSandboxRoutes };
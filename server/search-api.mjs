@@ -0,0 +1,68 @@
+/**
+ * Search API Module
+ * Serves ranked full-text search for the dashboard's search panel. The index
+ * is kept in memory and brought up to date on the first search after the
+ * decisions change, re-indexing only the decisions that changed.
+ */
+
+import { readDecisionsFile } from "../shared/yaml-utils.js";
+import { SearchIndex } from "../services/search-index.mjs";
+import { apiError, sendError } from "./decisions-api.mjs";
+
+const MAX_LIMIT = 500;
+
+/**
+ * Initialize search routes
+ * @param {import('express').Express} app - Express app
+ * @param {Object} options
+ * @param {string} options.decisionsPath - Path to decisions.yml
+ * @param {() => Promise<any>} [options.readData] - Reads the decisions instead
+ *   of decisionsPath, as in workspace mode
+ * @returns {{invalidate: () => void}} Call invalidate when the decisions change
+ */
+export function initializeSearchRoutes(app, { decisionsPath, readData }) {
+  const index = new SearchIndex();
+  let stale = true;
+  let refreshing = null;
+
+  async function refresh() {
+    // Searches arriving during a refresh wait for it instead of starting another
+    refreshing ??= (async () => {
+      stale = false;
+      try {
+        const data = readData ? await readData() : await readDecisionsFile(decisionsPath);
+        index.update(data.decisions || []);
+      } catch (error) {
+        stale = true;
+        throw error;
+      } finally {
+        refreshing = null;
+      }
+    })();
+    return refreshing;
+  }
+
+  // GET /api/search?q=status:Accepted+cache&limit=20&prefix=true
+  app.get("/api/search", async (req, res) => {
+    try {
+      const query = String(req.query.q || "");
+      const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        throw apiError(400, "Invalid limit", `limit must be a whole number from 1 to ${MAX_LIMIT}`);
+      }
+
+      if (stale || refreshing) await refresh();
+      res.json({ query, ...index.search(query, { limit, prefix: req.query.prefix === "true" }) });
+    } catch (error) {
+      sendError(res, error, "Failed to search decisions");
+    }
+  });
+
+  return {
+    invalidate() {
+      stale = true;
+    },
+  };
+}
+
+export default { initializeSearchRoutes };
@@ -7,9 +7,27 @@ import chokidar from "chokidar";
 import { fileURLToPath } from "url";
 import { WebSocketServer } from "ws";
 import { spawn } from "child_process";
-import { readDecisionsFile, writeDecisionsFile } from "../shared/yaml-utils.js";
+import {
+  readDecisionsFile,
+  updateDecisionsFile,
+  resolveDecisionsLayout,
+  getDecisionsDirectoryPath,
+} from "../shared/yaml-utils.js";
 import { initializeGeminiRoutes } from "./gemini-api.mjs";
 import { galleryRouter } from "./gallery-server.mjs";
+import { initializeDecisionRoutes, refuseWorkspaceWrites, WORKSPACE_READ_ONLY_ROUTES } from "./decisions-api.mjs";
+import { initializeGitHubWebhookRoutes } from "./github-webhook-handler.mjs";
+import { initializeProposalRoutes } from "./proposals-api.mjs";
+import { initializeCharterRoutes } from "./charter-api.mjs";
+import { initializeAnalyticsRoutes } from "./analytics-api.mjs";
+import { initializeImpactRoutes } from "./impact-api.mjs";
+import { initializeDriftRoutes } from "./drift-api.mjs";
+import { initializeSearchRoutes } from "./search-api.mjs";
+import { initializeViewRoutes } from "./views-api.mjs";
+import { initializeSandboxRoutes } from "./sandbox-api.mjs";
+import { loadCharterOrDefault } from "../shared/charter.js";
+import { loadCategoriesOrDefault } from "../shared/category-config.js";
+import { loadWorkspace, readWorkspaceData } from "../shared/workspace.js";
 
 // Helper to get __dirname in ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -29,6 +47,18 @@ const port = process.env.PORT || 8080;
 // Use the mounted volume if it exists (in Docker), otherwise use the current working directory.
 const userDataPath = "/app/user_data";
 const CWD = fs.existsSync(userDataPath) ? userDataPath : process.cwd();
+// decisions.yml, or the decisions/ directory when the one-file-per-decision layout is used
+const decisionsPath = path.join(CWD, "decisions.yml");
+
+// decision-tapestry.workspace.yml turns on workspace mode: the dashboard
+// shows the decisions of every repository it lists, with namespaced ids
+let workspace = null;
+try {
+  workspace = await loadWorkspace(CWD);
+} catch (error) {
+  console.error(`[Workspace] ${error.message}`);
+  process.exit(1);
+}
 
 // Serve the static frontend from the dashboard directory
 app.use(express.static(path.join(__dirname, "../dashboard")));
@@ -36,6 +66,22 @@ app.use(express.static(path.join(__dirname, "../dashboard")));
 app.use("/utils", express.static(path.join(__dirname, "../utils")));
 // Serve styles directory
 app.use("/styles", express.static(path.join(__dirname, "../styles")));
+// Serve shared modules the dashboard uses too, such as the status lifecycle
+app.use("/shared", express.static(path.join(__dirname, "../shared")));
+
+// Every route that changes records, saved views or GitHub activity would write
+// to this directory's files, not to the repository that owns the record
+if (workspace) {
+  app.use(WORKSPACE_READ_ONLY_ROUTES, refuseWorkspaceWrites);
+}
+
+// GitHub webhooks are verified against the raw body, so they are routed
+// before the JSON body parser consumes it
+initializeGitHubWebhookRoutes(app, {
+  decisionsPath,
+  broadcast: broadcastApiWrite,
+});
+
 app.use(express.json());
 
 // Initialize Gemini API routes
@@ -437,15 +483,54 @@ function persistActivity(agentId, activity) {
 }
 
 async function getData() {
-  const decisionsPath = path.join(CWD, "decisions.yml");
+  if (workspace) {
+    return await readWorkspaceData(workspace);
+  }
   return await readDecisionsFile(decisionsPath);
 }
 
-async function updateData(newData) {
-  const decisionsPath = path.join(CWD, "decisions.yml");
-  await writeDecisionsFile(decisionsPath, newData);
+// Writes made through the decisions API and GitHub webhooks announce
+// themselves with a targeted "decision-updated" message, so the file watcher
+// skips its blanket "update" for the change events those writes cause.
+const API_WRITE_QUIET_PERIOD_MS = 1000;
+let lastApiWriteAt = 0;
+
+// Marks the search index out of date; set once the search routes are up
+let invalidateSearch = () => {};
+
+function broadcastApiWrite(message) {
+  lastApiWriteAt = Date.now();
+  invalidateSearch();
+  broadcast(message);
 }
 
+initializeDecisionRoutes(app, {
+  decisionsPath,
+  broadcast: broadcastApiWrite,
+});
+
+initializeProposalRoutes(app, {
+  decisionsPath,
+  broadcast: broadcastApiWrite,
+});
+
+initializeCharterRoutes(app, { decisionsPath });
+initializeAnalyticsRoutes(app, {
+  decisionsPath,
+  readData: workspace ? getData : undefined,
+});
+initializeImpactRoutes(app, {
+  decisionsPath,
+  readData: workspace ? getData : undefined,
+});
+initializeDriftRoutes(app, { decisionsPath, workspace: Boolean(workspace) });
+invalidateSearch = initializeSearchRoutes(app, {
+  decisionsPath,
+  readData: workspace ? getData : undefined,
+}).invalidate;
+initializeViewRoutes(app, { decisionsPath, broadcast });
+initializeSandboxRoutes(app, { decisionsPath, workspace: Boolean(workspace) });
+
 // Endpoint for the CLI to trigger a UI update - DEPRECATED
 // app.post('/api/notify-update', (req, res) => {
 //     const { decisionId } = req.body;
@@ -463,24 +548,18 @@ app.get("/api/data", async (req, res) => {
     const backlog = data.backlog || [];
     const decisions = data.decisions || [];
 
-    // This is a simplified way to extract the charter data
-    const charter = {
-      states: [
-        { id: "Huddle", label: "1. Frame the 'Why'" },
-        { id: "Whiteboard", label: "2. Design the 'What'" },
-        { id: "Build", label: "3. Build & Iterate" },
-        { id: "Validate", label: "4. Validate & Refine" },
-      ],
-      transitions: [
-        { from: "Huddle", to: "Whiteboard" },
-        { from: "Whiteboard", to: "Build" },
-        { from: "Build", to: "Validate" },
-        { from: "Validate", to: "Huddle" },
-        { from: "Validate", to: "Whiteboard" },
-      ],
-    };
-
-    res.json({ decisions, backlog, charter });
+    // A broken charter or category definition should not take the whole
+    // dashboard down
+    const charter = await loadCharterOrDefault(decisionsPath, data);
+    const categories = await loadCategoriesOrDefault(decisionsPath, data);
+
+    res.json({
+      decisions,
+      backlog,
+      charter,
+      categories,
+      ...(data.workspace && { workspace: data.workspace }),
+    });
   } catch (error) {
     console.error("Error fetching API data:", error);
 
@@ -521,38 +600,45 @@ app.post("/api/decisions/promote", async (req, res) => {
       return res.status(400).send({ message: "Backlog item ID is required" });
     }
 
-    const data = await getData();
-    const backlogItemIndex = data.backlog.findIndex((item) => item.id === id);
+    // Read, change and write under the decisions lock so concurrent writers
+    // (agents, the CLI, other requests) can't interleave with the promotion
+    let newDecision = null;
+    await updateDecisionsFile(decisionsPath, (data) => {
+      const backlogItemIndex = data.backlog.findIndex((item) => item.id === id);
 
-    if (backlogItemIndex === -1) {
-      return res.status(404).send({ message: "Backlog item not found" });
-    }
+      if (backlogItemIndex === -1) {
+        throw Object.assign(new Error("Backlog item not found"), { status: 404 });
+      }
 
-    const [backlogItem] = data.backlog.splice(backlogItemIndex, 1);
+      const [backlogItem] = data.backlog.splice(backlogItemIndex, 1);
 
-    const newDecisionId =
-      data.decisions.length > 0
-        ? Math.max(...data.decisions.map((d) => d.id)) + 1
-        : 1;
+      const newDecisionId =
+        data.decisions.length > 0
+          ? Math.max(...data.decisions.map((d) => d.id)) + 1
+          : 1;
 
-    const newDecision = {
-      ...backlogItem,
-      id: newDecisionId,
-      status: "Accepted",
-      date: new Date().toISOString(),
-    };
+      newDecision = {
+        ...backlogItem,
+        id: newDecisionId,
+        status: "Accepted",
+        date: new Date().toISOString(),
+      };
 
-    // Remove backlog-specific fields if they exist
-    delete newDecision.goal;
-    delete newDecision.implementation;
-    delete newDecision.key_features;
+      // Remove backlog-specific fields if they exist
+      delete newDecision.goal;
+      delete newDecision.implementation;
+      delete newDecision.key_features;
 
-    data.decisions.push(newDecision);
-    await updateData(data);
+      data.decisions.push(newDecision);
+    }, { audit: { source: "server:promote", actor: req.get("X-Actor") } });
     broadcast({ type: "update" });
 
     res.status(201).json(newDecision);
   } catch (error) {
+    if (error.status === 404) {
+      return res.status(404).send({ message: error.message });
+    }
+
     console.error("Error promoting backlog item:", error);
 
     if (error.message.includes("Permission denied")) {
@@ -913,22 +999,40 @@ app.get("/api/health", async (_req, res) => {
     checks: {},
   };
 
-  // Check if decisions.yml exists and is readable
-  const decisionsPath = path.join(CWD, "decisions.yml");
-  try {
-    await getData();
-    health.checks.decisionsFile = {
-      status: "ok",
-      message: "decisions.yml found and readable",
-      path: decisionsPath,
-    };
-  } catch (error) {
-    health.status = "error";
-    health.checks.decisionsFile = {
-      status: "error",
-      message: error.message,
-      path: decisionsPath,
+  // In workspace mode, check that every repository's decisions can be read
+  if (workspace) {
+    const { workspace: summary } = await getData();
+    const failed = summary.repos.filter((repo) => repo.error);
+    if (failed.length > 0) health.status = "error";
+    health.checks.workspace = {
+      status: failed.length > 0 ? "error" : "ok",
+      message: `${summary.repos.length - failed.length} of ${summary.repos.length} repositories readable`,
+      path: workspace.source,
+      repos: summary.repos,
     };
+  } else {
+    // Check if decisions.yml (or the decisions/ directory) exists and is readable
+    try {
+      await getData();
+      const { layout, path: resolvedPath } =
+        await resolveDecisionsLayout(decisionsPath);
+      health.checks.decisionsFile = {
+        status: "ok",
+        message:
+          layout === "directory"
+            ? "decisions directory found and readable"
+            : "decisions.yml found and readable",
+        path: resolvedPath,
+        layout,
+      };
+    } catch (error) {
+      health.status = "error";
+      health.checks.decisionsFile = {
+        status: "error",
+        message: error.message,
+        path: decisionsPath,
+      };
+    }
   }
 
   // Check working directory
@@ -952,60 +1056,121 @@ app.get("/api/health", async (_req, res) => {
 });
 
 // --- File Watcher for Real-Time Updates ---
-const decisionsPath = path.join(CWD, "decisions.yml");
-let debounceTimer = null;
-
-// Use chokidar for more reliable file watching
-const watcher = chokidar.watch(decisionsPath, {
-  persistent: true,
-  usePolling: false,
-  interval: 100,
-  binaryInterval: 300,
-  ignoreInitial: true,
-  awaitWriteFinish: {
-    stabilityThreshold: 100,
-    pollInterval: 50,
-  },
-});
 
-watcher
-  .on("change", () => {
-    if (debounceTimer) clearTimeout(debounceTimer);
-    debounceTimer = setTimeout(() => {
+/**
+ * Watches one decisions.yml and broadcasts an "update" when it changes. Its
+ * directory is watched but filtered down to decisions.yml and the decisions/
+ * directory, so both layouts are picked up even if migrate-layout runs while
+ * the server is up. In workspace mode every repository has its own watcher,
+ * and its updates name the repository.
+ * @param {string} filePath - Path to decisions.yml
+ * @param {string} [namespace] - Workspace repository the file belongs to
+ */
+function watchDecisions(filePath, namespace) {
+  const directory = path.dirname(filePath);
+  const decisionsDirectoryPath = getDecisionsDirectoryPath(filePath);
+  const updateMessage = namespace
+    ? { type: "update", repo: namespace }
+    : { type: "update" };
+  let debounceTimer = null;
+
+  const isDecisionsPath = (watchedPath) =>
+    watchedPath === directory ||
+    watchedPath === filePath ||
+    watchedPath === decisionsDirectoryPath ||
+    watchedPath.startsWith(decisionsDirectoryPath + path.sep);
+
+  // Use chokidar for more reliable file watching
+  const fileWatcher = chokidar.watch(directory, {
+    persistent: true,
+    depth: 2,
+    ignored: (watchedPath) => !isDecisionsPath(watchedPath),
+    usePolling: false,
+    interval: 100,
+    binaryInterval: 300,
+    ignoreInitial: true,
+    awaitWriteFinish: {
+      stabilityThreshold: 100,
+      pollInterval: 50,
+    },
+  });
+
+  fileWatcher
+    .on("all", (event, changedPath) => {
+      if (!["add", "change", "unlink"].includes(event)) return;
+      if (!/\.ya?ml$/.test(changedPath)) return;
+
+      invalidateSearch();
+      if (debounceTimer) clearTimeout(debounceTimer);
+      debounceTimer = setTimeout(() => {
+        if (Date.now() - lastApiWriteAt < API_WRITE_QUIET_PERIOD_MS) return;
+        console.log(
+          `[Chokidar] Detected change in ${path.relative(CWD, changedPath)}, broadcasting update.`,
+        );
+        broadcast(updateMessage);
+      }, 150);
+    })
+    .on("error", (error) => {
+      console.error(`[Chokidar] Watcher error:`, error);
+      // Fallback to polling if watching fails
+      console.log(`[Chokidar] Falling back to polling mode...`);
+      fileWatcher.close();
+      startPollingFallback(filePath, updateMessage);
+    })
+    .on("ready", () => {
       console.log(
-        `[Chokidar] Detected change in decisions.yml, broadcasting update.`,
+        `[Chokidar] Watching for changes in: ${filePath} and ${decisionsDirectoryPath}/`,
       );
-      broadcast({ type: "update" });
-    }, 150);
-  })
-  .on("error", (error) => {
-    console.error(`[Chokidar] Watcher error:`, error);
-    // Fallback to polling if watching fails
-    console.log(`[Chokidar] Falling back to polling mode...`);
-    watcher.close();
-    startPollingFallback();
-  })
-  .on("ready", () => {
-    console.log(`[Chokidar] Watching for changes in: ${decisionsPath}`);
-  });
+    });
+
+  return fileWatcher;
+}
+
+const watchers = workspace
+  ? workspace.repos.map((repo) => watchDecisions(repo.decisionsPath, repo.namespace))
+  : [watchDecisions(decisionsPath)];
+
+/**
+ * Cheap change signature for the active layout: the file's mtime, or the
+ * newest mtime plus file count across the decisions directory.
+ * @param {string} filePath - Path to decisions.yml
+ */
+async function getDecisionsSignature(filePath) {
+  const { layout, path: resolvedPath } =
+    await resolveDecisionsLayout(filePath);
+
+  if (layout === "file") {
+    const stats = await fsp.stat(resolvedPath);
+    return `file:${stats.mtime.getTime()}`;
+  }
+
+  const entries = await fsp.readdir(resolvedPath, { recursive: true });
+  const recordFiles = entries.filter((entry) => /\.ya?ml$/.test(entry));
+  let newest = 0;
+  for (const entry of recordFiles) {
+    const stats = await fsp.stat(path.join(resolvedPath, entry));
+    newest = Math.max(newest, stats.mtime.getTime());
+  }
+  return `directory:${recordFiles.length}:${newest}`;
+}
 
 // Polling fallback for extreme cases
-function startPollingFallback() {
-  let lastModified = null;
+function startPollingFallback(filePath, updateMessage) {
+  let lastSignature = null;
 
   const pollFile = async () => {
     try {
-      const stats = await fsp.stat(decisionsPath);
-      const currentModified = stats.mtime.getTime();
+      const currentSignature = await getDecisionsSignature(filePath);
 
-      if (lastModified !== null && currentModified !== lastModified) {
+      if (lastSignature !== null && currentSignature !== lastSignature) {
         console.log(
-          `[Polling] Detected change in decisions.yml, broadcasting update.`,
+          `[Polling] Detected change in decisions, broadcasting update.`,
         );
-        broadcast({ type: "update" });
+        invalidateSearch();
+        broadcast(updateMessage);
       }
 
-      lastModified = currentModified;
+      lastSignature = currentSignature;
     } catch (error) {
       console.error(`[Polling] Error checking file:`, error);
     }
@@ -1013,7 +1178,7 @@ function startPollingFallback() {
 
   // Poll every 1 second as fallback
   setInterval(pollFile, 1000);
-  console.log(`[Polling] Started polling fallback for: ${decisionsPath}`);
+  console.log(`[Polling] Started polling fallback for: ${filePath}`);
 }
 
 /**
@@ -1537,11 +1702,9 @@ const gracefulShutdown = () => {
     claudeCodeIntegrationProcess = null;
   }
 
-  // Close file watcher
-  if (watcher) {
-    watcher.close();
-    console.log("File watcher closed.");
-  }
+  // Close file watchers
+  watchers.forEach((fileWatcher) => fileWatcher.close());
+  console.log("File watchers closed.");
 
   server.close(() => {
     console.log("Server successfully closed.");
@@ -0,0 +1,82 @@
+/**
+ * Views API Module
+ * Saved dashboard views: named snapshots of the filters, time range, center
+ * tab and selected decision. They live in decisions.views.json next to
+ * decisions.yml, and the dashboard opens one from a link such as
+ * `#view=q3-infra&decision=42`.
+ */
+
+import {
+  getViewsPath,
+  isValidViewName,
+  readViews,
+  saveView,
+  deleteView,
+} from "../shared/views-store.js";
+import { normalizeViewState } from "../utils/view-state.mjs";
+import { apiError, sendError, requireObject } from "./decisions-api.mjs";
+
+/**
+ * Initialize saved view routes
+ * @param {import('express').Express} app - Express app
+ * @param {Object} options
+ * @param {string} options.decisionsPath - Path to decisions.yml
+ * @param {(message: Object) => void} options.broadcast - Sends a WebSocket message to all clients
+ */
+export function initializeViewRoutes(app, { decisionsPath, broadcast }) {
+  const viewsPath = getViewsPath(decisionsPath);
+
+  app.get("/api/views", async (req, res) => {
+    try {
+      res.json({ views: await readViews(viewsPath) });
+    } catch (error) {
+      sendError(res, error, "Failed to load views");
+    }
+  });
+
+  // PUT /api/views/q3-infra with {state, description} saves or replaces a view
+  app.put("/api/views/:name", async (req, res) => {
+    try {
+      const { name } = req.params;
+      checkViewName(name);
+      const { state, description } = requireObject(req.body);
+      if (!state || typeof state !== "object" || Array.isArray(state)) {
+        throw apiError(400, "Invalid request", "A view needs a state object");
+      }
+      if (description !== undefined && typeof description !== "string") {
+        throw apiError(400, "Invalid request", "description must be a string");
+      }
+
+      const { view, created } = await saveView(viewsPath, {
+        name,
+        description: description?.trim(),
+        state: normalizeViewState(state),
+      });
+      broadcast({ type: "views-updated", name, action: created ? "created" : "updated" });
+      res.status(created ? 201 : 200).json(view);
+    } catch (error) {
+      sendError(res, error, "Failed to save view");
+    }
+  });
+
+  app.delete("/api/views/:name", async (req, res) => {
+    try {
+      checkViewName(req.params.name);
+      if (!(await deleteView(viewsPath, req.params.name))) {
+        throw apiError(404, "Not found", `View ${req.params.name} not found`);
+      }
+      broadcast({ type: "views-updated", name: req.params.name, action: "deleted" });
+      res.status(204).end();
+    } catch (error) {
+      sendError(res, error, "Failed to delete view");
+    }
+  });
+}
+
+function checkViewName(name) {
+  if (!isValidViewName(name)) {
+    throw apiError(400, "Invalid name", "View names are up to 64 letters, digits, '.', '_' and '-', starting with a letter or digit");
+  }
+}
+
+export default { initializeViewRoutes };
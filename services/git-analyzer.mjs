@@ -1,9 +1,10 @@
-import { exec } from "child_process";
+import { exec, execFile } from "child_process";
 import { promisify } from "util";
 import path from "path";
 import fs from "fs";
 
 const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
 
 /**
  * Git History Analyzer Service
@@ -127,6 +128,187 @@ export class GitAnalyzer {
     }
   }
 
+  /**
+   * Get the commit that introduced a file, or with `searchText`, the first
+   * commit that added that text to it (git's pickaxe, `-S`). Used to date
+   * when a dependency first appeared in package.json.
+   * @param {string} filePath - Path relative to the repository root
+   * @param {Object} [options]
+   * @param {string} [options.searchText]
+   * @returns {Promise<{sha: string, date: string, author: string, message: string} | null>}
+   */
+  async getFirstCommit(filePath, { searchText } = {}) {
+    const cacheKey = `first:${filePath}:${searchText || ""}`;
+    if (this.cache.has(cacheKey)) {
+      return this.cache.get(cacheKey);
+    }
+
+    try {
+      const args = ["log", "--reverse", "--format=%H%x1f%aI%x1f%an%x1f%s"];
+      if (searchText) {
+        args.push(`-S${searchText}`);
+      }
+      const { stdout } = await execFileAsync("git", [...args, "--", filePath], {
+        cwd: this.repoPath,
+        maxBuffer: 16 * 1024 * 1024,
+      });
+
+      const [line] = stdout.split("\n").filter((entry) => entry);
+      let commit = null;
+      if (line) {
+        const [sha, date, author, message] = line.split("\x1f");
+        commit = { sha, date, author, message };
+      }
+      this.cache.set(cacheKey, commit);
+      return commit;
+    } catch (error) {
+      console.error(`Error getting first commit for ${filePath}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Files changed by a commit, relative to the repository root. Used by the
+   * impact analysis to follow a decision's linked commits.
+   * @param {string} sha
+   * @returns {Promise<string[]>}
+   */
+  async getCommitFiles(sha) {
+    const cacheKey = `files:${sha}`;
+    if (this.cache.has(cacheKey)) {
+      return this.cache.get(cacheKey);
+    }
+
+    try {
+      const { stdout } = await execFileAsync(
+        "git",
+        ["show", "--name-only", "--format=", sha, "--"],
+        { cwd: this.repoPath, maxBuffer: 16 * 1024 * 1024 },
+      );
+      const files = stdout.split("\n").filter((file) => file);
+      this.cache.set(cacheKey, files);
+      return files;
+    } catch (error) {
+      // Linked commits can be gone after a rebase or missing from a shallow clone
+      if (!/bad revision|unknown revision|bad object/.test(error.stderr || "")) {
+        console.error(`Error getting files for commit ${sha}:`, error.message);
+      }
+      this.cache.set(cacheKey, []);
+      return [];
+    }
+  }
+
+  /**
+   * Where a file that no longer exists went, when the commit that removed it
+   * renamed it. `git log --follow` only follows a file back in time, so this
+   * looks for the commit that removed the path and checks it for a rename.
+   * @param {string} filePath - Path relative to repoPath
+   * @returns {Promise<{from: string, to: string, sha: string, date: string} | null>}
+   */
+  async getRename(filePath) {
+    const cacheKey = `rename:${filePath}`;
+    if (this.cache.has(cacheKey)) {
+      return this.cache.get(cacheKey);
+    }
+
+    let rename = null;
+    try {
+      const { stdout: removal } = await execFileAsync(
+        "git",
+        ["log", "-1", "--diff-filter=D", "--format=%H%x1f%aI", "--", filePath],
+        { cwd: this.repoPath },
+      );
+      const [sha, date] = removal.trim().split("\x1f");
+      if (sha) {
+        const { stdout } = await execFileAsync(
+          "git",
+          ["show", "-M", "--relative", "--name-status", "--format=", sha],
+          { cwd: this.repoPath, maxBuffer: 16 * 1024 * 1024 },
+        );
+        const line = stdout
+          .split("\n")
+          .map((entry) => entry.split("\t"))
+          .find(([status, from]) => status.startsWith("R") && from === filePath);
+        if (line) {
+          rename = { from: filePath, to: line[2], sha, date };
+        }
+      }
+    } catch (error) {
+      console.error(`Error looking for a rename of ${filePath}:`, error.message);
+    }
+    this.cache.set(cacheKey, rename);
+    return rename;
+  }
+
+  /**
+   * Commits and changed lines for a file since a date, following renames.
+   * @param {string} filePath - Path relative to repoPath
+   * @param {string} since - ISO 8601 date
+   * @returns {Promise<{commits: Array<{sha: string, date: string}>, linesChanged: number}>} Commits newest first
+   */
+  async getFileChangesSince(filePath, since) {
+    const cacheKey = `changes:${filePath}:${since}`;
+    if (this.cache.has(cacheKey)) {
+      return this.cache.get(cacheKey);
+    }
+
+    const changes = { commits: [], linesChanged: 0 };
+    try {
+      const { stdout } = await execFileAsync(
+        "git",
+        ["log", "--follow", "--no-merges", "--numstat", `--since=${since}`, "--format=%x1e%H%x1f%aI", "--", filePath],
+        { cwd: this.repoPath, maxBuffer: 16 * 1024 * 1024 },
+      );
+      for (const block of stdout.split("\x1e").filter((entry) => entry.trim())) {
+        const [header, ...stats] = block.split("\n");
+        const [sha, date] = header.split("\x1f");
+        changes.commits.push({ sha, date });
+        for (const stat of stats.filter((entry) => entry)) {
+          const [added, removed] = stat.split("\t");
+          // Binary files show "-" instead of line counts
+          changes.linesChanged += (Number(added) || 0) + (Number(removed) || 0);
+        }
+      }
+    } catch (error) {
+      console.error(`Error getting changes for ${filePath}:`, error.message);
+    }
+    this.cache.set(cacheKey, changes);
+    return changes;
+  }
+
+  /**
+   * How many commits changed each file, for finding files that change often.
+   * @param {Object} [options]
+   * @param {string} [options.since] - Any date git understands, e.g. "6 months ago"
+   * @returns {Promise<Map<string, number>>} File path to commit count
+   */
+  async getChangeFrequency({ since } = {}) {
+    const cacheKey = `frequency:${since || ""}`;
+    if (this.cache.has(cacheKey)) {
+      return this.cache.get(cacheKey);
+    }
+
+    const frequency = new Map();
+    try {
+      // --relative keeps paths relative to repoPath when it is below the repository root
+      const args = ["log", "--no-merges", "--relative", "--name-only", "--format="];
+      if (since) {
+        args.push(`--since=${since}`);
+      }
+      const { stdout } = await execFileAsync("git", args, {
+        cwd: this.repoPath,
+        maxBuffer: 64 * 1024 * 1024,
+      });
+      for (const file of stdout.split("\n").filter((entry) => entry)) {
+        frequency.set(file, (frequency.get(file) || 0) + 1);
+      }
+    } catch (error) {
+      console.error("Error getting change frequency:", error.message);
+    }
+    this.cache.set(cacheKey, frequency);
+    return frequency;
+  }
+
   /**
    * Get remote repository URL
    */
@@ -1,98 +1,170 @@
-/**
- * GitPatternAnalyzer - Create git-pattern-analyzer.mjs for commit pattern detection
- * Generated by Decision Tapestry Agent Framework
- * Decision ID: 77
- */
-
-import { exec } from "child_process";
+import { execFile } from "child_process";
 import { promisify } from "util";
+import path from "path";
+import { parseCommitMessage } from "../utils/commit-message-parser.mjs";
 
-const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
 
-export class GitPatternAnalyzer {
-    constructor() {
-        this.cache = new Map();
-        this.isInitialized = false;
-    }
+// Separators git puts between commits and between fields of one commit
+const RECORD_SEPARATOR = "\x1e";
+const FIELD_SEPARATOR = "\x1f";
 
-    /**
-     * Initialize the git-pattern-analyzer service
-     */
-    async initialize() {
-        try {
-            this.isInitialized = true;
-            console.log('[GitPatternAnalyzer] Service initialized');
-            return true;
-        } catch (error) {
-            console.error('[GitPatternAnalyzer] Initialization failed:', error.message);
-            throw error;
-        }
-    }
+const DAY_MS = 24 * 60 * 60 * 1000;
 
-    /**
-     * Main processing method - implements Create git-pattern-analyzer.mjs for commit pattern detection
-     */
-    async process(data) {
-        if (!this.isInitialized) {
-            await this.initialize();
-        }
-
-        try {
-            // Implementation for: Create git-pattern-analyzer.mjs for commit pattern detection
-            const result = await this.performOperation(data);
-            return result;
-        } catch (error) {
-            console.error('[GitPatternAnalyzer] Processing failed:', error.message);
-            throw error;
-        }
+/**
+ * Git Pattern Analyzer Service
+ * Reads commit history with the files each commit touched and groups commits
+ * that look like parts of one piece of work: commits referencing the same ADR,
+ * or commits to the same area of the code that happened close together.
+ */
+export class GitPatternAnalyzer {
+  constructor(repoPath = process.cwd()) {
+    this.repoPath = repoPath;
+  }
+
+  /**
+   * Read commits (newest first), skipping merge commits.
+   * @param {Object} [options]
+   * @param {string} [options.since] - Anything `git log --since` accepts, e.g. "2025-01-01" or "3 months ago"
+   * @param {string} [options.until] - Anything `git log --until` accepts
+   * @param {number} [options.maxCount] - Maximum number of commits to read
+   * @returns {Promise<Array<{sha: string, date: string, author: string, email: string, message: string, files: string[], parsed: ReturnType<typeof parseCommitMessage>}>>}
+   */
+  async getCommits({ since, until, maxCount = 2000 } = {}) {
+    const args = [
+      "log",
+      "--no-merges",
+      `--max-count=${maxCount}`,
+      `--format=${RECORD_SEPARATOR}%H${FIELD_SEPARATOR}%aI${FIELD_SEPARATOR}%an${FIELD_SEPARATOR}%ae${FIELD_SEPARATOR}%B${FIELD_SEPARATOR}`,
+      "--name-only",
+    ];
+    if (since) args.push(`--since=${since}`);
+    if (until) args.push(`--until=${until}`);
+
+    let stdout;
+    try {
+      ({ stdout } = await execFileAsync("git", args, {
+        cwd: this.repoPath,
+        maxBuffer: 64 * 1024 * 1024,
+      }));
+    } catch (error) {
+      // An empty repository has no HEAD yet - that's simply no history
+      if (/does not have any commits yet/.test(error.stderr || "")) {
+        return [];
+      }
+      throw new Error(`Could not read git history: ${(error.stderr || error.message).trim()}`);
     }
 
-    /**
-     * Core operation implementation
-     */
-    async performOperation(data) {
-        // TODO: Implement actual create git-pattern-analyzer.mjs for commit pattern detection
-        console.log('[GitPatternAnalyzer] Performing operation:', data);
-        return { success: true, data };
+    return parseGitLog(stdout);
+  }
+
+  /**
+   * Group commits into clusters of related work.
+   * Commits that reference an ADR are grouped by that ADR. The others are
+   * grouped by the component they mostly touched, then split wherever the
+   * component saw no commits for `windowDays`.
+   * @param {Array<Object>} commits - Output of getCommits
+   * @param {Object} [options]
+   * @param {number} [options.windowDays] - Quiet period that ends a cluster
+   * @param {number} [options.depth] - Directory levels that make up a component
+   * @returns {Array<{key: string, component: string|null, adr: number|null, commits: Array<Object>, start: string, end: string}>}
+   */
+  clusterCommits(commits, { windowDays = 14, depth = 2 } = {}) {
+    const groups = new Map();
+    for (const commit of commits) {
+      const adr = commit.parsed.adrRefs[0] ?? null;
+      const component = adr === null ? primaryComponent(commit.files, depth) : null;
+      if (adr === null && component === null) continue;
+
+      const key = adr !== null ? `ADR-${adr}` : component;
+      if (!groups.has(key)) groups.set(key, { adr, component, commits: [] });
+      groups.get(key).commits.push(commit);
     }
 
-    /**
-     * Clear cache and cleanup
-     */
-    cleanup() {
-        this.cache.clear();
-        this.isInitialized = false;
+    const clusters = [];
+    for (const [key, group] of groups) {
+      const sorted = [...group.commits].sort((a, b) => Date.parse(a.date) - Date.parse(b.date));
+      const windows = group.adr !== null ? [sorted] : splitByQuietPeriods(sorted, windowDays * DAY_MS);
+
+      for (const windowCommits of windows) {
+        clusters.push({
+          key: windows.length > 1 ? `${key}@${windowCommits[0].date.slice(0, 10)}` : key,
+          component: group.component,
+          adr: group.adr,
+          commits: windowCommits,
+          start: windowCommits[0].date,
+          end: windowCommits[windowCommits.length - 1].date,
+        });
+      }
     }
-}
-
-// Export singleton instance
-export const gitpatternanalyzer = new GitPatternAnalyzer();
-export default gitpatternanalyzer;
-
-
-// Enhanced by Decision Tapestry Agent Framework
-// Decision ID: 77
-// Task: Implement commit message parsing for decision context
-// Timestamp: 2025-07-16T04:36:45.236Z
-
-
-
-// Enhanced by Decision Tapestry Agent Framework
-// Decision ID: 77
-// Task: Build decision inference engine from git patterns
-// Timestamp: 2025-07-16T04:36:45.280Z
-
 
+    return clusters.sort((a, b) => Date.parse(a.start) - Date.parse(b.start));
+  }
+}
 
-// Enhanced by Decision Tapestry Agent Framework
-// Decision ID: 77
-// Task: Add automatic decision discovery suggestions
-// Timestamp: 2025-07-16T04:36:45.323Z
+/**
+ * Parse the output of the `git log` command run by getCommits.
+ * @param {string} output
+ */
+export function parseGitLog(output) {
+  return output
+    .split(RECORD_SEPARATOR)
+    .filter((record) => record.trim())
+    .map((record) => {
+      const [sha, date, author, email, message, fileList = ""] = record.split(FIELD_SEPARATOR);
+      return {
+        sha,
+        date,
+        author,
+        email,
+        message: message.trim(),
+        files: fileList.split("\n").map((file) => file.trim()).filter(Boolean),
+        parsed: parseCommitMessage(message),
+      };
+    });
+}
 
+/**
+ * The component a file belongs to: its directory, cut to `depth` levels.
+ * Files in the repository root are components of their own.
+ * @param {string} file
+ * @param {number} [depth]
+ * @returns {string}
+ */
+export function componentOf(file, depth = 2) {
+  const directory = path.posix.dirname(file);
+  if (directory === ".") return file;
+  return directory.split("/").slice(0, depth).join("/");
+}
 
+function primaryComponent(files, depth) {
+  const counts = new Map();
+  for (const file of files) {
+    const component = componentOf(file, depth);
+    counts.set(component, (counts.get(component) || 0) + 1);
+  }
+
+  let best = null;
+  for (const [component, count] of counts) {
+    if (best === null || count > counts.get(best)) best = component;
+  }
+  return best;
+}
 
-// Enhanced by Decision Tapestry Agent Framework
-// Decision ID: 77
-// Task: Create UI for reviewing and approving inferred decisions
-// Timestamp: 2025-07-16T04:36:45.366Z
+function splitByQuietPeriods(commits, quietMs) {
+  const windows = [];
+  for (const commit of commits) {
+    const current = windows[windows.length - 1];
+    const previous = current?.[current.length - 1];
+    if (previous && Date.parse(commit.date) - Date.parse(previous.date) <= quietMs) {
+      current.push(commit);
+    } else {
+      windows.push([commit]);
+    }
+  }
+  return windows;
+}
 
+// Export singleton instance
+export const gitPatternAnalyzer = new GitPatternAnalyzer();
+export default gitPatternAnalyzer;
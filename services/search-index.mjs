@@ -0,0 +1,405 @@
+/**
+ * Search Index Service
+ * Inverted index for full-text search over decisions: titles, rationale,
+ * tradeoffs, tasks, notes, and the commit messages and pull request titles in
+ * github_metadata. Results are ranked with BM25 and come with highlighted
+ * snippets. Records are re-indexed one by one when they change, so updating
+ * the index after a file change only touches the decisions that changed.
+ *
+ * Query syntax:
+ *   cache invalidation        both words, anywhere
+ *   "event sourcing"          the exact phrase
+ *   title:cache               a word (or "phrase") in one field
+ *   status:Accepted           qualifiers: status, category, author, component, id, repo
+ *   -status:Superseded        leave out what matches
+ */
+
+// Text fields and how much a match in each counts
+export const SEARCH_FIELDS = {
+  id: { weight: 3, read: (d) => [String(d.id)] },
+  title: { weight: 3, read: (d) => [d.title] },
+  description: { weight: 1.5, read: (d) => [d.description] },
+  rationale: { weight: 1.5, read: (d) => d.rationale },
+  tradeoffs: { weight: 1, read: (d) => d.tradeoffs },
+  tasks: { weight: 1, read: (d) => (d.tasks || []).map((task) => task?.description) },
+  notes: { weight: 1, read: (d) => [d.notes] },
+  commits: { weight: 0.5, read: (d) => (d.github_metadata?.commits || []).map((commit) => commit?.message) },
+  prs: { weight: 0.8, read: (d) => (d.github_metadata?.pull_requests || []).map((pr) => pr?.title) },
+};
+
+// Qualifiers that filter results instead of matching text; values are lowercase
+const FILTERS = {
+  status: (d, value) => String(d.status || "").toLowerCase() === value,
+  category: (d, value) => String(d.category || "").toLowerCase() === value,
+  author: (d, value) => getAuthorNames(d.author).some((name) => name.includes(value)),
+  component: (d, value) => (d.affected_components || []).some((c) => String(c).toLowerCase().includes(value)),
+  id: (d, value) => String(d.id).toLowerCase() === value,
+  repo: (d, value) => String(d.repo || "").toLowerCase() === value,
+};
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Keeps phrases from matching across two entries of a list field
+const ENTRY_GAP = 10;
+
+// Most terms a prefix expands to
+const MAX_PREFIX_TERMS = 50;
+
+const SNIPPET_LENGTH = 160;
+
+/**
+ * @typedef {Object} SearchClause
+ * @property {string[]} terms - One term, or several for a phrase
+ * @property {string} [field] - Field the clause is limited to
+ * @property {boolean} negate
+ * @property {boolean} [prefix] - Whether the last term also matches longer words
+ */
+
+/**
+ * @typedef {Object} SearchResult
+ * @property {number|string} id
+ * @property {string} title
+ * @property {string} status
+ * @property {number} score
+ * @property {Array<{field: string, snippet: string}>} highlights - HTML with matches in <mark>
+ */
+
+export class SearchIndex {
+  constructor() {
+    this.docs = new Map(); // key -> { record, signature, fields, length, terms }
+    this.postings = new Map(); // term -> Map(key -> Map(field -> token indexes))
+    this.totalLength = 0;
+  }
+
+  /**
+   * Bring the index in line with a list of records, re-indexing only the ones
+   * that changed and dropping the ones that are gone.
+   * @param {any[]} records - Decisions
+   * @returns {{added: number, updated: number, removed: number}}
+   */
+  update(records) {
+    const stats = { added: 0, updated: 0, removed: 0 };
+    const seen = new Set();
+
+    for (const record of records) {
+      // Records sharing an id are kept apart by their order
+      let key = String(record.id);
+      for (let copy = 2; seen.has(key); copy++) key = `${record.id}\u0000${copy}`;
+      seen.add(key);
+      const fields = readFields(record);
+      const signature = JSON.stringify([fields, Object.keys(FILTERS).map((name) => record[name]), record.author, record.affected_components]);
+      const existing = this.docs.get(key);
+      if (existing?.signature === signature) {
+        existing.record = record;
+        continue;
+      }
+      if (existing) {
+        this._remove(key);
+        stats.updated += 1;
+      } else {
+        stats.added += 1;
+      }
+      this._add(key, record, fields, signature);
+    }
+
+    for (const key of [...this.docs.keys()]) {
+      if (!seen.has(key)) {
+        this._remove(key);
+        stats.removed += 1;
+      }
+    }
+    return stats;
+  }
+
+  /**
+   * Search the index.
+   * @param {string} query - See the query syntax at the top of this module
+   * @param {Object} [options]
+   * @param {number} [options.limit=20] - Most results to return with snippets
+   * @param {boolean} [options.prefix=false] - Let the last word match longer
+   *   words too, for searching as the user types
+   * @returns {{total: number, ids: Array<number|string>, results: SearchResult[]}}
+   *   ids lists every match, best first; results only the first `limit`
+   */
+  search(query, { limit = 20, prefix = false } = {}) {
+    const { clauses, filters } = parseSearchQuery(query, { prefix });
+    const positive = clauses.filter((clause) => !clause.negate);
+
+    // Candidates are the documents matching every positive clause, or all of them
+    let candidates = null;
+    const matches = positive.map((clause) => this._matchClause(clause));
+    for (const match of matches) {
+      candidates = new Set([...match.keys()].filter((key) => !candidates || candidates.has(key)));
+    }
+    candidates ??= new Set(this.docs.keys());
+
+    for (const clause of clauses.filter((c) => c.negate)) {
+      for (const key of this._matchClause(clause).keys()) candidates.delete(key);
+    }
+    for (const { name, value, negate } of filters) {
+      for (const key of [...candidates]) {
+        if (FILTERS[name](this.docs.get(key).record, value) === negate) candidates.delete(key);
+      }
+    }
+
+    const scored = [...candidates].map((key) => ({
+      key,
+      score: matches.reduce((sum, match) => sum + this._scoreClause(match, key), 0),
+    }));
+    if (positive.length > 0) {
+      scored.sort((a, b) => b.score - a.score);
+    }
+
+    return {
+      total: scored.length,
+      ids: scored.map(({ key }) => this.docs.get(key).record.id),
+      results: scored.slice(0, limit).map(({ key, score }) => {
+        const { record } = this.docs.get(key);
+        return {
+          id: record.id,
+          title: record.title,
+          status: record.status,
+          score: Math.round(score * 1000) / 1000,
+          highlights: this._highlight(key, matches),
+        };
+      }),
+    };
+  }
+
+  _add(key, record, fields, signature) {
+    const doc = { record, signature, fields: {}, length: 0, terms: new Set() };
+    for (const [field, entries] of Object.entries(fields)) {
+      const tokens = tokenizeEntries(entries);
+      doc.fields[field] = { text: entries.join("\n"), tokens };
+      doc.length += tokens.length;
+      tokens.forEach((token, index) => {
+        if (!this.postings.has(token.term)) this.postings.set(token.term, new Map());
+        const byDoc = this.postings.get(token.term);
+        if (!byDoc.has(key)) byDoc.set(key, new Map());
+        const byField = byDoc.get(key);
+        if (!byField.has(field)) byField.set(field, []);
+        byField.get(field).push(index);
+        doc.terms.add(token.term);
+      });
+    }
+    this.docs.set(key, doc);
+    this.totalLength += doc.length;
+  }
+
+  _remove(key) {
+    const doc = this.docs.get(key);
+    for (const term of doc.terms) {
+      const byDoc = this.postings.get(term);
+      byDoc.delete(key);
+      if (byDoc.size === 0) this.postings.delete(term);
+    }
+    this.totalLength -= doc.length;
+    this.docs.delete(key);
+  }
+
+  /**
+   * Where a clause matches: document key -> field -> [first, last] token
+   * indexes of each occurrence.
+   * @returns {Map<string, Map<string, Array<[number, number]>>>}
+   */
+  _matchClause(clause) {
+    const [first, ...rest] = clause.terms;
+    const firstTerms = clause.prefix && rest.length === 0 ? this._expandPrefix(first) : [first];
+    const lastTerms = clause.prefix && rest.length > 0 ? new Set(this._expandPrefix(rest[rest.length - 1])) : null;
+    const result = new Map();
+
+    for (const term of firstTerms) {
+      for (const [key, byField] of this.postings.get(term) || []) {
+        for (const [field, indexes] of byField) {
+          if (clause.field && clause.field !== field) continue;
+          const tokens = this.docs.get(key).fields[field].tokens;
+          for (const index of indexes) {
+            // Phrases need the following terms at the following positions
+            const follows = rest.every((next, offset) => {
+              const token = tokens[index + offset + 1];
+              const isLast = offset === rest.length - 1;
+              return (
+                token &&
+                token.position === tokens[index].position + offset + 1 &&
+                (isLast && lastTerms ? lastTerms.has(token.term) : token.term === next)
+              );
+            });
+            if (!follows) continue;
+            if (!result.has(key)) result.set(key, new Map());
+            const occurrences = result.get(key);
+            if (!occurrences.has(field)) occurrences.set(field, []);
+            occurrences.get(field).push([index, index + rest.length]);
+          }
+        }
+      }
+    }
+    return result;
+  }
+
+  _expandPrefix(prefix) {
+    const terms = [];
+    for (const term of this.postings.keys()) {
+      if (term.startsWith(prefix)) terms.push(term);
+      if (terms.length >= MAX_PREFIX_TERMS) break;
+    }
+    return terms;
+  }
+
+  // BM25 with field weights applied to term frequencies
+  _scoreClause(match, key) {
+    const occurrences = match.get(key);
+    if (!occurrences) return 0;
+    let frequency = 0;
+    for (const [field, spans] of occurrences) {
+      frequency += SEARCH_FIELDS[field].weight * spans.length;
+    }
+    const count = this.docs.size;
+    const idf = Math.log(1 + (count - match.size + 0.5) / (match.size + 0.5));
+    const averageLength = this.totalLength / count || 1;
+    const length = this.docs.get(key).length;
+    return (idf * frequency * (K1 + 1)) / (frequency + K1 * (1 - B + (B * length) / averageLength));
+  }
+
+  // Snippets from the (at most two) fields with the most weighted matches
+  _highlight(key, matches) {
+    const byField = new Map();
+    for (const match of matches) {
+      for (const [field, spans] of match.get(key) || []) {
+        if (field === "id") continue;
+        byField.set(field, [...(byField.get(field) || []), ...spans]);
+      }
+    }
+    return [...byField]
+      .sort(([a, spansA], [b, spansB]) => SEARCH_FIELDS[b].weight * spansB.length - SEARCH_FIELDS[a].weight * spansA.length)
+      .slice(0, 2)
+      .map(([field, spans]) => ({ field, snippet: buildSnippet(this.docs.get(key).fields[field], spans) }));
+  }
+}
+
+/**
+ * Split a query into text clauses and qualifier filters.
+ * @param {string} query
+ * @param {{prefix?: boolean}} [options] - Let the last plain word match longer words
+ * @returns {{clauses: SearchClause[], filters: Array<{name: string, value: string, negate: boolean}>}}
+ */
+export function parseSearchQuery(query, { prefix = false } = {}) {
+  const clauses = [];
+  const filters = [];
+  // Unfinished quotes are allowed, so a phrase can be searched while it is typed
+  const pattern = /(-?)(?:([A-Za-z_]+):)?(?:"([^"]*)"?|(\S+))/g;
+  let lastWord = null;
+
+  for (const [, minus, name, quoted, word] of String(query || "").matchAll(pattern)) {
+    const negate = minus === "-";
+    const value = quoted ?? word;
+    const key = name?.toLowerCase();
+    lastWord = null;
+
+    if (key && FILTERS[key]) {
+      if (value) filters.push({ name: key, value: value.toLowerCase(), negate });
+      continue;
+    }
+    const field = key && SEARCH_FIELDS[key] ? key : undefined;
+    // An unknown qualifier is searched for as text
+    const text = key && !field ? `${name}:${value}` : value;
+    const terms = tokenize(text).map((token) => token.term);
+    if (terms.length > 0) {
+      const clause = { terms, field, negate };
+      clauses.push(clause);
+      if (quoted === undefined) lastWord = clause;
+    }
+  }
+
+  // Searching as the user types: the word being typed may not be finished
+  if (prefix && lastWord && !/\s$/.test(query)) {
+    lastWord.prefix = true;
+  }
+  return { clauses, filters };
+}
+
+function readFields(record) {
+  const fields = {};
+  for (const [field, { read }] of Object.entries(SEARCH_FIELDS)) {
+    // List fields are sometimes written as a single string
+    const entries = [read(record) || []].flat().filter((entry) => typeof entry === "string" && entry.trim());
+    if (entries.length > 0) fields[field] = entries;
+  }
+  return fields;
+}
+
+/**
+ * Lowercase words with their positions and character offsets in the text.
+ * @returns {Array<{term: string, position: number, start: number, end: number}>}
+ */
+function tokenize(text, { offset = 0, position = 0 } = {}) {
+  const tokens = [];
+  for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+    tokens.push({
+      term: match[0].toLowerCase(),
+      position: position++,
+      start: offset + match.index,
+      end: offset + match.index + match[0].length,
+    });
+  }
+  return tokens;
+}
+
+// Tokens of a list field, with offsets into the entries joined by newlines
+function tokenizeEntries(entries) {
+  const tokens = [];
+  let offset = 0;
+  let position = 0;
+  for (const entry of entries) {
+    const entryTokens = tokenize(entry, { offset, position });
+    tokens.push(...entryTokens);
+    position += entryTokens.length + ENTRY_GAP;
+    offset += entry.length + 1;
+  }
+  return tokens;
+}
+
+function buildSnippet({ text, tokens }, spans) {
+  const ranges = spans
+    .map(([first, last]) => [tokens[first].start, tokens[last].end])
+    .sort((a, b) => a[0] - b[0]);
+
+  let start = 0;
+  let end = text.length;
+  if (text.length > SNIPPET_LENGTH) {
+    // A window around the first match, cut at spaces
+    const [matchStart, matchEnd] = ranges[0];
+    start = Math.max(0, matchStart - 60);
+    const startSpace = text.indexOf(" ", start);
+    if (start > 0 && startSpace !== -1 && startSpace < matchStart) start = startSpace + 1;
+    end = Math.max(matchEnd, Math.min(text.length, start + SNIPPET_LENGTH));
+    const endSpace = text.lastIndexOf(" ", end);
+    if (end < text.length && endSpace > matchEnd) end = endSpace;
+  }
+
+  let snippet = start > 0 ? "…" : "";
+  let cursor = start;
+  for (const [from, to] of ranges) {
+    if (from < cursor || to > end) continue;
+    snippet += escapeHtml(text.slice(cursor, from)) + `<mark>${escapeHtml(text.slice(from, to))}</mark>`;
+    cursor = to;
+  }
+  snippet += escapeHtml(text.slice(cursor, end)) + (end < text.length ? "…" : "");
+  return snippet.replace(/\n/g, " · ");
+}
+
+function escapeHtml(text) {
+  const entities = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+  return text.replace(/[&<>"']/g, (char) => entities[char]);
+}
+
+function getAuthorNames(author) {
+  if (!author) return [];
+  if (typeof author === "string") return [author.toLowerCase()];
+  return [author.display_name, author.github_username, author.email]
+    .filter((name) => typeof name === "string")
+    .map((name) => name.toLowerCase());
+}
+
+export default SearchIndex;
@@ -0,0 +1,16 @@
+import type { RecordChange } from './decisions-merge.js';
+
+export interface AuditEntry extends RecordChange {
+  timestamp: string;
+  actor: string;
+  source: string;
+}
+
+export interface AuditContext {
+  source?: string;
+  actor?: string;
+}
+
+export declare function resolveActor(): string;
+export declare function appendAuditEntries(logPath: string, recordChanges: RecordChange[], context?: AuditContext): Promise<AuditEntry[]>;
+export declare function readAuditLog(logPath: string, filter?: { collection?: string; id?: any }): Promise<AuditEntry[]>;
@@ -0,0 +1,112 @@
+import fs from 'fs/promises';
+import os from 'os';
+import { execFileSync } from 'child_process';
+
+// @ts-check
+// Append-only JSONL audit log of changes to decisions and backlog items.
+// One line per changed record per write, recording who made the change,
+// through what (e.g. `cli:quick-task`, `agent:agent-3`) and the field-level diff.
+
+/**
+ * @typedef {Object} AuditEntry
+ * @property {string} timestamp - ISO 8601 time of the write
+ * @property {string} actor - Person (or agent operator) who made the change
+ * @property {string} source - What made the change, e.g. `server:api` or `agent:agent-3`
+ * @property {'decisions'|'backlog'} collection
+ * @property {any} id - Id of the changed record
+ * @property {'created'|'updated'|'deleted'} action
+ * @property {Array<{path: string, before?: any, after?: any}>} changes
+ */
+
+/**
+ * @typedef {Object} AuditContext
+ * @property {string} [source] - What is making the change
+ * @property {string} [actor] - Who is making it; defaults to resolveActor()
+ */
+
+let defaultActor = null;
+
+/**
+ * Works out who is making changes from this process: DECISION_TAPESTRY_ACTOR,
+ * then the git user name, then the OS user.
+ * @returns {string}
+ */
+export function resolveActor() {
+  if (defaultActor) {
+    return defaultActor;
+  }
+
+  defaultActor = process.env.DECISION_TAPESTRY_ACTOR || readGitUserName() || readOsUserName() || 'unknown';
+  return defaultActor;
+}
+
+/**
+ * Appends one entry per changed record to the audit log.
+ * @param {string} logPath - Path of the JSONL audit log
+ * @param {import('./decisions-merge.js').RecordChange[]} recordChanges - Output of diffDecisionsData
+ * @param {AuditContext} [context]
+ * @returns {Promise<AuditEntry[]>} The entries written
+ */
+export async function appendAuditEntries(logPath, recordChanges, context = {}) {
+  if (recordChanges.length === 0) {
+    return [];
+  }
+
+  const timestamp = new Date().toISOString();
+  const actor = context.actor || resolveActor();
+  const source = context.source || 'unknown';
+  const entries = recordChanges.map(change => ({ timestamp, actor, source, ...change }));
+
+  await fs.appendFile(logPath, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n', 'utf8');
+  return entries;
+}
+
+/**
+ * Reads audit entries, optionally only those for one record, oldest first.
+ * Lines that cannot be parsed (e.g. a write cut short by a crash) are skipped.
+ * @param {string} logPath - Path of the JSONL audit log
+ * @param {{collection?: string, id?: any}} [filter]
+ * @returns {Promise<AuditEntry[]>}
+ */
+export async function readAuditLog(logPath, filter = {}) {
+  let content;
+  try {
+    content = await fs.readFile(logPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const entries = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      continue;
+    }
+  }
+
+  return entries.filter(entry =>
+    (filter.collection === undefined || entry.collection === filter.collection) &&
+    (filter.id === undefined || String(entry.id) === String(filter.id))
+  );
+}
+
+function readGitUserName() {
+  try {
+    return execFileSync('git', ['config', 'user.name'], { encoding: 'utf8', timeout: 2000, stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  } catch {
+    return null;
+  }
+}
+
+function readOsUserName() {
+  try {
+    return os.userInfo().username;
+  } catch {
+    return null;
+  }
+}
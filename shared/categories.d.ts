@@ -0,0 +1,32 @@
+export interface CategoryDefinition {
+  name: string;
+  description?: string;
+  color?: string;
+  keywords: string[];
+  paths: string[];
+  scopes: string[];
+}
+
+export interface CategoryConfig {
+  source: string;
+  fallback: string;
+  categories: CategoryDefinition[];
+}
+
+export interface Classification {
+  category: string;
+  inferred: boolean;
+  score: number;
+  reasons: string[];
+}
+
+export declare const DEFAULT_CATEGORIES: Array<Partial<CategoryDefinition> & { name: string; fallback?: boolean }>;
+
+export declare function normalizeCategories(definition: any, source?: string): CategoryConfig;
+export declare function classifyDecision(record: any, config: CategoryConfig): Classification;
+export declare function inferCategory(record: any, config: CategoryConfig): { category: string; score: number; reasons: string[] };
+export declare function getCommitScopes(record: any): string[];
+export declare function validateCategories(
+  config: CategoryConfig,
+  data: { decisions?: any[]; backlog?: any[] }
+): Array<{ path: string; message: string }>;
@@ -0,0 +1,332 @@
+// @ts-check
+// Decision categories and the rules that infer a category for records that
+// don't declare one. A category's rules are keywords in the title or
+// rationale, path globs matched against affected_components, and
+// conventional-commit scopes (`feat(server): ...`) of the linked commits.
+// The categories come from a `categories:` section in decisions.yml or
+// decisions.categories.yml (see category-config.js), falling back to
+// DEFAULT_CATEGORIES. Used by the dashboard, `categorize` and `validate`, so
+// keep it free of Node-only imports.
+
+/**
+ * @typedef {Object} CategoryDefinition
+ * @property {string} name - Value used in `category`
+ * @property {string} [description]
+ * @property {string} [color] - Color the dashboard uses for it
+ * @property {string[]} keywords - Whole words; a trailing `*` also matches longer words (`test*`)
+ * @property {string[]} paths - Globs for affected_components: `*`, `**` and `?`; without a `/` they match a file name anywhere
+ * @property {string[]} scopes - Commit scopes, as in `fix(scope): ...`
+ */
+
+/**
+ * @typedef {Object} CategoryConfig
+ * @property {string} source - Where the categories came from: `decisions.yml`, a file path, or `default`
+ * @property {string} fallback - Category for records no rule matches
+ * @property {CategoryDefinition[]} categories
+ */
+
+/**
+ * @typedef {Object} Classification
+ * @property {string} category
+ * @property {boolean} inferred - Whether the category came from the rules rather than the record
+ * @property {number} score - How strongly the rules matched; 0 for the fallback
+ * @property {string[]} reasons - Which rules matched
+ */
+
+export const DEFAULT_CATEGORIES = [
+  {
+    name: 'Developer Experience',
+    color: '#28a745',
+    keywords: ['cli', 'automation', 'docker', 'release*', 'tooling', 'build'],
+    paths: ['cli/**', 'bin/**', 'scripts/**', 'Dockerfile', 'package.json'],
+    scopes: ['cli', 'build', 'release', 'docker', 'deps', 'tooling'],
+  },
+  {
+    name: 'Infrastructure',
+    color: '#dc3545',
+    keywords: ['websocket*', 'server*', 'infrastructure', 'api*', 'redis', 'session*', 'deploy*'],
+    paths: ['server/**', 'services/**', 'infra/**', 'deploy/**'],
+    scopes: ['server', 'api', 'infra', 'deploy', 'ws'],
+  },
+  {
+    name: 'UI/UX',
+    color: '#6f42c1',
+    keywords: ['dashboard*', 'ui', 'ux', 'theme*', 'visual*', 'layout*', 'panel*'],
+    paths: ['dashboard/**', '*.css', 'public/**'],
+    scopes: ['ui', 'ux', 'dashboard', 'style', 'theme'],
+  },
+  {
+    name: 'Architecture',
+    color: '#fd7e14',
+    keywords: ['architecture', 'component*', 'structure', 'design', 'refactor*'],
+    paths: ['shared/**', '*.schema.json'],
+    scopes: ['arch', 'core', 'schema'],
+  },
+  {
+    name: 'Process',
+    color: '#20c997',
+    keywords: ['process*', 'workflow*', 'coordination', 'collaboration', 'debugging'],
+    paths: ['.github/**'],
+    scopes: ['ci', 'workflow', 'process'],
+  },
+  {
+    name: 'Quality',
+    color: '#ffc107',
+    keywords: ['test*', 'quality', 'lint*', 'error*'],
+    paths: ['__tests__/**', 'test/**', 'tests/**', '*.test.*', '*.spec.*', 'eslint.config.*'],
+    scopes: ['test', 'tests', 'lint', 'quality'],
+  },
+  {
+    name: 'Integration',
+    color: '#17a2b8',
+    keywords: ['integration*', 'vscode', 'extension*', 'prompt*', 'github', 'webhook*'],
+    paths: ['*-integration/**', 'integrations/**', 'vscode-extension/**'],
+    scopes: ['github', 'vscode', 'integration', 'webhook'],
+  },
+  {
+    name: 'Knowledge Management',
+    color: '#007bff',
+    keywords: ['memory', 'knowledge', 'decision*', 'tapestry', 'documentation', 'adr*'],
+    paths: ['docs/**', '*.md', 'decisions*.yml'],
+    scopes: ['docs', 'adr'],
+  },
+  { name: 'Other', color: '#6c757d', fallback: true },
+];
+
+// Rule points: a keyword in the title counts most, one in the rationale least
+const SCORES = { title: 3, text: 1, path: 2, scope: 2 };
+
+const CONVENTIONAL_COMMIT = /^[a-z]+\(([^)]+)\)!?:/i;
+
+/** @type {WeakMap<object, {config: CategoryConfig, result: Classification}>} */
+const classified = new WeakMap();
+
+/** @type {WeakMap<CategoryDefinition, {keywords: Array<[string, RegExp]>, paths: Array<[string, RegExp]>, scopes: Set<string>}>} */
+const compiledRules = new WeakMap();
+
+/**
+ * Checks a list of category definitions and fills in defaults. Entries may be
+ * just a name. Throws an error with code ECATEGORIES listing every problem
+ * when the definition is invalid.
+ * @param {any} definition
+ * @param {string} [source]
+ * @returns {CategoryConfig}
+ */
+export function normalizeCategories(definition, source = 'decisions.yml') {
+  const problems = [];
+  const entries = Array.isArray(definition) ? definition : [];
+  if (entries.length === 0) {
+    problems.push('it needs a list of categories');
+  }
+
+  const names = new Set();
+  /** @type {string[]} */
+  const fallbacks = [];
+  const categories = entries.map((/** @type {any} */ entry, /** @type {number} */ index) => {
+    const name = typeof entry === 'string' ? entry : entry?.name;
+    if (typeof name !== 'string' || name.trim() === '') {
+      problems.push(`category ${index + 1} needs a name`);
+    } else if (names.has(name)) {
+      problems.push(`category ${name} is listed twice`);
+    }
+    names.add(name);
+    if (entry?.fallback === true) fallbacks.push(name);
+
+    for (const key of ['keywords', 'paths', 'scopes']) {
+      const value = entry?.[key];
+      if (value !== undefined && !(Array.isArray(value) && value.every((item) => typeof item === 'string'))) {
+        problems.push(`${key} of ${name} must be a list of strings`);
+      }
+    }
+
+    return {
+      name,
+      ...(entry?.description ? { description: String(entry.description) } : {}),
+      ...(entry?.color ? { color: String(entry.color) } : {}),
+      keywords: toList(entry?.keywords).map((keyword) => keyword.toLowerCase()),
+      paths: toList(entry?.paths),
+      scopes: toList(entry?.scopes).map((scope) => scope.toLowerCase()),
+    };
+  });
+
+  if (fallbacks.length > 1) {
+    problems.push(`only one category can be the fallback, not ${fallbacks.join(', ')}`);
+  }
+  if (problems.length > 0) {
+    throw Object.assign(new Error(`Invalid categories in ${source}: ${problems.join('; ')}`), { code: 'ECATEGORIES' });
+  }
+
+  // Without a marked fallback, records no rule matches go to "Other"
+  const fallback = fallbacks[0] || 'Other';
+  if (!names.has(fallback)) categories.push({ name: fallback, keywords: [], paths: [], scopes: [] });
+  return { source, fallback, categories };
+}
+
+/**
+ * The category a record declares, or the one its rules point to.
+ * @param {any} record - Decision or backlog item
+ * @param {CategoryConfig} config
+ * @returns {Classification}
+ */
+export function classifyDecision(record, config) {
+  if (typeof record?.category === 'string' && record.category.trim()) {
+    return { category: record.category, inferred: false, score: 0, reasons: [] };
+  }
+  // The dashboard classifies every decision on each render
+  const cached = record && typeof record === 'object' ? classified.get(record) : undefined;
+  if (cached?.config === config) return cached.result;
+
+  const result = { ...inferCategory(record, config), inferred: true };
+  if (record && typeof record === 'object') classified.set(record, { config, result });
+  return result;
+}
+
+/**
+ * The category the rules point to, whatever the record declares. The
+ * category with the most rule points wins; on a tie, the one listed first.
+ * @param {any} record - Decision or backlog item
+ * @param {CategoryConfig} config
+ * @returns {{category: string, score: number, reasons: string[]}}
+ */
+export function inferCategory(record, config) {
+  const title = String(record?.title || '');
+  const text = [record?.description, ...toList(record?.rationale), ...toList(record?.tradeoffs)]
+    .filter((value) => typeof value === 'string')
+    .join('\n');
+  const components = [...new Set(toList(record?.affected_components).map((component) => component.trim().replace(/^\.\//, '')))];
+  const scopes = getCommitScopes(record);
+
+  let best = { category: config.fallback, score: 0, reasons: /** @type {string[]} */ ([]) };
+  for (const category of config.categories) {
+    const rules = compileRules(category);
+    let score = 0;
+    const reasons = [];
+
+    for (const [keyword, pattern] of rules.keywords) {
+      if (pattern.test(title)) {
+        score += SCORES.title;
+        reasons.push(`title mentions "${keyword}"`);
+      } else if (pattern.test(text)) {
+        score += SCORES.text;
+        reasons.push(`rationale mentions "${keyword}"`);
+      }
+    }
+    for (const [glob, pattern] of rules.paths) {
+      const matches = components.filter((component) => pattern.test(component));
+      if (matches.length > 0) {
+        score += SCORES.path * matches.length;
+        reasons.push(matches.length === 1 ? `${matches[0]} matches ${glob}` : `${matches.length} components match ${glob}`);
+      }
+    }
+    for (const scope of scopes) {
+      if (rules.scopes.has(scope)) {
+        score += SCORES.scope;
+        reasons.push(`commit scope "${scope}"`);
+      }
+    }
+
+    if (score > best.score) best = { category: category.name, score, reasons };
+  }
+  return best;
+}
+
+/**
+ * Scopes of the record's conventional-commit messages, lowercased, once each
+ * per commit. `feat(server,api): ...` has the scopes server and api.
+ * @param {any} record
+ * @returns {string[]}
+ */
+export function getCommitScopes(record) {
+  const commits = record?.github_metadata?.commits;
+  if (!Array.isArray(commits)) return [];
+  return commits.flatMap((commit) => {
+    const match = String(commit?.message || '').match(CONVENTIONAL_COMMIT);
+    if (!match) return [];
+    return [...new Set(match[1].split(/[,/\s]+/).filter(Boolean).map((scope) => scope.toLowerCase()))];
+  });
+}
+
+/**
+ * Declared categories that are not in the configuration.
+ * @param {CategoryConfig} config
+ * @param {{decisions?: any[], backlog?: any[]}} data
+ * @returns {Array<{path: string, message: string}>}
+ */
+export function validateCategories(config, data) {
+  const names = new Set(config.categories.map((category) => category.name));
+  /** @type {Array<{path: string, message: string}>} */
+  const errors = [];
+  for (const collection of ['decisions', 'backlog']) {
+    const records = /** @type {any[]} */ ((/** @type {any} */ (data))[collection] || []);
+    records.forEach((record, index) => {
+      const category = record?.category;
+      if (category !== undefined && category !== null && !names.has(category)) {
+        errors.push({ path: `/${collection}/${index}/category`, message: `'${category}' is not one of the categories: ${[...names].join(', ')}` });
+      }
+    });
+  }
+  return errors;
+}
+
+/**
+ * @param {CategoryDefinition} category
+ */
+function compileRules(category) {
+  let rules = compiledRules.get(category);
+  if (!rules) {
+    rules = {
+      keywords: category.keywords.map((keyword) => [keyword, keywordPattern(keyword)]),
+      paths: category.paths.map((glob) => [glob, globPattern(glob)]),
+      scopes: new Set(category.scopes),
+    };
+    compiledRules.set(category, rules);
+  }
+  return rules;
+}
+
+/**
+ * @param {string} keyword
+ * @returns {RegExp}
+ */
+function keywordPattern(keyword) {
+  const prefix = keyword.endsWith('*');
+  const words = escapeRegExp(prefix ? keyword.slice(0, -1) : keyword).replace(/\s+/g, '\\s+');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${words}${prefix ? '' : '(?![\\p{L}\\p{N}])'}`, 'iu');
+}
+
+/**
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+function globPattern(glob) {
+  const anywhere = !glob.includes('/');
+  const source = glob
+    .split(/(\*\*\/|\*\*|\*|\?)/)
+    .map((part) => {
+      if (part === '**/') return '(?:.*/)?';
+      if (part === '**') return '.*';
+      if (part === '*') return '[^/]*';
+      if (part === '?') return '[^/]';
+      return escapeRegExp(part);
+    })
+    .join('');
+  // A directory glob such as server/** also matches the directory itself
+  const directory = glob.endsWith('/**') ? `|${escapeRegExp(glob.slice(0, -3))}/?` : '';
+  return new RegExp(`^(?:${anywhere ? '(?:.*/)?' : ''}${source}${directory})$`);
+}
+
+/**
+ * @param {string} text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string[]}
+ */
+function toList(value) {
+  if (Array.isArray(value)) return value.filter((item) => typeof item === 'string');
+  return typeof value === 'string' && value ? [value] : [];
+}
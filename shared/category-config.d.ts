@@ -0,0 +1,5 @@
+import type { CategoryConfig } from './categories.js';
+
+export declare function getCategoriesPath(decisionsPath: string): string;
+export declare function loadCategories(decisionsPath: string, data?: any): Promise<CategoryConfig>;
+export declare function loadCategoriesOrDefault(decisionsPath: string, data?: any): Promise<CategoryConfig & { error?: string }>;
@@ -0,0 +1,63 @@
+import fs from 'fs/promises';
+import yaml from 'js-yaml';
+import { getDecisionsDirectoryPath, readDecisionsFile } from './yaml-utils.js';
+import { DEFAULT_CATEGORIES, normalizeCategories } from './categories.js';
+
+// @ts-check
+// Where a project's categories come from: a `categories:` section in
+// decisions.yml or, failing that, decisions.categories.yml next to it; without
+// either the DEFAULT_CATEGORIES in categories.js are used. Kept apart from
+// categories.js, which the dashboard imports.
+
+/**
+ * Path of the standalone categories file that belongs to a decisions file.
+ * @param {string} decisionsPath - Path to decisions.yml (or a decisions directory)
+ * @returns {string}
+ */
+export function getCategoriesPath(decisionsPath) {
+  return `${getDecisionsDirectoryPath(decisionsPath)}.categories.yml`;
+}
+
+/**
+ * Loads the categories for a decisions file. Pass `data` when the decisions
+ * file has already been read.
+ * @param {string} decisionsPath
+ * @param {any} [data] - Parsed decisions file
+ * @returns {Promise<import('./categories.js').CategoryConfig>}
+ */
+export async function loadCategories(decisionsPath, data) {
+  const decisionsData = data ?? await readDecisionsFile(decisionsPath);
+  if (decisionsData?.categories) {
+    return normalizeCategories(decisionsData.categories, 'decisions.yml');
+  }
+
+  const categoriesPath = getCategoriesPath(decisionsPath);
+  let content;
+  try {
+    content = await fs.readFile(categoriesPath, 'utf8');
+  } catch (error) {
+    if (/** @type {NodeJS.ErrnoException} */ (error).code === 'ENOENT') {
+      return normalizeCategories(DEFAULT_CATEGORIES, 'default');
+    }
+    throw error;
+  }
+
+  const parsed = /** @type {any} */ (yaml.load(content));
+  return normalizeCategories(parsed?.categories ?? parsed, categoriesPath);
+}
+
+/**
+ * Like loadCategories, but an invalid definition falls back to the default
+ * categories with the problem in `error`, so the dashboard still loads.
+ * @param {string} decisionsPath
+ * @param {any} [data] - Parsed decisions file
+ * @returns {Promise<import('./categories.js').CategoryConfig & {error?: string}>}
+ */
+export async function loadCategoriesOrDefault(decisionsPath, data) {
+  try {
+    return await loadCategories(decisionsPath, data);
+  } catch (error) {
+    if (/** @type {any} */ (error).code !== 'ECATEGORIES') throw error;
+    return { ...normalizeCategories(DEFAULT_CATEGORIES, 'default'), error: /** @type {Error} */ (error).message };
+  }
+}
@@ -0,0 +1,45 @@
+export interface CharterState {
+  id: string;
+  label: string;
+  description?: string;
+  wip_limit?: number;
+  entry_criteria: string[];
+  exit_criteria: string[];
+}
+
+export interface Charter {
+  source: string;
+  states: CharterState[];
+  transitions: Array<{ from: string; to: string; label?: string }>;
+}
+
+export interface CharterMoveError {
+  type: 'unknown-state' | 'transition' | 'wip-limit';
+  message: string;
+  allowed?: string[];
+}
+
+export declare const DEFAULT_CHARTER: {
+  states: Array<{ id: string; label: string }>;
+  transitions: Array<{ from: string; to: string }>;
+};
+
+export declare function getCharterPath(decisionsPath: string): string;
+export declare function loadCharter(decisionsPath: string, data?: any): Promise<Charter>;
+export declare function loadCharterOrDefault(decisionsPath: string, data?: any): Promise<Charter & { error?: string }>;
+export declare function normalizeCharter(definition: any, source?: string): Charter;
+export declare function getCharterCounts(
+  charter: Charter,
+  data: { decisions?: any[]; backlog?: any[] }
+): Record<string, { decisions: number; backlog: number; total: number }>;
+export declare function getCharterMoves(charter: Charter, from: string | undefined): string[];
+export declare function checkCharterMove(
+  charter: Charter,
+  data: { decisions?: any[]; backlog?: any[] },
+  record: any,
+  to: string | null | undefined
+): CharterMoveError[];
+export declare function validateCharterStates(
+  charter: Charter,
+  data: { decisions?: any[]; backlog?: any[] }
+): { errors: Array<{ path: string; message: string }>; warnings: string[] };
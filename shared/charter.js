@@ -0,0 +1,282 @@
+import fs from 'fs/promises';
+import yaml from 'js-yaml';
+import { getDecisionsDirectoryPath, readDecisionsFile } from './yaml-utils.js';
+
+// @ts-check
+// The team's workflow charter: the states work moves through, the allowed
+// moves between them, WIP limits and entry/exit criteria. It comes from a
+// `charter:` section in decisions.yml or, failing that, decisions.charter.yml
+// next to it; without either the default Huddle → Validate flow is used.
+// Decisions and backlog items record where they are in `charter_state`.
+
+/**
+ * @typedef {Object} CharterState
+ * @property {string} id - Value used in `charter_state`
+ * @property {string} label - Name shown on the charter map
+ * @property {string} [description]
+ * @property {number} [wip_limit] - Most items that may be in this state at once
+ * @property {string[]} entry_criteria - What must be true before work enters this state
+ * @property {string[]} exit_criteria - What must be true before work leaves this state
+ */
+
+/**
+ * @typedef {Object} Charter
+ * @property {string} source - Where the charter came from: `decisions.yml`, a file path, or `default`
+ * @property {CharterState[]} states
+ * @property {Array<{from: string, to: string, label?: string}>} transitions
+ */
+
+/**
+ * @typedef {Object} CharterMoveError
+ * @property {'unknown-state'|'transition'|'wip-limit'} type
+ * @property {string} message
+ * @property {string[]} [allowed] - States the item can move to instead
+ */
+
+export const DEFAULT_CHARTER = {
+  states: [
+    { id: 'Huddle', label: "1. Frame the 'Why'" },
+    { id: 'Whiteboard', label: "2. Design the 'What'" },
+    { id: 'Build', label: '3. Build & Iterate' },
+    { id: 'Validate', label: '4. Validate & Refine' },
+  ],
+  transitions: [
+    { from: 'Huddle', to: 'Whiteboard' },
+    { from: 'Whiteboard', to: 'Build' },
+    { from: 'Build', to: 'Validate' },
+    { from: 'Validate', to: 'Huddle' },
+    { from: 'Validate', to: 'Whiteboard' },
+  ],
+};
+
+const CHARTER_COLLECTIONS = ['decisions', 'backlog'];
+
+/**
+ * Path of the standalone charter file that belongs to a decisions file.
+ * @param {string} decisionsPath - Path to decisions.yml (or a decisions directory)
+ * @returns {string}
+ */
+export function getCharterPath(decisionsPath) {
+  return `${getDecisionsDirectoryPath(decisionsPath)}.charter.yml`;
+}
+
+/**
+ * Loads the charter for a decisions file. Pass `data` when the decisions file
+ * has already been read.
+ * @param {string} decisionsPath
+ * @param {any} [data] - Parsed decisions file
+ * @returns {Promise<Charter>}
+ */
+export async function loadCharter(decisionsPath, data) {
+  const decisionsData = data ?? await readDecisionsFile(decisionsPath);
+  if (decisionsData?.charter) {
+    return normalizeCharter(decisionsData.charter, 'decisions.yml');
+  }
+
+  const charterPath = getCharterPath(decisionsPath);
+  let content;
+  try {
+    content = await fs.readFile(charterPath, 'utf8');
+  } catch (error) {
+    if (/** @type {NodeJS.ErrnoException} */ (error).code === 'ENOENT') {
+      return normalizeCharter(DEFAULT_CHARTER, 'default');
+    }
+    throw error;
+  }
+
+  const parsed = /** @type {any} */ (yaml.load(content));
+  return normalizeCharter(parsed?.charter ?? parsed, charterPath);
+}
+
+/**
+ * Like loadCharter, but an invalid charter definition falls back to the
+ * default flow with the problem in `error`, so the dashboard still loads.
+ * @param {string} decisionsPath
+ * @param {any} [data] - Parsed decisions file
+ * @returns {Promise<Charter & {error?: string}>}
+ */
+export async function loadCharterOrDefault(decisionsPath, data) {
+  try {
+    return await loadCharter(decisionsPath, data);
+  } catch (error) {
+    if (/** @type {any} */ (error).code !== 'ECHARTER') throw error;
+    return { ...normalizeCharter(DEFAULT_CHARTER, 'default'), error: /** @type {Error} */ (error).message };
+  }
+}
+
+/**
+ * Checks a charter definition and fills in defaults. Throws an error with code
+ * ECHARTER listing every problem when the definition is invalid.
+ * @param {any} definition
+ * @param {string} [source]
+ * @returns {Charter}
+ */
+export function normalizeCharter(definition, source = 'decisions.yml') {
+  const problems = [];
+  const states = Array.isArray(definition?.states) ? definition.states : [];
+  const transitions = Array.isArray(definition?.transitions) ? definition.transitions : [];
+  if (states.length === 0) {
+    problems.push('it needs a list of states');
+  }
+
+  const ids = new Set();
+  const normalizedStates = states.map((/** @type {any} */ state, /** @type {number} */ index) => {
+    const id = typeof state === 'string' ? state : state?.id;
+    if (typeof id !== 'string' || id.trim() === '') {
+      problems.push(`state ${index + 1} needs an id`);
+    } else if (ids.has(id)) {
+      problems.push(`state ${id} is listed twice`);
+    }
+    ids.add(id);
+
+    const wipLimit = state?.wip_limit;
+    if (wipLimit !== undefined && wipLimit !== null && (!Number.isInteger(wipLimit) || wipLimit < 1)) {
+      problems.push(`wip_limit of ${id} must be a positive whole number`);
+    }
+
+    return {
+      id,
+      label: state?.label || id,
+      ...(state?.description ? { description: state.description } : {}),
+      ...(Number.isInteger(wipLimit) ? { wip_limit: wipLimit } : {}),
+      entry_criteria: toList(state?.entry_criteria),
+      exit_criteria: toList(state?.exit_criteria),
+    };
+  });
+
+  for (const transition of transitions) {
+    for (const end of ['from', 'to']) {
+      if (!ids.has(transition?.[end])) {
+        problems.push(`transition ${transition?.from} → ${transition?.to} refers to unknown state ${transition?.[end]}`);
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    throw Object.assign(new Error(`Invalid charter in ${source}: ${problems.join('; ')}`), { code: 'ECHARTER' });
+  }
+
+  return {
+    source,
+    states: normalizedStates,
+    transitions: transitions.map((/** @type {any} */ { from, to, label }) => ({ from, to, ...(label ? { label } : {}) })),
+  };
+}
+
+/**
+ * Number of decisions and backlog items in each charter state.
+ * @param {Charter} charter
+ * @param {{decisions?: any[], backlog?: any[]}} data
+ * @returns {Record<string, {decisions: number, backlog: number, total: number}>}
+ */
+export function getCharterCounts(charter, data) {
+  /** @type {Record<string, {decisions: number, backlog: number, total: number}>} */
+  const counts = {};
+  for (const state of charter.states) {
+    counts[state.id] = { decisions: 0, backlog: 0, total: 0 };
+  }
+  for (const collection of CHARTER_COLLECTIONS) {
+    const records = /** @type {any[]} */ ((/** @type {any} */ (data))[collection] || []);
+    for (const record of records) {
+      const count = counts[record?.charter_state];
+      if (count) {
+        count[/** @type {'decisions'|'backlog'} */ (collection)] += 1;
+        count.total += 1;
+      }
+    }
+  }
+  return counts;
+}
+
+/**
+ * States an item in state `from` can move to. Items not yet on the charter
+ * can be placed in any state.
+ * @param {Charter} charter
+ * @param {string | undefined} from
+ * @returns {string[]}
+ */
+export function getCharterMoves(charter, from) {
+  if (!from || !charter.states.some((state) => state.id === from)) {
+    return charter.states.map((state) => state.id);
+  }
+  return charter.transitions.filter((transition) => transition.from === from).map((transition) => transition.to);
+}
+
+/**
+ * Checks moving a record to charter state `to`: the state must exist, the move
+ * must be one of the charter's transitions, and the state must be below its
+ * WIP limit. Leaving the charter (no state) is always allowed.
+ * @param {Charter} charter
+ * @param {{decisions?: any[], backlog?: any[]}} data - Current decisions file, used for WIP counts
+ * @param {any} record - The record before the move
+ * @param {string | null | undefined} to
+ * @returns {CharterMoveError[]}
+ */
+export function checkCharterMove(charter, data, record, to) {
+  const from = record?.charter_state;
+  if (to === undefined || to === null || to === from) return [];
+
+  const target = charter.states.find((state) => state.id === to);
+  if (!target) {
+    return [{
+      type: 'unknown-state',
+      message: `${to} is not a charter state; states: ${charter.states.map((state) => state.id).join(', ')}`,
+    }];
+  }
+
+  const allowed = getCharterMoves(charter, from);
+  if (!allowed.includes(to)) {
+    return [{
+      type: 'transition',
+      message: `the charter does not allow moving from ${from} to ${to}`,
+      allowed,
+    }];
+  }
+
+  const count = getCharterCounts(charter, data)[to].total;
+  if (target.wip_limit !== undefined && count >= target.wip_limit) {
+    return [{
+      type: 'wip-limit',
+      message: `${target.label} is at its WIP limit of ${target.wip_limit}`,
+    }];
+  }
+
+  return [];
+}
+
+/**
+ * Records whose `charter_state` is not a state of the charter, and states over
+ * their WIP limit. Paths are JSON pointers from the document root.
+ * @param {Charter} charter
+ * @param {{decisions?: any[], backlog?: any[]}} data
+ * @returns {{errors: Array<{path: string, message: string}>, warnings: string[]}}
+ */
+export function validateCharterStates(charter, data) {
+  const ids = new Set(charter.states.map((state) => state.id));
+  const errors = [];
+  for (const collection of CHARTER_COLLECTIONS) {
+    const records = /** @type {any[]} */ ((/** @type {any} */ (data))[collection] || []);
+    records.forEach((record, index) => {
+      const state = record?.charter_state;
+      if (state !== undefined && state !== null && !ids.has(state)) {
+        errors.push({ path: `/${collection}/${index}/charter_state`, message: `'${state}' is not a state of the charter` });
+      }
+    });
+  }
+
+  const counts = getCharterCounts(charter, data);
+  const warnings = charter.states
+    .filter((state) => state.wip_limit !== undefined && counts[state.id].total > state.wip_limit)
+    .map((state) => `${state.label} has ${counts[state.id].total} items, over its WIP limit of ${state.wip_limit}`);
+
+  return { errors, warnings };
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string[]}
+ */
+function toList(value) {
+  if (Array.isArray(value)) return value.map(String);
+  return typeof value === 'string' && value ? [value] : [];
+}
@@ -0,0 +1,10 @@
+export interface DependencyError {
+  path: string;
+  message: string;
+}
+
+export declare function getDependencies(record: any): number[];
+export declare function findDependencyCycles<K>(graph: Map<K, K[]>): K[][];
+export declare function planWaves<K>(graph: Map<K, K[]>, done?: Set<K>): K[][];
+export declare function formatCycle(cycle: any[]): string;
+export declare function validateDependencies(data: { decisions?: any[] }): DependencyError[];
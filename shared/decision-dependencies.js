@@ -0,0 +1,132 @@
+// @ts-check
+// Ordering between decisions. `depends_on` lists the decisions that have to be
+// done before work on a decision starts. Unlike related_to, which only links
+// decisions for context and impact analysis, it is a hard edge: agent
+// coordination runs decisions in waves along these edges, and `validate`
+// reports edges that can never be satisfied. Graphs here are Maps from a
+// decision id to the ids it depends on; edges to ids outside the Map are
+// ignored. Entries like `payments#4` refer to another workspace repository's
+// decisions; they are left out of the graph, as nothing here can check or wait
+// for them.
+
+/**
+ * @typedef {Object} DependencyError
+ * @property {string} path - JSON pointer from the document root
+ * @property {string} message
+ */
+
+/**
+ * Decisions a record depends on.
+ * @param {any} record
+ * @returns {number[]}
+ */
+export function getDependencies(record) {
+  return Array.isArray(record?.depends_on) ? record.depends_on.filter(Number.isInteger) : [];
+}
+
+/**
+ * Cycles in a dependency graph, each as the ids along it with the first id
+ * repeated at the end, like `[1, 2, 1]`. Every edge that closes a cycle gives
+ * one, so a graph with several cycles reports each of them.
+ * @template K
+ * @param {Map<K, K[]>} graph
+ * @returns {K[][]}
+ */
+export function findDependencyCycles(graph) {
+  /** @type {K[][]} */
+  const cycles = [];
+  /** @type {Set<K>} */
+  const finished = new Set();
+  /** @type {K[]} */
+  const path = [];
+
+  /** @param {K} id */
+  const visit = (id) => {
+    path.push(id);
+    for (const dependency of graph.get(id) || []) {
+      if (!graph.has(dependency) || finished.has(dependency)) continue;
+      const index = path.indexOf(dependency);
+      if (index !== -1) {
+        cycles.push([...path.slice(index), dependency]);
+      } else {
+        visit(dependency);
+      }
+    }
+    path.pop();
+    finished.add(id);
+  };
+
+  for (const id of graph.keys()) {
+    if (!finished.has(id)) visit(id);
+  }
+  return cycles;
+}
+
+/**
+ * Groups a dependency graph into waves: the first wave has the decisions that
+ * can start right away, and each later wave the ones whose dependencies are
+ * all in earlier waves or already done. Decisions in `done` are left out, as
+ * are decisions on or behind a cycle.
+ * @template K
+ * @param {Map<K, K[]>} graph
+ * @param {Set<K>} [done]
+ * @returns {K[][]}
+ */
+export function planWaves(graph, done = new Set()) {
+  /** @type {K[][]} */
+  const waves = [];
+  const finished = new Set(done);
+  let remaining = [...graph.keys()].filter((id) => !finished.has(id));
+
+  while (remaining.length > 0) {
+    const wave = remaining.filter((id) =>
+      (graph.get(id) || []).every((dependency) => !graph.has(dependency) || finished.has(dependency))
+    );
+    if (wave.length === 0) break;
+    waves.push(wave);
+    wave.forEach((id) => finished.add(id));
+    remaining = remaining.filter((id) => !finished.has(id));
+  }
+  return waves;
+}
+
+/**
+ * A cycle as `#1 → #2 → #1`.
+ * @param {any[]} cycle
+ * @returns {string}
+ */
+export function formatCycle(cycle) {
+  return cycle.map((id) => `#${id}`).join(' → ');
+}
+
+/**
+ * `depends_on` checks for a whole decisions document: entries must refer to
+ * existing decisions and must not form a cycle. A cycle is reported once, at
+ * the first decision on it.
+ * @param {{decisions?: any[]}} data
+ * @returns {DependencyError[]}
+ */
+export function validateDependencies(data) {
+  /** @type {DependencyError[]} */
+  const errors = [];
+  const decisions = Array.isArray(data?.decisions) ? data.decisions : [];
+  const indexes = new Map(decisions.map((decision, index) => [decision?.id, index]));
+  /** @type {Map<any, number[]>} */
+  const graph = new Map();
+
+  decisions.forEach((decision, index) => {
+    const dependencies = getDependencies(decision);
+    for (const dependency of dependencies) {
+      if (!indexes.has(dependency)) {
+        errors.push({ path: `/decisions/${index}/depends_on`, message: `refers to decision ${dependency}, which does not exist` });
+      }
+    }
+    graph.set(decision?.id, dependencies);
+  });
+
+  for (const cycle of findDependencyCycles(graph)) {
+    const first = cycle.reduce((earliest, id) => Math.min(earliest, indexes.get(id) ?? Infinity), Infinity);
+    errors.push({ path: `/decisions/${first}/depends_on`, message: `dependency cycle ${formatCycle(cycle)}` });
+  }
+  return errors;
+}
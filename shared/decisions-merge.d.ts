@@ -0,0 +1,20 @@
+export interface MergeConflict {
+  path: string;
+  base: any;
+  theirs: any;
+  ours: any;
+}
+
+export declare function mergeDecisionsData(base: any, theirs: any, ours: any): { data: any; conflicts: MergeConflict[] };
+export declare function getRecordRevision(record: any): string;
+export declare function hashContent(content: string): string;
+export declare function diffRecordFields(current: any, submitted: any): Array<{ path: string; current: any; submitted: any }>;
+
+export interface RecordChange {
+  collection: 'decisions' | 'backlog';
+  id: any;
+  action: 'created' | 'updated' | 'deleted';
+  changes: Array<{ path: string; before?: any; after?: any }>;
+}
+
+export declare function diffDecisionsData(before: any, after: any): RecordChange[];
@@ -0,0 +1,269 @@
+import crypto from 'crypto';
+
+// @ts-check
+// Three-way, field-level merging of decisions data. Used when a writer's copy
+// of decisions.yml is older than the file on disk: changes made by both sides
+// are combined, and only a field changed differently on both sides conflicts.
+
+const RECORD_COLLECTIONS = ['decisions', 'backlog'];
+
+/**
+ * @typedef {Object} MergeConflict
+ * @property {string} path - JSON-pointer-like path of the conflicting value
+ * @property {any} base - Value both sides started from
+ * @property {any} theirs - Value currently on disk
+ * @property {any} ours - Value being written (kept in the result)
+ */
+
+/**
+ * Merges the changes between `base` and `ours` into `theirs`.
+ * Decisions and backlog items are matched by id. When both sides changed the
+ * same field to different values, `ours` wins and a conflict is reported.
+ * When both sides added a different record with the same id, nothing can be
+ * merged and an error with code ECONFLICT is thrown.
+ * @param {any} base - Data as the writer originally read it
+ * @param {any} theirs - Data currently on disk
+ * @param {any} ours - Data the writer wants to save
+ * @returns {{data: any, conflicts: MergeConflict[]}}
+ */
+export function mergeDecisionsData(base, theirs, ours) {
+  const conflicts = [];
+  const data = mergeObjects(normalize(base) || {}, normalize(theirs) || {}, normalize(ours) || {}, '', conflicts, (key, values, path) =>
+    RECORD_COLLECTIONS.includes(key) && values.every(value => value === undefined || Array.isArray(value))
+      ? mergeRecordLists(values[0] || [], values[1] || [], values[2] || [], path, conflicts)
+      : undefined
+  );
+  return { data, conflicts };
+}
+
+/**
+ * Content hash of a single decision or backlog item, used as its HTTP ETag.
+ * @param {any} record
+ * @returns {string}
+ */
+export function getRecordRevision(record) {
+  return hashContent(JSON.stringify(normalize(record)));
+}
+
+/**
+ * Short content hash used for decisions.yml revisions.
+ * @param {string} content
+ * @returns {string}
+ */
+export function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, 16);
+}
+
+/**
+ * Lists the top-level fields whose values differ between two records.
+ * @param {any} current - Record as it is now
+ * @param {any} submitted - Values a client tried to write
+ * @returns {Array<{path: string, current: any, submitted: any}>}
+ */
+export function diffRecordFields(current, submitted) {
+  const currentValue = normalize(current) || {};
+  const submittedValue = normalize(submitted) || {};
+  return Object.keys(submittedValue)
+    .filter(key => !isEqual(currentValue[key], submittedValue[key]))
+    .map(key => ({ path: `/${key}`, current: currentValue[key], submitted: submittedValue[key] }));
+}
+
+/**
+ * @typedef {Object} RecordChange
+ * @property {'decisions'|'backlog'} collection
+ * @property {any} id
+ * @property {'created'|'updated'|'deleted'} action
+ * @property {Array<{path: string, before?: any, after?: any}>} changes - Field-level changes
+ */
+
+/**
+ * Compares two versions of decisions data record by record. Nested objects and
+ * lists (such as tasks) are compared item by item, so a task status change is
+ * reported as `/tasks/2/status` rather than as a new tasks list.
+ * @param {any} before
+ * @param {any} after
+ * @returns {RecordChange[]}
+ */
+export function diffDecisionsData(before, after) {
+  const result = [];
+
+  for (const collection of RECORD_COLLECTIONS) {
+    const beforeById = indexById(normalize(before?.[collection]) || []);
+    const afterById = indexById(normalize(after?.[collection]) || []);
+
+    for (const [key, record] of afterById) {
+      const previous = beforeById.get(key);
+      const changes = diffValues(previous, record, '');
+      if (changes.length > 0) {
+        result.push({ collection, id: record.id, action: previous === undefined ? 'created' : 'updated', changes });
+      }
+    }
+    for (const [key, record] of beforeById) {
+      if (!afterById.has(key)) {
+        result.push({ collection, id: record.id, action: 'deleted', changes: diffValues(record, undefined, '') });
+      }
+    }
+  }
+
+  return result;
+}
+
+function diffValues(before, after, path) {
+  if (isEqual(before, after)) return [];
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    return keys.flatMap(key => diffValues(before[key], after[key], `${path}/${key}`));
+  }
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const length = Math.max(before.length, after.length);
+    return Array.from({ length }, (_, index) => diffValues(before[index], after[index], `${path}/${index}`)).flat();
+  }
+
+  // Whole records that appear or disappear are listed field by field
+  if (path === '' && (isPlainObject(before) || isPlainObject(after))) {
+    return diffValues(before || {}, after || {}, path);
+  }
+
+  return [{ path: path || '/', before, after }];
+}
+
+function mergeRecordLists(base, theirs, ours, path, conflicts) {
+  const baseById = indexById(base);
+  const theirsById = indexById(theirs);
+  const oursById = indexById(ours);
+  const result = [];
+
+  for (const [key, theirRecord] of theirsById) {
+    const baseRecord = baseById.get(key);
+    const ourRecord = oursById.get(key);
+    const recordPath = `${path}/${theirRecord.id}`;
+
+    if (ourRecord === undefined) {
+      // Removed by us (keep it if they changed it meanwhile), or added by them
+      if (baseRecord === undefined) {
+        result.push(theirRecord);
+      } else if (!isEqual(baseRecord, theirRecord)) {
+        conflicts.push({ path: recordPath, base: baseRecord, theirs: theirRecord, ours: undefined });
+        result.push(theirRecord);
+      }
+      continue;
+    }
+
+    if (baseRecord === undefined && !isEqual(theirRecord, ourRecord)) {
+      // Both sides added a different record with this id. Keeping both would
+      // write duplicate ids, and neither can be renumbered behind the writer's back.
+      const error = new Error(`Both copies added a different record with id ${theirRecord.id} to ${path.slice(1)}; add it again under a new id`);
+      error.code = 'ECONFLICT';
+      error.conflicts = [{ path: recordPath, base: undefined, theirs: theirRecord, ours: ourRecord }];
+      throw error;
+    }
+
+    result.push(mergeValues(baseRecord ?? theirRecord, theirRecord, ourRecord, recordPath, conflicts));
+  }
+
+  // Records added by us go after the record that precedes them in our list.
+  // Records they removed stay removed unless we changed them.
+  const ourKeys = idKeys(ours);
+  ours.forEach((record, index) => {
+    const key = ourKeys[index];
+    const baseRecord = baseById.get(key);
+    const theirRecord = theirsById.get(key);
+    const added = baseRecord === undefined && !isEqual(theirRecord, record);
+    const keptAfterRemoval = baseRecord !== undefined && theirRecord === undefined && !isEqual(baseRecord, record);
+    if (!added && !keptAfterRemoval) return;
+
+    if (keptAfterRemoval) {
+      conflicts.push({ path: `${path}/${record.id}`, base: baseRecord, theirs: undefined, ours: record });
+    }
+
+    const previous = index > 0 ? oursById.get(ourKeys[index - 1]) : null;
+    const position = previous ? result.findIndex(item => item.id === previous.id) : -1;
+    result.splice(position + 1, 0, record);
+  });
+
+  return result;
+}
+
+function mergeValues(base, theirs, ours, path, conflicts) {
+  if (isEqual(ours, base)) return theirs;
+  if (isEqual(theirs, base) || isEqual(theirs, ours)) return ours;
+
+  if (isPlainObject(base) && isPlainObject(theirs) && isPlainObject(ours)) {
+    return mergeObjects(base, theirs, ours, path, conflicts);
+  }
+
+  // Lists of the same length (e.g. tasks) are merged item by item
+  if ([base, theirs, ours].every(Array.isArray) && base.length === theirs.length && base.length === ours.length) {
+    return ours.map((item, index) => mergeValues(base[index], theirs[index], item, `${path}/${index}`, conflicts));
+  }
+
+  conflicts.push({ path: path || '/', base, theirs, ours });
+  return ours;
+}
+
+function mergeObjects(base, theirs, ours, path, conflicts, mergeSpecial = () => undefined) {
+  const result = {};
+  const keys = [...new Set([...Object.keys(theirs), ...Object.keys(ours)])];
+
+  for (const key of keys) {
+    const keyPath = `${path}/${key}`;
+    const special = mergeSpecial(key, [base[key], theirs[key], ours[key]], keyPath);
+    const value = special !== undefined
+      ? special
+      : mergeValues(base[key], theirs[key], ours[key], keyPath, conflicts);
+    if (value !== undefined) {
+      result[key] = value;
+    }
+  }
+
+  return result;
+}
+
+// Duplicate ids are told apart by their position among records with that id
+function idKeys(records) {
+  const seen = new Map();
+  return records.map(record => {
+    const id = String(record?.id);
+    const count = seen.get(id) || 0;
+    seen.set(id, count + 1);
+    return `${id}#${count}`;
+  });
+}
+
+function indexById(records) {
+  const keys = idKeys(records);
+  return new Map(records.map((record, index) => [keys[index], record]));
+}
+
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => isEqual(item, b[index]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length &&
+      keys.every(key => Object.hasOwn(b, key) && isEqual(a[key], b[key]));
+  }
+  return Number.isNaN(a) && Number.isNaN(b);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Deep copy with Dates turned into ISO strings, as they are written to YAML
+function normalize(value) {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? String(value) : value.toISOString();
+  if (Array.isArray(value)) return value.map(normalize);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([, item]) => item !== undefined)
+        .map(([key, item]) => [key, normalize(item)])
+    );
+  }
+  return value;
+}
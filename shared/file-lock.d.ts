@@ -0,0 +1,6 @@
+export interface FileLockOptions {
+  timeout?: number;
+  staleAfter?: number;
+}
+
+export declare function withFileLock<T>(lockPath: string, fn: () => Promise<T>, options?: FileLockOptions): Promise<T>;
@@ -0,0 +1,131 @@
+import fs from 'fs/promises';
+import os from 'os';
+import { randomUUID } from 'crypto';
+
+// @ts-check
+// Advisory lock files for decisions.yml. A lock is a file created with the
+// exclusive flag; whoever creates it owns the lock until they delete it. The
+// owner touches it while working, so only abandoned locks grow stale.
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_STALE_MS = 30000;
+const RETRY_DELAY_MS = 25;
+const MAX_RETRY_DELAY_MS = 250;
+
+/**
+ * @typedef {Object} FileLockOptions
+ * @property {number} [timeout] - How long to wait for the lock, in milliseconds
+ * @property {number} [staleAfter] - Age after which a lock is considered abandoned
+ */
+
+/**
+ * Runs `fn` while holding the lock file at `lockPath`, waiting for other
+ * holders to finish first. Locks left behind by crashed processes are removed
+ * once their owner is gone or they are older than `staleAfter`.
+ * @template T
+ * @param {string} lockPath - Path of the lock file
+ * @param {() => Promise<T>} fn - Work to do while holding the lock
+ * @param {FileLockOptions} [options]
+ * @returns {Promise<T>}
+ */
+export async function withFileLock(lockPath, fn, options = {}) {
+  const token = await acquireLock(lockPath, options);
+  const staleAfter = options.staleAfter ?? DEFAULT_STALE_MS;
+  const heartbeat = setInterval(() => {
+    const now = new Date();
+    fs.utimes(lockPath, now, now).catch(() => {});
+  }, staleAfter / 3);
+  heartbeat.unref();
+  try {
+    return await fn();
+  } finally {
+    clearInterval(heartbeat);
+    await releaseLock(lockPath, token);
+  }
+}
+
+async function acquireLock(lockPath, options) {
+  const timeout = options.timeout ?? DEFAULT_TIMEOUT_MS;
+  const staleAfter = options.staleAfter ?? DEFAULT_STALE_MS;
+  const token = randomUUID();
+  const owner = JSON.stringify({ pid: process.pid, host: os.hostname(), token, acquired_at: new Date().toISOString() });
+  const startedAt = Date.now();
+  let delay = RETRY_DELAY_MS;
+
+  for (;;) {
+    try {
+      await fs.writeFile(lockPath, owner, { flag: 'wx' });
+      return token;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    if (await isStaleLock(lockPath, staleAfter)) {
+      await fs.rm(lockPath, { force: true });
+      continue;
+    }
+
+    if (Date.now() - startedAt >= timeout) {
+      const holder = await readLockOwner(lockPath);
+      const error = new Error(
+        `Timed out waiting for lock ${lockPath}${holder ? ` (held by pid ${holder.pid})` : ''}. ` +
+        'Remove the lock file if no other decision-tapestry process is running.'
+      );
+      error.code = 'ELOCKED';
+      throw error;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, delay));
+    delay = Math.min(delay * 2, MAX_RETRY_DELAY_MS);
+  }
+}
+
+/**
+ * Remove the lock, unless it was taken over after we were thought gone
+ */
+async function releaseLock(lockPath, token) {
+  const holder = await readLockOwner(lockPath);
+  if (holder?.token === token) {
+    await fs.rm(lockPath, { force: true });
+  }
+}
+
+async function isStaleLock(lockPath, staleAfter) {
+  let stats;
+  try {
+    stats = await fs.stat(lockPath);
+  } catch (error) {
+    // Released between our attempt and the check - try again straight away
+    return error.code === 'ENOENT';
+  }
+
+  if (Date.now() - stats.mtimeMs > staleAfter) {
+    return true;
+  }
+
+  const holder = await readLockOwner(lockPath);
+  if (!holder || holder.host !== os.hostname() || holder.pid === process.pid) {
+    return false;
+  }
+  return !isProcessAlive(holder.pid);
+}
+
+async function readLockOwner(lockPath) {
+  try {
+    return JSON.parse(await fs.readFile(lockPath, 'utf8'));
+  } catch {
+    // Missing, or still being written by its owner
+    return null;
+  }
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
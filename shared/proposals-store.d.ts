@@ -0,0 +1,19 @@
+export interface Proposal {
+  id: string;
+  status: 'pending' | 'accepted' | 'merged' | 'rejected';
+  source: string;
+  created_at: string;
+  confidence: number;
+  decision: any;
+  evidence: { commits?: Array<{ sha: string }>; [key: string]: any };
+  resolution?: { action: string; collection?: string; id?: number; reason?: string; actor?: string; at: string };
+}
+
+export declare function getProposalsPath(decisionsPath: string): string;
+export declare function readProposals(proposalsPath: string): Promise<Proposal[]>;
+export declare function updateProposals<T>(proposalsPath: string, mutate: (proposals: Proposal[]) => T | Promise<T>): Promise<T>;
+export declare function addProposals(
+  proposalsPath: string,
+  candidates: Array<{ decision: any; confidence: number; evidence: any }>,
+  options?: { source?: string }
+): Promise<{ added: Proposal[]; skipped: number }>;
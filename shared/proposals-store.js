@@ -0,0 +1,121 @@
+import fs from 'fs/promises';
+import { withFileLock } from './file-lock.js';
+import { hashContent } from './decisions-merge.js';
+import { getDecisionsDirectoryPath } from './yaml-utils.js';
+
+// @ts-check
+// Review queue of proposed decisions, kept next to decisions.yml in
+// decisions.proposals.json. Tools that guess at decisions (such as
+// `decision-tapestry infer`) add proposals here instead of writing
+// decisions.yml, so a person decides what becomes part of the record.
+
+/**
+ * @typedef {Object} Proposal
+ * @property {string} id - Stable id derived from the evidence, e.g. `P-1a2b3c4d`
+ * @property {'pending'|'accepted'|'merged'|'rejected'} status
+ * @property {string} source - What proposed it, e.g. `git-inference`
+ * @property {string} created_at - ISO 8601 time it was added
+ * @property {number} confidence - 0 to 1
+ * @property {any} decision - Proposed decision record, without an id
+ * @property {{commits?: Array<{sha: string}>, [key: string]: any}} evidence - What it was inferred from
+ * @property {{action: string, collection?: string, id?: number, reason?: string, actor?: string, at: string}} [resolution] - How it was reviewed
+ */
+
+/**
+ * Path of the review queue that belongs to a decisions file.
+ * @param {string} decisionsPath - Path to decisions.yml (or a decisions directory)
+ * @returns {string}
+ */
+export function getProposalsPath(decisionsPath) {
+  return `${getDecisionsDirectoryPath(decisionsPath)}.proposals.json`;
+}
+
+/**
+ * Reads all proposals, in the order they were added.
+ * @param {string} proposalsPath
+ * @returns {Promise<Proposal[]>}
+ */
+export async function readProposals(proposalsPath) {
+  let content;
+  try {
+    content = await fs.readFile(proposalsPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const parsed = JSON.parse(content);
+  return Array.isArray(parsed.proposals) ? parsed.proposals : [];
+}
+
+/**
+ * Reads the proposals, applies a change and writes them back while holding
+ * the queue's lock.
+ * @template T
+ * @param {string} proposalsPath
+ * @param {(proposals: Proposal[]) => T | Promise<T>} mutate - Changes the list in place
+ * @returns {Promise<T>} Whatever `mutate` returned
+ */
+export async function updateProposals(proposalsPath, mutate) {
+  return withFileLock(`${proposalsPath}.lock`, async () => {
+    const proposals = await readProposals(proposalsPath);
+    const result = await mutate(proposals);
+
+    const tempPath = `${proposalsPath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify({ proposals }, null, 2) + '\n', 'utf8');
+    await fs.rename(tempPath, proposalsPath);
+    return result;
+  });
+}
+
+/**
+ * Adds proposals to the queue. A candidate is skipped when most of its
+ * commits are already covered by a proposal in the queue, whatever that
+ * proposal's status - so rejected proposals don't come back on the next run.
+ * @param {string} proposalsPath
+ * @param {Array<{decision: any, confidence: number, evidence: any}>} candidates
+ * @param {{source?: string}} [options]
+ * @returns {Promise<{added: Proposal[], skipped: number}>}
+ */
+export async function addProposals(proposalsPath, candidates, options = {}) {
+  const source = options.source || 'unknown';
+
+  return updateProposals(proposalsPath, proposals => {
+    const added = [];
+    let skipped = 0;
+
+    for (const candidate of candidates) {
+      const shas = (candidate.evidence?.commits || []).map(commit => commit.sha);
+      const id = `P-${hashContent(JSON.stringify(shas.length ? [...shas].sort() : candidate.decision)).slice(0, 8)}`;
+
+      if (proposals.some(proposal => proposal.id === id || coversCommits(proposal, shas))) {
+        skipped++;
+        continue;
+      }
+
+      /** @type {Proposal} */
+      const proposal = {
+        id,
+        status: 'pending',
+        source,
+        created_at: new Date().toISOString(),
+        confidence: candidate.confidence,
+        decision: candidate.decision,
+        evidence: candidate.evidence
+      };
+      proposals.push(proposal);
+      added.push(proposal);
+    }
+
+    return { added, skipped };
+  });
+}
+
+function coversCommits(proposal, shas) {
+  if (shas.length === 0) return false;
+  const known = new Set((proposal.evidence?.commits || []).map(commit => commit.sha));
+  const overlap = shas.filter(sha => known.has(sha)).length;
+  return overlap * 2 > shas.length;
+}
@@ -0,0 +1,16 @@
+export type RecordCollection = 'decisions' | 'backlog';
+
+export interface SchemaValidationResult {
+  valid: boolean;
+  errors: any[];
+}
+
+export interface SchemaValidator {
+  validateDocument(data: any): SchemaValidationResult;
+  validateRecord(collection: RecordCollection, record: any): SchemaValidationResult;
+}
+
+export declare function loadDecisionsSchema(): Promise<any>;
+export declare function createSchemaValidator(schema: any): SchemaValidator;
+export declare function getSchemaValidator(): Promise<SchemaValidator>;
+export declare function formatSchemaErrors(errors: any[]): Array<{ path: string; message: string }>;
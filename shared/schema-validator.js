@@ -0,0 +1,109 @@
+import fs from 'fs/promises';
+import Ajv from 'ajv';
+
+// @ts-check
+// Shared Ajv setup for decisions.schema.json, used by `decision-tapestry validate`
+// and by the server's write endpoints so both accept and reject the same data.
+
+const SCHEMA_URL = new URL('../decisions.schema.json', import.meta.url);
+
+/**
+ * @typedef {'decisions'|'backlog'} RecordCollection
+ */
+
+/**
+ * @typedef {Object} SchemaValidationResult
+ * @property {boolean} valid
+ * @property {Array<any>} errors - Ajv errors, empty when valid
+ */
+
+/**
+ * Loads decisions.schema.json from the package root.
+ * @returns {Promise<any>}
+ */
+export async function loadDecisionsSchema() {
+  const schemaRaw = await fs.readFile(SCHEMA_URL, 'utf8');
+  return JSON.parse(schemaRaw);
+}
+
+/**
+ * Compiles the schema once and returns validators for a whole decisions
+ * document and for single decisions or backlog items.
+ * @param {any} schema - Parsed decisions.schema.json
+ */
+export function createSchemaValidator(schema) {
+  const ajv = new Ajv({ allErrors: true, strict: false });
+  const validate = ajv.compile(schema);
+
+  const run = (data) => {
+    const valid = validate(toSchemaValue(data));
+    return { valid: Boolean(valid), errors: valid ? [] : [...(validate.errors || [])] };
+  };
+
+  return {
+    /**
+     * @param {any} data - Whole decisions document
+     * @returns {SchemaValidationResult}
+     */
+    validateDocument: run,
+
+    /**
+     * Validates one record by wrapping it in a minimal document, so there is
+     * only one compiled schema. Error paths are made relative to the record.
+     * @param {RecordCollection} collection - Which record schema to use
+     * @param {any} record - A single decision or backlog item
+     * @returns {SchemaValidationResult}
+     */
+    validateRecord: (collection, record) => {
+      const result = run({ decisions: [], [collection]: [record] });
+      const prefix = `/${collection}/0`;
+      result.errors = result.errors.map(error => ({
+        ...error,
+        instancePath: error.instancePath.startsWith(prefix)
+          ? error.instancePath.slice(prefix.length)
+          : error.instancePath
+      }));
+      return result;
+    }
+  };
+}
+
+let defaultValidator = null;
+
+/**
+ * Returns a validator for the packaged decisions.schema.json, compiling it on
+ * first use.
+ * @returns {Promise<ReturnType<typeof createSchemaValidator>>}
+ */
+export async function getSchemaValidator() {
+  if (!defaultValidator) {
+    defaultValidator = createSchemaValidator(await loadDecisionsSchema());
+  }
+  return defaultValidator;
+}
+
+/**
+ * Flattens Ajv errors into `{ path, message }` pairs for API responses.
+ * @param {Array<any>} errors - Ajv errors
+ * @returns {Array<{path: string, message: string}>}
+ */
+export function formatSchemaErrors(errors) {
+  return errors.map(error => ({
+    path: error.instancePath || '/',
+    message: error.keyword === 'additionalProperties'
+      ? `${error.message}: '${error.params.additionalProperty}'`
+      : error.keyword === 'enum'
+        ? `${error.message}: ${error.params.allowedValues.join(', ')}`
+        : error.message
+  }));
+}
+
+/**
+ * js-yaml turns unquoted timestamps into Date objects; the schema describes
+ * them as ISO strings, so compare against the serialized form.
+ * @param {any} value
+ * @returns {any}
+ */
+function toSchemaValue(value) {
+  return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
@@ -0,0 +1,26 @@
+export type LifecycleKind = 'decisions' | 'backlog' | 'tasks';
+
+export interface StatusDefinition {
+  description: string;
+  transitions: string[];
+  requires?: string[];
+}
+
+export interface LifecycleError {
+  path: string;
+  message: string;
+  allowed?: string[];
+}
+
+export declare const DECISION_LIFECYCLE: Record<string, StatusDefinition>;
+export declare const BACKLOG_LIFECYCLE: Record<string, StatusDefinition>;
+export declare const TASK_LIFECYCLE: Record<string, StatusDefinition>;
+export declare const LIFECYCLES: Record<LifecycleKind, Record<string, StatusDefinition>>;
+
+export declare function getStatuses(kind: LifecycleKind): string[];
+export declare function getAllowedTransitions(kind: LifecycleKind, from: string): string[];
+export declare function canTransition(kind: LifecycleKind, from: string, to: string): boolean;
+export declare function isCompletedStatus(status: string): boolean;
+export declare function getMissingFields(kind: LifecycleKind, record: any): string[];
+export declare function checkStatusChange(kind: LifecycleKind, previous: any, next: any): LifecycleError[];
+export declare function validateLifecycle(data: { decisions?: any[]; backlog?: any[] }): LifecycleError[];
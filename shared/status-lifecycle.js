@@ -0,0 +1,274 @@
+// @ts-check
+// The status lifecycle of decisions, backlog items and decision tasks: which
+// statuses exist, which changes between them are allowed, and which fields a
+// record needs while it has a status. Used by `decision-tapestry validate`,
+// the `status` command, the decisions API and the dashboard, so keep it free
+// of Node-only imports. The status enums in decisions.schema.json list the
+// same statuses.
+
+/**
+ * @typedef {Object} StatusDefinition
+ * @property {string} description - What the status means
+ * @property {string[]} transitions - Statuses a record can move to from this one
+ * @property {string[]} [requires] - Fields a record must have while it has this status
+ */
+
+/**
+ * @typedef {'decisions'|'backlog'|'tasks'} LifecycleKind
+ */
+
+/**
+ * @typedef {Object} LifecycleError
+ * @property {string} path - JSON pointer relative to the record, e.g. `/status`
+ * @property {string} message
+ * @property {string[]} [allowed] - Statuses the record could move to instead
+ */
+
+/** @type {Record<string, StatusDefinition>} */
+export const DECISION_LIFECYCLE = {
+  Proposed: {
+    description: 'Suggested and open for discussion',
+    transitions: ['Pending', 'Accepted', 'Rejected'],
+  },
+  Pending: {
+    description: 'Waiting for a decision',
+    transitions: ['Proposed', 'Accepted', 'Rejected'],
+  },
+  Accepted: {
+    description: 'Agreed and being put into practice',
+    transitions: ['Done', 'Completed', 'Superseded', 'Rejected'],
+  },
+  Done: {
+    description: 'Implemented',
+    transitions: ['Accepted', 'Completed', 'Superseded'],
+  },
+  Completed: {
+    description: 'Implemented',
+    transitions: ['Accepted', 'Done', 'Superseded'],
+  },
+  Superseded: {
+    description: 'Replaced by a later decision',
+    transitions: [],
+    requires: ['superseded_by'],
+  },
+  Rejected: {
+    description: 'Considered and turned down',
+    transitions: ['Proposed'],
+  },
+};
+
+/** @type {Record<string, StatusDefinition>} */
+export const BACKLOG_LIFECYCLE = {
+  Open: {
+    description: 'Not started',
+    transitions: ['In Progress', 'Blocked'],
+  },
+  'In Progress': {
+    description: 'Being worked on',
+    transitions: ['Open', 'Blocked'],
+  },
+  Blocked: {
+    description: 'Waiting on something else',
+    transitions: ['Open', 'In Progress'],
+  },
+};
+
+/** @type {Record<string, StatusDefinition>} */
+export const TASK_LIFECYCLE = {
+  Pending: {
+    description: 'Not started',
+    transitions: ['In Progress', 'Blocked', 'Completed', 'Done'],
+  },
+  'In Progress': {
+    description: 'Being worked on',
+    transitions: ['Pending', 'Blocked', 'Completed', 'Done', 'Failed'],
+  },
+  Blocked: {
+    description: 'Waiting on something else',
+    transitions: ['Pending', 'In Progress'],
+  },
+  Completed: {
+    description: 'Finished',
+    transitions: ['Pending', 'In Progress', 'Done'],
+  },
+  Done: {
+    description: 'Finished',
+    transitions: ['Pending', 'In Progress', 'Completed'],
+  },
+  Failed: {
+    description: 'An attempt did not succeed',
+    transitions: ['Pending', 'In Progress', 'Blocked'],
+  },
+};
+
+/** @type {Record<LifecycleKind, Record<string, StatusDefinition>>} */
+export const LIFECYCLES = {
+  decisions: DECISION_LIFECYCLE,
+  backlog: BACKLOG_LIFECYCLE,
+  tasks: TASK_LIFECYCLE,
+};
+
+const COMPLETED_STATUSES = ['Done', 'Completed'];
+
+/**
+ * All statuses of a kind of record, in lifecycle order.
+ * @param {LifecycleKind} kind
+ * @returns {string[]}
+ */
+export function getStatuses(kind) {
+  return Object.keys(getLifecycle(kind));
+}
+
+/**
+ * Statuses a record with status `from` can move to. A record whose status is
+ * not part of the lifecycle can move to any status, so it can be repaired.
+ * @param {LifecycleKind} kind
+ * @param {string} from
+ * @returns {string[]}
+ */
+export function getAllowedTransitions(kind, from) {
+  const lifecycle = getLifecycle(kind);
+  if (!Object.prototype.hasOwnProperty.call(lifecycle, from)) {
+    return Object.keys(lifecycle);
+  }
+  return lifecycle[from].transitions;
+}
+
+/**
+ * Whether a record can move from one status to another. Keeping the same
+ * status is always allowed.
+ * @param {LifecycleKind} kind
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+export function canTransition(kind, from, to) {
+  if (!Object.prototype.hasOwnProperty.call(getLifecycle(kind), to)) return false;
+  return from === to || getAllowedTransitions(kind, from).includes(to);
+}
+
+/**
+ * Whether a decision or task status means the work is finished.
+ * @param {string} status
+ * @returns {boolean}
+ */
+export function isCompletedStatus(status) {
+  return COMPLETED_STATUSES.includes(status);
+}
+
+/**
+ * Fields the record is missing for its current status.
+ * @param {LifecycleKind} kind
+ * @param {any} record
+ * @returns {string[]}
+ */
+export function getMissingFields(kind, record) {
+  const definition = getLifecycle(kind)[record?.status];
+  if (!definition?.requires) return [];
+  return definition.requires.filter((field) => record[field] === undefined || record[field] === null);
+}
+
+/**
+ * Checks a change to a record against the lifecycle: the status change must be
+ * an allowed transition, and the changed record must have the fields its
+ * status requires. Fields that were already missing before the change are not
+ * reported, so older records can still be edited.
+ * @param {LifecycleKind} kind
+ * @param {any} previous - The record before the change, or null for a new record
+ * @param {any} next - The record after the change
+ * @returns {LifecycleError[]}
+ */
+export function checkStatusChange(kind, previous, next) {
+  /** @type {LifecycleError[]} */
+  const errors = [];
+
+  if (previous && previous.status !== next.status && !canTransition(kind, previous.status, next.status)) {
+    const allowed = getAllowedTransitions(kind, previous.status);
+    errors.push({
+      path: '/status',
+      message: allowed.length > 0
+        ? `cannot change from ${previous.status} to ${next.status}; allowed: ${allowed.join(', ')}`
+        : `cannot change from ${previous.status}, it is a final status`,
+      allowed,
+    });
+  }
+
+  const alreadyMissing = previous && previous.status === next.status
+    ? getMissingFields(kind, previous)
+    : [];
+  for (const field of getMissingFields(kind, next)) {
+    if (!alreadyMissing.includes(field)) {
+      errors.push({ path: `/${field}`, message: `is required when status is ${next.status}` });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Lifecycle checks for a whole decisions document: required fields for every
+ * decision, backlog item and task, and `superseded_by` pointing at another
+ * existing decision (unless it is a `namespace#id` reference into another
+ * workspace repository, which is not loaded here). Paths are JSON pointers
+ * from the document root, like the schema validator's instance paths.
+ * @param {{decisions?: any[], backlog?: any[]}} data
+ * @returns {LifecycleError[]}
+ */
+export function validateLifecycle(data) {
+  /** @type {LifecycleError[]} */
+  const errors = [];
+  const decisions = Array.isArray(data?.decisions) ? data.decisions : [];
+  const decisionIds = new Set(decisions.map((decision) => decision?.id));
+
+  decisions.forEach((decision, index) => {
+    for (const field of getMissingFields('decisions', decision)) {
+      errors.push({ path: `/decisions/${index}/${field}`, message: `is required when status is ${decision.status}` });
+    }
+    const replacement = decision?.superseded_by;
+    // namespace#id refers to a decision in another workspace repository
+    if (replacement !== undefined && replacement !== null && !isNamespacedRef(replacement) &&
+      (replacement === decision.id || !decisionIds.has(replacement))) {
+      errors.push({
+        path: `/decisions/${index}/superseded_by`,
+        message: replacement === decision.id
+          ? 'a decision cannot supersede itself'
+          : `refers to decision ${replacement}, which does not exist`,
+      });
+    }
+    /** @type {any[]} */
+    const tasks = Array.isArray(decision?.tasks) ? decision.tasks : [];
+    tasks.forEach((task, taskIndex) => {
+      for (const field of getMissingFields('tasks', task)) {
+        errors.push({ path: `/decisions/${index}/tasks/${taskIndex}/${field}`, message: `is required when status is ${task.status}` });
+      }
+    });
+  });
+
+  (Array.isArray(data?.backlog) ? data.backlog : []).forEach((item, index) => {
+    for (const field of getMissingFields('backlog', item)) {
+      errors.push({ path: `/backlog/${index}/${field}`, message: `is required when status is ${item.status}` });
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * @param {any} ref
+ * @returns {boolean}
+ */
+function isNamespacedRef(ref) {
+  return typeof ref === 'string' && ref.includes('#');
+}
+
+/**
+ * @param {LifecycleKind} kind
+ * @returns {Record<string, StatusDefinition>}
+ */
+function getLifecycle(kind) {
+  const lifecycle = LIFECYCLES[kind];
+  if (!lifecycle) {
+    throw new Error(`Unknown lifecycle: ${kind}`);
+  }
+  return lifecycle;
+}
@@ -0,0 +1,16 @@
+export interface SavedView {
+  name: string;
+  description?: string;
+  state: Record<string, any>;
+  created_at: string;
+  updated_at: string;
+}
+
+export declare function getViewsPath(decisionsPath: string): string;
+export declare function isValidViewName(name: unknown): boolean;
+export declare function readViews(viewsPath: string): Promise<SavedView[]>;
+export declare function saveView(
+  viewsPath: string,
+  view: { name: string; description?: string; state: Record<string, any> }
+): Promise<{ view: SavedView; created: boolean }>;
+export declare function deleteView(viewsPath: string, name: string): Promise<boolean>;
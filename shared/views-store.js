@@ -0,0 +1,115 @@
+import fs from 'fs/promises';
+import { withFileLock } from './file-lock.js';
+import { getDecisionsDirectoryPath } from './yaml-utils.js';
+
+// @ts-check
+// Saved dashboard views, kept next to decisions.yml in decisions.views.json.
+// A view is a named snapshot of the dashboard's filters, time range, center
+// tab and selected decision, so a team can share "what I was looking at" by
+// name (`#view=q3-infra` in the dashboard URL).
+
+// Names appear in URLs, so they are kept to characters that need no escaping
+const VIEW_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+/**
+ * @typedef {Object} SavedView
+ * @property {string} name - Letters, digits, `.`, `_` and `-`, e.g. `q3-infra`
+ * @property {string} [description]
+ * @property {Object} state - Dashboard state, as built by utils/view-state.mjs
+ * @property {string} created_at - ISO 8601 time it was first saved
+ * @property {string} updated_at - ISO 8601 time it was last saved
+ */
+
+/**
+ * Path of the saved views that belong to a decisions file.
+ * @param {string} decisionsPath - Path to decisions.yml (or a decisions directory)
+ * @returns {string}
+ */
+export function getViewsPath(decisionsPath) {
+  return `${getDecisionsDirectoryPath(decisionsPath)}.views.json`;
+}
+
+/**
+ * Whether a string can be used as a view name.
+ * @param {unknown} name
+ * @returns {boolean}
+ */
+export function isValidViewName(name) {
+  return typeof name === 'string' && VIEW_NAME_PATTERN.test(name);
+}
+
+/**
+ * Reads all saved views, sorted by name.
+ * @param {string} viewsPath
+ * @returns {Promise<SavedView[]>}
+ */
+export async function readViews(viewsPath) {
+  let content;
+  try {
+    content = await fs.readFile(viewsPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const parsed = JSON.parse(content);
+  return Array.isArray(parsed.views) ? parsed.views : [];
+}
+
+/**
+ * Saves a view, replacing any view with the same name.
+ * @param {string} viewsPath
+ * @param {{name: string, description?: string, state: Object}} view
+ * @returns {Promise<{view: SavedView, created: boolean}>}
+ */
+export async function saveView(viewsPath, { name, description, state }) {
+  return updateViews(viewsPath, views => {
+    const now = new Date().toISOString();
+    const index = views.findIndex(view => view.name === name);
+    /** @type {SavedView} */
+    const view = {
+      name,
+      ...(description && { description }),
+      state,
+      created_at: index === -1 ? now : views[index].created_at,
+      updated_at: now
+    };
+
+    if (index === -1) {
+      views.push(view);
+      views.sort((a, b) => a.name.localeCompare(b.name));
+    } else {
+      views[index] = view;
+    }
+    return { view, created: index === -1 };
+  });
+}
+
+/**
+ * Deletes a saved view.
+ * @param {string} viewsPath
+ * @param {string} name
+ * @returns {Promise<boolean>} Whether the view existed
+ */
+export async function deleteView(viewsPath, name) {
+  return updateViews(viewsPath, views => {
+    const index = views.findIndex(view => view.name === name);
+    if (index === -1) return false;
+    views.splice(index, 1);
+    return true;
+  });
+}
+
+async function updateViews(viewsPath, mutate) {
+  return withFileLock(`${viewsPath}.lock`, async () => {
+    const views = await readViews(viewsPath);
+    const result = await mutate(views);
+
+    const tempPath = `${viewsPath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify({ views }, null, 2) + '\n', 'utf8');
+    await fs.rename(tempPath, viewsPath);
+    return result;
+  });
+}
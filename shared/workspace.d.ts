@@ -0,0 +1,36 @@
+export interface WorkspaceRepo {
+  namespace: string;
+  label: string;
+  color: string;
+  decisionsPath: string;
+}
+
+export interface Workspace {
+  source: string;
+  repos: WorkspaceRepo[];
+}
+
+export interface WorkspaceRepoSummary {
+  namespace: string;
+  label: string;
+  color: string;
+  decisions: number;
+  backlog: number;
+  error?: string;
+}
+
+export declare const WORKSPACE_FILE: string;
+
+export declare function loadWorkspace(cwd: string): Promise<Workspace | null>;
+export declare function normalizeWorkspace(definition: any, baseDir: string, source?: string): Workspace;
+export declare function parseDecisionRef(
+  ref: string | number,
+  namespace?: string
+): { namespace: string | undefined; id: number } | null;
+export declare function formatDecisionRef(namespace: string, id: number): string;
+export declare function namespaceRecord(record: any, namespace: string): any;
+export declare function readWorkspaceData(workspace: Workspace): Promise<{
+  decisions: any[];
+  backlog: any[];
+  workspace: { repos: WorkspaceRepoSummary[] };
+}>;
@@ -0,0 +1,178 @@
+import fs from 'fs/promises';
+import path from 'path';
+import yaml from 'js-yaml';
+import { readDecisionsFile } from './yaml-utils.js';
+
+// @ts-check
+// Workspace mode: one dashboard over the decisions of several repositories.
+// decision-tapestry.workspace.yml in the working directory lists each
+// repository with a namespace; record ids become `<namespace>#<id>` (e.g.
+// `billing#12`), and a repository's related_to, supersedes and superseded_by
+// can point into another one with the same form. Plain numbers refer to the
+// repository's own records.
+
+/**
+ * @typedef {Object} WorkspaceRepo
+ * @property {string} namespace - Prefix of the repository's record ids
+ * @property {string} label - Name shown in the repository filter
+ * @property {string} color - Color of the repository's nodes on the maps
+ * @property {string} decisionsPath - Absolute path to the repository's decisions.yml
+ */
+
+/**
+ * @typedef {Object} Workspace
+ * @property {string} source - Path of the workspace file
+ * @property {WorkspaceRepo[]} repos
+ */
+
+export const WORKSPACE_FILE = 'decision-tapestry.workspace.yml';
+
+const NAMESPACE_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+const DECISION_REF_PATTERN = /^([A-Za-z0-9][A-Za-z0-9_-]*)#(\d+)$/;
+const REFERENCE_FIELDS = ['related_to', 'supersedes', 'superseded_by'];
+
+// Used in order for repositories without a color of their own
+const REPO_COLORS = ['#3498db', '#e67e22', '#2ecc71', '#9b59b6', '#e74c3c', '#1abc9c', '#f1c40f', '#34495e'];
+
+/**
+ * Loads decision-tapestry.workspace.yml from a directory.
+ * @param {string} cwd
+ * @returns {Promise<Workspace|null>} null when the directory has no workspace file
+ */
+export async function loadWorkspace(cwd) {
+  const source = path.join(cwd, WORKSPACE_FILE);
+  let content;
+  try {
+    content = await fs.readFile(source, 'utf8');
+  } catch (error) {
+    if (/** @type {NodeJS.ErrnoException} */ (error).code === 'ENOENT') return null;
+    throw error;
+  }
+  return normalizeWorkspace(yaml.load(content), path.dirname(source), source);
+}
+
+/**
+ * Checks a workspace definition and resolves repository paths against
+ * `baseDir`. A repository path may be the repository itself or its
+ * decisions.yml. Throws an error with code EWORKSPACE listing every problem.
+ * @param {any} definition
+ * @param {string} baseDir
+ * @param {string} [source]
+ * @returns {Workspace}
+ */
+export function normalizeWorkspace(definition, baseDir, source = WORKSPACE_FILE) {
+  const problems = [];
+  const repos = Array.isArray(definition?.repos) ? definition.repos : [];
+  if (repos.length === 0) {
+    problems.push('repos must list at least one repository');
+  }
+
+  const seen = new Set();
+  const normalized = repos.map((/** @type {any} */ repo, /** @type {number} */ index) => {
+    const where = `repos[${index}]`;
+    if (!NAMESPACE_PATTERN.test(String(repo?.namespace ?? ''))) {
+      problems.push(`${where}: namespace must be letters, digits, "-" or "_"`);
+    } else if (seen.has(repo.namespace)) {
+      problems.push(`${where}: namespace "${repo.namespace}" is used twice`);
+    }
+    seen.add(repo?.namespace);
+    if (typeof repo?.path !== 'string' || repo.path.trim() === '') {
+      problems.push(`${where}: path is required`);
+    }
+
+    const repoPath = path.resolve(baseDir, String(repo?.path ?? ''));
+    return {
+      namespace: String(repo?.namespace),
+      label: repo?.label || String(repo?.namespace),
+      color: repo?.color || REPO_COLORS[index % REPO_COLORS.length],
+      decisionsPath: /\.ya?ml$/.test(repoPath) ? repoPath : path.join(repoPath, 'decisions.yml'),
+    };
+  });
+
+  if (problems.length > 0) {
+    const error = /** @type {Error & {code?: string}} */ (
+      new Error(`Invalid workspace in ${source}:\n  - ${problems.join('\n  - ')}`)
+    );
+    error.code = 'EWORKSPACE';
+    throw error;
+  }
+  return { source, repos: normalized };
+}
+
+/**
+ * Splits a record reference into its namespace and local id. Plain numbers
+ * belong to `namespace`.
+ * @param {string|number} ref - `12`, `"12"` or `"billing#12"`
+ * @param {string} [namespace] - Repository the reference appears in
+ * @returns {{namespace: string|undefined, id: number}|null} null when `ref` is not a reference
+ */
+export function parseDecisionRef(ref, namespace) {
+  if (typeof ref === 'number' || /^\d+$/.test(String(ref))) {
+    return { namespace, id: Number(ref) };
+  }
+  const match = DECISION_REF_PATTERN.exec(String(ref));
+  return match ? { namespace: match[1], id: Number(match[2]) } : null;
+}
+
+/**
+ * @param {string} namespace
+ * @param {number} id
+ * @returns {string} e.g. "billing#12"
+ */
+export function formatDecisionRef(namespace, id) {
+  return `${namespace}#${id}`;
+}
+
+/**
+ * Copy of a record with its id and references in `<namespace>#<id>` form and
+ * `repo` set to the namespace.
+ * @param {any} record
+ * @param {string} namespace
+ * @returns {any}
+ */
+export function namespaceRecord(record, namespace) {
+  const toRef = (/** @type {any} */ ref) => {
+    const parsed = parseDecisionRef(ref, namespace);
+    return parsed ? formatDecisionRef(/** @type {string} */ (parsed.namespace), parsed.id) : ref;
+  };
+
+  const namespaced = { ...record, id: toRef(record.id), repo: namespace };
+  for (const field of REFERENCE_FIELDS) {
+    const value = record[field];
+    if (value === undefined || value === null) continue;
+    namespaced[field] = Array.isArray(value) ? value.map(toRef) : toRef(value);
+  }
+  return namespaced;
+}
+
+/**
+ * Reads every repository of a workspace into one set of namespaced records.
+ * A repository that can't be read is reported in its `error` instead of
+ * failing the whole workspace.
+ * @param {Workspace} workspace
+ * @returns {Promise<{decisions: any[], backlog: any[], workspace: {repos: Array<{namespace: string, label: string, color: string, decisions: number, backlog: number, error?: string}>}}>}
+ */
+export async function readWorkspaceData(workspace) {
+  const decisions = [];
+  const backlog = [];
+  const repos = [];
+
+  for (const repo of workspace.repos) {
+    const summary = { namespace: repo.namespace, label: repo.label, color: repo.color, decisions: 0, backlog: 0 };
+    try {
+      const data = await readDecisionsFile(repo.decisionsPath);
+      const repoDecisions = (data.decisions || []).map((/** @type {any} */ record) => namespaceRecord(record, repo.namespace));
+      const repoBacklog = (data.backlog || []).map((/** @type {any} */ record) => namespaceRecord(record, repo.namespace));
+      decisions.push(...repoDecisions);
+      backlog.push(...repoBacklog);
+      summary.decisions = repoDecisions.length;
+      summary.backlog = repoBacklog.length;
+    } catch (error) {
+      repos.push({ ...summary, error: /** @type {Error} */ (error).message });
+      continue;
+    }
+    repos.push(summary);
+  }
+
+  return { decisions, backlog, workspace: { repos } };
+}
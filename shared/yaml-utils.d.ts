@@ -1,2 +1,37 @@
-export declare function readDecisionsFile(filePath: string): Promise<any>;
-export declare function writeDecisionsFile(filePath: string, data: any): Promise<void>; 
\ No newline at end of file
+import type { MergeConflict } from './decisions-merge.js';
+import type { AuditContext } from './audit-log.js';
+
+export type DecisionsLayout = 'file' | 'directory';
+
+export interface DecisionRecordEntry {
+  file: string;
+  record: any;
+}
+
+export interface UpdateOptions {
+  retries?: number;
+  audit?: AuditContext;
+}
+
+export interface DecisionsLayoutOptions {
+  layout?: DecisionsLayout;
+}
+
+export declare function getDecisionsDirectoryPath(filePath: string): string;
+export declare function resolveDecisionsLayout(filePath: string): Promise<{ layout: DecisionsLayout; path: string }>;
+export declare function getDecisionFileName(record: any): string;
+export declare function readDecisionsFile(filePath: string, options?: DecisionsLayoutOptions): Promise<any>;
+export declare function readDecisionsDirectoryEntries(directoryPath: string): Promise<{ decisions: DecisionRecordEntry[]; backlog: DecisionRecordEntry[]; meta: any }>;
+export declare function readDecisionsDirectory(directoryPath: string): Promise<any>;
+export declare function writeDecisionsFile(filePath: string, data: any, options?: DecisionsLayoutOptions): Promise<void>;
+export declare function getDecisionsLockPath(filePath: string): string;
+export declare function getDecisionsRevision(filePath: string): Promise<string | null>;
+export declare function readDecisionsSnapshot(filePath: string): Promise<{ data: any; revision: string | null }>;
+export declare function getAuditLogPath(filePath: string): string;
+export declare function updateDecisions(filePath: string, mutate: (data: any) => any, options?: UpdateOptions): Promise<{ data: any; revision: string | null }>;
+export declare function updateDecisionsFile(filePath: string, mutate: (data: any) => any, options?: UpdateOptions): Promise<any>;
+export declare function saveDecisionsChanges(filePath: string, base: any, data: any, options?: UpdateOptions): Promise<{ data: any; revision: string | null; conflicts: MergeConflict[] }>;
+export declare function patchYamlContent(content: string, data: any): string | null;
+export declare function writeDecisionsDirectory(directoryPath: string, data: any): Promise<void>;
+export declare function removeDecisionsDirectory(directoryPath: string): Promise<string[]>;
+export declare function listDecisionsDirectoryConflicts(directoryPath: string): Promise<string[]>;
@@ -1,6 +1,10 @@
 import fs from 'fs/promises';
 import yaml from 'js-yaml';
+import { parseDocument, isMap, isSeq, isScalar } from 'yaml';
 import path from 'path';
+import { withFileLock } from './file-lock.js';
+import { mergeDecisionsData, diffDecisionsData, hashContent } from './decisions-merge.js';
+import { appendAuditEntries } from './audit-log.js';
 
 // @ts-check
 // Type definitions for yaml-utils.mjs
@@ -11,37 +15,134 @@ import path from 'path';
  */
 
 /**
- * Reads and parses the decisions.yml file at the given path.
+ * @typedef {'file'|'directory'} DecisionsLayout
+ */
+
+/**
+ * @typedef {Object} DecisionRecordEntry
+ * @property {string} file - Path of the record file, relative to the layout directory
+ * @property {any} record - Parsed decision or backlog item
+ */
+
+/**
+ * @typedef {Object} UpdateOptions
+ * @property {number} [retries] - How often to re-apply the change if the file changes underneath it
+ * @property {import('./audit-log.js').AuditContext} [audit] - Who and what is making the change, for the audit log
+ */
+
+// Directory layout: one file per decision in the layout directory, one file per
+// backlog item in its backlog/ subdirectory, and any other top-level keys in _meta.yml.
+const BACKLOG_DIRECTORY = 'backlog';
+const META_FILE = '_meta.yml';
+const RECORD_DUMP_OPTIONS = { lineWidth: -1, noRefs: true, sortKeys: false };
+// Keep long strings on one line and flow sequences as [1, 2], matching hand-written files
+const DOCUMENT_STRING_OPTIONS = { lineWidth: 0, flowCollectionPadding: false };
+// How often updateDecisions re-applies a change when the file was edited underneath it
+const DEFAULT_UPDATE_RETRIES = 3;
+
+/**
+ * Returns the directory used by the directory layout for a decisions.yml path
+ * (e.g. /project/decisions.yml -> /project/decisions).
  * @param {string} filePath - Path to decisions.yml
+ * @returns {string}
+ */
+export function getDecisionsDirectoryPath(filePath) {
+  const extension = path.extname(filePath);
+  if (!extension) {
+    return filePath;
+  }
+  return path.join(path.dirname(filePath), path.basename(filePath, extension));
+}
+
+/**
+ * Works out which storage layout is in use. A decisions.yml file takes
+ * precedence; otherwise a sibling decisions/ directory is used if present.
+ * @param {string} filePath - Path to decisions.yml or to a decisions directory
+ * @returns {Promise<{layout: DecisionsLayout, path: string}>}
+ */
+export async function resolveDecisionsLayout(filePath) {
+  try {
+    const stats = await fs.stat(filePath);
+    return { layout: stats.isDirectory() ? 'directory' : 'file', path: filePath };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+
+  const directoryPath = getDecisionsDirectoryPath(filePath);
+  if (directoryPath !== filePath) {
+    try {
+      const stats = await fs.stat(directoryPath);
+      if (stats.isDirectory()) {
+        return { layout: 'directory', path: directoryPath };
+      }
+    } catch {
+      // No directory layout either - fall through to the single file
+    }
+  }
+
+  return { layout: 'file', path: filePath };
+}
+
+/**
+ * Builds the file name for a decision or backlog item in the directory layout,
+ * e.g. "0085-enhance-github-integration.yml".
+ * @param {any} record - Decision or backlog item
+ * @returns {string}
+ */
+export function getDecisionFileName(record) {
+  const slug = String(record.title || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60)
+    .replace(/-+$/, '');
+  return `${String(record.id).padStart(4, '0')}-${slug || 'untitled'}.yml`;
+}
+
+/**
+ * Reads and parses the decisions.yml file at the given path.
+ * If the project uses the directory layout, the records are read from there.
+ * @param {string} filePath - Path to decisions.yml (or a decisions directory)
+ * @param {{layout?: DecisionsLayout}} [options] - Force a layout instead of detecting it
  * @returns {Promise<any>} Parsed YAML object
  */
-export async function readDecisionsFile(filePath) {
+export async function readDecisionsFile(filePath, options = {}) {
   try {
-    const content = await fs.readFile(filePath, 'utf8');
+    const resolved = options.layout
+      ? { layout: options.layout, path: options.layout === 'directory' ? getDecisionsDirectoryPath(filePath) : filePath }
+      : await resolveDecisionsLayout(filePath);
+
+    if (resolved.layout === 'directory') {
+      return await readDecisionsDirectory(resolved.path);
+    }
+
+    const content = await fs.readFile(resolved.path, 'utf8');
     const parsedData = yaml.load(content);
-    
+
     // Validate the parsed data structure
     if (!parsedData) {
       throw new Error('Empty or invalid YAML file');
     }
-    
+
     // Ensure decisions is an array
     if (parsedData.decisions && !Array.isArray(parsedData.decisions)) {
       throw new Error('Invalid decisions.yml format - "decisions" must be an array');
     }
-    
+
     // Ensure backlog is an array if it exists
     if (parsedData.backlog && !Array.isArray(parsedData.backlog)) {
       throw new Error('Invalid decisions.yml format - "backlog" must be an array');
     }
-    
+
     // Provide default structure if missing
     return {
       decisions: parsedData.decisions || [],
       backlog: parsedData.backlog || [],
       ...parsedData
     };
-    
+
   } catch (error) {
     if (error.code === 'ENOENT') {
       throw new Error(`Could not find decisions.yml at ${filePath}. Run 'decision-tapestry init' to create one.`);
@@ -54,15 +155,408 @@ export async function readDecisionsFile(filePath) {
 }
 
 /**
- * Writes the given data to decisions.yml at the given path.
- * @param {string} filePath - Path to decisions.yml
+ * Reads a decisions directory and returns each record alongside the file it came from.
+ * @param {string} directoryPath - Path to the decisions directory
+ * @returns {Promise<{decisions: DecisionRecordEntry[], backlog: DecisionRecordEntry[], meta: any}>}
+ */
+export async function readDecisionsDirectoryEntries(directoryPath) {
+  const decisions = await readRecordDirectory(directoryPath, '');
+  const backlog = await readRecordDirectory(path.join(directoryPath, BACKLOG_DIRECTORY), BACKLOG_DIRECTORY);
+
+  let meta = {};
+  try {
+    const content = await fs.readFile(path.join(directoryPath, META_FILE), 'utf8');
+    meta = parseRecord(content, META_FILE) || {};
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+
+  return { decisions, backlog, meta };
+}
+
+/**
+ * Reads a decisions directory into the same shape readDecisionsFile returns.
+ * @param {string} directoryPath - Path to the decisions directory
+ * @returns {Promise<DecisionsData & Record<string, any>>}
+ */
+export async function readDecisionsDirectory(directoryPath) {
+  const { decisions, backlog, meta } = await readDecisionsDirectoryEntries(directoryPath);
+  return {
+    ...meta,
+    decisions: decisions.map((entry) => entry.record),
+    backlog: backlog.map((entry) => entry.record)
+  };
+}
+
+/**
+ * Writes the given data to decisions.yml at the given path, holding the
+ * decisions lock while it does.
+ * An existing file is patched rather than regenerated, so comments, key order
+ * and quoting survive (see patchYamlContent). If the project uses the directory
+ * layout, only the record files whose content changed are rewritten.
+ * Prefer updateDecisionsFile or saveDecisionsChanges when the data was read
+ * earlier - this overwrites whatever other writers did in the meantime.
+ * @param {string} filePath - Path to decisions.yml (or a decisions directory)
  * @param {any} data - Data to serialize and write
+ * @param {{layout?: DecisionsLayout}} [options] - Force a layout instead of detecting it
+ * @returns {Promise<void>}
+ */
+export async function writeDecisionsFile(filePath, data, options = {}) {
+  await withDecisionsLock(filePath, () => writeDecisionsUnlocked(filePath, data, options));
+}
+
+/**
+ * Path of the lock file guarding a decisions.yml and its directory layout
+ * (e.g. /project/decisions.yml -> /project/decisions.lock).
+ * @param {string} filePath - Path to decisions.yml (or a decisions directory)
+ * @returns {string}
+ */
+export function getDecisionsLockPath(filePath) {
+  return `${getDecisionsDirectoryPath(filePath)}.lock`;
+}
+
+/**
+ * Content hash of decisions.yml (or of every file in the directory layout).
+ * Changes whenever anything is written, so it can be used as a revision.
+ * @param {string} filePath - Path to decisions.yml (or a decisions directory)
+ * @returns {Promise<string|null>} The revision, or null if there is no decisions file
+ */
+export async function getDecisionsRevision(filePath) {
+  const resolved = await resolveDecisionsLayout(filePath);
+
+  if (resolved.layout === 'file') {
+    const content = await readFileIfExists(resolved.path);
+    return content === null ? null : hashContent(content);
+  }
+
+  const files = (await fs.readdir(resolved.path, { recursive: true }))
+    .filter((file) => /\.ya?ml$/.test(file))
+    .sort();
+  const parts = [];
+  for (const file of files) {
+    parts.push(file, await fs.readFile(path.join(resolved.path, file), 'utf8'));
+  }
+  return hashContent(parts.join('\0'));
+}
+
+/**
+ * Reads decisions.yml together with the revision the data was read at.
+ * @param {string} filePath - Path to decisions.yml (or a decisions directory)
+ * @returns {Promise<{data: any, revision: string|null}>}
+ */
+export async function readDecisionsSnapshot(filePath) {
+  for (let attempt = 0; ; attempt++) {
+    const revision = await getDecisionsRevision(filePath);
+    const data = await readDecisionsFile(filePath);
+    if (attempt >= DEFAULT_UPDATE_RETRIES || (await getDecisionsRevision(filePath)) === revision) {
+      return { data, revision };
+    }
+  }
+}
+
+/**
+ * Path of the append-only audit log kept next to decisions.yml
+ * (e.g. /project/decisions.yml -> /project/decisions.audit.jsonl).
+ * @param {string} filePath - Path to decisions.yml (or a decisions directory)
+ * @returns {string}
+ */
+export function getAuditLogPath(filePath) {
+  return `${getDecisionsDirectoryPath(filePath)}.audit.jsonl`;
+}
+
+/**
+ * Reads decisions.yml, applies a change and writes it back, all while holding
+ * the decisions lock. If the file is edited by something that ignores the lock
+ * (an editor, git) before the change is written, the change is applied again
+ * to the new content, so `mutate` may run more than once.
+ * Every changed record gets an entry in the audit log (see getAuditLogPath).
+ * @param {string} filePath - Path to decisions.yml (or a decisions directory)
+ * @param {(data: any) => any} mutate - Change to apply in place, or replacement data; may be async
+ * @param {UpdateOptions} [options]
+ * @returns {Promise<{data: any, revision: string|null}>} The data written and its revision
+ */
+export async function updateDecisions(filePath, mutate, options = {}) {
+  const retries = options.retries ?? DEFAULT_UPDATE_RETRIES;
+
+  return withDecisionsLock(filePath, async () => {
+    for (let attempt = 0; ; attempt++) {
+      const revision = await getDecisionsRevision(filePath);
+      const data = await readDecisionsFile(filePath);
+      const original = structuredClone(data);
+      const result = await mutate(data);
+      const updated = result === undefined ? data : result;
+
+      if ((await getDecisionsRevision(filePath)) !== revision) {
+        if (attempt < retries) continue;
+        const error = new Error(`decisions.yml kept changing while it was being updated (${retries + 1} attempts)`);
+        error.code = 'ECONFLICT';
+        throw error;
+      }
+
+      await writeDecisionsUnlocked(filePath, updated);
+      await recordAudit(filePath, original, updated, options.audit);
+      return { data: updated, revision: await getDecisionsRevision(filePath) };
+    }
+  });
+}
+
+/**
+ * Reads decisions.yml, applies a change and writes it back through the
+ * comment-preserving writer, under the decisions lock (see updateDecisions).
+ * @param {string} filePath - Path to decisions.yml (or a decisions directory)
+ * @param {(data: any) => any} mutate - Change to apply in place, or replacement data; may be async
+ * @param {UpdateOptions} [options]
+ * @returns {Promise<any>} The data that was written
+ */
+export async function updateDecisionsFile(filePath, mutate, options = {}) {
+  const { data } = await updateDecisions(filePath, mutate, options);
+  return data;
+}
+
+/**
+ * Saves data that was read some time ago. Whatever changed between `base` and
+ * `data` is merged field by field into the current file, so edits other
+ * writers made in the meantime are kept. Where both changed the same field,
+ * `data` wins and the field is listed in `conflicts`. If both added a
+ * different record with the same id, nothing is written and an error with
+ * code ECONFLICT is thrown.
+ * @param {string} filePath - Path to decisions.yml (or a decisions directory)
+ * @param {any} base - The data as originally read
+ * @param {any} data - The data to save
+ * @param {UpdateOptions} [options]
+ * @returns {Promise<{data: any, revision: string|null, conflicts: import('./decisions-merge.js').MergeConflict[]}>}
+ */
+export async function saveDecisionsChanges(filePath, base, data, options = {}) {
+  let conflicts = [];
+  const result = await updateDecisions(filePath, (current) => {
+    const merged = mergeDecisionsData(base, current, data);
+    conflicts = merged.conflicts;
+    return merged.data;
+  }, options);
+  return { ...result, conflicts };
+}
+
+/**
+ * Re-renders YAML source so that it holds `data`, touching only the nodes whose
+ * values changed. Comments, key order and scalar quoting of everything else are
+ * kept; new keys are appended and new records use the default style. Records in
+ * sequences are matched by `id` where every item has one, otherwise by position.
+ * @param {string} content - Existing YAML source
+ * @param {any} data - Data the document should hold afterwards
+ * @returns {string|null} Updated source, or null if the source could not be parsed
+ */
+export function patchYamlContent(content, data) {
+  const doc = parseDocument(content);
+  if (doc.errors.length > 0) {
+    return null;
+  }
+
+  const newData = toYamlValue(data);
+  doc.contents = doc.contents
+    ? patchNode(doc, doc.contents, doc.toJS(), newData)
+    : doc.createNode(newData);
+
+  const output = doc.toString(DOCUMENT_STRING_OPTIONS);
+  return content.endsWith('\n') ? output : output.replace(/\n$/, '');
+}
+
+/**
+ * Writes decisions and backlog items as one file per record. Existing records
+ * keep their file name, records that were removed have their file deleted.
+ * @param {string} directoryPath - Path to the decisions directory
+ * @param {any} data - Data to write
  * @returns {Promise<void>}
  */
-export async function writeDecisionsFile(filePath, data) {
+export async function writeDecisionsDirectory(directoryPath, data) {
+  const { decisions = [], backlog = [], ...meta } = data;
+
+  await fs.mkdir(directoryPath, { recursive: true });
+  await writeRecordDirectory(directoryPath, decisions);
+  await writeRecordDirectory(path.join(directoryPath, BACKLOG_DIRECTORY), backlog);
+
+  const metaPath = path.join(directoryPath, META_FILE);
+  if (Object.keys(meta).length > 0) {
+    const existingMeta = await readFileIfExists(metaPath);
+    const metaContent = existingMeta === null
+      ? yaml.dump(meta, RECORD_DUMP_OPTIONS)
+      : patchYamlContent(existingMeta, meta) ?? yaml.dump(meta, RECORD_DUMP_OPTIONS);
+    await writeIfChanged(metaPath, metaContent);
+  } else {
+    await fs.rm(metaPath, { force: true });
+  }
+}
+
+/**
+ * Deletes the record files of a decisions directory, then the directories
+ * themselves unless something else was kept in them.
+ * @param {string} directoryPath - Path to the decisions directory
+ * @returns {Promise<string[]>} Directories left in place because they were not empty
+ */
+export async function removeDecisionsDirectory(directoryPath) {
+  const { decisions, backlog } = await readDecisionsDirectoryEntries(directoryPath);
+  for (const entry of [...decisions, ...backlog]) {
+    await fs.unlink(path.join(directoryPath, entry.file));
+  }
+  await fs.rm(path.join(directoryPath, META_FILE), { force: true });
+
+  const leftovers = [];
+  for (const dir of [path.join(directoryPath, BACKLOG_DIRECTORY), directoryPath]) {
+    try {
+      await fs.rmdir(dir);
+    } catch (error) {
+      if (error.code === 'ENOTEMPTY') {
+        leftovers.push(dir);
+      } else if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+  return leftovers;
+}
+
+/**
+ * Lists what is already in a directory about to become the decisions
+ * directory. Writing the directory layout deletes record files whose id is
+ * not in the data, so migrating into a directory that has files is refused.
+ * @param {string} directoryPath - Path to the decisions directory
+ * @returns {Promise<string[]>} Names of the entries found; empty if the directory is missing or empty
+ */
+export async function listDecisionsDirectoryConflicts(directoryPath) {
+  try {
+    return (await fs.readdir(directoryPath)).sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Parses one record file, naming the file in any syntax error.
+ */
+function parseRecord(content, fileLabel) {
+  try {
+    return yaml.load(content);
+  } catch (error) {
+    if (error.name === 'YAMLException') {
+      throw new Error(`Invalid YAML syntax in ${fileLabel}: ${error.message}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Loads every record file in a directory, sorted by record id.
+ * A missing directory is treated as empty.
+ */
+async function readRecordDirectory(directoryPath, relativeDir) {
+  let files;
+  try {
+    files = await fs.readdir(directoryPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const entries = [];
+  for (const file of files.filter(isRecordFile)) {
+    const relativePath = relativeDir ? path.join(relativeDir, file) : file;
+    const content = await fs.readFile(path.join(directoryPath, file), 'utf8');
+    const record = parseRecord(content, relativePath);
+
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      throw new Error(`Invalid decision file ${relativePath} - expected a single decision or backlog item`);
+    }
+
+    entries.push({ file: relativePath, record });
+  }
+
+  return entries.sort((a, b) => compareIds(a.record.id, b.record.id));
+}
+
+/**
+ * Writes one file per record, reusing the existing file name for known ids
+ * and deleting files whose record no longer exists.
+ */
+async function writeRecordDirectory(directoryPath, records) {
+  await fs.mkdir(directoryPath, { recursive: true });
+
+  const existingFiles = new Map();
+  for (const file of (await fs.readdir(directoryPath)).filter(isRecordFile)) {
+    const content = await fs.readFile(path.join(directoryPath, file), 'utf8');
+    try {
+      const record = yaml.load(content);
+      if (record && record.id !== undefined) {
+        existingFiles.set(String(record.id), { file, content });
+      }
+    } catch {
+      // Leave files we cannot parse alone - they may be mid-edit
+    }
+  }
+
+  const writtenIds = new Set();
+  for (const record of records) {
+    const id = String(record.id);
+    const existing = existingFiles.get(id);
+    const fileName = existing ? existing.file : getDecisionFileName(record);
+    const content = existing
+      ? patchYamlContent(existing.content, record) ?? yaml.dump(record, RECORD_DUMP_OPTIONS)
+      : yaml.dump(record, RECORD_DUMP_OPTIONS);
+    await writeIfChanged(path.join(directoryPath, fileName), content);
+    writtenIds.add(id);
+  }
+
+  for (const [id, { file }] of existingFiles) {
+    if (!writtenIds.has(id)) {
+      await fs.unlink(path.join(directoryPath, file));
+    }
+  }
+}
+
+// The write has already happened, so a failure here is reported but not thrown
+async function recordAudit(filePath, before, after, context) {
+  try {
+    await appendAuditEntries(getAuditLogPath(filePath), diffDecisionsData(before, after), context);
+  } catch (error) {
+    console.warn(`Could not write audit log ${getAuditLogPath(filePath)}: ${error.message}`);
+  }
+}
+
+async function withDecisionsLock(filePath, fn) {
+  try {
+    return await withFileLock(getDecisionsLockPath(filePath), fn);
+  } catch (error) {
+    if (error.code === 'EACCES') {
+      throw new Error(`Permission denied writing to ${filePath}. Check file permissions.`);
+    }
+    if (error.code === 'ENOENT' && error.path === getDecisionsLockPath(filePath)) {
+      throw new Error(`Directory does not exist for ${filePath}. Create the directory first.`);
+    }
+    throw error;
+  }
+}
+
+async function writeDecisionsUnlocked(filePath, data, options = {}) {
   try {
-    const yamlString = yaml.dump(data);
-    await fs.writeFile(filePath, yamlString, 'utf8');
+    const resolved = options.layout
+      ? { layout: options.layout, path: options.layout === 'directory' ? getDecisionsDirectoryPath(filePath) : filePath }
+      : await resolveDecisionsLayout(filePath);
+
+    if (resolved.layout === 'directory') {
+      await writeDecisionsDirectory(resolved.path, data);
+      return;
+    }
+
+    const existingContent = await readFileIfExists(resolved.path);
+    const yamlString = existingContent === null
+      ? yaml.dump(data)
+      : patchYamlContent(existingContent, data) ?? yaml.dump(data);
+    await fs.writeFile(resolved.path, yamlString, 'utf8');
   } catch (error) {
     if (error.code === 'EACCES') {
       throw new Error(`Permission denied writing to ${filePath}. Check file permissions.`);
@@ -72,4 +566,156 @@ export async function writeDecisionsFile(filePath, data) {
     }
     throw new Error(`Failed to write decisions.yml: ${error.message}`);
   }
-} 
\ No newline at end of file
+}
+
+async function readFileIfExists(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function writeIfChanged(filePath, content) {
+  if ((await readFileIfExists(filePath)) === content) {
+    return;
+  }
+  await fs.writeFile(filePath, content, 'utf8');
+}
+
+/**
+ * Returns the node that should hold `newValue`, patching `node` in place where
+ * the shapes line up and creating a fresh node (keeping its comments) otherwise.
+ */
+function patchNode(doc, node, oldValue, newValue) {
+  if (isSameValue(oldValue, newValue)) {
+    return node;
+  }
+
+  if (isMap(node) && isPlainObject(oldValue) && isPlainObject(newValue)) {
+    useBlockStyleWhenFilled(node);
+    for (const key of Object.keys(oldValue)) {
+      if (!Object.hasOwn(newValue, key)) {
+        node.delete(key);
+      }
+    }
+    for (const [key, value] of Object.entries(newValue)) {
+      const valueNode = Object.hasOwn(oldValue, key)
+        ? patchNode(doc, node.get(key, true), oldValue[key], value)
+        : doc.createNode(value);
+      node.set(key, valueNode);
+    }
+    return node;
+  }
+
+  if (isSeq(node) && Array.isArray(oldValue) && Array.isArray(newValue)) {
+    useBlockStyleWhenFilled(node);
+    node.items = patchSequenceItems(doc, node.items, oldValue, newValue);
+    return node;
+  }
+
+  if (isScalar(node) && typeof oldValue === typeof newValue && newValue !== null && typeof newValue !== 'object') {
+    node.value = newValue;
+    return node;
+  }
+
+  const replacement = doc.createNode(newValue);
+  if (node && typeof node === 'object') {
+    replacement.commentBefore = node.commentBefore;
+    replacement.comment = node.comment;
+    replacement.spaceBefore = node.spaceBefore;
+  }
+  return replacement;
+}
+
+// `backlog: []` is a placeholder, not a style choice - write the first items as a block
+function useBlockStyleWhenFilled(node) {
+  if (node.flow && node.items.length === 0) {
+    node.flow = false;
+  }
+}
+
+function patchSequenceItems(doc, items, oldValues, newValues) {
+  const byId = [...oldValues, ...newValues].every((value) => isPlainObject(value) && value.id !== undefined);
+
+  if (!byId) {
+    return newValues.map((value, index) => (index < items.length
+      ? patchNode(doc, items[index], oldValues[index], value)
+      : doc.createNode(value)));
+  }
+
+  // Duplicated ids are paired up in the order they appear
+  const indexesById = new Map();
+  oldValues.forEach((value, index) => {
+    const id = String(value.id);
+    indexesById.set(id, [...(indexesById.get(id) || []), index]);
+  });
+
+  return newValues.map((value) => {
+    const index = indexesById.get(String(value.id))?.shift();
+    if (index === undefined) {
+      return doc.createNode(value);
+    }
+    return patchNode(doc, items[index], oldValues[index], value);
+  });
+}
+
+/**
+ * Deep equality that treats a Date and the timestamp string it was parsed from
+ * as equal - js-yaml reads unquoted timestamps as Dates, the document keeps strings.
+ */
+function isSameValue(a, b) {
+  if (a instanceof Date || b instanceof Date) {
+    const timeA = new Date(a).getTime();
+    return !Number.isNaN(timeA) && timeA === new Date(b).getTime();
+  }
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length
+      && a.every((value, index) => isSameValue(value, b[index]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keysA = Object.keys(a);
+    return keysA.length === Object.keys(b).length
+      && keysA.every((key) => Object.hasOwn(b, key) && isSameValue(a[key], b[key]));
+  }
+  return a === b;
+}
+
+/**
+ * Converts data to what a YAML document can hold: Dates become ISO strings and
+ * undefined properties are dropped, as yaml.dump does.
+ */
+function toYamlValue(value) {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => (item === undefined ? null : toYamlValue(item)));
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([, item]) => item !== undefined)
+        .map(([key, item]) => [key, toYamlValue(item)])
+    );
+  }
+  return value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+function isRecordFile(file) {
+  return /\.ya?ml$/.test(file) && !file.startsWith('_') && !file.startsWith('.');
+}
+
+function compareIds(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a - b;
+  }
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+}
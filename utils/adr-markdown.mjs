@@ -0,0 +1,358 @@
+import fs from "fs/promises";
+import path from "path";
+import yaml from "js-yaml";
+import { getDecisionFileName } from "../shared/yaml-utils.js";
+import { getStatuses } from "../shared/status-lifecycle.js";
+import { getDecisionDate } from "./decision-analytics.mjs";
+
+/**
+ * Architecture Decision Records as Markdown.
+ * Renders decisions as numbered ADR files (`0012-use-postgres.md`) in the
+ * MADR or Michael Nygard format, and parses ADR directories written in
+ * either format - by us, adr-tools or by hand - back into decision records.
+ * The ADR number is the decision id, so numbering and the supersedes,
+ * superseded-by and related links survive a round trip.
+ */
+
+export const ADR_FORMATS = ["madr", "nygard"];
+
+const ADR_FILE_PATTERN = /^(\d+)-.*\.md$/i;
+
+// Written for empty sections so the ADR stays readable; ignored on import
+const PLACEHOLDERS = ["No context recorded.", "No rationale recorded.", "No consequences recorded."];
+
+/**
+ * File name of a decision's ADR, e.g. "0012-use-postgres.md".
+ * @param {any} decision
+ * @returns {string}
+ */
+export function getAdrFileName(decision) {
+  return getDecisionFileName(decision).replace(/\.yml$/, ".md");
+}
+
+/**
+ * Renders one decision as an ADR.
+ * @param {any} decision
+ * @param {Object} [options]
+ * @param {'madr'|'nygard'} [options.format='madr']
+ * @param {any[]} [options.decisions] - All decisions, used to title and link cross-references
+ * @returns {string}
+ */
+export function renderAdr(decision, { format = "madr", decisions = [] } = {}) {
+  if (!ADR_FORMATS.includes(format)) {
+    throw new Error(`Unknown ADR format: ${format}; use ${ADR_FORMATS.join(" or ")}`);
+  }
+  const link = (id, style) => {
+    const target = decisions.find((d) => d.id === id);
+    const label = style === "nygard" ? `${id}. ${target?.title ?? "Unknown decision"}` : formatAdrNumber(id);
+    return target ? `[${label}](${getAdrFileName(target)})` : label;
+  };
+  const date = getDecisionDate(decision)?.toISOString().slice(0, 10);
+  const author = formatAuthor(decision.author);
+  const rationale = toList(decision.rationale);
+  const tradeoffs = toList(decision.tradeoffs);
+  const related = toList(decision.related_to);
+  const components = toList(decision.affected_components);
+  const notes = typeof decision.notes === "string" ? decision.notes.trim() : "";
+  const lines = [];
+
+  if (format === "nygard") {
+    lines.push(`# ${decision.id}. ${decision.title}`, "");
+    if (date) lines.push(`Date: ${date}`, "");
+    if (author) lines.push(`Author: ${author}`, "");
+    if (decision.category) lines.push(`Category: ${decision.category}`, "");
+    lines.push("## Status", "", decision.status || "Proposed", "");
+    if (isId(decision.supersedes)) lines.push(`Supersedes ${link(decision.supersedes, format)}`, "");
+    if (isId(decision.superseded_by)) lines.push(`Superseded by ${link(decision.superseded_by, format)}`, "");
+    lines.push("## Context", "", notes || "No context recorded.", "");
+    lines.push("## Decision", "", ...bullets(rationale, "No rationale recorded."), "");
+    lines.push("## Consequences", "", ...bullets(tradeoffs, "No consequences recorded."), "");
+    if (related.length > 0) {
+      lines.push("## Related Decisions", "", ...related.map((id) => `* ${link(id, format)}`), "");
+    }
+  } else {
+    const status = isId(decision.superseded_by)
+      ? `superseded by ${formatAdrNumber(decision.superseded_by)}`
+      : String(decision.status || "Proposed").toLowerCase();
+    const frontMatter = {
+      status,
+      ...(date ? { date } : {}),
+      ...(author ? { deciders: author } : {}),
+      ...(decision.category ? { category: decision.category } : {}),
+    };
+    lines.push("---", yaml.dump(frontMatter, { lineWidth: -1 }).trimEnd(), "---", "");
+    lines.push(`# ${decision.title}`, "");
+    lines.push("## Context and Problem Statement", "", notes || "No context recorded.", "");
+    if (rationale.length > 0) {
+      lines.push("## Decision Drivers", "", ...bullets(rationale), "");
+    }
+    lines.push("## Decision Outcome", "", `Chosen option: "${decision.title}".`, "");
+    if (tradeoffs.length > 0) {
+      lines.push("### Consequences", "", ...tradeoffs.map((tradeoff) => `* Bad, because ${tradeoff}`), "");
+    }
+    const links = [
+      ...(isId(decision.supersedes) ? [`Supersedes ${link(decision.supersedes, format)}.`] : []),
+      ...(isId(decision.superseded_by) ? [`Superseded by ${link(decision.superseded_by, format)}.`] : []),
+      ...(related.length > 0 ? [`Related: ${related.map((id) => link(id, format)).join(", ")}`] : []),
+    ];
+    if (links.length > 0) {
+      lines.push("## More Information", "", ...links.flatMap((line) => [line, ""]));
+    }
+  }
+
+  if (components.length > 0) {
+    lines.push("## Affected Components", "", ...components.map((component) => `* \`${component}\``), "");
+  }
+
+  return `${lines.join("\n").trimEnd()}\n`;
+}
+
+/**
+ * Writes one ADR per decision into `outDir`. An older file for the same
+ * number under a different name (after a title change) is removed, so the
+ * directory never has two ADRs with one number.
+ * @param {{decisions?: any[]}} data - Parsed decisions file
+ * @param {string} outDir
+ * @param {{format?: 'madr'|'nygard'}} [options]
+ * @returns {Promise<string[]>} Paths of the files written
+ */
+export async function exportAdrs(data, outDir, { format = "madr" } = {}) {
+  const decisions = Array.isArray(data?.decisions) ? data.decisions : [];
+  await fs.mkdir(outDir, { recursive: true });
+  const existing = await fs.readdir(outDir);
+  const written = [];
+
+  for (const decision of decisions) {
+    const fileName = getAdrFileName(decision);
+    for (const name of existing) {
+      const match = name.match(ADR_FILE_PATTERN);
+      if (match && Number(match[1]) === decision.id && name !== fileName) {
+        await fs.rm(path.join(outDir, name));
+      }
+    }
+    const filePath = path.join(outDir, fileName);
+    await fs.writeFile(filePath, renderAdr(decision, { format, decisions }));
+    written.push(filePath);
+  }
+  return written;
+}
+
+/**
+ * Parses an ADR in MADR, Nygard/adr-tools or a similar hand-written format.
+ * The number comes from the file name (`0007-...md`) or the title (`# 7. ...`).
+ * @param {string} content - Markdown
+ * @param {string} [fileName]
+ * @returns {{record: any|null, warnings: string[]}}
+ */
+export function parseAdr(content, fileName = "") {
+  const warnings = [];
+  const { frontMatter, body } = splitFrontMatter(content);
+  const lines = body.split(/\r?\n/);
+
+  const titleIndex = lines.findIndex((line) => /^#\s+\S/.test(line));
+  const rawTitle = titleIndex === -1 ? "" : lines[titleIndex].replace(/^#\s+/, "").trim();
+  const titleMatch = rawTitle.match(/^(?:ADR[-\s]?)?(\d+)[.:]?\s+(.*)$/i);
+  const title = titleMatch ? titleMatch[2].trim() : rawTitle;
+  const fileNumber = path.basename(fileName).match(ADR_FILE_PATTERN)?.[1];
+  const id = Number(fileNumber ?? titleMatch?.[1]);
+  if (!title || !Number.isInteger(id) || id < 1) {
+    warnings.push(`${fileName || "ADR"}: skipped, it needs a "# Title" and a number of 1 or more in its file name or title`);
+    return { record: null, warnings };
+  }
+
+  const { sections, preamble } = splitSections(lines.slice(titleIndex + 1));
+  // "Key: value" lines between the title and the first section (Nygard/adr-tools)
+  const header = {};
+  for (const line of preamble) {
+    const match = line.match(/^([A-Za-z ]+):\s*(.+)$/);
+    if (match) header[match[1].trim().toLowerCase()] = match[2].trim();
+  }
+
+  const supersedes = findAdrReference(body, /supersedes/i);
+  const supersededBy = findAdrReference(body, /superseded by/i) ?? findAdrReference(String(frontMatter.status ?? ""), /superseded by/i);
+  const statusText = String(frontMatter.status ?? header.status ?? firstLine(sections.get("status")) ?? "");
+  const status = mapStatus(statusText, supersededBy, warnings, fileName);
+
+  const drivers = listItems(sections.get("decision drivers"));
+  const decision = listItems(sections.get("decision") ?? sections.get("decision outcome"));
+  const consequences = listItems(sections.get("consequences"));
+  const good = consequences.filter((item) => /^good, because /i.test(item)).map(stripConsequence);
+  // MADR outcomes read 'Chosen option: "X", because Y'; only the reason is rationale
+  const outcome = decision
+    .map((item) => (/^chosen option/i.test(item) ? item.match(/because,?\s+(.+)$/i)?.[1] : item))
+    .filter(Boolean);
+  const rationale = unique([...(drivers.length > 0 ? drivers : outcome), ...good]);
+  const tradeoffs = consequences.filter((item) => !/^good, because /i.test(item)).map(stripConsequence);
+  const context = (sections.get("context") ?? sections.get("context and problem statement") ?? []).join("\n").trim();
+
+  const linked = new Set();
+  for (const match of body.matchAll(/\[[^\]]*\]\(([^)\s]+)\)/g)) {
+    const number = path.basename(match[1]).match(ADR_FILE_PATTERN)?.[1];
+    if (number) linked.add(Number(number));
+  }
+  const related = [...linked].filter((number) => ![id, supersedes, supersededBy].includes(number));
+
+  const record = {
+    id,
+    title,
+    status,
+    ...(toIsoDate(frontMatter.date ?? header.date) ? { date: toIsoDate(frontMatter.date ?? header.date) } : {}),
+    ...(frontMatter.deciders || header.author ? { author: formatAuthor(frontMatter.deciders ?? header.author) } : {}),
+    ...(frontMatter.category || header.category ? { category: String(frontMatter.category ?? header.category) } : {}),
+    ...(rationale.length > 0 ? { rationale } : {}),
+    ...(tradeoffs.length > 0 ? { tradeoffs } : {}),
+    ...(context && !PLACEHOLDERS.includes(context) ? { notes: context } : {}),
+    ...(isId(supersedes) ? { supersedes } : {}),
+    ...(isId(supersededBy) ? { superseded_by: supersededBy } : {}),
+    ...(related.length > 0 ? { related_to: related.sort((a, b) => a - b) } : {}),
+  };
+  const components = listItems(sections.get("affected components")).map((item) => item.replace(/^`|`$/g, ""));
+  if (components.length > 0) record.affected_components = components;
+
+  return { record, warnings };
+}
+
+/**
+ * Parses every numbered ADR (`NNNN-*.md`) in a directory. Supersedes links
+ * are completed in both directions between the imported records.
+ * @param {string} directory
+ * @returns {Promise<{records: any[], warnings: string[]}>}
+ */
+export async function importAdrs(directory) {
+  const names = (await fs.readdir(directory)).filter((name) => ADR_FILE_PATTERN.test(name)).sort();
+  const records = [];
+  const warnings = [];
+
+  for (const name of names) {
+    const parsed = parseAdr(await fs.readFile(path.join(directory, name), "utf8"), name);
+    warnings.push(...parsed.warnings);
+    if (!parsed.record) continue;
+    if (records.some((record) => record.id === parsed.record.id)) {
+      warnings.push(`${name}: skipped, ADR ${parsed.record.id} is already numbered by another file`);
+      continue;
+    }
+    records.push(parsed.record);
+  }
+
+  for (const record of records) {
+    const replacement = records.find((other) => other.id === record.superseded_by);
+    if (replacement && !isId(replacement.supersedes)) replacement.supersedes = record.id;
+    const replaced = records.find((other) => other.id === record.supersedes);
+    if (replaced && !isId(replaced.superseded_by)) {
+      replaced.superseded_by = record.id;
+      replaced.status = "Superseded";
+    }
+  }
+
+  return { records, warnings };
+}
+
+function splitFrontMatter(content) {
+  const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) return { frontMatter: {}, body: content };
+  const parsed = yaml.load(match[1]);
+  return { frontMatter: parsed && typeof parsed === "object" ? parsed : {}, body: content.slice(match[0].length) };
+}
+
+// Lines of each `##`/`###` section by lower-cased heading; the first of each name wins
+function splitSections(lines) {
+  const sections = new Map();
+  const preamble = [];
+  let current = preamble;
+  for (const line of lines) {
+    const heading = line.match(/^#{2,}\s+(.+?)\s*#*$/);
+    if (heading) {
+      const name = heading[1].trim().toLowerCase();
+      current = [];
+      if (!sections.has(name)) sections.set(name, current);
+    } else {
+      current.push(line);
+    }
+  }
+  return { sections, preamble };
+}
+
+// Bullet items of a section, or its paragraphs when it has no bullets
+function listItems(sectionLines) {
+  return readItems(sectionLines).filter((item) => !PLACEHOLDERS.includes(item));
+}
+
+function readItems(sectionLines) {
+  if (!sectionLines) return [];
+  const bulletLines = sectionLines.filter((line) => /^\s*[-*+]\s+/.test(line));
+  if (bulletLines.length > 0) {
+    return bulletLines.map((line) => line.replace(/^\s*[-*+]\s+/, "").trim()).filter(Boolean);
+  }
+  return sectionLines
+    .join("\n")
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph.replace(/\s*\n\s*/g, " ").trim())
+    .filter(Boolean);
+}
+
+function firstLine(sectionLines) {
+  return sectionLines?.map((line) => line.trim()).find(Boolean);
+}
+
+// ADR number referenced after `keyword`, as a Markdown link or ADR-0005
+function findAdrReference(text, keyword) {
+  const pattern = new RegExp(`${keyword.source}:?\\s+(?:\\[([^\\]]*)\\]\\(([^)\\s]+)\\)|ADR[-\\s]?(\\d+))`, "i");
+  const match = text.match(pattern);
+  if (!match) return undefined;
+  const number = match[3]
+    ?? (match[2] && path.basename(match[2]).match(ADR_FILE_PATTERN)?.[1])
+    ?? match[1]?.match(/^(?:ADR[-\s]?)?(\d+)/i)?.[1];
+  return number === undefined ? undefined : Number(number);
+}
+
+function mapStatus(text, supersededBy, warnings, fileName) {
+  if (isId(supersededBy)) return "Superseded";
+  const word = text.trim().toLowerCase();
+  const known = getStatuses("decisions").find((status) => word.startsWith(status.toLowerCase()));
+  if (known && known !== "Superseded") return known;
+  if (!word) return "Proposed";
+  const fallback = word.startsWith("deprecated") ? "Rejected" : "Accepted";
+  warnings.push(`${fileName}: status "${text.trim()}" has no matching decision status${known ? " without a superseded-by link" : ""}; imported as ${fallback}`);
+  return fallback;
+}
+
+function stripConsequence(item) {
+  return item.replace(/^(good|bad|neutral), because /i, "");
+}
+
+function toIsoDate(value) {
+  if (!value) return undefined;
+  const date = value instanceof Date ? value : new Date(String(value));
+  return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+function formatAuthor(author) {
+  if (!author) return "";
+  if (Array.isArray(author)) return author.map(formatAuthor).join(", ");
+  if (typeof author === "object") return author.display_name || author.github_username || "";
+  return String(author);
+}
+
+function formatAdrNumber(id) {
+  return `ADR-${String(id).padStart(4, "0")}`;
+}
+
+function bullets(items, fallback) {
+  if (items.length === 0) return fallback ? [fallback] : [];
+  return items.map((item) => `* ${item}`);
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value;
+  return value === undefined || value === null ? [] : [value];
+}
+
+function isId(value) {
+  return Number.isInteger(value);
+}
+
+function unique(items) {
+  return [...new Set(items)];
+}
+
+export default { renderAdr, exportAdrs, parseAdr, importAdrs };
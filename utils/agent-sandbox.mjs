@@ -0,0 +1,322 @@
+/**
+ * Agent sandboxes: each agent run works in its own git worktree, on a branch
+ * named after its decision (agent/decision-65), instead of in the user's
+ * working tree. The agent commits its work there; a human then reviews the
+ * diff with `decision-tapestry agent review <id>` and merges or discards it.
+ * Worktrees live in .agent-worktrees/ next to decisions.yml.
+ */
+
+import { execFile } from "child_process";
+import { promisify } from "util";
+import fs from "fs/promises";
+import path from "path";
+import { getDependencies } from "../shared/decision-dependencies.js";
+
+const execFileAsync = promisify(execFile);
+
+export const SANDBOX_DIRECTORY = ".agent-worktrees";
+
+const BRANCH_PREFIX = "agent/decision-";
+
+// Commit message lines naming the tasks an agent completed, so discarding its
+// work can reopen them
+const COMPLETED_TASK_PREFIX = "Completed: ";
+
+/**
+ * Branch an agent works on for a decision
+ * @param {number} decisionId
+ */
+export function getSandboxBranch(decisionId) {
+  return `${BRANCH_PREFIX}${decisionId}`;
+}
+
+/**
+ * @typedef {Object} SandboxChanges
+ * @property {number} decisionId
+ * @property {string} branch
+ * @property {string} path - The worktree
+ * @property {Array<{sha: string, subject: string}>} commits - Commits not yet merged
+ * @property {Array<{file: string, added: number, deleted: number}>} files
+ * @property {string} [diff] - Unified diff against the checked out branch
+ */
+
+export class AgentSandbox {
+  /**
+   * @param {string} root - Project directory, the one with decisions.yml
+   * @param {number} decisionId
+   */
+  constructor(root, decisionId) {
+    this.root = path.resolve(root);
+    this.decisionId = decisionId;
+    this.branch = getSandboxBranch(decisionId);
+    this.path = path.join(this.root, SANDBOX_DIRECTORY, `decision-${decisionId}`);
+    // The project directory inside the worktree, when the project is a
+    // subdirectory of its repository; set by create()
+    this.workingDirectory = this.path;
+  }
+
+  /**
+   * Whether the worktree exists
+   */
+  async exists() {
+    try {
+      await fs.access(path.join(this.path, ".git"));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Create the worktree on its branch, starting from the checked out commit.
+   * An existing worktree, as left by an interrupted run, is reused. Branches
+   * in `merge` (the unreviewed work of dependencies) are merged in first; if
+   * they conflict, the sandbox is removed again and an error names the files.
+   * @param {Object} [options]
+   * @param {string[]} [options.merge]
+   */
+  async create({ merge = [] } = {}) {
+    let prefix;
+    try {
+      prefix = (await git(["rev-parse", "--show-prefix"], this.root)).trim();
+    } catch {
+      throw new Error(`Agent sandboxes need a git repository, and ${this.root} is not in one`);
+    }
+    this.workingDirectory = path.join(this.path, prefix);
+    if (await this.exists()) {
+      return { created: false };
+    }
+
+    await excludeSandboxDirectory(this.root, prefix);
+    // A worktree deleted by hand is still registered until pruned
+    await git(["worktree", "prune"], this.root);
+    const branchExists = await hasBranch(this.root, this.branch);
+    await git(
+      branchExists ? ["worktree", "add", this.path, this.branch] : ["worktree", "add", "-b", this.branch, this.path],
+      this.root,
+    );
+
+    for (const ref of merge) {
+      try {
+        await git(["merge", "--no-edit", ref], this.path);
+      } catch (error) {
+        const conflicts = (await git(["diff", "--name-only", "--diff-filter=U"], this.path)).trim().split("\n").filter(Boolean);
+        await this.discard();
+        throw new Error(
+          conflicts.length > 0
+            ? `Merging ${ref} into ${this.branch} conflicts in ${conflicts.join(", ")}; review ${ref} first`
+            : `Could not merge ${ref} into ${this.branch}: ${error.message}`,
+        );
+      }
+    }
+    return { created: true };
+  }
+
+  /**
+   * Commit everything changed in the worktree
+   * @param {string} subject
+   * @param {string[]} [completedTasks] - Descriptions of the tasks done in this commit
+   * @returns {Promise<string|null>} The commit, or null when nothing changed
+   */
+  async commit(subject, completedTasks = []) {
+    await git(["add", "--all"], this.path);
+    if ((await git(["status", "--porcelain"], this.path)).trim() === "") {
+      return null;
+    }
+    const body = completedTasks.map((task) => `${COMPLETED_TASK_PREFIX}${task}`).join("\n");
+    await git(["commit", "--quiet", "-m", subject, ...(body ? ["-m", body] : [])], this.path);
+    return (await git(["rev-parse", "HEAD"], this.path)).trim();
+  }
+
+  /**
+   * What merging the sandbox would change in the checked out branch
+   * @param {Object} [options]
+   * @param {boolean} [options.diff=true] - Include the unified diff
+   * @returns {Promise<SandboxChanges>}
+   */
+  async getChanges({ diff = true } = {}) {
+    const range = `HEAD...${this.branch}`;
+    const log = await git(["log", "--format=%H%x09%s", `HEAD..${this.branch}`], this.root);
+    const numstat = await git(["diff", "--numstat", range], this.root);
+
+    return {
+      decisionId: this.decisionId,
+      branch: this.branch,
+      path: this.path,
+      commits: log.trim().split("\n").filter(Boolean).map((line) => {
+        const [sha, ...subject] = line.split("\t");
+        return { sha, subject: subject.join("\t") };
+      }),
+      files: numstat.trim().split("\n").filter(Boolean).map((line) => {
+        const [added, deleted, ...file] = line.split("\t");
+        // Binary files have no line counts
+        return { file: file.join("\t"), added: Number(added) || 0, deleted: Number(deleted) || 0 };
+      }),
+      ...(diff && { diff: await git(["diff", range], this.root) }),
+    };
+  }
+
+  /**
+   * Tasks the agent completed in commits that are not merged yet
+   */
+  async getCompletedTasks() {
+    const messages = await git(["log", "--format=%B", `HEAD..${this.branch}`], this.root);
+    return messages
+      .split("\n")
+      .filter((line) => line.startsWith(COMPLETED_TASK_PREFIX))
+      .map((line) => line.slice(COMPLETED_TASK_PREFIX.length));
+  }
+
+  /**
+   * Files that conflict when the sandbox and `ref` are merged; checked
+   * without touching any working tree
+   * @param {string} ref
+   * @returns {Promise<string[]>}
+   */
+  async findConflicts(ref) {
+    try {
+      await execFileAsync("git", ["merge-tree", "--write-tree", "--name-only", "--no-messages", ref, this.branch], {
+        cwd: this.root,
+        maxBuffer: 10 * 1024 * 1024,
+      });
+      return [];
+    } catch (error) {
+      // Exit code 1 means conflicts: the tree, then the conflicting files
+      if (error.code !== 1) {
+        throw new Error((error.stderr || error.message).trim());
+      }
+      return error.stdout.trim().split("\n").slice(1).filter(Boolean);
+    }
+  }
+
+  /**
+   * Merge the sandbox into the checked out branch. Nothing is merged when it
+   * would conflict; the conflicting files are returned instead.
+   * @param {string} message
+   * @returns {Promise<{merged: boolean, conflicts: string[]}>}
+   */
+  async merge(message) {
+    const conflicts = await this.findConflicts("HEAD");
+    if (conflicts.length > 0) {
+      return { merged: false, conflicts };
+    }
+    await git(["merge", "--no-ff", "-m", message, this.branch], this.root);
+    return { merged: true, conflicts: [] };
+  }
+
+  /**
+   * Remove the worktree and its branch, with any work not merged
+   */
+  async discard() {
+    if (await this.exists()) {
+      await git(["worktree", "remove", "--force", this.path], this.root);
+    }
+    if (await hasBranch(this.root, this.branch)) {
+      await git(["branch", "-D", this.branch], this.root);
+    }
+  }
+}
+
+/**
+ * Create the sandbox an agent works on a decision in. It starts from the
+ * unreviewed work of the decisions in its depends_on.
+ * @param {string} root - Project directory
+ * @param {{id: number, depends_on?: number[]}} decision
+ */
+export async function openSandbox(root, decision) {
+  const merge = [];
+  for (const dependencyId of getDependencies(decision)) {
+    const dependency = new AgentSandbox(root, dependencyId);
+    if (await dependency.exists()) {
+      merge.push(dependency.branch);
+    }
+  }
+
+  const sandbox = new AgentSandbox(root, decision.id);
+  await sandbox.create({ merge });
+  return sandbox;
+}
+
+/**
+ * Sandboxes in the project waiting for review, by decision id
+ * @param {string} root - Project directory
+ * @returns {Promise<AgentSandbox[]>}
+ */
+export async function listSandboxes(root) {
+  if (!(await isGitRepository(root))) {
+    return [];
+  }
+  const output = await git(["worktree", "list", "--porcelain"], root);
+  return output
+    .split("\n")
+    .filter((line) => line.startsWith(`branch refs/heads/${BRANCH_PREFIX}`))
+    .map((line) => Number(line.slice(`branch refs/heads/${BRANCH_PREFIX}`.length)))
+    .filter((decisionId) => Number.isInteger(decisionId))
+    .sort((a, b) => a - b)
+    .map((decisionId) => new AgentSandbox(root, decisionId));
+}
+
+/**
+ * Pairs of sandboxes whose work conflicts, as left by agents running in
+ * parallel: whichever is merged second needs the conflicts resolved first
+ * @param {AgentSandbox[]} sandboxes
+ * @returns {Promise<Array<{decisionIds: number[], files: string[]}>>}
+ */
+export async function findSandboxConflicts(sandboxes) {
+  const conflicts = [];
+  for (let i = 0; i < sandboxes.length; i++) {
+    for (let j = i + 1; j < sandboxes.length; j++) {
+      const files = await sandboxes[i].findConflicts(sandboxes[j].branch);
+      if (files.length > 0) {
+        conflicts.push({ decisionIds: [sandboxes[i].decisionId, sandboxes[j].decisionId], files });
+      }
+    }
+  }
+  return conflicts;
+}
+
+/**
+ * Keep worktrees out of `git status` of the project without touching .gitignore
+ * @param {string} root - Project directory
+ * @param {string} prefix - Its path in the repository, e.g. `docs/` or empty
+ */
+async function excludeSandboxDirectory(root, prefix) {
+  const excludePath = path.resolve(root, (await git(["rev-parse", "--git-path", "info/exclude"], root)).trim());
+  const pattern = `/${prefix}${SANDBOX_DIRECTORY}/`;
+  const current = await fs.readFile(excludePath, "utf8").catch(() => "");
+  if (!current.split("\n").includes(pattern)) {
+    await fs.mkdir(path.dirname(excludePath), { recursive: true });
+    await fs.appendFile(excludePath, `${current && !current.endsWith("\n") ? "\n" : ""}${pattern}\n`);
+  }
+}
+
+/**
+ * Whether sandboxes can be created in the project: they need a git repository
+ * @param {string} root - Project directory
+ */
+export async function isGitRepository(root) {
+  try {
+    await git(["rev-parse", "--git-dir"], root);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function hasBranch(root, branch) {
+  try {
+    await git(["rev-parse", "--verify", "--quiet", `refs/heads/${branch}`], root);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function git(args, cwd) {
+  try {
+    const { stdout } = await execFileAsync("git", args, { cwd, maxBuffer: 10 * 1024 * 1024 });
+    return stdout;
+  } catch (error) {
+    throw new Error((error.stderr || error.message).trim());
+  }
+}
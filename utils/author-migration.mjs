@@ -7,6 +7,7 @@
 import { promises as fs } from 'fs';
 import yaml from 'js-yaml';
 import { authorService } from '../services/author-service.mjs';
+import { saveDecisionsChanges } from '../shared/yaml-utils.js';
 
 class AuthorMigration {
   constructor() {
@@ -69,14 +70,10 @@ class AuthorMigration {
       
       // Write back if not dry run
       if (!dryRun) {
-        const updatedContent = yaml.dump(data, {
-          lineWidth: -1,
-          quotingType: '"',
-          forceQuotes: false,
-          noRefs: true
+        // Lookups can be slow (or interactive) - merge so edits made meanwhile are kept
+        await saveDecisionsChanges(filePath, yaml.load(content), data, {
+          audit: { source: 'cli:migrate-authors' }
         });
-        
-        await fs.writeFile(filePath, updatedContent);
         console.log('Migration completed successfully');
       }
       
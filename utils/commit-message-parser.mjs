@@ -1,49 +1,101 @@
 /**
- * commit-message-parser - Create git-pattern-analyzer.mjs for commit pattern detection
- * Generated by Decision Tapestry Agent Framework
- * Decision ID: 77
+ * Commit message parsing for decision inference.
+ * Understands Conventional Commits headers ("feat(api)!: ...") and references
+ * to decisions or ADRs in the subject, body or trailers ("Decision #12",
+ * "Refs: ADR-3", "Decision: 12").
  */
 
-/**
- * Create git-pattern-analyzer.mjs for commit pattern detection
- */
-export async function process(data) {
-    try {
-        // Implementation for: Create git-pattern-analyzer.mjs for commit pattern detection
-        console.log('[commit-message-parser] Processing:', data);
-        return { success: true, data };
-    } catch (error) {
-        console.error('[commit-message-parser] Error:', error.message);
-        throw error;
-    }
-}
-
-export default { process };
-
-
-// Enhanced by Decision Tapestry Agent Framework
-// Decision ID: 77
-// Task: Implement commit message parsing for decision context
-// Timestamp: 2025-07-16T04:36:45.236Z
+const CONVENTIONAL_HEADER = /^(\w+)(?:\(([^)]+)\))?(!)?:\s+(.+)$/;
+const TRAILER = /^([A-Za-z][\w-]*):\s+(.+)$/;
+const DECISION_REFERENCE = /\bdecision[\s_/:-]*#?\s*(\d+)\b/gi;
+const ADR_REFERENCE = /\bADR[\s_:-]*#?\s*(\d+)\b/gi;
 
+/** Conventional commit types and what they say about a change */
+export const COMMIT_TYPES = {
+  feat: "Feature",
+  fix: "Fix",
+  refactor: "Refactor",
+  perf: "Performance",
+  build: "Build",
+  ci: "CI",
+  docs: "Documentation",
+  test: "Tests",
+  style: "Style",
+  chore: "Chore",
+  revert: "Revert",
+};
 
+/**
+ * Parse a full commit message (subject and body).
+ * @param {string} message - Commit message as printed by `git log --format=%B`
+ * @returns {{
+ *   subject: string,
+ *   body: string,
+ *   type: string|null,
+ *   scope: string|null,
+ *   breaking: boolean,
+ *   description: string,
+ *   trailers: Object<string, string[]>,
+ *   decisionRefs: number[],
+ *   adrRefs: number[]
+ * }}
+ */
+export function parseCommitMessage(message = "") {
+  const lines = message.replace(/\r\n/g, "\n").trim().split("\n");
+  const subject = lines[0]?.trim() || "";
+  const bodyLines = lines.slice(1);
 
-// Enhanced by Decision Tapestry Agent Framework
-// Decision ID: 77
-// Task: Build decision inference engine from git patterns
-// Timestamp: 2025-07-16T04:36:45.281Z
+  const header = subject.match(CONVENTIONAL_HEADER);
+  const type = header && COMMIT_TYPES[header[1].toLowerCase()] ? header[1].toLowerCase() : null;
 
+  const { trailers, trailerStart } = parseTrailers(bodyLines);
+  const body = bodyLines.slice(0, trailerStart).join("\n").trim();
+  const breaking = Boolean(type && header[3]) ||
+    Object.keys(trailers).some((key) => /^breaking[- ]change$/i.test(key));
 
+  return {
+    subject,
+    body,
+    type,
+    scope: type ? header[2] || null : null,
+    breaking,
+    description: type ? header[4].trim() : subject,
+    trailers,
+    decisionRefs: findReferences(DECISION_REFERENCE, message),
+    adrRefs: findReferences(ADR_REFERENCE, message),
+  };
+}
 
-// Enhanced by Decision Tapestry Agent Framework
-// Decision ID: 77
-// Task: Add automatic decision discovery suggestions
-// Timestamp: 2025-07-16T04:36:45.323Z
+/**
+ * Trailers are "Key: value" lines in the last paragraph of the message.
+ * Returns them keyed by lower-cased name, plus where that paragraph starts.
+ */
+function parseTrailers(bodyLines) {
+  let start = bodyLines.length;
+  while (start > 0 && bodyLines[start - 1].trim() === "") start--;
+  const end = start;
+  while (start > 0 && bodyLines[start - 1].trim() !== "") start--;
 
+  const paragraph = bodyLines.slice(start, end);
+  if (paragraph.length === 0 || !paragraph.every((line) => TRAILER.test(line.trim()))) {
+    return { trailers: {}, trailerStart: bodyLines.length };
+  }
 
+  const trailers = {};
+  for (const line of paragraph) {
+    const [, key, value] = line.trim().match(TRAILER);
+    const name = key.toLowerCase();
+    (trailers[name] ||= []).push(value.trim());
+  }
+  return { trailers, trailerStart: start };
+}
 
-// Enhanced by Decision Tapestry Agent Framework
-// Decision ID: 77
-// Task: Create UI for reviewing and approving inferred decisions
-// Timestamp: 2025-07-16T04:36:45.366Z
+function findReferences(pattern, text) {
+  const ids = new Set();
+  for (const match of text.matchAll(pattern)) {
+    ids.add(Number(match[1]));
+  }
+  return [...ids];
+}
 
+export default { parseCommitMessage, COMMIT_TYPES };
@@ -0,0 +1,350 @@
+/**
+ * Decision analytics for the dashboard's Smart Analytics panel.
+ * Computes insights from the decisions file and, where available, git
+ * history: how many decisions are made per period, how much of their work is
+ * finished, how long backlog items wait before they are promoted, how often
+ * decisions are superseded, which decisions have gone stale and which are
+ * missing rationale or tradeoffs. Every insight lists the ids of the
+ * decisions behind it so the dashboard can show exactly that set.
+ */
+
+import { isCompletedStatus } from "../shared/status-lifecycle.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const PERIODS = {
+  week: 7,
+  month: 30,
+};
+
+// Statuses whose decisions are no longer expected to be kept up to date
+const CLOSED_STATUSES = ["Superseded", "Rejected"];
+
+/**
+ * @typedef {Object} Insight
+ * @property {string} id
+ * @property {string} title
+ * @property {number|null} metric - null when there is no data to compute it from
+ * @property {string} unit
+ * @property {string} description
+ * @property {{type: 'positive'|'negative'|'neutral', value: string, period: string}} [trend]
+ * @property {number[]} decisionIds - Decisions the insight is about
+ */
+
+/**
+ * Computes analytics insights for a decisions file.
+ * @param {{decisions?: any[], backlog?: any[]}} data - Parsed decisions file
+ * @param {Object} [options]
+ * @param {'week'|'month'} [options.period='week'] - Period used for velocity
+ * @param {number} [options.periods=8] - Number of periods in the velocity series
+ * @param {number} [options.staleDays=180] - Days without activity after which an open decision is stale
+ * @param {Date} [options.now]
+ * @param {{getFileLastModifiedDate: (file: string) => Promise<string|null>}} [options.analyzer] -
+ *   Git analyzer used to count commits to a decision's affected components as activity
+ * @returns {Promise<{generated_at: string, period: string, insights: Insight[], staleCategories: any[], recommendations: any[]}>}
+ */
+export async function computeInsights(data, options = {}) {
+  const { period = "week", periods = 8, staleDays = 180, now = new Date(), analyzer = null } = options;
+  if (!PERIODS[period]) {
+    throw new Error(`Unknown period: ${period}; use ${Object.keys(PERIODS).join(" or ")}`);
+  }
+
+  const decisions = Array.isArray(data?.decisions) ? data.decisions : [];
+  const velocity = computeVelocity(decisions, { period, periods, now });
+  const tasks = computeTaskCompletion(decisions);
+  const promotion = computePromotionTime(decisions);
+  const supersession = computeSupersession(decisions);
+  const stale = await computeStaleness(decisions, { staleDays, now, analyzer });
+  const documentation = computeMissingDocumentation(decisions);
+
+  const insights = [velocity, tasks, promotion, supersession, stale.insight, documentation];
+
+  return {
+    generated_at: now.toISOString(),
+    period,
+    insights,
+    staleCategories: stale.categories,
+    recommendations: buildRecommendations({ tasks, stale, documentation, supersession }),
+  };
+}
+
+/**
+ * Decisions made in the current period, compared with the period before.
+ * @returns {Insight & {series: Array<{start: string, end: string, count: number}>}}
+ */
+export function computeVelocity(decisions, { period = "week", periods = 8, now = new Date() } = {}) {
+  const length = PERIODS[period] * DAY_MS;
+  const end = now.getTime();
+  const series = [];
+  for (let index = periods - 1; index >= 0; index--) {
+    const periodEnd = end - index * length;
+    series.push({ start: new Date(periodEnd - length).toISOString(), end: new Date(periodEnd).toISOString(), count: 0 });
+  }
+
+  const current = [];
+  let previous = 0;
+  for (const decision of decisions) {
+    const date = getDecisionDate(decision);
+    if (!date || date.getTime() > end) continue;
+    const age = Math.floor((end - date.getTime()) / length);
+    if (age < periods) series[periods - 1 - age].count++;
+    if (age === 0) current.push(decision.id);
+    if (age === 1) previous++;
+  }
+
+  return {
+    id: "velocity",
+    title: "Decision Velocity",
+    metric: current.length,
+    unit: `/${period}`,
+    description: `Decisions made in the last ${PERIODS[period]} days`,
+    trend: describeTrend(current.length, previous, `vs previous ${period}`),
+    series,
+    decisionIds: current,
+  };
+}
+
+/**
+ * Share of decision tasks that are finished. Links to decisions that still
+ * have open tasks.
+ * @returns {Insight}
+ */
+export function computeTaskCompletion(decisions) {
+  let total = 0;
+  let completed = 0;
+  const open = [];
+  for (const decision of decisions) {
+    const tasks = Array.isArray(decision.tasks) ? decision.tasks : [];
+    const done = tasks.filter((task) => isCompletedStatus(task?.status)).length;
+    total += tasks.length;
+    completed += done;
+    if (done < tasks.length) open.push(decision.id);
+  }
+
+  return {
+    id: "task-completion",
+    title: "Task Completion",
+    metric: total > 0 ? Math.round((completed / total) * 100) : null,
+    unit: "%",
+    description: `${completed} of ${total} tasks done; ${open.length} decisions have open tasks`,
+    decisionIds: open,
+  };
+}
+
+/**
+ * Median time from a backlog item's creation to its promotion. Promoted
+ * decisions keep the backlog item's `created` timestamp and are dated when
+ * they are promoted.
+ * @returns {Insight}
+ */
+export function computePromotionTime(decisions) {
+  const durations = [];
+  const promoted = [];
+  for (const decision of decisions) {
+    const created = toDate(decision.created);
+    const decided = getDecisionDate(decision);
+    if (!created || !decided || decided < created) continue;
+    durations.push((decided.getTime() - created.getTime()) / DAY_MS);
+    promoted.push(decision.id);
+  }
+
+  const days = median(durations);
+  return {
+    id: "backlog-to-promotion",
+    title: "Backlog to Decision",
+    metric: days === null ? null : Math.round(days * 10) / 10,
+    unit: " days",
+    description: `Median time from backlog creation to promotion across ${promoted.length} promoted items`,
+    decisionIds: promoted,
+  };
+}
+
+/**
+ * Share of decisions that have been superseded.
+ * @returns {Insight}
+ */
+export function computeSupersession(decisions) {
+  const superseded = decisions.filter((decision) => decision.status === "Superseded").map((decision) => decision.id);
+  return {
+    id: "supersession",
+    title: "Supersession Rate",
+    metric: decisions.length > 0 ? Math.round((superseded.length / decisions.length) * 100) : null,
+    unit: "%",
+    description: `${superseded.length} of ${decisions.length} decisions have been superseded`,
+    decisionIds: superseded,
+  };
+}
+
+/**
+ * Open, dated decisions with no activity in `staleDays`: no newer decision date,
+ * commit recorded in decisions.yml, or (with an analyzer) commit to one of
+ * their affected components. Grouped by category, most stale first.
+ */
+export async function computeStaleness(decisions, { staleDays = 180, now = new Date(), analyzer = null } = {}) {
+  const cutoff = now.getTime() - staleDays * DAY_MS;
+  const stale = [];
+  for (const decision of decisions) {
+    if (CLOSED_STATUSES.includes(decision.status)) continue;
+    // Without any date there is nothing to judge the decision's age by
+    const lastActivity = getLastActivity(decision);
+    if (!lastActivity || lastActivity.getTime() >= cutoff) continue;
+    if (analyzer && (await hasRecentComponentCommits(decision, analyzer, cutoff))) continue;
+    stale.push(decision);
+  }
+
+  const byCategory = new Map();
+  for (const decision of decisions) {
+    if (CLOSED_STATUSES.includes(decision.status)) continue;
+    const category = decision.category || "Uncategorized";
+    if (!byCategory.has(category)) byCategory.set(category, { category, total: 0, decisionIds: [] });
+    byCategory.get(category).total++;
+  }
+  for (const decision of stale) {
+    byCategory.get(decision.category || "Uncategorized").decisionIds.push(decision.id);
+  }
+
+  const categories = [...byCategory.values()]
+    .filter((entry) => entry.decisionIds.length > 0)
+    .map((entry) => ({ ...entry, count: entry.decisionIds.length }))
+    .sort((a, b) => b.count - a.count || a.category.localeCompare(b.category));
+
+  return {
+    insight: {
+      id: "stale",
+      title: "Stale Decisions",
+      metric: stale.length,
+      unit: "",
+      description: `Open decisions with no activity in ${staleDays} days, across ${categories.length} categories`,
+      decisionIds: stale.map((decision) => decision.id),
+    },
+    categories,
+  };
+}
+
+/**
+ * Decisions without any rationale or without any tradeoffs.
+ * @returns {Insight & {missingRationale: number[], missingTradeoffs: number[]}}
+ */
+export function computeMissingDocumentation(decisions) {
+  const isEmpty = (value) => !Array.isArray(value) || value.every((entry) => !String(entry ?? "").trim());
+  const missingRationale = decisions.filter((decision) => isEmpty(decision.rationale)).map((decision) => decision.id);
+  const missingTradeoffs = decisions.filter((decision) => isEmpty(decision.tradeoffs)).map((decision) => decision.id);
+  const decisionIds = decisions
+    .filter((decision) => missingRationale.includes(decision.id) || missingTradeoffs.includes(decision.id))
+    .map((decision) => decision.id);
+
+  return {
+    id: "missing-documentation",
+    title: "Missing Rationale or Tradeoffs",
+    metric: decisionIds.length,
+    unit: "",
+    description: `${missingRationale.length} decisions have no rationale, ${missingTradeoffs.length} have no tradeoffs`,
+    missingRationale,
+    missingTradeoffs,
+    decisionIds,
+  };
+}
+
+function buildRecommendations({ tasks, stale, documentation, supersession }) {
+  const recommendations = [];
+  if (documentation.missingRationale.length > 0) {
+    recommendations.push({
+      id: "add-rationale",
+      title: "Record why decisions were made",
+      description: `${documentation.missingRationale.length} decisions have no rationale. Future readers will not know why they were made.`,
+      decisionIds: documentation.missingRationale,
+    });
+  }
+  if (documentation.missingTradeoffs.length > 0) {
+    recommendations.push({
+      id: "add-tradeoffs",
+      title: "List the tradeoffs",
+      description: `${documentation.missingTradeoffs.length} decisions do not say what was given up.`,
+      decisionIds: documentation.missingTradeoffs,
+    });
+  }
+  if (stale.categories.length > 0) {
+    const [top] = stale.categories;
+    recommendations.push({
+      id: "review-stale",
+      title: `Review stale ${top.category} decisions`,
+      description: `${top.count} of ${top.total} open ${top.category} decisions have had no activity recently. Confirm they still hold or supersede them.`,
+      decisionIds: top.decisionIds,
+    });
+  }
+  if (tasks.metric !== null && tasks.metric < 50) {
+    recommendations.push({
+      id: "finish-tasks",
+      title: "Finish open tasks",
+      description: `Only ${tasks.metric}% of decision tasks are done.`,
+      decisionIds: tasks.decisionIds,
+    });
+  }
+  if (supersession.metric !== null && supersession.metric >= 25) {
+    recommendations.push({
+      id: "check-supersession",
+      title: "Look into frequently replaced decisions",
+      description: `${supersession.metric}% of decisions have been superseded. Decisions may be made before enough is known.`,
+      decisionIds: supersession.decisionIds,
+    });
+  }
+  return recommendations;
+}
+
+async function hasRecentComponentCommits(decision, analyzer, cutoff) {
+  const components = Array.isArray(decision.affected_components) ? decision.affected_components : [];
+  for (const component of components) {
+    const date = toDate(await analyzer.getFileLastModifiedDate(String(component)));
+    if (date && date.getTime() >= cutoff) return true;
+  }
+  return false;
+}
+
+/**
+ * When the decision was made. `date` is either a timestamp or an object with
+ * git-derived dates.
+ * @returns {Date|null}
+ */
+export function getDecisionDate(decision) {
+  const value = decision?.date;
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    return toDate(value.decision_date);
+  }
+  return toDate(value);
+}
+
+function getLastActivity(decision) {
+  const dates = [getDecisionDate(decision)];
+  if (decision.date && typeof decision.date === "object" && !(decision.date instanceof Date)) {
+    dates.push(toDate(decision.date.last_commit_date));
+  }
+  for (const commit of decision.github_metadata?.commits || []) {
+    dates.push(toDate(commit?.date));
+  }
+  const times = dates.filter(Boolean).map((date) => date.getTime());
+  return times.length > 0 ? new Date(Math.max(...times)) : null;
+}
+
+// js-yaml turns unquoted timestamps into Date objects; quoted ones stay strings
+function toDate(value) {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+  if (typeof value !== "string" || !value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function describeTrend(current, previous, period) {
+  if (current === previous) return { type: "neutral", value: "no change", period };
+  if (previous === 0) return { type: "positive", value: `+${current}`, period };
+  const change = Math.round(((current - previous) / previous) * 100);
+  return { type: change > 0 ? "positive" : "negative", value: `${change > 0 ? "+" : ""}${change}%`, period };
+}
+
+export default { computeInsights };
@@ -0,0 +1,362 @@
+/**
+ * Drift detection: where decisions.yml and the codebase have grown apart.
+ * Finds affected_components that were renamed, deleted or never existed,
+ * files that change often but that no decision covers, and completed
+ * decisions whose components changed a lot after they were completed. The
+ * report ends with suggested fixes as YAML to paste into decisions.yml.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import YAML from "yaml";
+import { readDecisionsFile, getAuditLogPath } from "../shared/yaml-utils.js";
+import { readAuditLog } from "../shared/audit-log.js";
+import { isCompletedStatus } from "../shared/status-lifecycle.js";
+import { GitAnalyzer } from "../services/git-analyzer.mjs";
+import { getDecisionDate } from "./decision-analytics.mjs";
+
+// Decisions with these statuses are history; their components are not checked
+const CLOSED_STATUSES = ["Superseded", "Rejected"];
+
+// Files that change with almost every commit without being a design decision
+const IGNORED_FILES = [/(^|\/)package-lock\.json$/, /(^|\/)yarn\.lock$/, /(^|\/)pnpm-lock\.yaml$/, /(^|\/)CHANGELOG\.md$/];
+
+// Renames of renames are followed this far
+const MAX_RENAMES = 10;
+
+/**
+ * @typedef {Object} DriftIssue
+ * @property {'renamed'|'deleted'|'missing'|'uncovered'|'changed'} type
+ * @property {number} [decisionId] - Decision the issue is about (not set for uncovered files)
+ * @property {string} [path] - Component or file the issue is about
+ * @property {string} [renamedTo] - Where a renamed component lives now
+ * @property {string} [sha] - Commit that renamed it
+ * @property {number} [changes] - Commits changing an uncovered file
+ * @property {number} [suggestedDecisionId] - Decision an uncovered file most likely belongs to
+ * @property {string} [completedAt] - When a changed decision was completed
+ * @property {Array<{path: string, commits: number, linesChanged: number}>} [files] - Components changed since
+ * @property {number} [commits]
+ * @property {number} [linesChanged]
+ * @property {string} message
+ */
+
+/**
+ * Compares the decisions with the files in the repository and its git history.
+ * @param {{decisions?: any[], backlog?: any[]}} data - Parsed decisions file
+ * @param {Object} [options]
+ * @param {any} [options.analyzer] - GitAnalyzer for the repository; without one
+ *   only components that do not exist are reported
+ * @param {string} [options.repoPath] - Directory the component paths are relative to
+ * @param {string} [options.decisionsPath] - decisions.yml, which is never reported as uncovered
+ * @param {string} [options.since="6 months ago"] - Period in which uncovered files are counted
+ * @param {number} [options.minChanges=10] - Commits in that period that make a file worth covering
+ * @param {number} [options.maxUncovered=20] - Most uncovered files to report
+ * @param {number} [options.minCommits=3] - Commits after completion that count as a significant change
+ * @param {number} [options.minLines=100] - Changed lines after completion that count as a significant change
+ * @param {Map<number, Date>} [options.completedAt] - When decisions were completed (see getCompletionDates);
+ *   decisions not in it use their decision date
+ * @returns {Promise<{summary: Record<string, number>, decisionIds: number[], issues: DriftIssue[], fixes: string}>}
+ */
+export async function detectDrift(data, options = {}) {
+  const {
+    analyzer = null,
+    repoPath = process.cwd(),
+    decisionsPath,
+    since = "6 months ago",
+    minChanges = 10,
+    maxUncovered = 20,
+    minCommits = 3,
+    minLines = 100,
+    completedAt = new Map(),
+  } = options;
+  const decisions = (Array.isArray(data?.decisions) ? data.decisions : []).filter(
+    (decision) => !CLOSED_STATUSES.includes(decision.status),
+  );
+
+  const issues = [];
+  const current = new Map();
+  for (const decision of decisions) {
+    const components = [];
+    for (const component of getComponentPaths(decision)) {
+      const issue = await checkComponent(component, repoPath, analyzer);
+      if (issue) {
+        issues.push({ decisionId: decision.id, path: component, ...issue });
+      }
+      if (!issue || issue.type === "renamed") {
+        components.push(issue ? issue.renamedTo : component);
+      }
+    }
+    current.set(decision.id, components);
+  }
+
+  if (analyzer) {
+    issues.push(
+      ...(await findUncoveredFiles(decisions, current, {
+        analyzer,
+        repoPath,
+        decisionsPath,
+        since,
+        minChanges,
+        maxUncovered,
+      })),
+    );
+    for (const decision of decisions.filter((d) => isCompletedStatus(d.status))) {
+      const issue = await checkChangesAfterCompletion(decision, current.get(decision.id), {
+        analyzer,
+        completed: completedAt.get(decision.id) || getDecisionDate(decision),
+        minCommits,
+        minLines,
+      });
+      if (issue) issues.push(issue);
+    }
+  }
+
+  const summary = { renamed: 0, deleted: 0, missing: 0, uncovered: 0, changed: 0 };
+  issues.forEach((issue) => (summary[issue.type] += 1));
+
+  return {
+    summary,
+    decisionIds: [...new Set(issues.map((issue) => issue.decisionId).filter((id) => id !== undefined))],
+    issues,
+    fixes: buildSuggestedFixes(data, issues),
+  };
+}
+
+/**
+ * Detects drift for a decisions file, with component paths relative to its
+ * directory. Completion dates come from the audit log next to it, and git
+ * history is used when the directory is in a git repository.
+ * @param {string} decisionsPath - Path to decisions.yml (or a decisions directory)
+ * @param {Object} [options] - since, minChanges, maxUncovered, minCommits and minLines as for detectDrift
+ */
+export async function detectDriftForFile(decisionsPath, options = {}) {
+  const data = await readDecisionsFile(decisionsPath);
+  const repoPath = path.dirname(path.resolve(decisionsPath));
+  const analyzer = new GitAnalyzer(repoPath);
+  const completedAt = getCompletionDates(await readAuditLog(getAuditLogPath(decisionsPath), { collection: "decisions" }));
+
+  return detectDrift(data, {
+    ...options,
+    analyzer: (await analyzer.isGitRepo()) ? analyzer : null,
+    repoPath,
+    decisionsPath: path.resolve(decisionsPath),
+    completedAt,
+  });
+}
+
+/**
+ * When each decision was last moved to a completed status, from the audit log.
+ * @param {import('../shared/audit-log.js').AuditEntry[]} entries
+ * @returns {Map<number, Date>}
+ */
+export function getCompletionDates(entries) {
+  const dates = new Map();
+  for (const entry of entries) {
+    if (entry.collection !== "decisions") continue;
+    const statusChange = (entry.changes || []).find((change) => change.path === "/status");
+    const status = statusChange ? statusChange.after : entry.action === "created" && entry.changes?.[0]?.after?.status;
+    if (isCompletedStatus(status)) {
+      dates.set(entry.id, new Date(entry.timestamp));
+    }
+  }
+  return dates;
+}
+
+/**
+ * affected_components entries that name a file or directory. Entries such as
+ * "Integration tests" describe a component instead and are skipped.
+ */
+function getComponentPaths(decision) {
+  return (decision.affected_components || []).filter(
+    (component) => typeof component === "string" && /[/.]/.test(component) && !/[\s*?]/.test(component),
+  );
+}
+
+async function checkComponent(component, repoPath, analyzer) {
+  if (await exists(repoPath, component)) return null;
+  if (!analyzer) {
+    return { type: "missing", message: `${component} does not exist` };
+  }
+  if (!(await analyzer.hasGitHistory(component))) {
+    return { type: "missing", message: `${component} does not exist and never did in git history` };
+  }
+
+  let location = component;
+  for (let i = 0; i < MAX_RENAMES; i++) {
+    const rename = await analyzer.getRename(location);
+    if (!rename) break;
+    location = rename.to;
+    if (await exists(repoPath, location)) {
+      return {
+        type: "renamed",
+        renamedTo: location,
+        sha: rename.sha,
+        message: `${component} was renamed to ${location} in ${rename.sha.slice(0, 7)}`,
+      };
+    }
+  }
+  return {
+    type: "deleted",
+    message:
+      location === component
+        ? `${component} was deleted`
+        : `${component} was renamed to ${location}, which was deleted`,
+  };
+}
+
+async function findUncoveredFiles(decisions, current, options) {
+  const { analyzer, repoPath, decisionsPath, since, minChanges, maxUncovered } = options;
+  const covered = new Set([...current.values()].flat().map(normalizePath));
+  const ignored = decisionsPath ? normalizePath(path.relative(repoPath, decisionsPath)) : null;
+  const isCovered = (file) => {
+    for (let dir = file; dir && dir !== "."; dir = path.posix.dirname(dir)) {
+      if (covered.has(dir)) return true;
+    }
+    return false;
+  };
+
+  const uncovered = [];
+  const frequency = await analyzer.getChangeFrequency({ since });
+  for (const [file, changes] of frequency) {
+    if (changes < minChanges || isCovered(file)) continue;
+    if (file === ignored || (ignored && file.startsWith(ignored.replace(/\.ya?ml$/, "") + "/"))) continue;
+    if (IGNORED_FILES.some((pattern) => pattern.test(file)) || !(await exists(repoPath, file))) continue;
+    uncovered.push({ file, changes });
+  }
+
+  return uncovered
+    .sort((a, b) => b.changes - a.changes || a.file.localeCompare(b.file))
+    .slice(0, maxUncovered)
+    .map(({ file, changes }) => {
+      const suggestedDecisionId = suggestDecision(file, decisions, current);
+      return {
+        type: "uncovered",
+        path: file,
+        changes,
+        ...(suggestedDecisionId !== undefined && { suggestedDecisionId }),
+        message: `${file} changed in ${changes} commits since ${since} but no decision lists it`,
+      };
+    });
+}
+
+// The decision with the most components in the same directory as the file
+function suggestDecision(file, decisions, current) {
+  const dir = path.posix.dirname(file);
+  let best;
+  let bestCount = 0;
+  for (const decision of decisions) {
+    const count = current.get(decision.id).filter((component) => path.posix.dirname(normalizePath(component)) === dir).length;
+    if (count > bestCount || (count === bestCount && count > 0 && decision.id > best)) {
+      best = decision.id;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+async function checkChangesAfterCompletion(decision, components, { analyzer, completed, minCommits, minLines }) {
+  if (!completed || components.length === 0) return null;
+
+  const commits = new Set();
+  const files = [];
+  let linesChanged = 0;
+  for (const component of components) {
+    const changes = await analyzer.getFileChangesSince(component, completed.toISOString());
+    if (changes.commits.length === 0) continue;
+    changes.commits.forEach((commit) => commits.add(commit.sha));
+    linesChanged += changes.linesChanged;
+    files.push({ path: component, commits: changes.commits.length, linesChanged: changes.linesChanged });
+  }
+  if (commits.size < minCommits && linesChanged < minLines) return null;
+
+  return {
+    type: "changed",
+    decisionId: decision.id,
+    completedAt: completed.toISOString(),
+    files: files.sort((a, b) => b.linesChanged - a.linesChanged),
+    commits: commits.size,
+    linesChanged,
+    message: `${files.length} of its components changed in ${commits.size} commits (${linesChanged} lines) since it was completed on ${completed.toISOString().slice(0, 10)}`,
+  };
+}
+
+/**
+ * YAML for decisions.yml that resolves the issues: corrected
+ * affected_components for decisions, and backlog items to review decisions
+ * whose code changed after completion.
+ */
+function buildSuggestedFixes(data, issues) {
+  const decisionsById = new Map((data?.decisions || []).map((decision) => [decision.id, decision]));
+  const fixes = new Map();
+  const fixFor = (id) => {
+    if (!fixes.has(id)) {
+      fixes.set(id, { components: [...(decisionsById.get(id).affected_components || [])], notes: [] });
+    }
+    return fixes.get(id);
+  };
+
+  for (const issue of issues) {
+    if (issue.type === "renamed" || issue.type === "deleted" || issue.type === "missing") {
+      const fix = fixFor(issue.decisionId);
+      fix.components = fix.components.flatMap((component) =>
+        component !== issue.path ? [component] : issue.type === "renamed" ? [issue.renamedTo] : [],
+      );
+      fix.notes.push(issue.message);
+    } else if (issue.type === "uncovered" && issue.suggestedDecisionId !== undefined) {
+      const fix = fixFor(issue.suggestedDecisionId);
+      fix.components.push(issue.path);
+      fix.notes.push(`covers ${issue.path}, changed in ${issue.changes} commits`);
+    }
+  }
+
+  const lines = [];
+  if (fixes.size > 0) {
+    lines.push("decisions:");
+    for (const [id, { components, notes }] of fixes) {
+      lines.push(`  # #${id} ${decisionsById.get(id).title}`);
+      notes.forEach((note) => lines.push(`  #   ${note}`));
+      lines.push(indent(YAML.stringify([{ id, affected_components: components }])));
+    }
+  }
+
+  const changed = issues.filter((issue) => issue.type === "changed");
+  if (changed.length > 0) {
+    let nextId = Math.max(0, ...(data?.backlog || []).map((item) => Number(item.id) || 0)) + 1;
+    lines.push("backlog:");
+    for (const issue of changed) {
+      lines.push(`  # #${issue.decisionId} ${issue.message}`);
+      const item = {
+        id: nextId++,
+        title: `Review decision #${issue.decisionId} after later changes`,
+        status: "Open",
+        related_to: [issue.decisionId],
+        affected_components: issue.files.map((file) => file.path),
+      };
+      lines.push(indent(YAML.stringify([item])));
+    }
+  }
+  return lines.length > 0 ? `${lines.join("\n")}\n` : "";
+}
+
+function indent(text) {
+  return text
+    .trimEnd()
+    .split("\n")
+    .map((line) => `  ${line}`)
+    .join("\n");
+}
+
+function normalizePath(file) {
+  return path.posix.normalize(file.replace(/\\/g, "/")).replace(/\/$/, "");
+}
+
+async function exists(repoPath, file) {
+  try {
+    await fs.access(path.resolve(repoPath, file));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export default { detectDrift, detectDriftForFile, getCompletionDates };
@@ -0,0 +1,252 @@
+/**
+ * Decision impact analysis: what is affected if a decision is changed or
+ * superseded. Starting from the decision, impact spreads over supersedes
+ * and related_to links and over components that decisions share. A
+ * decision's components are its affected_components plus the files changed
+ * by its linked commits (github_metadata.commits). Impact weakens with every
+ * step, so the result ranks the decisions, components and open backlog
+ * items closest to the change first.
+ */
+
+import { isCompletedStatus } from "../shared/status-lifecycle.js";
+
+// How much of a decision's impact passes along each kind of link
+export const LINK_WEIGHTS = {
+  supersedes: 0.9,
+  related_to: 0.7,
+  shared_component: 0.5,
+};
+
+// Impact below this is not reported
+const MIN_SCORE = 0.1;
+
+// Decisions with these statuses are history; changing another decision can't break them
+const CLOSED_STATUSES = ["Superseded", "Rejected"];
+
+// Commits touching more files than this (merges, renames, formatting sweeps)
+// say little about a decision, so their files are not counted
+const MAX_COMMIT_FILES = 50;
+
+/**
+ * @typedef {Object} ImpactedDecision
+ * @property {number|string} id
+ * @property {string} title
+ * @property {string} status
+ * @property {number} score - 0-1, 1 being the decision itself
+ * @property {number} distance - Links between it and the analyzed decision
+ * @property {string[]} reasons - How the impact reached it
+ */
+
+/**
+ * Analyzes the impact of changing or superseding a decision.
+ * @param {{decisions?: any[], backlog?: any[]}} data - Parsed decisions file
+ * @param {number|string} id - Decision to analyze
+ * @param {Object} [options]
+ * @param {{getCommitFiles: (sha: string) => Promise<string[]>}|null} [options.analyzer] -
+ *   Git analyzer used to find the files changed by linked commits
+ * @param {number} [options.maxDepth=3] - Most links impact spreads over
+ * @returns {Promise<{decision: {id: number|string, title: string, status: string}, decisions: ImpactedDecision[], components: any[], backlog: any[]}>}
+ */
+export async function analyzeImpact(data, id, { analyzer = null, maxDepth = 3 } = {}) {
+  const decisions = Array.isArray(data?.decisions) ? data.decisions : [];
+  const target = decisions.find((decision) => decision.id === id);
+  if (!target) {
+    throw new Error(`Decision ${formatRef(id)} not found`);
+  }
+
+  const components = new Map();
+  for (const decision of decisions) {
+    components.set(decision.id, await getDecisionComponents(decision, analyzer));
+  }
+
+  const impacted = spreadImpact(target, decisions, components, maxDepth);
+  const componentImpact = rankComponents(impacted, components);
+  const backlog = rankBacklog(data?.backlog || [], impacted, componentImpact);
+
+  return {
+    decision: { id: target.id, title: target.title, status: target.status },
+    decisions: [...impacted.values()]
+      .filter((entry) => entry.decision !== target)
+      .sort(byScore)
+      .map(({ decision, score, distance, reasons }) => ({
+        id: decision.id,
+        title: decision.title,
+        status: decision.status,
+        score: round(score),
+        distance,
+        reasons,
+      })),
+    components: componentImpact,
+    backlog,
+  };
+}
+
+/**
+ * Components of a decision: its affected_components and the files its linked
+ * commits changed, each with where it came from.
+ * @returns {Promise<Map<string, Set<'affected_components'|'commits'>>>}
+ */
+async function getDecisionComponents(decision, analyzer) {
+  const components = new Map();
+  const add = (file, source) => {
+    if (!components.has(file)) components.set(file, new Set());
+    components.get(file).add(source);
+  };
+
+  for (const file of decision.affected_components || []) {
+    add(file, "affected_components");
+  }
+  if (analyzer) {
+    for (const commit of decision.github_metadata?.commits || []) {
+      if (!commit?.sha) continue;
+      const files = await analyzer.getCommitFiles(commit.sha);
+      if (files.length > MAX_COMMIT_FILES) continue;
+      files.forEach((file) => add(file, "commits"));
+    }
+  }
+  return components;
+}
+
+/**
+ * Best-first walk from the target keeping, for every decision, the strongest
+ * impact that reaches it.
+ */
+function spreadImpact(target, decisions, components, maxDepth) {
+  const impacted = new Map([[target.id, { decision: target, score: 1, distance: 0, reasons: [] }]]);
+  const queue = [impacted.get(target.id)];
+
+  while (queue.length > 0) {
+    queue.sort(byScore);
+    const current = queue.shift();
+    if (current.distance >= maxDepth) continue;
+
+    for (const { decision, link, detail } of getLinks(current.decision, decisions, components)) {
+      if (CLOSED_STATUSES.includes(decision.status)) continue;
+      const weight = link === "shared_component" ? sharedComponentWeight(detail.length) : LINK_WEIGHTS[link];
+      const score = current.score * weight;
+      const existing = impacted.get(decision.id);
+      if (score < MIN_SCORE || (existing && existing.score >= score)) continue;
+
+      const entry = {
+        decision,
+        score,
+        distance: current.distance + 1,
+        reasons: [...current.reasons, describeLink(current.decision, link, detail)],
+      };
+      impacted.set(decision.id, entry);
+      queue.push(entry);
+    }
+  }
+  return impacted;
+}
+
+function getLinks(from, decisions, components) {
+  const links = [];
+  const fromComponents = components.get(from.id);
+
+  for (const decision of decisions) {
+    if (decision === from) continue;
+    if (
+      from.supersedes === decision.id ||
+      from.superseded_by === decision.id ||
+      decision.supersedes === from.id ||
+      decision.superseded_by === from.id
+    ) {
+      links.push({ decision, link: "supersedes" });
+    } else if ((from.related_to || []).includes(decision.id) || (decision.related_to || []).includes(from.id)) {
+      links.push({ decision, link: "related_to" });
+    }
+
+    const shared = [...components.get(decision.id).keys()].filter((file) => fromComponents.has(file));
+    if (shared.length > 0) {
+      links.push({ decision, link: "shared_component", detail: shared });
+    }
+  }
+  return links;
+}
+
+// Decisions sharing more components are more tightly coupled
+function sharedComponentWeight(sharedCount) {
+  return Math.min(0.8, LINK_WEIGHTS.shared_component + 0.1 * (sharedCount - 1));
+}
+
+function describeLink(from, link, detail) {
+  if (link === "supersedes") return `supersession link with ${formatRef(from.id)}`;
+  if (link === "related_to") return `related to ${formatRef(from.id)}`;
+  const files = detail.slice(0, 3).join(", ") + (detail.length > 3 ? ` and ${detail.length - 3} more` : "");
+  return `shares ${files} with ${formatRef(from.id)}`;
+}
+
+function rankComponents(impacted, components) {
+  const ranked = new Map();
+  for (const { decision, score } of impacted.values()) {
+    for (const [file, sources] of components.get(decision.id)) {
+      // Files only known from commits are a weaker signal than declared components
+      const componentScore = sources.has("affected_components") ? score : score * 0.8;
+      const entry = ranked.get(file) || { path: file, score: 0, decisionIds: [], sources: new Set() };
+      entry.score = Math.max(entry.score, componentScore);
+      entry.decisionIds.push(decision.id);
+      sources.forEach((source) => entry.sources.add(source));
+      ranked.set(file, entry);
+    }
+  }
+
+  return [...ranked.values()]
+    .filter((entry) => entry.score >= MIN_SCORE)
+    .sort((a, b) => b.score - a.score || b.decisionIds.length - a.decisionIds.length || a.path.localeCompare(b.path))
+    .map((entry) => ({ ...entry, score: round(entry.score), sources: [...entry.sources] }));
+}
+
+/**
+ * Open backlog items linked to an impacted decision with related_to, sharing
+ * an impacted component, or mentioning one in their title, notes or tasks.
+ */
+function rankBacklog(backlog, impacted, componentImpact) {
+  const ranked = [];
+  for (const item of backlog) {
+    if (isCompletedStatus(item.status)) continue;
+    let score = 0;
+    const reasons = [];
+    const consider = (candidate, reason) => {
+      if (candidate < MIN_SCORE) return;
+      score = Math.max(score, candidate);
+      reasons.push(reason);
+    };
+
+    for (const id of item.related_to || []) {
+      const entry = impacted.get(id);
+      if (entry) consider(entry.score * LINK_WEIGHTS.related_to, `related to ${formatRef(id)}`);
+    }
+
+    const text = [item.title, item.notes, ...(item.tasks || []).map((task) => task.description)]
+      .filter((value) => typeof value === "string")
+      .join("\n");
+    for (const component of componentImpact) {
+      if ((item.affected_components || []).includes(component.path)) {
+        consider(component.score * LINK_WEIGHTS.shared_component, `affects ${component.path}`);
+      } else if (text.includes(component.path)) {
+        consider(component.score * LINK_WEIGHTS.shared_component * 0.8, `mentions ${component.path}`);
+      }
+    }
+
+    if (reasons.length > 0) {
+      ranked.push({ id: item.id, title: item.title, status: item.status, score: round(score), reasons });
+    }
+  }
+  return ranked.sort((a, b) => b.score - a.score);
+}
+
+function byScore(a, b) {
+  return b.score - a.score || a.distance - b.distance;
+}
+
+function round(score) {
+  return Math.round(score * 100) / 100;
+}
+
+// Workspace ids are already written as namespace#id
+function formatRef(id) {
+  return typeof id === "number" ? `#${id}` : String(id);
+}
+
+export default { analyzeImpact };
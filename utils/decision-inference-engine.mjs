@@ -1,49 +1,210 @@
+import { GitPatternAnalyzer } from "../services/git-pattern-analyzer.mjs";
+import { COMMIT_TYPES } from "./commit-message-parser.mjs";
+
 /**
- * decision-inference-engine - Create git-pattern-analyzer.mjs for commit pattern detection
- * Generated by Decision Tapestry Agent Framework
- * Decision ID: 77
+ * Decision inference from git history.
+ * Turns clusters of related commits into candidate decisions (title,
+ * affected_components, date range) with a confidence score, for a person to
+ * review before they go into decisions.yml.
  */
 
+// Commit types that change what the software does or how it is built
+const SIGNIFICANT_TYPES = ["feat", "refactor", "perf", "build"];
+// Commit types that on their own rarely amount to a decision
+const HOUSEKEEPING_TYPES = ["docs", "style", "chore", "test", "ci"];
+// Which commit names a cluster: breaking changes first, then by type
+const TITLE_PRIORITY = ["feat", "refactor", "perf", "build", "fix"];
+
+const MAX_AFFECTED_COMPONENTS = 10;
+const MAX_EVIDENCE_COMMITS = 20;
+
 /**
- * Create git-pattern-analyzer.mjs for commit pattern detection
+ * Read git history and infer candidate decisions from it.
+ * @param {Object} [options]
+ * @param {string} [options.repoPath] - Repository to analyze
+ * @param {string} [options.since] - Only consider commits after this (`git log --since`)
+ * @param {string} [options.until] - Only consider commits before this (`git log --until`)
+ * @param {Array<Object>} [options.existingDecisions] - Decisions already recorded
+ * @param {number} [options.minConfidence] - Drop candidates scoring below this
+ * @param {number} [options.minCommits] - Smallest cluster worth proposing
+ * @param {number} [options.windowDays] - Quiet period that separates two pieces of work
+ * @returns {Promise<Array<InferredDecision>>}
  */
-export async function process(data) {
-    try {
-        // Implementation for: Create git-pattern-analyzer.mjs for commit pattern detection
-        console.log('[decision-inference-engine] Processing:', data);
-        return { success: true, data };
-    } catch (error) {
-        console.error('[decision-inference-engine] Error:', error.message);
-        throw error;
-    }
+export async function inferDecisionsFromGit({ repoPath, since, until, ...options } = {}) {
+  const analyzer = new GitPatternAnalyzer(repoPath);
+  const commits = await analyzer.getCommits({ since, until });
+  return inferDecisions(commits, options, analyzer);
 }
 
-export default { process };
+/**
+ * @typedef {Object} InferredDecision
+ * @property {Object} decision - Decision record without an id, ready for decisions.yml
+ * @property {number} confidence - 0 to 1, how likely this is a decision worth recording
+ * @property {Object} evidence - What the candidate was inferred from
+ * @property {string} evidence.cluster - Key of the commit cluster
+ * @property {Array<{sha: string, date: string, author: string, subject: string}>} evidence.commits
+ * @property {string[]} evidence.reasons - Why the confidence is what it is
+ */
 
+/**
+ * Infer candidate decisions from commits read by GitPatternAnalyzer.getCommits.
+ * Commits that already reference a recorded decision are left out, as that
+ * work is already documented.
+ * @param {Array<Object>} commits
+ * @param {Object} [options] - See inferDecisionsFromGit
+ * @param {GitPatternAnalyzer} [analyzer]
+ * @returns {Array<InferredDecision>} Most confident first
+ */
+export function inferDecisions(
+  commits,
+  { existingDecisions = [], minConfidence = 0, minCommits = 2, windowDays = 14 } = {},
+  analyzer = new GitPatternAnalyzer(),
+) {
+  const recordedIds = new Set(existingDecisions.map((decision) => Number(decision.id)));
+  const undocumented = commits.filter(
+    (commit) => !commit.parsed.decisionRefs.some((id) => recordedIds.has(id)),
+  );
 
-// Enhanced by Decision Tapestry Agent Framework
-// Decision ID: 77
-// Task: Implement commit message parsing for decision context
-// Timestamp: 2025-07-16T04:36:45.237Z
+  return analyzer
+    .clusterCommits(undocumented, { windowDays })
+    .filter((cluster) =>
+      cluster.commits.length >= minCommits ||
+      cluster.adr !== null ||
+      cluster.commits.some((commit) => commit.parsed.breaking),
+    )
+    .map(buildCandidate)
+    .filter((candidate) => candidate.confidence >= minConfidence)
+    .sort((a, b) => b.confidence - a.confidence);
+}
 
+/**
+ * Score a cluster of commits.
+ * @param {{adr: number|null, commits: Array<Object>}} cluster
+ * @returns {{confidence: number, reasons: string[]}}
+ */
+export function scoreCluster(cluster) {
+  const types = cluster.commits.map((commit) => commit.parsed.type);
+  const reasons = [];
+  let score = 0.2;
 
+  const volume = Math.min(cluster.commits.length, 10) * 0.03;
+  score += volume;
+  reasons.push(`${cluster.commits.length} related commit(s)`);
 
-// Enhanced by Decision Tapestry Agent Framework
-// Decision ID: 77
-// Task: Build decision inference engine from git patterns
-// Timestamp: 2025-07-16T04:36:45.281Z
+  if (cluster.adr !== null) {
+    score += 0.35;
+    reasons.push(`references ADR-${cluster.adr}`);
+  }
+  if (types.some((type) => SIGNIFICANT_TYPES.includes(type))) {
+    score += 0.2;
+    reasons.push("includes feature or refactoring work");
+  }
+  if (cluster.commits.some((commit) => commit.parsed.breaking)) {
+    score += 0.15;
+    reasons.push("includes a breaking change");
+  }
+  if (types.every((type) => HOUSEKEEPING_TYPES.includes(type))) {
+    score -= 0.15;
+    reasons.push("only housekeeping commits");
+  }
 
+  const confidence = Math.round(Math.min(0.95, Math.max(0.05, score)) * 100) / 100;
+  return { confidence, reasons };
+}
 
+function buildCandidate(cluster) {
+  const { confidence, reasons } = scoreCluster(cluster);
+  const lead = leadCommit(cluster.commits);
+  const authors = [...new Set(cluster.commits.map((commit) => commit.author))];
+  const typeCounts = countBy(cluster.commits, (commit) => commit.parsed.type || "other");
 
-// Enhanced by Decision Tapestry Agent Framework
-// Decision ID: 77
-// Task: Add automatic decision discovery suggestions
-// Timestamp: 2025-07-16T04:36:45.324Z
+  const decision = {
+    title: titleFor(lead, cluster),
+    author: authors[0],
+    date: {
+      decision_date: cluster.start,
+      first_commit_date: cluster.start,
+      last_commit_date: cluster.end,
+      git_derived: true,
+      commit_count: cluster.commits.length,
+    },
+    status: "Proposed",
+    rationale: rationaleFor(cluster.commits, lead),
+    affected_components: affectedComponents(cluster.commits),
+    notes:
+      `Inferred from ${cluster.commits.length} commit(s) by ${authors.join(", ")} ` +
+      `(${Object.entries(typeCounts).map(([type, count]) => `${type}: ${count}`).join(", ")}).`,
+  };
 
+  return {
+    decision,
+    confidence,
+    evidence: {
+      cluster: cluster.key,
+      commits: cluster.commits.slice(-MAX_EVIDENCE_COMMITS).map((commit) => ({
+        sha: commit.sha,
+        date: commit.date,
+        author: commit.author,
+        subject: commit.parsed.subject,
+      })),
+      reasons,
+    },
+  };
+}
+
+// The commit that best describes the cluster: a breaking change, else the
+// earliest commit of the most significant type
+function leadCommit(commits) {
+  const breaking = commits.find((commit) => commit.parsed.breaking);
+  if (breaking) return breaking;
+
+  for (const type of TITLE_PRIORITY) {
+    const match = commits.find((commit) => commit.parsed.type === type);
+    if (match) return match;
+  }
+  return commits[0];
+}
 
+function titleFor(lead, cluster) {
+  const description = lead.parsed.description.replace(/\.$/, "");
+  const title = description.charAt(0).toUpperCase() + description.slice(1);
+  if (cluster.adr !== null && !/\bADR\b/i.test(title)) {
+    return `ADR-${cluster.adr}: ${title}`;
+  }
+  return title;
+}
 
-// Enhanced by Decision Tapestry Agent Framework
-// Decision ID: 77
-// Task: Create UI for reviewing and approving inferred decisions
-// Timestamp: 2025-07-16T04:36:45.366Z
+// Commit bodies explain why; subjects of the other commits fill in what
+function rationaleFor(commits, lead) {
+  const reasons = [];
+  if (lead.parsed.body) {
+    reasons.push(lead.parsed.body.split(/\n\s*\n/)[0].replace(/\s+/g, " ").trim());
+  }
+  for (const commit of commits) {
+    if (commit !== lead && commit.parsed.type && !HOUSEKEEPING_TYPES.includes(commit.parsed.type)) {
+      reasons.push(`${COMMIT_TYPES[commit.parsed.type]}: ${commit.parsed.description}`);
+    }
+    if (reasons.length >= 5) break;
+  }
+  return reasons;
+}
+
+// Files touched most often across the cluster
+function affectedComponents(commits) {
+  const counts = countBy(commits.flatMap((commit) => commit.files), (file) => file);
+  return Object.entries(counts)
+    .sort(([fileA, a], [fileB, b]) => b - a || fileA.localeCompare(fileB))
+    .slice(0, MAX_AFFECTED_COMPONENTS)
+    .map(([file]) => file);
+}
+
+function countBy(items, keyOf) {
+  const counts = {};
+  for (const item of items) {
+    const key = keyOf(item);
+    counts[key] = (counts[key] || 0) + 1;
+  }
+  return counts;
+}
 
+export default { inferDecisionsFromGit, inferDecisions, scoreCluster };
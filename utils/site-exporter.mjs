@@ -0,0 +1,162 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { readDecisionsFile } from "../shared/yaml-utils.js";
+import { loadCharterOrDefault } from "../shared/charter.js";
+import { loadCategoriesOrDefault } from "../shared/category-config.js";
+import { loadWorkspace, readWorkspaceData } from "../shared/workspace.js";
+import { getViewsPath, readViews } from "../shared/views-store.js";
+import { GitAnalyzer } from "../services/git-analyzer.mjs";
+import { computeInsights, PERIODS } from "./decision-analytics.mjs";
+import { listGalleryVisuals } from "../server/gallery-server.mjs";
+
+/**
+ * Static site export.
+ * Publishes the dashboard as plain files that any static host can serve:
+ * the dashboard components, the shared modules they import, and a JSON
+ * snapshot of what the API would have returned. The exported index.html
+ * loads dashboard/static-data-source.mjs, which answers API reads from the
+ * snapshot and puts the dashboard in read-only mode.
+ *
+ *   dist/index.html             redirect to dashboard/
+ *   dist/dashboard/             components
+ *   dist/shared, utils, ...     modules the components import
+ *   dist/data/*.json            API snapshot
+ *   dist/ai-canvas-gallery/     saved canvas visuals
+ */
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const DASHBOARD_DIR = path.join(ROOT, "dashboard");
+
+// Development pages and notes that don't belong on the published site
+const SKIPPED_DASHBOARD_FILES = [/^test-.*\.html$/, /\.md$/];
+
+// Relative module imports and CSS @imports
+const IMPORT_PATTERN = /(?:\bfrom\s*|\bimport\s*\(?\s*|@import\s+url\(\s*)["'](\.{1,2}\/[^"']+)["']/g;
+
+const GALLERY_TYPES = ["public", "private"];
+
+/**
+ * Exports the dashboard and a snapshot of the project's decisions.
+ * @param {Object} options
+ * @param {string} options.outDir - Directory to write the site to
+ * @param {string} options.decisionsPath - Path to decisions.yml
+ * @param {string} [options.cwd] - Project directory holding settings/ and ai-canvas-gallery/
+ * @param {boolean} [options.includePrivate=false] - Also publish the private canvas gallery
+ * @returns {Promise<{files: string[], decisions: number, backlog: number, visuals: number}>}
+ *   Files written, relative to outDir, and what the snapshot contains
+ */
+export async function exportSite({ outDir, decisionsPath, cwd = process.cwd(), includePrivate = false }) {
+  const files = [];
+  const write = async (relativePath, content) => {
+    const target = path.join(outDir, relativePath);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, content);
+    files.push(relativePath);
+  };
+
+  // Dashboard components and everything outside dashboard/ they import
+  const queue = [];
+  for (const entry of await fs.readdir(DASHBOARD_DIR, { withFileTypes: true })) {
+    if (!entry.isFile() || SKIPPED_DASHBOARD_FILES.some((pattern) => pattern.test(entry.name))) continue;
+    queue.push(path.join(DASHBOARD_DIR, entry.name));
+  }
+  const seen = new Set(queue);
+  while (queue.length > 0) {
+    const file = queue.shift();
+    const relativePath = path.relative(ROOT, file);
+    if (relativePath === path.join("dashboard", "index.html")) continue;
+
+    const content = await fs.readFile(file);
+    await write(relativePath, content);
+
+    if (!/\.(m?js|css)$/.test(file)) continue;
+    for (const [, specifier] of content.toString("utf8").matchAll(IMPORT_PATTERN)) {
+      const dependency = path.resolve(path.dirname(file), specifier);
+      if (seen.has(dependency) || path.relative(ROOT, dependency).startsWith("..")) continue;
+      seen.add(dependency);
+      if (await fileExists(dependency)) queue.push(dependency);
+    }
+  }
+
+  await write(path.join("dashboard", "index.html"), toStaticIndex(await fs.readFile(path.join(DASHBOARD_DIR, "index.html"), "utf8")));
+  await write("index.html", '<!DOCTYPE html>\n<meta http-equiv="refresh" content="0; url=dashboard/">\n<a href="dashboard/">Decision Tapestry</a>\n');
+
+  // API snapshot, one file per route in static-data-source.mjs. A workspace
+  // is published as the server shows it, with every repository's decisions
+  const workspace = await loadWorkspace(cwd);
+  const data = workspace ? await readWorkspaceData(workspace) : await readDecisionsFile(decisionsPath);
+  const charter = await loadCharterOrDefault(decisionsPath, data);
+  const categories = await loadCategoriesOrDefault(decisionsPath, data);
+  const json = (value) => JSON.stringify(value, null, 2);
+  await write("data/api-data.json", json({
+    decisions: data.decisions || [],
+    backlog: data.backlog || [],
+    charter,
+    categories,
+    ...(data.workspace && { workspace: data.workspace }),
+  }));
+
+  const analyzer = new GitAnalyzer(path.dirname(path.resolve(decisionsPath)));
+  const useGit = !workspace && (await analyzer.isGitRepo());
+  for (const period of Object.keys(PERIODS)) {
+    const insights = await computeInsights(data, { period, analyzer: useGit ? analyzer : null });
+    await write(period === "week" ? "data/analytics-insights.json" : `data/analytics-insights-${period}.json`, json(insights));
+  }
+
+  const sets = await fs.readFile(path.join(cwd, "settings", "gallery-sets.json"), "utf8").catch(() => "[]");
+  await write("data/gallery-sets.json", json(JSON.parse(sets)));
+  await write("data/views.json", json({ views: await readViews(getViewsPath(decisionsPath)) }));
+
+  // Drop visuals from earlier exports, so a private gallery published once
+  // doesn't linger after --include-private is left off
+  await fs.rm(path.join(outDir, "ai-canvas-gallery"), { recursive: true, force: true });
+  let visualCount = 0;
+  const galleryRoot = path.join(cwd, "ai-canvas-gallery");
+  for (const type of GALLERY_TYPES) {
+    const published = type === "public" || includePrivate;
+    const visuals = published ? await listGalleryVisuals(type, galleryRoot).catch(() => []) : [];
+    for (const visual of visuals) {
+      await write(path.join("ai-canvas-gallery", type, visual.filename), await fs.readFile(path.join(galleryRoot, type, visual.filename)));
+      // Relative to dashboard/index.html, so the site works under any base path
+      visual.path = `..${visual.path}`;
+    }
+    visualCount += visuals.length;
+    await write(`data/gallery-${type}.json`, json({ visuals, count: visuals.length }));
+  }
+
+  return {
+    files,
+    decisions: (data.decisions || []).length,
+    backlog: (data.backlog || []).length,
+    visuals: visualCount,
+  };
+}
+
+/**
+ * Marks the dashboard page as the read-only snapshot and loads the static
+ * data source before any component can fetch.
+ * @param {string} html - dashboard/index.html
+ * @returns {string}
+ */
+export function toStaticIndex(html) {
+  const firstModule = html.indexOf('<script type="module"');
+  if (firstModule === -1) {
+    throw new Error("dashboard/index.html has no module scripts to load the snapshot before");
+  }
+  const withDataSource =
+    html.slice(0, firstModule) +
+    '<script type="module" src="./static-data-source.mjs"></script>\n    ' +
+    html.slice(firstModule);
+  return withDataSource.replace(/<html\b([^>]*)>/, '<html$1 data-mode="static">');
+}
+
+async function fileExists(file) {
+  try {
+    return (await fs.stat(file)).isFile();
+  } catch {
+    return false;
+  }
+}
+
+export default { exportSite, toStaticIndex };
@@ -0,0 +1,303 @@
+import fs from "fs/promises";
+import path from "path";
+import yaml from "js-yaml";
+import { GitAnalyzer } from "../services/git-analyzer.mjs";
+
+/**
+ * Stack detection for `decision-tapestry analyze`.
+ * Finds the technology choices a project has made - frameworks, databases,
+ * build and test tooling, package manager, CI and infrastructure - from its
+ * manifests, lockfiles and config files, including every package of a
+ * monorepo. Each choice lists the files (and dependencies) that show it, so
+ * the commit that introduced it can be looked up with the git analyzer.
+ */
+
+/**
+ * Choices recognised from package.json dependencies. `packages` lists the
+ * dependency names that indicate the choice; the first match wins.
+ */
+export const DEPENDENCY_CHOICES = [
+  // Frontend frameworks
+  { key: "react", packages: ["react"], category: "Architecture", title: "Adopt React for the frontend", rationale: "Component-based UI library with a large ecosystem" },
+  { key: "vue", packages: ["vue"], category: "Architecture", title: "Adopt Vue for the frontend", rationale: "Progressive framework for building user interfaces" },
+  { key: "svelte", packages: ["svelte"], category: "Architecture", title: "Adopt Svelte for the frontend", rationale: "Compiles components to small, framework-free JavaScript" },
+  { key: "angular", packages: ["@angular/core"], category: "Architecture", title: "Adopt Angular for the frontend", rationale: "Full-featured framework with built-in routing, forms and DI" },
+  { key: "lit", packages: ["lit", "lit-element"], category: "Architecture", title: "Build the UI with Lit web components", rationale: "Standards-based web components with minimal runtime" },
+  { key: "nextjs", packages: ["next"], category: "Architecture", title: "Use Next.js for server-rendered React", rationale: "Routing, server rendering and bundling in one framework" },
+  { key: "nuxt", packages: ["nuxt"], category: "Architecture", title: "Use Nuxt for server-rendered Vue", rationale: "Routing, server rendering and bundling in one framework" },
+  // Backend frameworks
+  { key: "express", packages: ["express"], category: "Architecture", title: "Use Express for the backend API", rationale: "Minimal, widely used web framework for Node.js" },
+  { key: "fastify", packages: ["fastify"], category: "Architecture", title: "Use Fastify for the backend API", rationale: "Fast Node.js web framework with schema-based validation" },
+  { key: "koa", packages: ["koa"], category: "Architecture", title: "Use Koa for the backend API", rationale: "Small, middleware-based web framework for Node.js" },
+  { key: "nestjs", packages: ["@nestjs/core"], category: "Architecture", title: "Use NestJS for the backend", rationale: "Structured, module-based Node.js framework" },
+  // Databases and data access
+  { key: "postgresql", packages: ["pg", "postgres", "pg-promise"], category: "Infrastructure", title: "Choose PostgreSQL for data storage", rationale: "Relational database for structured data and transactions" },
+  { key: "mysql", packages: ["mysql2", "mysql"], category: "Infrastructure", title: "Choose MySQL for data storage", rationale: "Relational database for structured data" },
+  { key: "mongodb", packages: ["mongoose", "mongodb"], category: "Infrastructure", title: "Choose MongoDB for data storage", rationale: "Document database for a flexible data model" },
+  { key: "sqlite", packages: ["better-sqlite3", "sqlite3", "sqlite"], category: "Infrastructure", title: "Choose SQLite for data storage", rationale: "Embedded database with no server to run" },
+  { key: "redis", packages: ["redis", "ioredis"], category: "Infrastructure", title: "Use Redis for caching and fast data access", rationale: "In-memory store for caches, queues and sessions" },
+  { key: "prisma", packages: ["@prisma/client", "prisma"], category: "Architecture", title: "Use Prisma for database access", rationale: "Type-safe database client generated from a schema" },
+  { key: "typeorm", packages: ["typeorm"], category: "Architecture", title: "Use TypeORM for database access", rationale: "ORM with entities and migrations" },
+  { key: "sequelize", packages: ["sequelize"], category: "Architecture", title: "Use Sequelize for database access", rationale: "ORM with models and migrations" },
+  // Build tooling
+  { key: "vite", packages: ["vite"], category: "Developer Experience", title: "Build with Vite", rationale: "Fast dev server and production bundling" },
+  { key: "webpack", packages: ["webpack"], category: "Developer Experience", title: "Bundle with webpack", rationale: "Configurable module bundler" },
+  { key: "rollup", packages: ["rollup"], category: "Developer Experience", title: "Bundle with Rollup", rationale: "Bundler producing small, tree-shaken output" },
+  { key: "esbuild", packages: ["esbuild"], category: "Developer Experience", title: "Build with esbuild", rationale: "Very fast JavaScript and TypeScript bundler" },
+  { key: "typescript", packages: ["typescript"], category: "Architecture", title: "Adopt TypeScript for type safety", rationale: "Static types catch errors earlier and document interfaces" },
+  // Testing and code quality
+  { key: "jest", packages: ["jest"], category: "Quality", title: "Test with Jest", rationale: "Test runner with assertions, mocking and coverage built in" },
+  { key: "vitest", packages: ["vitest"], category: "Quality", title: "Test with Vitest", rationale: "Vite-native test runner with a Jest-compatible API" },
+  { key: "mocha", packages: ["mocha"], category: "Quality", title: "Test with Mocha", rationale: "Flexible test runner" },
+  { key: "playwright", packages: ["@playwright/test", "playwright"], category: "Quality", title: "Run end-to-end tests with Playwright", rationale: "Browser automation across Chromium, Firefox and WebKit" },
+  { key: "cypress", packages: ["cypress"], category: "Quality", title: "Run end-to-end tests with Cypress", rationale: "Browser-based end-to-end testing" },
+  { key: "eslint", packages: ["eslint"], category: "Quality", title: "Lint code with ESLint", rationale: "Consistent style and early detection of common mistakes" },
+];
+
+/**
+ * Choices recognised from files. `files` are paths relative to the project
+ * root; a trailing slash matches any file directly inside that directory.
+ */
+export const FILE_CHOICES = [
+  // Package managers
+  { key: "npm", files: ["package-lock.json"], category: "Developer Experience", title: "Use npm for package management", rationale: "Lockfile pins exact dependency versions" },
+  { key: "yarn", files: ["yarn.lock"], category: "Developer Experience", title: "Use Yarn for package management", rationale: "Lockfile pins exact dependency versions" },
+  { key: "pnpm", files: ["pnpm-lock.yaml"], category: "Developer Experience", title: "Use pnpm for package management", rationale: "Content-addressed store saves disk space and install time" },
+  { key: "bun", files: ["bun.lockb", "bun.lock"], category: "Developer Experience", title: "Use Bun for package management", rationale: "Fast all-in-one JavaScript runtime and package manager" },
+  { key: "typescript", files: ["tsconfig.json"], category: "Architecture", title: "Adopt TypeScript for type safety", rationale: "Static types catch errors earlier and document interfaces" },
+  // Monorepos
+  { key: "monorepo", files: ["pnpm-workspace.yaml", "lerna.json", "nx.json", "turbo.json"], category: "Architecture", title: "Organize the codebase as a monorepo", rationale: "Related packages are versioned, built and tested together" },
+  // Containers and infrastructure
+  { key: "docker", files: ["Dockerfile"], category: "Infrastructure", title: "Containerize the application with Docker", rationale: "Same runtime environment in development, CI and production" },
+  { key: "docker-compose", files: ["docker-compose.yml", "docker-compose.yaml", "compose.yml", "compose.yaml"], category: "Infrastructure", title: "Run local services with Docker Compose", rationale: "One command starts the app and its dependencies" },
+  { key: "kubernetes", files: ["k8s/", "kubernetes/", "helm/", "Chart.yaml"], category: "Infrastructure", title: "Deploy to Kubernetes", rationale: "Declarative deployment, scaling and self-healing" },
+  { key: "terraform", files: ["main.tf", "terraform/", "infra/main.tf"], category: "Infrastructure", title: "Manage infrastructure with Terraform", rationale: "Infrastructure defined as reviewable code" },
+  { key: "vercel", files: ["vercel.json"], category: "Infrastructure", title: "Deploy on Vercel", rationale: "Managed hosting with preview deployments" },
+  { key: "netlify", files: ["netlify.toml"], category: "Infrastructure", title: "Deploy on Netlify", rationale: "Managed hosting with preview deployments" },
+  { key: "fly", files: ["fly.toml"], category: "Infrastructure", title: "Deploy on Fly.io", rationale: "Run containers close to users" },
+  { key: "serverless", files: ["serverless.yml", "serverless.yaml"], category: "Infrastructure", title: "Deploy with the Serverless Framework", rationale: "Functions deployed without managing servers" },
+  // Continuous integration
+  { key: "github-actions", files: [".github/workflows/"], category: "Process", title: "Use GitHub Actions for CI", rationale: "Checks run automatically on every push and pull request" },
+  { key: "gitlab-ci", files: [".gitlab-ci.yml"], category: "Process", title: "Use GitLab CI", rationale: "Checks run automatically on every push and merge request" },
+  { key: "circleci", files: [".circleci/config.yml"], category: "Process", title: "Use CircleCI for CI", rationale: "Checks run automatically on every push" },
+  { key: "jenkins", files: ["Jenkinsfile"], category: "Process", title: "Use Jenkins for CI", rationale: "Self-hosted automation server runs the pipeline" },
+  { key: "travis", files: [".travis.yml"], category: "Process", title: "Use Travis CI", rationale: "Checks run automatically on every push" },
+  { key: "azure-pipelines", files: ["azure-pipelines.yml"], category: "Process", title: "Use Azure Pipelines for CI", rationale: "Checks run automatically on every push" },
+];
+
+/**
+ * @typedef {Object} StackChoice
+ * @property {string} key - Identifier of the choice, e.g. `react`
+ * @property {string} title - Decision title
+ * @property {string} category - Decision category
+ * @property {string} rationale
+ * @property {Array<{file: string, dependency?: string}>} evidence - Files (relative to the root) that show the choice
+ */
+
+/**
+ * Detect the technology choices of the project at `rootDir`.
+ * @param {string} [rootDir]
+ * @returns {Promise<StackChoice[]>}
+ */
+export async function detectStackChoices(rootDir = process.cwd()) {
+  const choices = new Map();
+  const addEvidence = (definition, evidence) => {
+    if (!choices.has(definition.key)) {
+      const { key, title, category, rationale } = definition;
+      choices.set(key, { key, title, category, rationale, evidence: [] });
+    }
+    choices.get(definition.key).evidence.push(evidence);
+  };
+
+  for (const manifest of await findPackageManifests(rootDir)) {
+    const dependencies = {
+      ...manifest.pkg.dependencies,
+      ...manifest.pkg.devDependencies,
+      ...manifest.pkg.peerDependencies,
+    };
+    for (const definition of DEPENDENCY_CHOICES) {
+      const dependency = definition.packages.find((name) => dependencies[name]);
+      if (dependency) {
+        addEvidence(definition, { file: manifest.file, dependency });
+      }
+    }
+  }
+
+  for (const definition of FILE_CHOICES) {
+    for (const pattern of definition.files) {
+      for (const file of await matchFiles(rootDir, pattern)) {
+        addEvidence(definition, { file });
+      }
+    }
+  }
+
+  // package.json "workspaces" make a monorepo even without a tool's manifest
+  const rootPackage = await readJson(path.join(rootDir, "package.json"));
+  if (rootPackage?.workspaces) {
+    addEvidence(FILE_CHOICES.find((choice) => choice.key === "monorepo"), { file: "package.json", dependency: "workspaces" });
+  }
+
+  return [...choices.values()];
+}
+
+/**
+ * Turn the detected choices into `Accepted` decisions dated by the commit that
+ * first introduced them: the first commit adding the dependency to its
+ * package.json, or the first commit of the file. Without git history the
+ * decision is dated now and marked as not git-derived. Choices that already
+ * have a decision with the same title are left out.
+ * @param {string} [rootDir]
+ * @param {Object} [options]
+ * @param {Array<{title?: string}>} [options.existingDecisions]
+ * @param {GitAnalyzer} [options.analyzer]
+ * @returns {Promise<{decisions: Object[], existing: StackChoice[]}>} New decisions (without ids) and the choices already recorded
+ */
+export async function analyzeProjectStack(
+  rootDir = process.cwd(),
+  { existingDecisions = [], analyzer = new GitAnalyzer(rootDir) } = {},
+) {
+  const knownTitles = new Set(existingDecisions.map((decision) => normalizeTitle(decision.title)));
+  const hasHistory = await analyzer.isGitRepo();
+  const decisions = [];
+  const existing = [];
+
+  for (const choice of await detectStackChoices(rootDir)) {
+    if (knownTitles.has(normalizeTitle(choice.title))) {
+      existing.push(choice);
+      continue;
+    }
+    const commit = hasHistory ? await findIntroducingCommit(choice, analyzer) : null;
+    decisions.push(buildDecision(choice, commit));
+  }
+
+  decisions.sort((a, b) => Date.parse(a.date.decision_date) - Date.parse(b.date.decision_date));
+  return { decisions, existing };
+}
+
+async function findIntroducingCommit(choice, analyzer) {
+  let earliest = null;
+  for (const { file, dependency } of choice.evidence) {
+    const commit = await analyzer.getFirstCommit(file, {
+      searchText: dependency ? `"${dependency}"` : undefined,
+    });
+    if (commit && (!earliest || Date.parse(commit.date) < Date.parse(earliest.date))) {
+      earliest = commit;
+    }
+  }
+  return earliest;
+}
+
+function buildDecision(choice, commit) {
+  const sources = choice.evidence.map(({ file, dependency }) =>
+    dependency ? `${dependency} in ${file}` : file,
+  );
+  const notes = [`Detected by \`decision-tapestry analyze\` from ${sources.join(", ")}.`];
+  if (commit) {
+    notes.push(`Introduced in ${commit.sha.slice(0, 7)} "${commit.message}".`);
+  }
+
+  return {
+    title: choice.title,
+    ...(commit ? { author: commit.author } : {}),
+    date: commit
+      ? { decision_date: commit.date, first_commit_date: commit.date, git_derived: true }
+      : { decision_date: new Date().toISOString(), git_derived: false },
+    status: "Accepted",
+    category: choice.category,
+    rationale: [choice.rationale],
+    affected_components: [...new Set(choice.evidence.map(({ file }) => file))],
+    notes: notes.join(" "),
+  };
+}
+
+function normalizeTitle(title) {
+  return String(title || "").trim().toLowerCase();
+}
+
+/**
+ * The root package.json plus those of monorepo packages, declared through
+ * package.json "workspaces", pnpm-workspace.yaml or lerna.json.
+ * @param {string} rootDir
+ * @returns {Promise<Array<{file: string, pkg: Object}>>}
+ */
+export async function findPackageManifests(rootDir) {
+  const rootPackage = await readJson(path.join(rootDir, "package.json"));
+  if (!rootPackage) return [];
+
+  const patterns = new Set();
+  const workspaces = Array.isArray(rootPackage.workspaces)
+    ? rootPackage.workspaces
+    : rootPackage.workspaces?.packages || [];
+  workspaces.forEach((pattern) => patterns.add(pattern));
+
+  try {
+    const pnpmWorkspace = yaml.load(await fs.readFile(path.join(rootDir, "pnpm-workspace.yaml"), "utf8"));
+    (pnpmWorkspace?.packages || []).forEach((pattern) => patterns.add(pattern));
+  } catch {
+    // Not a pnpm workspace
+  }
+  ((await readJson(path.join(rootDir, "lerna.json")))?.packages || []).forEach((pattern) => patterns.add(pattern));
+
+  const manifests = [{ file: "package.json", pkg: rootPackage }];
+  for (const pattern of patterns) {
+    for (const directory of await expandWorkspacePattern(rootDir, pattern)) {
+      const file = path.posix.join(directory, "package.json");
+      const pkg = await readJson(path.join(rootDir, file));
+      if (pkg && !manifests.some((manifest) => manifest.file === file)) {
+        manifests.push({ file, pkg });
+      }
+    }
+  }
+  return manifests;
+}
+
+// Workspace patterns are directories, optionally ending in /* or /**
+async function expandWorkspacePattern(rootDir, pattern) {
+  if (pattern.startsWith("!")) return [];
+  const base = pattern.replace(/\/\*\*?$/, "").replace(/^\.\//, "");
+  if (base === pattern) return [base];
+
+  try {
+    const entries = await fs.readdir(path.join(rootDir, base), { withFileTypes: true });
+    return entries
+      .filter((entry) => entry.isDirectory() && entry.name !== "node_modules")
+      .map((entry) => path.posix.join(base, entry.name));
+  } catch {
+    return [];
+  }
+}
+
+async function matchFiles(rootDir, pattern) {
+  if (!pattern.endsWith("/")) {
+    return (await exists(path.join(rootDir, pattern))) ? [pattern] : [];
+  }
+
+  try {
+    const entries = await fs.readdir(path.join(rootDir, pattern), { withFileTypes: true });
+    return entries
+      .filter((entry) => entry.isFile())
+      .map((entry) => `${pattern}${entry.name}`)
+      .sort();
+  } catch {
+    return [];
+  }
+}
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function readJson(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+export default { detectStackChoices, analyzeProjectStack, findPackageManifests };
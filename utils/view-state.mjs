@@ -0,0 +1,178 @@
+/**
+ * Dashboard view state and its URL hash. A view state is what a teammate
+ * needs to see the same thing: the search panel's and advanced filter's
+ * filters, the time range, the center tab, the repository and the selected
+ * decision. The hash lists what differs from a base state - the defaults, or
+ * a saved view named with `view=` - so `#view=q3-infra&decision=42` opens the
+ * saved view "q3-infra" with decision 42 selected.
+ */
+
+export const DEFAULT_VIEW_STATE = {
+  tab: "decisions",
+  decision: null,
+  repo: "",
+  search: {
+    q: "",
+    minImpact: 0,
+    daysBack: 0,
+    dateRange: { start: 0, end: 0 }, // Days ago, 0 for open-ended
+    recentFileActivity: 0,
+    commitTimeRange: 0, // Index into the search panel's commit time ranges
+    dateType: "decision",
+  },
+  filters: {
+    statuses: [],
+    authors: [], // Author keys, as made by getAuthorKey in github-ui-utils.mjs
+    categories: [],
+    minImpact: 0,
+    hasComponents: null, // null for either, true or false
+    hasPullRequests: null,
+    hasIssues: null,
+    minCommits: 0,
+  },
+};
+
+// Hash parameter, state path and type of each part of the state, in hash order
+const PARAMS = [
+  ["tab", "tab", "string"],
+  ["decision", "decision", "id"],
+  ["repo", "repo", "string"],
+  ["q", "search.q", "string"],
+  ["impact", "search.minImpact", "number"],
+  ["days", "search.daysBack", "number"],
+  ["from", "search.dateRange.start", "number"],
+  ["to", "search.dateRange.end", "number"],
+  ["activity", "search.recentFileActivity", "number"],
+  ["period", "search.commitTimeRange", "number"],
+  ["dates", "search.dateType", "string"],
+  ["status", "filters.statuses", "list"],
+  ["author", "filters.authors", "list"],
+  ["category", "filters.categories", "list"],
+  ["min-impact", "filters.minImpact", "number"],
+  ["components", "filters.hasComponents", "flag"],
+  ["prs", "filters.hasPullRequests", "flag"],
+  ["issues", "filters.hasIssues", "flag"],
+  ["min-commits", "filters.minCommits", "number"],
+];
+
+const FLAG_VALUES = { yes: true, no: false, "": null };
+
+/**
+ * Complete a possibly partial or hand-edited view state, dropping values of
+ * the wrong type.
+ * @param {any} state
+ * @returns {typeof DEFAULT_VIEW_STATE}
+ */
+export function normalizeViewState(state) {
+  const normalized = structuredClone(DEFAULT_VIEW_STATE);
+  for (const [, path, type] of PARAMS) {
+    const value = getPath(state, path);
+    if (isValid(value, type)) setPath(normalized, path, type === "list" ? value.map(String) : value);
+  }
+  return normalized;
+}
+
+/**
+ * Build the URL hash (without `#`) for a view state.
+ * @param {any} state
+ * @param {Object} [options]
+ * @param {string} [options.view] - Saved view the state started from
+ * @param {any} [options.base] - That view's state; only differences from it
+ *   are listed
+ * @returns {string}
+ */
+export function encodeViewHash(state, { view, base = DEFAULT_VIEW_STATE } = {}) {
+  const current = normalizeViewState(state);
+  const from = normalizeViewState(base);
+  const params = new URLSearchParams();
+  if (view) params.append("view", view);
+
+  for (const [name, path, type] of PARAMS) {
+    const value = getPath(current, path);
+    if (JSON.stringify(value) === JSON.stringify(getPath(from, path))) continue;
+    if (type === "list") {
+      // An empty value clears a list the base view has
+      if (value.length === 0) params.append(name, "");
+      value.forEach((item) => params.append(name, item));
+    } else if (type === "flag") {
+      params.append(name, value === null ? "" : value ? "yes" : "no");
+    } else {
+      params.append(name, value === null ? "" : String(value));
+    }
+  }
+  return params.toString();
+}
+
+/**
+ * The saved view a URL hash names, if any.
+ * @param {string} hash - With or without the leading `#`
+ * @returns {string|null}
+ */
+export function readViewName(hash) {
+  return new URLSearchParams(String(hash || "").replace(/^#/, "")).get("view") || null;
+}
+
+/**
+ * Apply a URL hash to a base state: the defaults, or the state of the saved
+ * view the hash names. Malformed values are ignored.
+ * @param {string} hash - With or without the leading `#`
+ * @param {any} [base] - State the hash's differences are applied to
+ * @returns {typeof DEFAULT_VIEW_STATE}
+ */
+export function decodeViewHash(hash, base = DEFAULT_VIEW_STATE) {
+  const params = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+  const state = normalizeViewState(base);
+
+  for (const [name, path, type] of PARAMS) {
+    if (!params.has(name)) continue;
+    const values = params.getAll(name);
+    const raw = values[values.length - 1].trim();
+    let value;
+    if (type === "list") {
+      value = values.filter(Boolean);
+    } else if (type === "number") {
+      value = raw === "" ? getPath(DEFAULT_VIEW_STATE, path) : Number(raw);
+    } else if (type === "flag") {
+      value = FLAG_VALUES[raw.toLowerCase()];
+    } else if (type === "id") {
+      value = raw === "" ? null : /^\d+$/.test(raw) ? Number(raw) : raw;
+    } else {
+      value = raw;
+    }
+    if (isValid(value, type)) setPath(state, path, value);
+  }
+  return state;
+}
+
+function isValid(value, type) {
+  switch (type) {
+    case "list":
+      return Array.isArray(value) && value.every((item) => typeof item === "string" || typeof item === "number");
+    case "number":
+      return Number.isInteger(value) && value >= 0;
+    case "flag":
+      return value === null || typeof value === "boolean";
+    case "id":
+      return value === null || Number.isInteger(value) || (typeof value === "string" && value !== "");
+    default:
+      return typeof value === "string";
+  }
+}
+
+function getPath(object, path) {
+  return path.split(".").reduce((value, key) => (value && typeof value === "object" ? value[key] : undefined), object);
+}
+
+function setPath(object, path, value) {
+  const keys = path.split(".");
+  const last = keys.pop();
+  keys.reduce((target, key) => target[key], object)[last] = value;
+}
+
+export default {
+  DEFAULT_VIEW_STATE,
+  normalizeViewState,
+  encodeViewHash,
+  readViewName,
+  decodeViewHash,
+};